@@ -3,6 +3,7 @@ import { Container } from 'react-bootstrap';
 
 import GovDataChart from './GovDataChart';
 import ErrorBoundary from './ErrorBoundary';
+import { DATA_ATTRIBUTION } from './constants';
 
 
 function App() {
@@ -21,7 +22,7 @@ function App() {
         <footer className="py-2 text-center">
           Note: you may encounter errors with certain datasets due to 404 errors, or access restrictions put in place by data.gov.sg.
           <br />
-          Data Visualisation by Nathaniel Wong. Contains information from datasets accessed from data.gov.sg which is made available under the terms of the Singapore Open Data Licence version 1.0.
+          Data Visualisation by Nathaniel Wong. {DATA_ATTRIBUTION}
         </footer>
       </Container >
     </ErrorBoundary>
@@ -0,0 +1,86 @@
+import PropTypes from "prop-types";
+
+import SimpleLineChart from "./SimpleLineChart";
+import SimpleBarChart from "./SimpleBarChart";
+import SimpleAreaChart from "./SimpleAreaChart";
+import SimpleScatterChart from "./SimpleScatterChart";
+import SimplePieChart from "./SimplePieChart";
+import HeatmapChart from "./HeatmapChart";
+
+/**
+ * Draws the dataset as one of the chart types in CHART_TYPE_OPTIONS
+ * @param {Object} props - Component props
+ * @param {string} props.type - Chart type name
+ * @param {boolean} props.isLoaded - Whether data has been loaded
+ * @param {Object|null} props.error - Error object if an error occurred
+ * @param {Object} props.dataset - Dataset object with series as keys
+ * @param {Array} [props.rows] - The dataset pivoted by pivotDataset, if already done
+ * @param {string} props.xKey - Key for x-axis data
+ * @param {string} props.yKey - Key for y-axis data
+ * @param {Array} props.domain - Array of [xMin, xMax, yMin, yMax] domain values
+ * @param {string} [props.xBucket] - Time bucket of a resampled date x-axis
+ * @param {boolean} [props.xIsDate] - Whether x-values are timestamps
+ * @param {string} [props.aggregation] - Aggregation the dataset was processed with
+ */
+function Chart(props) {
+  const { type, xIsDate, aggregation, ...chartProps } = props;
+
+  if (type === "line") return <SimpleLineChart {...chartProps} />;
+
+  // SimpleBarChart shows the loading, error and empty states for the others
+  if (
+    props.error ||
+    !props.isLoaded ||
+    !props.dataset ||
+    Object.keys(props.dataset).length === 0
+  ) {
+    return <SimpleBarChart {...chartProps} />;
+  }
+
+  switch (type) {
+    case "area":
+      return <SimpleAreaChart {...chartProps} />;
+    case "stackedBar":
+      return <SimpleBarChart {...chartProps} stack="stacked" />;
+    case "percentBar":
+      return <SimpleBarChart {...chartProps} stack="percent" />;
+    case "horizontalBar":
+      return <SimpleBarChart {...chartProps} horizontal />;
+    case "scatter":
+      return <SimpleScatterChart {...chartProps} />;
+    case "scatterTrend":
+      return <SimpleScatterChart {...chartProps} trendline />;
+    case "pie":
+      return <SimplePieChart {...chartProps} />;
+    case "donut":
+      return <SimplePieChart {...chartProps} donut />;
+    case "heatmap":
+      return (
+        <HeatmapChart
+          {...chartProps}
+          xIsDate={xIsDate}
+          aggregation={aggregation}
+        />
+      );
+    default:
+      return <SimpleBarChart {...chartProps} />;
+  }
+}
+
+Chart.propTypes = {
+  type: PropTypes.string.isRequired,
+  isLoaded: PropTypes.bool.isRequired,
+  error: PropTypes.object,
+  dataset: PropTypes.object.isRequired,
+  rows: PropTypes.array,
+  xKey: PropTypes.string.isRequired,
+  yKey: PropTypes.string.isRequired,
+  domain: PropTypes.arrayOf(
+    PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+  ).isRequired,
+  xBucket: PropTypes.string,
+  xIsDate: PropTypes.bool,
+  aggregation: PropTypes.string,
+};
+
+export default Chart;
@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { Button, Form } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+import {
+  findChartSvg,
+  exportChartPng,
+  exportChartSvg,
+} from "./utils/chartExport";
+import { toFilename } from "./utils/download";
+import { logger } from "./utils/logger";
+import { COLOR_PALETTE, DATA_ATTRIBUTION } from "./constants";
+
+const PIXEL_RATIOS = [1, 2, 3, 4];
+
+/**
+ * Download actions for the rendered chart
+ * @param {Object} props - Component props
+ * @param {Object} props.containerRef - Ref to the element wrapping the chart
+ * @param {string} props.title - Chart title (the dataset name)
+ * @param {Array<string>} props.seriesNames - Series in legend order
+ * @param {Array<string>} [props.seriesColors] - Colours of the series, where
+ * they are not the palette's
+ * @param {boolean} props.disabled - Whether there is a chart to export
+ */
+function ChartExport(props) {
+  const [pixelRatio, setPixelRatio] = useState(2);
+  const [status, setStatus] = useState("");
+
+  function handleExport(format) {
+    const chartSvg = findChartSvg(props.containerRef.current);
+    if (!chartSvg) {
+      setStatus("No chart to export");
+      return;
+    }
+
+    // Same colour assignment as the chart components
+    const options = {
+      title: props.title,
+      legend: props.seriesNames.map((name, index) => ({
+        name,
+        color:
+          (props.seriesColors && props.seriesColors[index]) ||
+          COLOR_PALETTE[index % COLOR_PALETTE.length],
+      })),
+      attribution: DATA_ATTRIBUTION,
+      filename: toFilename(props.title),
+      pixelRatio,
+    };
+
+    setStatus("");
+    if (format === "svg") {
+      exportChartSvg(chartSvg, options);
+      return;
+    }
+    exportChartPng(chartSvg, options).catch((error) => {
+      logger.error("PNG export failed:", error);
+      setStatus(`PNG export failed: ${error.message}`);
+    });
+  }
+
+  return (
+    <div className="chart-export">
+      <Button
+        size="sm"
+        disabled={props.disabled}
+        onClick={() => handleExport("png")}
+      >
+        Download PNG
+      </Button>
+      <Form.Select
+        size="sm"
+        aria-label="PNG pixel density"
+        value={pixelRatio}
+        disabled={props.disabled}
+        onChange={(e) => setPixelRatio(Number(e.target.value))}
+      >
+        {PIXEL_RATIOS.map((ratio) => (
+          <option key={ratio} value={ratio}>
+            {ratio}x
+          </option>
+        ))}
+      </Form.Select>
+      <Button
+        size="sm"
+        disabled={props.disabled}
+        onClick={() => handleExport("svg")}
+      >
+        Download SVG
+      </Button>
+      {status && <span className="chart-export-status">{status}</span>}
+    </div>
+  );
+}
+
+ChartExport.propTypes = {
+  containerRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
+  title: PropTypes.string,
+  seriesNames: PropTypes.arrayOf(PropTypes.string).isRequired,
+  seriesColors: PropTypes.arrayOf(PropTypes.string),
+  disabled: PropTypes.bool,
+};
+
+export default ChartExport;
@@ -1,17 +1,75 @@
-import React, { useEffect, useState } from 'react';
+import React, { useState } from 'react';
 import { Button, Row, Col, Form } from 'react-bootstrap';
 
-import { getResourceNamefromID } from "./utils";
+import DerivedColumns from "./DerivedColumns";
+import Measures from "./Measures";
+import Layers from "./Layers";
+import JoinBuilder from "./JoinBuilder";
+import DatasetSearch from "./DatasetSearch";
+import Reshape from "./Reshape";
+import SuggestedCharts from "./SuggestedCharts";
+import RowFilters from "./RowFilters";
+import { getChartTypeLabel } from "./utils/chartTypes";
+import { logger } from "./utils/logger";
+import {
+  AGGREGATION_OPTIONS,
+  DATASET_PAGE_URL,
+  LIMIT_STEP,
+  MAX_LIMIT,
+  MIN_LIMIT,
+  MISSING_VALUE_OPTIONS,
+  TIME_BUCKET_OPTIONS,
+} from "./constants";
+
+function formatCachedAt(timestamp) {
+  if (!timestamp) return "not cached";
+  return new Date(timestamp).toLocaleString("en-SG", {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+// Explains the chart type in use, listing the other types best first
+function ChartTypeSelect(props) {
+  const [chartType, setChartType] = props.chartType;
+  const ranking = props.ranking;
+  const shown = ranking.find(
+    ({ type }) => type === (chartType || ranking[0].type)
+  );
+
+  return (
+    <Row>
+      <Col xs={4}>
+        <Form.Label>Chart Type</Form.Label>
+      </Col>
+      <Col>
+        <Form.Select
+          value={chartType}
+          onChange={(e) => setChartType(e.target.value)}
+        >
+          <option value="">
+            Automatic ({getChartTypeLabel(ranking[0].type)})
+          </option>
+          {ranking.map(({ type }) => (
+            <option key={type} value={type}>
+              {getChartTypeLabel(type)}
+            </option>
+          ))}
+        </Form.Select>
+        {shown && <Form.Text>{shown.reason}</Form.Text>}
+      </Col>
+    </Row>
+  );
+}
 
 function ChartSettings(props) {
   let [xMin, setXMin, xMax, setXMax, yMin, setYMin, yMax, setYMax] =
     props.domain;
   let [resourceID, setResourceID] = props.resourceID;
   let [xKey, setXKey, yKey, setYKey, series, setSeries] = props.keys;
-  let [sumData, setSumData] = props.sumData;
+  let [aggregation, setAggregation] = props.aggregation;
   let [limit, setLimit] = props.limit;
-  let [organisation, setOrganisation] = props.organisation;
-  let filterResourceIDs = props.filterResourceIDs;
+  let [, setOrganisation] = props.organisation;
   let packages = props.packages;
 
   let fields = props.fields
@@ -19,12 +77,19 @@ function ChartSettings(props) {
         .splice(1)
         .map((item) => item.id)
     : ["Loading..."];
-  const [datasetMenu, setDatasetMenu] = useState([]);
+  const [cacheStatus, setCacheStatus] = useState("");
+  const cachedAt = props.cachedAt || {};
 
-  useEffect(() => {
-    let menu = filterResourceIDs(packages, organisation);
-    setDatasetMenu(menu);
-  }, [organisation, props.packages, resourceID, packages, filterResourceIDs]);
+  function handlePurgeCache() {
+    setCacheStatus("Purging...");
+    props
+      .onPurgeCache()
+      .then(() => setCacheStatus("Offline cache cleared"))
+      .catch((error) => {
+        logger.error("Failed to purge cache:", error);
+        setCacheStatus("Could not clear the offline cache");
+      });
+  }
 
   return (
     <Form className="settingsbar px-3 py-3">
@@ -32,56 +97,79 @@ function ChartSettings(props) {
         <Row>
           <h3 className="mb-3">Dataset Selection</h3>
         </Row>
+        <DatasetSearch
+          packages={props.allPackages}
+          resourceID={resourceID}
+          onSelect={(resource) => {
+            setOrganisation(resource.organisation);
+            setResourceID(resource.resource_id);
+          }}
+        />
         <Row>
           <Col xs={4}>
-            <Form.Label>Organisation</Form.Label>
+            <Form.Label>Rows per Request</Form.Label>
           </Col>
           <Col>
-            <Form.Select
-              value={organisation}
-              onChange={(e) => setOrganisation(e.target.value)}
-            >
-              {props.orgList.map((key) => (
-                <option key={key} value={key}>
-                  {key}
-                </option>
-              ))}
-            </Form.Select>
-          </Col>
-        </Row>
-        <Row>
-          <Col xs={4}>
-            <Form.Label>Dataset</Form.Label>
-          </Col>
-          <Col>
-            <Form.Select
-              value={resourceID}
-              onChange={(e) => setResourceID(e.target.value)}
-            >
-              {datasetMenu.map((key) => (
-                <option key={key} value={key}>
-                  {getResourceNamefromID(props.packages, key)}
-                </option>
-              ))}
-            </Form.Select>
+            <Form.Range
+              value={limit}
+              min={MIN_LIMIT}
+              max={MAX_LIMIT}
+              alt={limit}
+              step={LIMIT_STEP}
+              onChange={(e) => setLimit(e.target.value)}
+            />
           </Col>
         </Row>
         <Row>
           <Col xs={4}>
-            <Form.Label>No. of Entries</Form.Label>
+            <Form.Label>Cached at</Form.Label>
           </Col>
           <Col>
-            <Form.Range
-              value={limit}
-              min="1000"
-              max="10000"
-              alt={limit}
-              step="1000"
-              onChange={(e) => setLimit(e.target.value)}
-            />
+            <Form.Text>
+              Dataset: {formatCachedAt(cachedAt.dataset)}
+              <br />
+              Catalogue: {formatCachedAt(cachedAt.catalogue)}
+            </Form.Text>
           </Col>
         </Row>
+        {props.onPurgeCache && (
+          <Row>
+            <Button variant="secondary" onClick={handlePurgeCache}>
+              Purge offline cache
+            </Button>
+            {cacheStatus && <Form.Text>{cacheStatus}</Form.Text>}
+          </Row>
+        )}
       </Form.Group>
+      {props.join && (
+        <JoinBuilder
+          join={props.join}
+          resolvedJoin={props.resolvedJoin || null}
+          datasets={props.otherDatasets || {}}
+          packages={packages}
+          resourceID={resourceID}
+          fields={(props.baseFields || [])
+            .map((item) => item.id)
+            .filter((id) => id !== "_id")}
+          summary={props.joinSummary}
+        />
+      )}
+      {props.reshape && (
+        <Reshape
+          reshape={props.reshape}
+          fields={(props.reshapeFields || [])
+            .map((item) => item.id)
+            .filter((id) => id !== "_id")}
+          summary={props.reshapeSummary}
+        />
+      )}
+      {props.suggestions && props.suggestions.length > 0 && (
+        <SuggestedCharts
+          suggestions={props.suggestions}
+          keys={[xKey, yKey, series]}
+          onApply={props.onApplySuggestion}
+        />
+      )}
       <Form.Group controlId="dataset">
         <Row>
           <h3 className="mb-3">Data Manipulation</h3>
@@ -133,18 +221,110 @@ function ChartSettings(props) {
           </Col>
         </Row>
         <Row>
-          <Col xs={6}>
-            <Form.Label>Sum Y-axis data entries?</Form.Label>
+          <Col xs={4}>
+            <Form.Label>Aggregation</Form.Label>
           </Col>
           <Col>
-            <Form.Check
-              type="checkbox"
-              checked={sumData}
-              onChange={(e) => setSumData(!sumData)}
-            />
+            <Form.Select
+              value={aggregation}
+              onChange={(e) => setAggregation(e.target.value)}
+            >
+              {AGGREGATION_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </Form.Select>
           </Col>
         </Row>
+        {props.resample && (
+          <Row>
+            <Col xs={4}>
+              <Form.Label>Resample</Form.Label>
+            </Col>
+            <Col>
+              <Form.Select
+                value={props.resample[0]}
+                onChange={(e) => props.resample[1](e.target.value)}
+              >
+                {TIME_BUCKET_OPTIONS.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </Form.Select>
+              {props.resample[0] && aggregation === "none" && (
+                <Form.Text>Rows in each period are summed</Form.Text>
+              )}
+            </Col>
+          </Row>
+        )}
+        {props.missingValues && (
+          <Row>
+            <Col xs={4}>
+              <Form.Label>Missing values</Form.Label>
+            </Col>
+            <Col>
+              <Form.Select
+                value={props.missingValues[0]}
+                onChange={(e) => props.missingValues[1](e.target.value)}
+              >
+                {MISSING_VALUE_OPTIONS.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </Form.Select>
+              {props.coercions &&
+                (props.coercions.missing > 0 || props.coercions.numbers > 0) && (
+                  <Form.Text>
+                    {props.coercions.missing.toLocaleString()} cells read as
+                    missing, {props.coercions.numbers.toLocaleString()} numbers
+                    with thousands separators
+                  </Form.Text>
+                )}
+            </Col>
+          </Row>
+        )}
+        {props.chartType && props.chartTypeRanking && (
+          <ChartTypeSelect
+            chartType={props.chartType}
+            ranking={props.chartTypeRanking}
+          />
+        )}
       </Form.Group>
+      {props.measures && (
+        <Measures
+          measures={props.measures}
+          fields={props.fields ? fields : []}
+          xKey={xKey}
+          yKey={yKey}
+          records={props.records || []}
+        />
+      )}
+      {props.layers && (
+        <Layers
+          layers={props.layers}
+          resolvedLayers={props.resolvedLayers || []}
+          datasets={props.otherDatasets || {}}
+          packages={packages}
+          resourceID={resourceID}
+        />
+      )}
+      {props.derivedColumns && (
+        <DerivedColumns
+          columns={props.derivedColumns}
+          fieldIds={(props.fields || []).map((item) => item.id)}
+        />
+      )}
+      {props.rowFilters && (
+        <RowFilters
+          filters={props.rowFilters}
+          fields={props.fields ? fields : []}
+          records={props.records || []}
+          matchCount={props.matchCount || 0}
+        />
+      )}
       <Form.Group controlId="xyAxisDomain">
         <Row>
           <h3 className="mb-3">Chart Range</h3>
@@ -156,7 +336,7 @@ function ChartSettings(props) {
           <Col>
             <Form.Control
               type="text"
-              defaultValue={xMin}
+              value={xMin}
               onChange={(e) => setXMin(e.target.value)}
             />
           </Col>
@@ -166,7 +346,7 @@ function ChartSettings(props) {
           <Col>
             <Form.Control
               type="text"
-              defaultValue={xMax}
+              value={xMax}
               onChange={(e) => setXMax(e.target.value)}
             />
           </Col>
@@ -178,7 +358,7 @@ function ChartSettings(props) {
           <Col>
             <Form.Control
               type="text"
-              defaultValue={yMin}
+              value={yMin}
               onChange={(e) => setYMin(e.target.value)}
             />
           </Col>
@@ -188,11 +368,35 @@ function ChartSettings(props) {
           <Col>
             <Form.Control
               type="text"
-              defaultValue={yMax}
+              value={yMax}
               onChange={(e) => setYMax(e.target.value)}
             />
           </Col>
         </Row>
+        {props.rightAxisDomain && (
+          <Row>
+            <Col>
+              <Form.Text>Min Y (right)</Form.Text>
+            </Col>
+            <Col>
+              <Form.Control
+                type="text"
+                value={props.rightAxisDomain[0]}
+                onChange={(e) => props.rightAxisDomain[1](e.target.value)}
+              />
+            </Col>
+            <Col>
+              <Form.Text>Max Y (right)</Form.Text>
+            </Col>
+            <Col>
+              <Form.Control
+                type="text"
+                value={props.rightAxisDomain[2]}
+                onChange={(e) => props.rightAxisDomain[3](e.target.value)}
+              />
+            </Col>
+          </Row>
+        )}
         <Row>
           <Form.Text>
             Valid inputs: a number, 'auto', 'dataMin', 'dataMax', or a string
@@ -203,10 +407,8 @@ function ChartSettings(props) {
       <Row>
         <Button
           target="_blank"
-          href={
-            "https://data.gov.sg/search?q=" +
-            getResourceNamefromID(props.packages, resourceID)
-          }
+          href={resourceID ? DATASET_PAGE_URL(resourceID) : undefined}
+          disabled={!resourceID}
         >
           View on data.gov.sg
         </Button>
@@ -0,0 +1,282 @@
+import React, { useEffect, useRef, useState } from "react";
+import { BarChart, Brush, ResponsiveContainer } from "recharts";
+import { Button, Form } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+import {
+  rangeToIndexes,
+  scaleRange,
+  sliceRange,
+  toZoomRange,
+} from "./utils/zoom";
+import {
+  BRUSH_HEIGHT,
+  CHART_MARGINS,
+  ZOOM_MIN_SELECTION,
+  ZOOM_WHEEL_FACTOR,
+} from "./constants";
+
+// The plot area of the chart, where the grid is drawn
+function getPlotArea(container) {
+  const grid = container && container.querySelector(".recharts-cartesian-grid");
+  if (!grid) return null;
+  const plot = grid.getBoundingClientRect();
+  return plot.width > 0 && plot.height > 0 ? plot : null;
+}
+
+function isInside(plot, event) {
+  return (
+    event.clientX >= plot.left &&
+    event.clientX <= plot.right &&
+    event.clientY >= plot.top &&
+    event.clientY <= plot.bottom
+  );
+}
+
+// Position of a pointer on the plot, as fractions from the left and bottom
+function toPosition(plot, clientX, clientY) {
+  const clamp = (value) => Math.min(Math.max(value, 0), 1);
+  return {
+    x: clamp((clientX - plot.left) / plot.width),
+    y: clamp((plot.bottom - clientY) / plot.height),
+  };
+}
+
+function resolveAxes(axes) {
+  if (!axes) return null;
+  const ranges = {
+    x: toZoomRange(axes.x),
+    y: toZoomRange(axes.y),
+    y2: toZoomRange(axes.y2),
+  };
+  return ranges.x || ranges.y || ranges.y2 ? ranges : null;
+}
+
+// Applies the same positions to every zoomable y-axis
+function sliceYAxes(ranges, from, to) {
+  const zoomed = {};
+  if (ranges.y) zoomed.y = sliceRange(ranges.y, from, to);
+  if (ranges.y2) zoomed.y2 = sliceRange(ranges.y2, from, to);
+  return zoomed;
+}
+
+/**
+ * Zoom and pan controls around a chart, kept in sync with the chart range
+ * Dragging across the plot zooms to the selection (a drag along one axis
+ * only zooms that axis), Shift+drag pans, the mouse wheel zooms around the
+ * pointer and a double-click resets. Axes whose bounds are not numbers
+ * (e.g. categories or 'dataMin - 20') are left as they are. Time series also
+ * get a brush under the chart for picking the x-range.
+ * @param {Object} props - Component props
+ * @param {Object|null} props.axes - Chart range as { x, y, y2 } of
+ * [min, max] bounds, or null when the chart cannot be zoomed
+ * @param {Function} props.onZoom - Called with { x, y, y2 } ranges for the
+ * axes that changed, where a null range returns to the calculated bounds
+ * @param {Function} props.onReset - Returns every axis to its calculated bounds
+ * @param {boolean} props.isZoomed - Whether the range differs from the calculated one
+ * @param {Array<number>} [props.brushValues] - Sorted x-values of a time
+ * series, for the brush
+ * @param {Function} [props.formatX] - Formats x-values for the brush labels
+ * @param {React.ReactNode} props.children - The chart
+ */
+function ChartZoom(props) {
+  const containerRef = useRef(null);
+  // Stops the drag in progress, if any
+  const stopDragRef = useRef(null);
+  // The wheel listener is attached once, so it reads the latest props here
+  const propsRef = useRef(props);
+  propsRef.current = props;
+  // { left, top, width, height } of the drag selection, in pixels
+  const [selection, setSelection] = useState(null);
+
+  const isEnabled = !!resolveAxes(props.axes);
+
+  // React's wheel listeners are passive, so scrolling the page can only be
+  // prevented from a native listener
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || !isEnabled) return undefined;
+    const handleWheel = (event) => {
+      const ranges = resolveAxes(propsRef.current.axes);
+      const plot = getPlotArea(container);
+      if (!ranges || !plot || !isInside(plot, event) || event.deltaY === 0) {
+        return;
+      }
+      event.preventDefault();
+      const factor =
+        event.deltaY > 0 ? ZOOM_WHEEL_FACTOR : 1 / ZOOM_WHEEL_FACTOR;
+      const position = toPosition(plot, event.clientX, event.clientY);
+      const zoomed = {};
+      if (ranges.x) zoomed.x = scaleRange(ranges.x, position.x, factor);
+      if (ranges.y) zoomed.y = scaleRange(ranges.y, position.y, factor);
+      if (ranges.y2) zoomed.y2 = scaleRange(ranges.y2, position.y, factor);
+      propsRef.current.onZoom(zoomed);
+    };
+    container.addEventListener("wheel", handleWheel, { passive: false });
+    return () => container.removeEventListener("wheel", handleWheel);
+  }, [isEnabled]);
+
+  useEffect(
+    () => () => {
+      if (stopDragRef.current) stopDragRef.current();
+    },
+    []
+  );
+
+  function handleMouseDown(event) {
+    const container = containerRef.current;
+    const ranges = resolveAxes(props.axes);
+    const plot = getPlotArea(container);
+    if (event.button !== 0 || !ranges || !plot || !isInside(plot, event)) {
+      return;
+    }
+    // Keeps the drag from selecting text
+    event.preventDefault();
+    const start = toPosition(plot, event.clientX, event.clientY);
+    const isPan = event.shiftKey;
+
+    const handleMove = (moveEvent) => {
+      const position = toPosition(plot, moveEvent.clientX, moveEvent.clientY);
+      if (isPan) {
+        const dx = position.x - start.x;
+        const dy = position.y - start.y;
+        const panned = sliceYAxes(ranges, -dy, 1 - dy);
+        if (ranges.x) panned.x = sliceRange(ranges.x, -dx, 1 - dx);
+        propsRef.current.onZoom(panned);
+        return;
+      }
+      // A drag along one axis selects the whole of the other
+      const box = container.getBoundingClientRect();
+      const width = Math.abs(position.x - start.x) * plot.width;
+      const height = Math.abs(position.y - start.y) * plot.height;
+      const wide = width >= ZOOM_MIN_SELECTION || height < ZOOM_MIN_SELECTION;
+      const tall = height >= ZOOM_MIN_SELECTION || width < ZOOM_MIN_SELECTION;
+      setSelection({
+        left:
+          plot.left -
+          box.left +
+          (wide ? Math.min(position.x, start.x) * plot.width : 0),
+        top:
+          plot.bottom -
+          box.top -
+          (tall ? Math.max(position.y, start.y) * plot.height : plot.height),
+        width: wide ? width : plot.width,
+        height: tall ? height : plot.height,
+      });
+    };
+
+    const handleUp = (upEvent) => {
+      stopDragRef.current();
+      setSelection(null);
+      if (isPan) return;
+      const end = toPosition(plot, upEvent.clientX, upEvent.clientY);
+      const [left, right] = [start.x, end.x].sort((a, b) => a - b);
+      const [bottom, top] = [start.y, end.y].sort((a, b) => a - b);
+      const zoomed =
+        (top - bottom) * plot.height >= ZOOM_MIN_SELECTION
+          ? sliceYAxes(ranges, bottom, top)
+          : {};
+      if (ranges.x && (right - left) * plot.width >= ZOOM_MIN_SELECTION) {
+        zoomed.x = sliceRange(ranges.x, left, right);
+      }
+      if (Object.keys(zoomed).length > 0) propsRef.current.onZoom(zoomed);
+    };
+
+    stopDragRef.current = () => {
+      window.removeEventListener("mousemove", handleMove);
+      window.removeEventListener("mouseup", handleUp);
+      stopDragRef.current = null;
+    };
+    window.addEventListener("mousemove", handleMove);
+    window.addEventListener("mouseup", handleUp);
+  }
+
+  if (!props.axes) return props.children;
+
+  const brushValues = props.brushValues || [];
+  const [startIndex, endIndex] = rangeToIndexes(
+    brushValues,
+    toZoomRange(props.axes.x)
+  );
+  const handleBrushChange = (indexes) => {
+    if (indexes.startIndex >= indexes.endIndex) return;
+    // The whole brush returns to the calculated bounds, with their padding
+    const isWhole =
+      indexes.startIndex === 0 && indexes.endIndex === brushValues.length - 1;
+    props.onZoom({
+      x: isWhole
+        ? null
+        : [brushValues[indexes.startIndex], brushValues[indexes.endIndex]],
+    });
+  };
+
+  return (
+    <div className="chart-zoom">
+      <div
+        ref={containerRef}
+        className="chart-zoom-area"
+        onMouseDown={handleMouseDown}
+        onDoubleClick={isEnabled ? props.onReset : undefined}
+      >
+        {props.children}
+        {selection && (
+          <div className="chart-zoom-selection" style={selection} />
+        )}
+      </div>
+      {brushValues.length > 1 && (
+        <ResponsiveContainer width="100%" height={BRUSH_HEIGHT + 10}>
+          <BarChart
+            data={brushValues.map((x) => ({ x }))}
+            margin={{
+              top: 5,
+              right: CHART_MARGINS.right,
+              bottom: 5,
+              left: CHART_MARGINS.left,
+            }}
+          >
+            <Brush
+              dataKey="x"
+              height={BRUSH_HEIGHT}
+              startIndex={startIndex}
+              endIndex={endIndex}
+              tickFormatter={props.formatX}
+              onChange={handleBrushChange}
+            />
+          </BarChart>
+        </ResponsiveContainer>
+      )}
+      {isEnabled && (
+        <div className="chart-zoom-controls">
+          <Form.Text>
+            Drag to zoom, Shift+drag to pan, scroll to zoom in or out
+          </Form.Text>
+          {props.isZoomed && (
+            <Button
+              variant="outline-secondary"
+              size="sm"
+              onClick={props.onReset}
+            >
+              Reset zoom
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+ChartZoom.propTypes = {
+  axes: PropTypes.shape({
+    x: PropTypes.array,
+    y: PropTypes.array,
+    y2: PropTypes.array,
+  }),
+  onZoom: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired,
+  isZoomed: PropTypes.bool,
+  brushValues: PropTypes.arrayOf(PropTypes.number),
+  formatX: PropTypes.func,
+  children: PropTypes.node,
+};
+
+export default ChartZoom;
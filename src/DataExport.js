@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { Button, Form } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+import {
+  downloadTable,
+  toLongTable,
+  toRecordsTable,
+  toWideTable,
+} from "./utils/dataExport";
+import { toFilename } from "./utils/download";
+import { logger } from "./utils/logger";
+
+const TABLE_SHAPES = [
+  { value: "wide", label: "Wide (one column per series)" },
+  { value: "long", label: "Long (series, x, y)" },
+  { value: "records", label: "Raw records" },
+];
+
+/**
+ * Download actions for the data behind the chart
+ * @param {Object} props - Component props
+ * @param {Object} props.dataset - Processed dataset {series: [{x, y}]}
+ * @param {string} props.xKey - X-axis field
+ * @param {string} props.yKey - Y-axis field
+ * @param {string} props.series - Series field ("" when not split)
+ * @param {Object} props.result - Loaded dataset { records, fields }
+ * @param {string} props.title - Dataset name, used for the file name
+ * @param {boolean} props.disabled - Whether there is data to export
+ */
+function DataExport(props) {
+  const [shape, setShape] = useState("wide");
+  const [status, setStatus] = useState("");
+
+  function buildTable() {
+    if (shape === "records") {
+      return toRecordsTable(
+        props.result.records || [],
+        props.result.fields || []
+      );
+    }
+    if (shape === "long") {
+      return toLongTable(props.dataset, props.xKey, props.yKey, props.series);
+    }
+    return toWideTable(props.dataset, props.xKey, props.yKey);
+  }
+
+  function handleExport(format) {
+    const filename = `${toFilename(props.title, "sgraphs-data")}-${shape}`;
+    setStatus("");
+    downloadTable(buildTable(), format, filename).catch((error) => {
+      logger.error("Data export failed:", error);
+      setStatus(`Export failed: ${error.message}`);
+    });
+  }
+
+  return (
+    <div className="chart-export">
+      <Form.Select
+        size="sm"
+        aria-label="Exported table shape"
+        value={shape}
+        disabled={props.disabled}
+        onChange={(e) => setShape(e.target.value)}
+      >
+        {TABLE_SHAPES.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </Form.Select>
+      {["csv", "xlsx", "json"].map((format) => (
+        <Button
+          key={format}
+          size="sm"
+          variant="outline-primary"
+          disabled={props.disabled}
+          onClick={() => handleExport(format)}
+        >
+          Download {format.toUpperCase()}
+        </Button>
+      ))}
+      {status && <span className="chart-export-status">{status}</span>}
+    </div>
+  );
+}
+
+DataExport.propTypes = {
+  dataset: PropTypes.object.isRequired,
+  xKey: PropTypes.string,
+  yKey: PropTypes.string,
+  series: PropTypes.string,
+  result: PropTypes.shape({
+    records: PropTypes.array,
+    fields: PropTypes.array,
+  }),
+  title: PropTypes.string,
+  disabled: PropTypes.bool,
+};
+
+export default DataExport;
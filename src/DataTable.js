@@ -0,0 +1,186 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Form, Pagination, Table } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+import {
+  describeColumns,
+  filterRecords,
+  formatCell,
+  sortRecords,
+} from "./utils/dataTable";
+import { useDebounce } from "./hooks/useDebounce";
+import { DEBOUNCE_DELAY } from "./constants";
+
+const PAGE_SIZES = [25, 50, 100, 250];
+
+function nextSort(sort, columnId) {
+  if (sort.columnId !== columnId) return { columnId, direction: "asc" };
+  if (sort.direction === "asc") return { columnId, direction: "desc" };
+  return { columnId: "", direction: "asc" };
+}
+
+/**
+ * Paginated table of records with sortable, searchable columns
+ * @param {Object} props - Component props
+ * @param {Array} props.records - Records keyed by field id
+ * @param {Array} props.fields - Fields of the shape { id, ... }
+ */
+function DataTable(props) {
+  const [sort, setSort] = useState({ columnId: "", direction: "asc" });
+  const [searches, setSearches] = useState({});
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+
+  // Filtering 100k rows on every keystroke is noticeable
+  const debouncedSearches = useDebounce(searches, DEBOUNCE_DELAY);
+
+  const columns = useMemo(
+    () => describeColumns(props.fields, props.records),
+    [props.fields, props.records]
+  );
+  const filteredRecords = useMemo(
+    () => filterRecords(props.records, debouncedSearches),
+    [props.records, debouncedSearches]
+  );
+  const sortedRecords = useMemo(
+    () => sortRecords(filteredRecords, sort.columnId, sort.direction),
+    [filteredRecords, sort]
+  );
+
+  // Searches and sorting refer to columns, so start over for new fields
+  const fieldIds = props.fields.map((field) => field.id).join("\u0000");
+  useEffect(() => {
+    setSearches({});
+    setSort({ columnId: "", direction: "asc" });
+  }, [fieldIds]);
+
+  useEffect(() => {
+    setPage(0);
+  }, [props.records, debouncedSearches, sort, pageSize]);
+
+  const pageCount = Math.max(1, Math.ceil(sortedRecords.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRecords = sortedRecords.slice(
+    currentPage * pageSize,
+    (currentPage + 1) * pageSize
+  );
+
+  return (
+    <div className="chart-container data-table">
+      <div className="data-table-toolbar">
+        <span>
+          {sortedRecords.length === props.records.length
+            ? `${props.records.length.toLocaleString()} rows`
+            : `${sortedRecords.length.toLocaleString()} of ${props.records.length.toLocaleString()} rows`}
+        </span>
+        <Form.Select
+          size="sm"
+          aria-label="Rows per page"
+          value={pageSize}
+          onChange={(e) => setPageSize(Number(e.target.value))}
+        >
+          {PAGE_SIZES.map((size) => (
+            <option key={size} value={size}>
+              {size} per page
+            </option>
+          ))}
+        </Form.Select>
+      </div>
+      <Table size="sm" striped hover responsive>
+        <thead>
+          <tr>
+            {columns.map((column) => (
+              <th
+                key={column.id}
+                className={column.isNumeric ? "text-end" : undefined}
+                aria-sort={
+                  sort.columnId === column.id
+                    ? sort.direction === "asc"
+                      ? "ascending"
+                      : "descending"
+                    : "none"
+                }
+              >
+                <button
+                  type="button"
+                  className="data-table-sort"
+                  onClick={() => setSort(nextSort(sort, column.id))}
+                >
+                  {column.id}
+                  {sort.columnId === column.id &&
+                    (sort.direction === "asc" ? " ▲" : " ▼")}
+                </button>
+              </th>
+            ))}
+          </tr>
+          <tr>
+            {columns.map((column) => (
+              <th key={column.id}>
+                <Form.Control
+                  size="sm"
+                  type="search"
+                  placeholder="Search"
+                  aria-label={`Search ${column.id}`}
+                  value={searches[column.id] || ""}
+                  onChange={(e) =>
+                    setSearches({ ...searches, [column.id]: e.target.value })
+                  }
+                />
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {pageRecords.map((record, index) => (
+            <tr key={currentPage * pageSize + index}>
+              {columns.map((column) => (
+                <td
+                  key={column.id}
+                  className={column.isNumeric ? "text-end" : undefined}
+                >
+                  {formatCell(record[column.id], column)}
+                </td>
+              ))}
+            </tr>
+          ))}
+          {pageRecords.length === 0 && (
+            <tr>
+              <td colSpan={columns.length || 1} className="text-center">
+                No matching rows
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </Table>
+      <Pagination size="sm" className="justify-content-center mb-0">
+        <Pagination.First
+          disabled={currentPage === 0}
+          onClick={() => setPage(0)}
+        />
+        <Pagination.Prev
+          disabled={currentPage === 0}
+          onClick={() => setPage(currentPage - 1)}
+        />
+        <Pagination.Item active>
+          Page {currentPage + 1} of {pageCount.toLocaleString()}
+        </Pagination.Item>
+        <Pagination.Next
+          disabled={currentPage >= pageCount - 1}
+          onClick={() => setPage(currentPage + 1)}
+        />
+        <Pagination.Last
+          disabled={currentPage >= pageCount - 1}
+          onClick={() => setPage(pageCount - 1)}
+        />
+      </Pagination>
+    </div>
+  );
+}
+
+DataTable.propTypes = {
+  records: PropTypes.array.isRequired,
+  fields: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string }))
+    .isRequired,
+};
+
+export default DataTable;
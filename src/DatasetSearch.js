@@ -0,0 +1,258 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Row, Col, Form, ListGroup } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+import { useDebounce } from "./hooks/useDebounce";
+import { isCsvResource } from "./api/catalogue";
+import {
+  NO_FACETS,
+  countFacetValues,
+  createSearchIndex,
+  matchesFacets,
+} from "./utils/search";
+import {
+  addRecentDataset,
+  loadRecentDatasets,
+  storeRecentDatasets,
+} from "./utils/recentDatasets";
+import { MAX_SEARCH_RESULTS, SEARCH_DEBOUNCE_DELAY } from "./constants";
+
+function formatUpdated(timestamp) {
+  return new Date(timestamp).toLocaleDateString("en-SG", {
+    dateStyle: "medium",
+  });
+}
+
+/**
+ * Search box for the dataset catalogue, with facets for agency, last update
+ * and format (see utils/search.js)
+ * The arrow keys move through the results and Enter chooses one. Before a
+ * search, the recently chosen datasets are listed. Datasets in formats other
+ * than CSV are listed but can't be chosen.
+ * @param {Object} props - Component props
+ * @param {Array} props.packages - Dataset catalogue, in every format
+ * @param {string} props.resourceID - The chosen dataset
+ * @param {Function} props.onSelect - Called with the chosen catalogue resource
+ */
+function DatasetSearch(props) {
+  const [query, setQuery] = useState("");
+  const [facets, setFacets] = useState(NO_FACETS);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [recent, setRecent] = useState(loadRecentDatasets);
+  // Last-updated facets are relative to when the search was opened
+  const [now] = useState(Date.now);
+  const listRef = useRef(null);
+  const debouncedQuery = useDebounce(query, SEARCH_DEBOUNCE_DELAY);
+
+  const index = useMemo(
+    () => createSearchIndex(props.packages),
+    [props.packages]
+  );
+  const matches = useMemo(
+    () => index.search(debouncedQuery),
+    [index, debouncedQuery]
+  );
+  const results = useMemo(
+    () => matches.filter((resource) => matchesFacets(resource, facets, now)),
+    [matches, facets, now]
+  );
+
+  const isSearching =
+    debouncedQuery.trim() !== "" ||
+    JSON.stringify(facets) !== JSON.stringify(NO_FACETS);
+  const recentResources = recent
+    .map((id) => props.packages.find((item) => item.resource_id === id))
+    .filter((resource) => !!resource);
+  const shown = isSearching
+    ? results.slice(0, MAX_SEARCH_RESULTS)
+    : recentResources;
+
+  // The format and last-updated facets show when there is a choice to make
+  const organisations = countFacetValues(matches, facets, "organisation", now);
+  const formats = countFacetValues(matches, facets, "format", now);
+  const hasUpdated = props.packages.some(
+    (resource) => typeof resource.last_updated === "number"
+  );
+  const current = props.packages.find(
+    (item) => item.resource_id === props.resourceID
+  );
+
+  // A new search starts again from its best result
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [debouncedQuery, facets]);
+
+  useEffect(() => {
+    const active = listRef.current && listRef.current.querySelector(".active");
+    if (active && active.scrollIntoView) {
+      active.scrollIntoView({ block: "nearest" });
+    }
+  }, [activeIndex]);
+
+  function handleSelect(resource) {
+    if (!isCsvResource(resource)) return;
+    const nextRecent = addRecentDataset(recent, resource.resource_id);
+    setRecent(nextRecent);
+    storeRecentDatasets(nextRecent);
+    setQuery("");
+    props.onSelect(resource);
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      // With nothing shown the first result stays active
+      setActiveIndex(Math.max(0, Math.min(activeIndex + 1, shown.length - 1)));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex(Math.max(activeIndex - 1, 0));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (shown[activeIndex]) handleSelect(shown[activeIndex]);
+    } else if (e.key === "Escape") {
+      setQuery("");
+    }
+  }
+
+  const facetSelect = (facet, label, options) => (
+    <Form.Select
+      size="sm"
+      id={`dataset-facet-${facet}`}
+      aria-label={label}
+      value={facets[facet]}
+      onChange={(e) => setFacets({ ...facets, [facet]: e.target.value })}
+    >
+      {options.map(({ value, label, count }) => (
+        <option key={value} value={value}>
+          {label} ({count.toLocaleString()})
+        </option>
+      ))}
+    </Form.Select>
+  );
+
+  return (
+    <>
+      <Row>
+        <Col xs={4}>
+          <Form.Label htmlFor="dataset-search">Dataset</Form.Label>
+        </Col>
+        <Col>
+          <Form.Text>
+            {current
+              ? `${current.resource_name} (${current.organisation})`
+              : "None chosen"}
+          </Form.Text>
+        </Col>
+      </Row>
+      <Row>
+        <Form.Control
+          type="search"
+          id="dataset-search"
+          placeholder={`Search ${props.packages.length.toLocaleString()} datasets by name, agency or description`}
+          value={query}
+          role="combobox"
+          aria-expanded={shown.length > 0}
+          aria-controls="dataset-search-results"
+          aria-activedescendant={
+            shown.length > 0
+              ? `dataset-search-result-${activeIndex}`
+              : undefined
+          }
+          autoComplete="off"
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+        />
+      </Row>
+      <Row className="dataset-facets">
+        <Col xs={12}>
+          {facetSelect("organisation", "Agency", [
+            { value: "", label: "All agencies", count: matches.length },
+            ...organisations,
+          ])}
+        </Col>
+        {hasUpdated && (
+          <Col>
+            {facetSelect(
+              "updated",
+              "Last updated",
+              countFacetValues(matches, facets, "updated", now)
+            )}
+          </Col>
+        )}
+        {formats.length > 1 && (
+          <Col>
+            {facetSelect("format", "Format", [
+              { value: "", label: "All formats", count: matches.length },
+              ...formats,
+            ])}
+          </Col>
+        )}
+      </Row>
+      <Row>
+        <Form.Text>
+          {isSearching
+            ? results.length > shown.length
+              ? `${results.length.toLocaleString()} datasets match; showing the first ${
+                  shown.length
+                }`
+              : `${results.length.toLocaleString()} ${
+                  results.length === 1 ? "dataset matches" : "datasets match"
+                }`
+            : recentResources.length > 0
+            ? "Recently used"
+            : "Type to search, or choose an agency"}
+        </Form.Text>
+      </Row>
+      {shown.length > 0 && (
+        <ListGroup
+          id="dataset-search-results"
+          role="listbox"
+          className="dataset-results mb-2"
+          ref={listRef}
+        >
+          {shown.map((resource, i) => (
+            <ListGroup.Item
+              key={resource.resource_id}
+              id={`dataset-search-result-${i}`}
+              role="option"
+              aria-selected={i === activeIndex}
+              aria-disabled={!isCsvResource(resource)}
+              action
+              type="button"
+              active={i === activeIndex}
+              disabled={!isCsvResource(resource)}
+              onMouseEnter={() => setActiveIndex(i)}
+              onClick={() => handleSelect(resource)}
+            >
+              <div className="dataset-result-name">
+                {resource.resource_name}
+              </div>
+              <small>
+                {resource.organisation}
+                {typeof resource.last_updated === "number" &&
+                  ` · Updated ${formatUpdated(resource.last_updated)}`}
+                {!isCsvResource(resource) &&
+                  ` · ${
+                    resource.resource_format || "Unknown format"
+                  }, can't be charted`}
+              </small>
+              {resource.description && (
+                <small className="dataset-result-description">
+                  {resource.description}
+                </small>
+              )}
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+    </>
+  );
+}
+
+DatasetSearch.propTypes = {
+  packages: PropTypes.array.isRequired,
+  resourceID: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+};
+
+export default DatasetSearch;
@@ -0,0 +1,59 @@
+import React, { useMemo } from "react";
+import { Form } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+/**
+ * Menu of every dataset in the catalogue, grouped by organisation
+ * @param {Object} props - Component props
+ * @param {Array} props.packages - Dataset catalogue
+ * @param {string} props.value - Selected resource ID
+ * @param {Function} props.onChange - Called with the chosen resource ID
+ * @param {string} props.label - Accessible name of the menu
+ */
+function DatasetSelect(props) {
+  const groups = useMemo(() => {
+    const byOrganisation = {};
+    props.packages.forEach((item) => {
+      const organisation = item.organisation || "Other";
+      if (!byOrganisation[organisation]) byOrganisation[organisation] = [];
+      const items = byOrganisation[organisation];
+      if (!items.some((other) => other.resource_id === item.resource_id)) {
+        items.push(item);
+      }
+    });
+    return Object.keys(byOrganisation)
+      .sort()
+      .map((organisation) => ({
+        organisation,
+        items: byOrganisation[organisation],
+      }));
+  }, [props.packages]);
+
+  return (
+    <Form.Select
+      size="sm"
+      aria-label={props.label}
+      value={props.value}
+      onChange={(e) => props.onChange(e.target.value)}
+    >
+      {groups.map(({ organisation, items }) => (
+        <optgroup key={organisation} label={organisation}>
+          {items.map((item) => (
+            <option key={item.resource_id} value={item.resource_id}>
+              {item.resource_name}
+            </option>
+          ))}
+        </optgroup>
+      ))}
+    </Form.Select>
+  );
+}
+
+DatasetSelect.propTypes = {
+  packages: PropTypes.array.isRequired,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  label: PropTypes.string.isRequired,
+};
+
+export default DatasetSelect;
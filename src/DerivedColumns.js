@@ -0,0 +1,136 @@
+import React, { useState } from "react";
+import { Button, Row, Col, Form, ListGroup } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+import { validateDerivedColumn } from "./utils/derivedColumns";
+
+/**
+ * Editor for calculated fields, e.g. `value / population * 1000`
+ * @param {Object} props - Component props
+ * @param {Array} props.columns - [columns, setColumns] (see utils/derivedColumns.js)
+ * @param {Array<string>} props.fieldIds - Fields of the dataset, including calculated ones
+ */
+function DerivedColumns(props) {
+  const [columns, setColumns] = props.columns;
+  const [name, setName] = useState("");
+  const [expression, setExpression] = useState("");
+  const [error, setError] = useState("");
+
+  function handleAdd() {
+    const column = { name: name.trim(), expression };
+    const validationError = validateDerivedColumn(column, props.fieldIds);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    setColumns([...columns, column]);
+    setName("");
+    setExpression("");
+    setError("");
+  }
+
+  // Later columns may use this one, so remove them with it
+  function handleRemove(index) {
+    const removed = columns[index].name;
+    const remaining = columns.filter((column, i) => i !== index);
+    setColumns(
+      remaining.filter(
+        (column, i) =>
+          i < index ||
+          validateDerivedColumn(
+            column,
+            props.fieldIds.filter((id) => id !== removed && id !== column.name)
+          ) === null
+      )
+    );
+  }
+
+  return (
+    <Form.Group>
+      <Row>
+        <h3 className="mb-3">Calculated Fields</h3>
+      </Row>
+      {columns.length > 0 && (
+        <ListGroup variant="flush" className="mb-2">
+          {columns.map((column, index) => (
+            <ListGroup.Item
+              key={column.name}
+              className="d-flex justify-content-between align-items-center"
+            >
+              <span>
+                <strong>{column.name}</strong> ={" "}
+                <code>{column.expression}</code>
+              </span>
+              <Button
+                variant="link"
+                className="saved-view-action"
+                onClick={() => handleRemove(index)}
+              >
+                Remove
+              </Button>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+      <Row>
+        <Col xs={4}>
+          <Form.Label>Name</Form.Label>
+        </Col>
+        <Col>
+          <Form.Control
+            type="text"
+            placeholder="per_1000"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </Col>
+      </Row>
+      <Row>
+        <Col xs={4}>
+          <Form.Label>Expression</Form.Label>
+        </Col>
+        <Col>
+          <Form.Control
+            type="text"
+            placeholder="value / population * 1000"
+            value={expression}
+            isInvalid={!!error}
+            onChange={(e) => setExpression(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                e.preventDefault();
+                handleAdd();
+              }
+            }}
+          />
+          <Form.Control.Feedback type="invalid">{error}</Form.Control.Feedback>
+        </Col>
+      </Row>
+      <Row>
+        <Form.Text>
+          Use field names, numbers and "text" with + - * / ^, comparisons,
+          and/or, <code>test ? a : b</code>, <code>if(test, a, b)</code>,{" "}
+          <code>case(field, "a", "A", "other")</code> and functions such as
+          round, abs, min, max, year. Quote field names with spaces in
+          backticks.
+        </Form.Text>
+      </Row>
+      <Row>
+        <Button
+          variant="secondary"
+          disabled={!name.trim() || !expression.trim()}
+          onClick={handleAdd}
+        >
+          Add calculated field
+        </Button>
+      </Row>
+    </Form.Group>
+  );
+}
+
+DerivedColumns.propTypes = {
+  columns: PropTypes.array.isRequired,
+  fieldIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+export default DerivedColumns;
@@ -1,48 +1,117 @@
 import React, { useEffect, useState, useRef, useMemo } from "react";
-import { Row, Col } from "react-bootstrap";
-import _ from "underscore";
+import { unstable_batchedUpdates } from "react-dom";
+import {
+  Row,
+  Col,
+  ProgressBar,
+  ToggleButton,
+  ToggleButtonGroup,
+} from "react-bootstrap";
 
 import ChartSettings from "./ChartSettings";
-import SimpleLineChart from "./SimpleLineChart";
-import SimpleBarChart from "./SimpleBarChart";
+import Chart from "./Chart";
+import MeasuresChart from "./MeasuresChart";
+import ChartZoom from "./ChartZoom";
+import SavedViews from "./SavedViews";
+import ChartExport from "./ChartExport";
+import DataExport from "./DataExport";
+import DataTable from "./DataTable";
 import {
-  parseFloatOrText,
   computeLabels,
   filterResourceIDs,
-  shouldSumData,
-  shouldUseBarChart,
-  calculateDomain,
-  compareValues,
-  parseDate,
+  getResourceNamefromID,
+  suggestAggregation,
+  recommendChartTypes,
+  recommendAxes,
   isDateString,
 } from "./utils";
 import { logger, verboseLog } from "./utils/logger";
 import { useDebounce } from "./hooks/useDebounce";
+import { useDatasetListFetch } from "./hooks/useDatasetListFetch";
+import { useUrlState } from "./hooks/useUrlState";
+import { useDatasets } from "./hooks/useDatasets";
+import {
+  parseChartConfig,
+  getConfigDomain,
+  getConfigAggregation,
+  getConfigChartType,
+  getConfigLimit,
+} from "./utils/urlState";
+import { isTimeBucket } from "./utils/timeBuckets";
+import { isMissingValueMode } from "./utils/normalize";
+import { granularityOfType } from "./utils/periods";
+import { processChartDataInBackground } from "./utils/processingWorker";
+import { buildMeasureSeries, sanitizeMeasures } from "./utils/measures";
+import { resolveLayerKeys, sanitizeLayers } from "./utils/layers";
+import { joinDatasets, resolveJoinKeys, sanitizeJoin } from "./utils/join";
+import { reshapeDataset, sanitizeReshape } from "./utils/reshape";
+import { zoomBounds } from "./utils/zoom";
+import {
+  getLegendNames,
+  isBarChartType,
+  isZoomableChartType,
+} from "./utils/chartTypes";
+import { formatBucket } from "./utils/timeBuckets";
+import {
+  applyDerivedColumns,
+  sanitizeDerivedColumns,
+} from "./utils/derivedColumns";
+import {
+  TEMPORAL_TYPES,
+  profileColumns,
+  profilesToTable,
+} from "./utils/columnProfile";
+import { profileColumnsInBackground } from "./utils/columnProfileWorker";
+import { describeCatalogueError } from "./api/catalogue";
+import { purgeCache } from "./api/cache";
+import { toLongTable, tableToRecords } from "./utils/dataExport";
+import {
+  NO_ROW_FILTERS,
+  applyRowFilters,
+  sanitizeRowFilters,
+} from "./utils/rowFilters";
+import { loadDatasetRows } from "./api/rows";
 import {
-  API_DATASETS_ENDPOINT,
-  API_LIST_ROWS_ENDPOINT,
-  MAX_PAGES_TO_FETCH,
-  DEFAULT_LIMIT,
-  ERROR_MESSAGE_MAX_LENGTH,
   DEBOUNCE_DELAY,
   DOMAIN_AUTO,
+  MAX_DATASET_SIZE,
+  SUGGESTION_COUNT,
 } from "./constants";
 
+// Calculated, joined and reshaped fields are profiled as they are added; the
+// loaded ones already were
+function profileAddedFields(profiles, result) {
+  if (!profiles || !result.fields) return null;
+  const addedFields = result.fields.filter((field) => !profiles[field.id]);
+  return addedFields.length > 0
+    ? { ...profiles, ...profileColumns(addedFields, result.records) }
+    : profiles;
+}
+
 function GovDataChart(props) {
-  const [packages, setPackages] = useState([]);
-  const [orgList, setOrgList] = useState([]);
-  const [organisation, setOrganisation] = useState("");
-  const [resourceID, setResourceID] = useState("");
+  // Configuration shared through the URL, read once on page load
+  const [initialConfig] = useState(() =>
+    parseChartConfig(window.location.search)
+  );
+  const [organisation, setOrganisation] = useState(
+    initialConfig.organisation || ""
+  );
+  const [resourceID, setResourceID] = useState(initialConfig.resourceID || "");
   const [error, setError] = useState(null);
   const [isLoaded, setIsLoaded] = useState(false);
-  const [isLoadingDatasets, setIsLoadingDatasets] = useState(true);
   const [result, setResult] = useState([]);
-  const [sumData, setSumData] = useState(true);
-  const [limit, setLimit] = useState(String(DEFAULT_LIMIT));
+  const [aggregation, setAggregation] = useState("sum");
+  const [limit, setLimit] = useState(getConfigLimit(initialConfig));
   const [xMin, setXMin] = useState(DOMAIN_AUTO);
   const [xMax, setXMax] = useState(DOMAIN_AUTO);
   const [yMin, setYMin] = useState(DOMAIN_AUTO);
   const [yMax, setYMax] = useState(DOMAIN_AUTO);
+  // Right y-axis, used by additional measures
+  const [y2Min, setY2Min] = useState(DOMAIN_AUTO);
+  const [y2Max, setY2Max] = useState(DOMAIN_AUTO);
+  // Bounds calculated from the processed data, which resetting the zoom
+  // returns to
+  const [calculatedDomain, setCalculatedDomain] = useState(null);
 
   // Debounce limit changes to prevent excessive API calls
   const debouncedLimit = useDebounce(limit, DEBOUNCE_DELAY);
@@ -50,425 +119,301 @@ function GovDataChart(props) {
   const [yKey, setYKey] = useState("");
   const [series, setSeries] = useState("");
   const [dataset, setDataset] = useState([]);
-  const [useBarChart, setUseBarChart] = useState(false);
+  // The additional measures with their processed datasets
+  const [measureDatasets, setMeasureDatasets] = useState([]);
+  // The layers aligned to the x-axis, processed with the chart
+  const [layerMeasures, setLayerMeasures] = useState([]);
+  // The dataset pivoted to a row per x-value, for the bar and area charts
+  const [chartRows, setChartRows] = useState([]);
+  // { done, total } steps while a chart is processed in a worker, or null
+  const [processingProgress, setProcessingProgress] = useState(null);
+  // A type from CHART_TYPE_OPTIONS, or "" to follow the recommendation
+  const [chartType, setChartType] = useState("");
+  const [rowFilters, setRowFilters] = useState(NO_ROW_FILTERS);
+  // Time bucket for date x-axes ("" plots the raw dates)
+  const [resample, setResample] = useState("");
+  // How missing y-values are drawn ("" leaves gaps, "zero" or "interpolate")
+  const [missingValues, setMissingValues] = useState("");
+  // Calculated fields, as [{ name, expression }]
+  const [derivedColumns, setDerivedColumns] = useState([]);
+  // Fields plotted alongside yKey, as [{ field, aggregation, axis, style }]
+  const [measures, setMeasures] = useState([]);
+  // Series from other datasets overlaid on the chart (see utils/layers.js)
+  const [layers, setLayers] = useState([]);
+  // Another dataset joined to the loaded rows (see utils/join.js), or null
+  const [join, setJoin] = useState(null);
+  // Unpivot or pivot of the joined rows (see utils/reshape.js), or null
+  const [reshape, setReshape] = useState(null);
+  const [datasetFetchedAt, setDatasetFetchedAt] = useState(null);
+  const [loadProgress, setLoadProgress] = useState(null);
+  // "chart", or a table of the plotted "series", the raw "records" or the
+  // profiled "columns"
+  const [view, setView] = useState("chart");
+  // Profiles of the loaded fields, keyed by field id
+  const [columnProfiles, setColumnProfiles] = useState(null);
 
   // Refs to track and cancel fetch requests
-  const fetchAbortControllerRef = useRef(null);
   const datasetFetchAbortControllerRef = useRef(null);
   const currentRequestIdRef = useRef(0);
-  const hasUserSelectedOrgRef = useRef(false);
+  const hasUserSelectedOrgRef = useRef(!!initialConfig.organisation);
 
-  // retrieve package list when page loads.
+  // Configuration restored from the URL, applied once its dataset has loaded
+  const pendingConfigRef = useRef(
+    initialConfig.resourceID ? initialConfig : null
+  );
+  const pendingDomainRef = useRef(null);
+  // Configuration to apply again once its joined dataset has loaded
+  const pendingJoinConfigRef = useRef(null);
+
+  // Wraps the rendered chart so it can be exported as an image
+  const chartContainerRef = useRef(null);
+
+  // load the dataset catalogue when page loads.
+  const {
+    packages,
+    allPackages,
+    orgList,
+    fetchedAt: catalogueFetchedAt,
+    isLoading: isLoadingDatasets,
+    error: catalogueError,
+  } = useDatasetListFetch();
+
+  // Only auto-select organization on initial load if user hasn't selected one
   useEffect(() => {
-    setIsLoadingDatasets(true);
-    setIsLoaded(false);
-
-    // Cancel any previous fetch
-    if (fetchAbortControllerRef.current) {
-      fetchAbortControllerRef.current.abort();
+    // A shared link may name a dataset without its organisation
+    if (!organisation && resourceID) {
+      const resource = packages.find((item) => item.resource_id === resourceID);
+      if (resource) {
+        setOrganisation(resource.organisation);
+        return;
+      }
     }
-
-    // Create new AbortController for this fetch
-    const abortController = new AbortController();
-    fetchAbortControllerRef.current = abortController;
-
-    // Use the new data.gov.sg v2 API endpoint with full URL
-    // Documentation: https://guide.data.gov.sg/developer-guide/dataset-apis/list-all-datasets
-    // Fetch first page to get total page count, then fetch all pages
-    let baseUrl = API_DATASETS_ENDPOINT;
-
-    logger.log("Fetching datasets list from:", baseUrl);
-
-    // First, fetch the first page to get total page count
-    fetch(baseUrl, {
-      mode: "cors", // Need CORS for cross-origin request
-      credentials: "omit",
-      signal: abortController.signal,
-      headers: {
-        Accept: "application/json",
-      },
-    })
-      .then((res) => {
-        // Check if request was aborted
-        if (abortController.signal.aborted) {
-          return;
-        }
-
-        if (!res.ok) {
-          logger.error("Response error:", res.status, res.statusText);
-        }
-
-        if (!res.ok) {
-          logger.error("=== ERROR: Response not OK ===");
-          logger.error("Status:", res.status);
-          logger.error("Status Text:", res.statusText);
-          logger.error("Requested URL:", baseUrl);
-          logger.error("Response URL:", res.url);
-
-          // Try to get error details from response
-          return res.text().then((text) => {
-            if (abortController.signal.aborted) return;
-
-            logger.error("=== ERROR RESPONSE BODY ===");
-            logger.error("Raw response text:", text);
-            logger.error("Response text length:", text.length);
-
-            // Try to parse as JSON if possible
-            let errorDetails = text;
-            let parsedError = null;
-            try {
-              parsedError = JSON.parse(text);
-              errorDetails = JSON.stringify(parsedError, null, 2);
-              logger.error("Parsed error JSON:", parsedError);
-            } catch (e) {
-              logger.error(
-                "Response is not JSON, raw text:",
-                text.substring(0, 1000)
-              );
-            }
-
-            const errorMessage = `HTTP ${res.status} ${
-              res.statusText
-            } - ${errorDetails.substring(0, 500)}`;
-            logger.error("=== THROWING ERROR ===");
-            logger.error("Error message:", errorMessage);
-            throw new Error(errorMessage);
-          });
-        }
-
-        return res.json().catch((parseError) => {
-          if (abortController.signal.aborted) return;
-          logger.error("=== JSON PARSE ERROR ===");
-          logger.error("Failed to parse JSON:", parseError);
-          throw new Error(
-            `Failed to parse JSON response: ${parseError.message}`
-          );
-        });
-      })
-      .then((apiData) => {
-        setError(null);
-
-        // Handle new v2 API response format
-        // The v2 API returns: { code: 0, data: { datasets: [...], pages: N, totalRowCount: N } }
-        // Reference: https://api-production.data.gov.sg/v2/public/api/datasets
-        if (
-          apiData &&
-          apiData.code === 0 &&
-          apiData.data &&
-          apiData.data.datasets &&
-          Array.isArray(apiData.data.datasets)
-        ) {
-          verboseLog("=== V2 API FORMAT DETECTED ===");
-          const totalPages = apiData.data.pages || 1;
-          const firstPageDatasets = apiData.data.datasets;
-          logger.log(
-            `Found ${firstPageDatasets.length} datasets on first page`
-          );
-          logger.log(`Total pages: ${totalPages}`);
-
-          // If there are more pages, fetch them in batches for better performance
-          // Limit to first N pages initially to improve load time
-          const maxPagesToFetch = Math.min(totalPages, MAX_PAGES_TO_FETCH);
-          if (maxPagesToFetch > 1) {
-            logger.log(
-              `Fetching remaining ${
-                maxPagesToFetch - 1
-              } pages (out of ${totalPages} total)...`
-            );
-            const pagePromises = [];
-
-            // Fetch remaining pages (starting from page 2)
-            for (let page = 2; page <= maxPagesToFetch; page++) {
-              const pageUrl = `${baseUrl}?page=${page}`;
-              pagePromises.push(
-                fetch(pageUrl, {
-                  mode: "cors",
-                  credentials: "omit",
-                  signal: abortController.signal,
-                  headers: {
-                    Accept: "application/json",
-                  },
-                })
-                  .then((res) => {
-                    if (abortController.signal.aborted) return null;
-                    if (!res.ok) {
-                      logger.warn(`Failed to fetch page ${page}:`, res.status);
-                      return null;
-                    }
-                    return res.json();
-                  })
-                  .then((pageData) => {
-                    if (abortController.signal.aborted) return [];
-                    if (
-                      pageData &&
-                      pageData.code === 0 &&
-                      pageData.data &&
-                      pageData.data.datasets
-                    ) {
-                      verboseLog(
-                        `Page ${page}: Found ${pageData.data.datasets.length} datasets`
-                      );
-                      return pageData.data.datasets;
-                    }
-                    return [];
-                  })
-                  .catch((error) => {
-                    if (error.name === "AbortError") return [];
-                    logger.warn(`Error fetching page ${page}:`, error);
-                    return [];
-                  })
-              );
-            }
-
-            // Wait for all pages to load, then combine
-            return Promise.all(pagePromises).then((allPages) => {
-              const allDatasets = [...firstPageDatasets];
-              allPages.forEach((pageDatasets) => {
-                if (pageDatasets && Array.isArray(pageDatasets)) {
-                  allDatasets.push(...pageDatasets);
-                }
-              });
-              logger.log(`Total datasets fetched: ${allDatasets.length}`);
-              return allDatasets;
-            });
-          } else {
-            // Only one page, return first page datasets
-            return Promise.resolve(firstPageDatasets);
-          }
-        } else {
-          // Not v2 format, return empty array to trigger fallback
-          return Promise.resolve([]);
-        }
-      })
-      .then((allDatasets) => {
-        if (allDatasets && allDatasets.length > 0) {
-          logger.log(`=== PROCESSING ${allDatasets.length} DATASETS ===`);
-          const allResources = [];
-
-          allDatasets.forEach((dataset) => {
-            // Check if dataset format is CSV
-            if (dataset.format && dataset.format.toUpperCase() === "CSV") {
-              allResources.push({
-                resource_id: dataset.datasetId,
-                resource_name: dataset.name,
-                organisation: dataset.managedByAgencyName || "Unknown",
-                resource_format: "CSV",
-              });
-            }
-          });
-
-          if (allResources.length > 0) {
-            logger.log(
-              `Found ${allResources.length} CSV resources from all pages`
-            );
-            setPackages(allResources);
-            let newOrgList = [
-              ...new Set(allResources.map((item) => item.organisation)),
-            ].sort();
-            setOrgList(newOrgList);
-            // Only auto-select organization on initial load if user hasn't selected one
-            if (
-              newOrgList.length > 0 &&
-              !organisation &&
-              !hasUserSelectedOrgRef.current
-            ) {
-              let newOrg =
-                newOrgList[Math.floor(Math.random() * newOrgList.length)];
-              setOrganisation(newOrg);
-            }
-            setIsLoaded(true);
-            setIsLoadingDatasets(false);
-            return; // Exit early if v2 API worked
-          } else {
-            logger.warn("No CSV resources found in all fetched datasets");
-          }
-        }
-
-        // If we reach here, v2 API didn't return datasets
-        // Set error and mark as loaded
-        setError({
-          message:
-            "No CSV datasets found in API response. Please check the API endpoint.",
-        });
-        setIsLoaded(true);
-        setIsLoadingDatasets(false);
-      })
-      .catch((error) => {
-        // Check if request was aborted
-        if (abortController.signal.aborted || error.name === "AbortError") {
-          return;
-        }
-
-        // Handle fetch errors - try CKAN fallback if v2 API completely fails
-        logger.error("=== V2 API FETCH ERROR ===");
-        logger.error("Error:", error);
-        logger.warn("Trying CKAN API fallback...");
-
-        return fetch("/api/action/package_search?rows=1000&fq=res_format:CSV", {
-          mode: "cors",
-          credentials: "omit",
-          headers: {
-            Accept: "application/json",
-          },
-        })
-          .then((res) => {
-            if (!res.ok) {
-              throw new Error(`HTTP error! status: ${res.status}`);
-            }
-            return res.json();
-          })
-          .then((ckanData) => {
-            if (
-              ckanData.success &&
-              ckanData.result &&
-              ckanData.result.results &&
-              Array.isArray(ckanData.result.results)
-            ) {
-              verboseLog("=== CKAN API FORMAT DETECTED (FALLBACK) ===");
-              const packages = ckanData.result.results;
-              const allResources = [];
-
-              packages.forEach((pkg) => {
-                if (pkg.resources && Array.isArray(pkg.resources)) {
-                  pkg.resources.forEach((resource) => {
-                    if (
-                      resource.format &&
-                      resource.format.toUpperCase() === "CSV"
-                    ) {
-                      allResources.push({
-                        resource_id: resource.id,
-                        resource_name: resource.name || pkg.title,
-                        organisation:
-                          pkg.organization?.title ||
-                          pkg.organization?.name ||
-                          "Unknown",
-                        resource_format: "CSV",
-                      });
-                    }
-                  });
-                }
-              });
-
-              if (allResources.length > 0) {
-                setPackages(allResources);
-                let newOrgList = [
-                  ...new Set(allResources.map((item) => item.organisation)),
-                ].sort();
-                setOrgList(newOrgList);
-                // Only auto-select organization on initial load if user hasn't selected one
-                if (
-                  newOrgList.length > 0 &&
-                  !organisation &&
-                  !hasUserSelectedOrgRef.current
-                ) {
-                  let newOrg =
-                    newOrgList[Math.floor(Math.random() * newOrgList.length)];
-                  setOrganisation(newOrg);
-                }
-                setIsLoaded(true);
-                setIsLoadingDatasets(false);
-                return;
-              }
-            }
-            // If CKAN also fails, set error
-            setError({
-              message: `Failed to fetch datasets from both v2 and CKAN APIs: ${error.message}`,
-            });
-            setIsLoaded(true);
-            setIsLoadingDatasets(false);
-          })
-          .catch((ckanError) => {
-            if (abortController.signal.aborted) return;
-            logger.error("CKAN fallback also failed:", ckanError);
-            setError({
-              message: `Failed to fetch datasets. V2 API error: ${error.message}. CKAN fallback error: ${ckanError.message}`,
-            });
-            setIsLoaded(true);
-            setIsLoadingDatasets(false);
-          });
-      })
-      .catch((error) => {
-        // Check if request was aborted
-        if (error.name === "AbortError") {
-          return;
+    if (orgList.length > 0 && !organisation && !hasUserSelectedOrgRef.current) {
+      let newOrg = orgList[Math.floor(Math.random() * orgList.length)];
+      setOrganisation(newOrg);
+    }
+  }, [orgList]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Restore a configuration from browser back/forward navigation or a saved view
+  function restoreConfig(config) {
+    logger.log("Restoring chart configuration from URL:", config);
+    const sameDataset =
+      (config.resourceID || "") === resourceID &&
+      getConfigLimit(config) === limit;
+
+    if (!sameDataset) {
+      // The keys are applied by the dataset fetch once the rows arrive
+      pendingConfigRef.current = config;
+      unstable_batchedUpdates(() => {
+        if (config.organisation) {
+          hasUserSelectedOrgRef.current = true;
+          setOrganisation(config.organisation);
         }
+        setResourceID(config.resourceID || "");
+        setLimit(getConfigLimit(config));
+      });
+      return;
+    }
 
-        logger.error("=== FETCH ERROR CAUGHT ===");
-        logger.error("Error name:", error.name);
-        logger.error("Error message:", error.message);
-        verboseLog("Error stack:", error.stack);
-        verboseLog("Full error object:", error);
-        verboseLog("Error type:", typeof error);
-        verboseLog("Error constructor:", error.constructor?.name);
-
-        // Log environment info
-        verboseLog("=== ENVIRONMENT INFO ===");
-        verboseLog("Window location:", window.location.href);
-        verboseLog("Protocol:", window.location.protocol);
-        verboseLog("Hostname:", window.location.hostname);
-        verboseLog("Port:", window.location.port);
-        verboseLog("Origin:", window.location.origin);
+    const restoredColumns = sanitizeDerivedColumns(config.derivedColumns);
+    const restoredJoin = sanitizeJoin(config.join);
+    const restoredReshape = sanitizeReshape(config.reshape);
+    const joinedData = restoredJoin && otherDatasets[restoredJoin.resourceID];
+    // The keys may be joined fields, which are only known once the joined
+    // dataset has loaded
+    pendingJoinConfigRef.current =
+      restoredJoin && !(joinedData && joinedData.records) ? config : null;
+    const fieldIds = (
+      applyDerivedColumns(
+        reshapeDataset(
+          restoredJoin
+            ? joinDatasets(result, joinedData, restoredJoin, columnProfiles)
+            : result,
+          restoredReshape
+        ),
+        restoredColumns
+      ).fields || []
+    ).map((f) => f.id);
+    const domain = getConfigDomain(config);
+    const restoredFilters = sanitizeRowFilters(config.rowFilters, fieldIds);
+    const restoredAggregation = getConfigAggregation(config);
+    const restoredMeasures = sanitizeMeasures(config.measures, fieldIds);
+    const restoredLayers = sanitizeLayers(config.layers);
+    // If the axes change, the recalculated domain must not win over the URL
+    const axesChange =
+      config.xKey !== xKey ||
+      config.yKey !== yKey ||
+      (config.series || "") !== series ||
+      (restoredAggregation !== undefined &&
+        restoredAggregation !== aggregation) ||
+      JSON.stringify(restoredFilters) !== JSON.stringify(rowFilters) ||
+      (config.resample || "") !== resample ||
+      (config.missingValues || "") !== missingValues ||
+      JSON.stringify(restoredColumns) !== JSON.stringify(derivedColumns) ||
+      JSON.stringify(restoredMeasures) !== JSON.stringify(measures) ||
+      JSON.stringify(restoredLayers) !== JSON.stringify(layers) ||
+      JSON.stringify(restoredJoin) !== JSON.stringify(join) ||
+      JSON.stringify(restoredReshape) !== JSON.stringify(reshape);
+    pendingDomainRef.current = axesChange ? domain : null;
+    unstable_batchedUpdates(() => {
+      setDerivedColumns(restoredColumns);
+      setRowFilters(restoredFilters);
+      setResample(isTimeBucket(config.resample) ? config.resample : "");
+      setMissingValues(
+        isMissingValueMode(config.missingValues) ? config.missingValues : ""
+      );
+      if (fieldIds.includes(config.xKey)) setXKey(config.xKey);
+      if (fieldIds.includes(config.yKey)) setYKey(config.yKey);
+      setSeries(fieldIds.includes(config.series) ? config.series : "");
+      setMeasures(restoredMeasures);
+      setLayers(restoredLayers);
+      setJoin(restoredJoin);
+      setReshape(restoredReshape);
+      if (restoredAggregation !== undefined) {
+        setAggregation(restoredAggregation);
+      }
+      const restoredChartType = getConfigChartType(config);
+      if (restoredChartType !== undefined) setChartType(restoredChartType);
+      if (domain) {
+        if (domain.xMin !== undefined) setXMin(domain.xMin);
+        if (domain.xMax !== undefined) setXMax(domain.xMax);
+        if (domain.yMin !== undefined) setYMin(domain.yMin);
+        if (domain.yMax !== undefined) setYMax(domain.yMax);
+        if (domain.y2Min !== undefined) setY2Min(domain.y2Min);
+        if (domain.y2Max !== undefined) setY2Max(domain.y2Max);
+      }
+    });
+  }
 
-        let errorMessage = "Failed to fetch data from API. ";
-        let errorDetails = "";
+  // Keys and filters that refer to a removed calculated field fall back
+  function handleDerivedColumnsChange(columns) {
+    unstable_batchedUpdates(() => {
+      setDerivedColumns(columns);
+      dropMissingFields(applyDerivedColumns(reshapedResult, columns));
+    });
+  }
 
-        // Check if it's a network/CORS error
-        if (
-          error.message &&
-          (error.message.includes("Failed to fetch") ||
-            error.message.includes("NetworkError") ||
-            error.message.includes("Network request failed") ||
-            error.name === "TypeError")
-        ) {
-          logger.error("=== NETWORK/CORS ERROR DETECTED ===");
-          // Check if we're on localhost or a proper HTTP server
-          const isLocalhost =
-            window.location.hostname === "localhost" ||
-            window.location.hostname === "127.0.0.1" ||
-            window.location.protocol === "http:" ||
-            window.location.protocol === "https:";
+  // Likewise for joined fields, once the new join can be made
+  function handleJoinChange(nextJoin) {
+    const joinedData = nextJoin && otherDatasets[nextJoin.resourceID];
+    unstable_batchedUpdates(() => {
+      setJoin(nextJoin);
+      if (nextJoin && !(joinedData && joinedData.records)) return;
+      dropMissingFields(
+        applyDerivedColumns(
+          reshapeDataset(
+            nextJoin
+              ? joinDatasets(result, joinedData, nextJoin, columnProfiles)
+              : result,
+            reshape
+          ),
+          derivedColumns
+        )
+      );
+    });
+  }
 
-          verboseLog("Is localhost:", isLocalhost);
-          verboseLog("Protocol check:", window.location.protocol);
+  // Reshaping replaces the fields, so the axes are chosen again as when a
+  // dataset loads
+  function handleReshapeChange(nextReshape) {
+    const nextResult = applyDerivedColumns(
+      reshapeDataset(joinedResult, nextReshape),
+      derivedColumns
+    );
+    unstable_batchedUpdates(() => {
+      setReshape(nextReshape);
+      dropMissingFields(nextResult);
+      if (!nextResult.records || nextResult.records.length === 0) return;
+      const [x, y, nextSeries] = computeLabels(
+        nextResult.fields,
+        nextResult.records,
+        profileAddedFields(columnProfiles, nextResult)
+      );
+      setXKey(x);
+      setYKey(y);
+      setSeries(nextSeries || "");
+      setAggregation(suggestAggregation(nextResult.records, x, y));
+      setChartType("");
+    });
+  }
 
-          if (!isLocalhost && window.location.protocol === "file:") {
-            errorMessage +=
-              "You are opening the file directly. Please use 'npm start' or serve via HTTP server.";
-            errorDetails = `Protocol: ${window.location.protocol}, Hostname: ${window.location.hostname}`;
-          } else {
-            errorMessage +=
-              "Network error. This could be due to: 1) CORS restrictions, 2) Network connectivity, 3) API server issues, 4) Proxy configuration. ";
-            errorDetails = `Requested: ${baseUrl}, Origin: ${window.location.origin}, Protocol: ${window.location.protocol}`;
-          }
-        } else if (error.message && error.message.includes("404")) {
-          logger.error("=== 404 ERROR DETECTED ===");
-          errorMessage += "The API resource returned 404 (Not Found). ";
-          errorDetails = `URL: ${baseUrl}, Full error: ${error.message}`;
-        } else if (error.message && error.message.includes("500")) {
-          logger.error("=== 500 ERROR DETECTED ===");
-          errorMessage += "The API server returned an internal error (500). ";
-          errorDetails = `URL: ${baseUrl}, Error: ${error.message}`;
-        } else {
-          logger.error("=== OTHER ERROR ===");
-          errorMessage += error.message || "Unknown error occurred.";
-          errorDetails = `Error type: ${error.name}, Message: ${error.message}`;
-        }
+  function dropMissingFields(nextResult) {
+    const fieldIds = (nextResult.fields || []).map((f) => f.id);
+    setRowFilters(sanitizeRowFilters(rowFilters, fieldIds));
+    if (!fieldIds.includes(series)) setSeries("");
+    setMeasures(sanitizeMeasures(measures, fieldIds));
+    const hasRecords = nextResult.records && nextResult.records.length > 0;
+    if (hasRecords && (!fieldIds.includes(xKey) || !fieldIds.includes(yKey))) {
+      const [x, y] = computeLabels(
+        nextResult.fields,
+        nextResult.records,
+        profileAddedFields(columnProfiles, nextResult)
+      );
+      if (!fieldIds.includes(xKey)) setXKey(x);
+      if (!fieldIds.includes(yKey)) setYKey(y);
+    }
+  }
 
-        const fullErrorMessage = `${errorMessage} [Details: ${errorDetails}]`;
-        logger.error("=== FINAL ERROR MESSAGE ===");
-        logger.error(fullErrorMessage);
+  // A suggested chart sets the axes, with the aggregation and chart type
+  // chosen for them as when a dataset loads
+  function applySuggestion(suggestion) {
+    unstable_batchedUpdates(() => {
+      setXKey(suggestion.xKey);
+      setYKey(suggestion.yKey);
+      setSeries(suggestion.series || "");
+      setAggregation(
+        suggestAggregation(dataResult.records, suggestion.xKey, suggestion.yKey)
+      );
+      setChartType("");
+    });
+  }
 
-        setError({
-          message: fullErrorMessage,
-          originalError: error,
-          errorName: error.name,
-          errorMessage: error.message,
-          errorStack: error.stack,
-        });
-        setIsLoaded(true);
-        setIsLoadingDatasets(false);
-      });
-  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+  // The full chart configuration, as shared via URLs and saved views
+  const chartConfig = {
+    organisation,
+    resourceID,
+    xKey,
+    yKey,
+    series,
+    aggregation,
+    limit,
+    xMin,
+    xMax,
+    yMin,
+    yMax,
+    y2Min: measures.length > 0 || layers.length > 0 ? y2Min : null,
+    y2Max: measures.length > 0 || layers.length > 0 ? y2Max : null,
+    chartType,
+    rowFilters: rowFilters.conditions.length > 0 ? rowFilters : null,
+    resample,
+    missingValues,
+    derivedColumns: derivedColumns.length > 0 ? derivedColumns : null,
+    measures: measures.length > 0 ? measures : null,
+    layers: layers.length > 0 ? layers : null,
+    join,
+    reshape,
+  };
+
+  useUrlState(chartConfig, {
+    enabled: isLoaded && !!resourceID,
+    onRestore: restoreConfig,
+  });
+
+  // surface catalogue errors through the chart error display
+  useEffect(() => {
+    if (!catalogueError) return;
+    const fullErrorMessage = describeCatalogueError(catalogueError);
+    logger.error("=== FINAL ERROR MESSAGE ===");
+    logger.error(fullErrorMessage);
+    setError({
+      message: fullErrorMessage,
+      originalError: catalogueError,
+      errorName: catalogueError.name,
+      errorMessage: catalogueError.message,
+      errorStack: catalogueError.stack,
+    });
+    setIsLoaded(true);
+  }, [catalogueError]);
 
   // update datasets whenever there is a change in organisation selection
   // Only auto-select a resourceID if none is currently selected for this organization
@@ -506,30 +451,44 @@ function GovDataChart(props) {
     setIsLoaded(false);
     setError(null);
     setResult([]);
+    setColumnProfiles(null);
+    setDatasetFetchedAt(null);
+    setLoadProgress(null);
     setDataset([]);
+    setMeasureDatasets([]);
+    setLayerMeasures([]);
+    setChartRows([]);
+    setProcessingProgress(null);
     setXKey("");
     setYKey("");
     setSeries("");
-    setUseBarChart(false);
+    setChartType("");
+    setRowFilters(NO_ROW_FILTERS);
+    setResample("");
+    setDerivedColumns([]);
+    setMeasures([]);
+    setJoin(null);
+    setReshape(null);
     setXMin(DOMAIN_AUTO);
     setXMax(DOMAIN_AUTO);
     setYMin(DOMAIN_AUTO);
     setYMax(DOMAIN_AUTO);
+    setY2Min(DOMAIN_AUTO);
+    setY2Max(DOMAIN_AUTO);
+    setCalculatedDomain(null);
 
-    // Use the new v2 API endpoint to fetch dataset rows
-    let url = `${API_LIST_ROWS_ENDPOINT(resourceID)}?limit=${debouncedLimit}`;
-    logger.log("=== FETCHING DATASET ROWS ===");
-    logger.log("Fetching dataset from:", url);
+    // Load every page of the dataset through the v2 list-rows endpoint
     logger.log("Resource ID (datasetId):", resourceID);
-    fetch(url, {
-      mode: "cors", // Need CORS for cross-origin request
-      credentials: "omit",
+    loadDatasetRows(resourceID, {
+      pageSize: Number(debouncedLimit),
       signal: abortController.signal,
-      headers: {
-        Accept: "application/json",
+      onProgress: (progress) => {
+        if (requestId === currentRequestIdRef.current) {
+          setLoadProgress(progress);
+        }
       },
     })
-      .then((res) => {
+      .then((result) => {
         // Check if request was aborted or if this is an old request
         if (
           abortController.signal.aborted ||
@@ -538,139 +497,95 @@ function GovDataChart(props) {
           return;
         }
 
-        verboseLog("=== DATASET RESPONSE RECEIVED ===");
-        verboseLog("Dataset response status:", res.status, res.statusText);
-        verboseLog("Response ok:", res.ok);
-        if (!res.ok) {
-          return res.text().then((text) => {
-            if (
-              abortController.signal.aborted ||
-              requestId !== currentRequestIdRef.current
-            ) {
-              return;
-            }
-
-            logger.error("=== DATASET ERROR RESPONSE ===");
-            logger.error("Error response body:", text);
-            let errorDetails = text;
+        verboseLog("=== DATASET DATA RECEIVED ===");
+        verboseLog("Transformed result structure:", {
+          recordsCount: result.records.length,
+          fieldsCount: result.fields.length,
+          fieldIds: result.fields.map((f) => f.id),
+          total: result.total,
+          truncated: result.truncated,
+        });
+        setError(null);
+        setDatasetFetchedAt(result.fetchedAt);
+        setResult(result);
+
+        // Profile every column before choosing the axes from the profiles
+        return profileColumnsInBackground(
+          result.fields,
+          result.records,
+          abortController.signal
+        ).then((profiles) => {
+          if (requestId !== currentRequestIdRef.current) return;
+          setColumnProfiles(profiles);
+
+          if (result.fields.length > 0 && result.records.length > 0) {
             try {
-              const jsonError = JSON.parse(text);
-              errorDetails = JSON.stringify(jsonError, null, 2);
-              logger.error("Parsed error JSON:", jsonError);
-            } catch (e) {
-              logger.error(
-                "Response is not JSON, raw text:",
-                text.substring(0, 1000)
+              let [x, y, series] = computeLabels(
+                result.fields,
+                result.records,
+                profiles
               );
-            }
-            throw new Error(
-              `HTTP ${res.status} ${res.statusText} - ${errorDetails.substring(
-                0,
-                ERROR_MESSAGE_MAX_LENGTH
-              )}`
-            );
-          });
-        }
-        return res.json();
-      })
-      .then((apiData) => {
-        // Check if request was aborted or if this is an old request
-        if (
-          abortController.signal.aborted ||
-          requestId !== currentRequestIdRef.current
-        ) {
-          return;
-        }
-
-        verboseLog("=== DATASET DATA RECEIVED ===");
-        verboseLog("Dataset data:", apiData);
 
-        // Handle v2 API response format
-        // Expected: { code: 0, data: { rows: [...], fields: [...] } }
-        if (apiData && apiData.code === 0 && apiData.data) {
-          verboseLog("=== V2 DATASET FORMAT DETECTED ===");
-          verboseLog(
-            "Full API response structure:",
-            JSON.stringify(apiData, null, 2).substring(0, 2000)
-          );
-          setError(null);
-
-          // Transform v2 API format to match expected format
-          const rows = apiData.data.rows || [];
-          const fields = apiData.data.fields || [];
-
-          logger.log(`Found ${rows.length} rows`);
-          logger.log(`Found ${fields.length} fields`);
-          verboseLog("Sample row:", rows[0]);
-          verboseLog("Fields structure:", fields);
-
-          // If fields array is empty or missing, infer from first row
-          let processedFields = [];
-          if (fields && fields.length > 0) {
-            // Fields are provided by API
-            processedFields = fields.map((field, index) => {
-              // Handle different possible field structures
-              const fieldId =
-                field.id ||
-                field.name ||
-                field.field ||
-                field.column ||
-                `field_${index}`;
-              const fieldType = field.type || "text";
-              return {
-                id: fieldId,
-                type: fieldType,
-                ...field,
-              };
-            });
-          } else if (rows.length > 0) {
-            // Infer fields from first row keys
-            logger.log("No fields provided, inferring from row structure");
-            const firstRow = rows[0];
-            processedFields = Object.keys(firstRow).map((key, index) => ({
-              id: key,
-              type: typeof firstRow[key] === "number" ? "number" : "text",
-            }));
-            verboseLog("Inferred fields:", processedFields);
-          }
-
-          // Transform to match expected format
-          const result = {
-            records: rows,
-            fields: processedFields,
-          };
-
-          verboseLog("Transformed result structure:", {
-            recordsCount: result.records.length,
-            fieldsCount: result.fields.length,
-            fieldIds: result.fields.map((f) => f.id),
-          });
-
-          setResult(result);
+              // Automatically choose how to combine duplicate x-values
+              let defaultAggregation = suggestAggregation(result.records, x, y);
+
+              // The chart type follows the recommendation unless one is set
+              let type = "";
+
+              // A configuration from the URL wins over the automatic choices
+              const pending = pendingConfigRef.current;
+              if (pending && pending.resourceID === resourceID) {
+                pendingConfigRef.current = null;
+                // Reshaping and calculated fields first, so the keys may
+                // refer to their fields
+                const pendingReshape = sanitizeReshape(pending.reshape);
+                const pendingColumns = sanitizeDerivedColumns(
+                  pending.derivedColumns
+                );
+                setReshape(pendingReshape);
+                setDerivedColumns(pendingColumns);
+                const fieldIds = applyDerivedColumns(
+                  reshapeDataset(result, pendingReshape),
+                  pendingColumns
+                ).fields.map((f) => f.id);
+                if (fieldIds.includes(pending.xKey)) x = pending.xKey;
+                if (fieldIds.includes(pending.yKey)) y = pending.yKey;
+                // An empty series is left out of the URL, so a full
+                // configuration without one means "no series"
+                if (
+                  pending.xKey !== undefined ||
+                  pending.series !== undefined
+                ) {
+                  series = fieldIds.includes(pending.series)
+                    ? pending.series
+                    : "";
+                }
+                const pendingAggregation = getConfigAggregation(pending);
+                if (pendingAggregation !== undefined) {
+                  defaultAggregation = pendingAggregation;
+                }
+                const pendingChartType = getConfigChartType(pending);
+                if (pendingChartType !== undefined) type = pendingChartType;
+                setRowFilters(sanitizeRowFilters(pending.rowFilters, fieldIds));
+                if (isTimeBucket(pending.resample))
+                  setResample(pending.resample);
+                if (isMissingValueMode(pending.missingValues))
+                  setMissingValues(pending.missingValues);
+                setMeasures(sanitizeMeasures(pending.measures, fieldIds));
+                setLayers(sanitizeLayers(pending.layers));
+                // Keys that are joined fields are applied once the joined
+                // dataset has loaded
+                const pendingJoin = sanitizeJoin(pending.join);
+                setJoin(pendingJoin);
+                if (pendingJoin) pendingJoinConfigRef.current = pending;
+                pendingDomainRef.current = getConfigDomain(pending);
+              }
 
-          if (
-            result.fields &&
-            result.fields.length > 0 &&
-            result.records &&
-            result.records.length > 0
-          ) {
-            try {
-              let [x, y, series] = computeLabels(result.fields, result.records);
               setXKey(x);
               setYKey(y);
               setSeries(series || ""); // Set to empty string if null
-
-              // Automatically determine if summing is needed
-              const shouldSum = shouldSumData(result.records, x, y);
-              setSumData(shouldSum);
-
-              // Automatically determine if bar chart is more appropriate
-              const useBar = shouldUseBarChart(
-                result.records,
-                x,
-                result.fields
-              );
-              setUseBarChart(useBar);
+              setAggregation(defaultAggregation);
+              setChartType(type);
 
               logger.log(
                 "Auto-computed labels - x:",
@@ -679,10 +594,10 @@ function GovDataChart(props) {
                 y,
                 "series:",
                 series || "(none)",
-                "sumData:",
-                shouldSum,
-                "useBarChart:",
-                useBar
+                "aggregation:",
+                defaultAggregation,
+                "chartType:",
+                type || "(automatic)"
               );
             } catch (labelError) {
               logger.error("=== ERROR IN computeLabels ===");
@@ -695,69 +610,9 @@ function GovDataChart(props) {
             }
           } else {
             logger.warn("Cannot compute labels - missing fields or records");
-            verboseLog("Fields:", result.fields);
-            verboseLog(
-              "Records count:",
-              result.records ? result.records.length : 0
-            );
           }
           setIsLoaded(true);
-        } else if (apiData && apiData.success && apiData.result) {
-          // Fallback: Handle old CKAN format
-          verboseLog("=== CKAN DATASET FORMAT DETECTED ===");
-          setError(null);
-          setResult(apiData.result);
-          if (
-            apiData.result &&
-            apiData.result.fields &&
-            apiData.result.records
-          ) {
-            try {
-              let [x, y, series] = computeLabels(
-                apiData.result.fields,
-                apiData.result.records
-              );
-              setXKey(x);
-              setYKey(y);
-              setSeries(series || "");
-
-              // Automatically determine if summing is needed
-              const shouldSum = shouldSumData(apiData.result.records, x, y);
-              setSumData(shouldSum);
-
-              // Automatically determine if bar chart is more appropriate
-              const useBar = shouldUseBarChart(
-                apiData.result.records,
-                x,
-                apiData.result.fields
-              );
-              setUseBarChart(useBar);
-
-              logger.log(
-                "Auto-computed labels (CKAN) - x:",
-                x,
-                "y:",
-                y,
-                "series:",
-                series || "(none)",
-                "sumData:",
-                shouldSum,
-                "useBarChart:",
-                useBar
-              );
-            } catch (labelError) {
-              logger.error("Error computing labels for CKAN data:", labelError);
-            }
-          }
-          setIsLoaded(true);
-        } else {
-          logger.error("=== UNKNOWN DATASET FORMAT ===");
-          logger.error("API data structure:", apiData);
-          setError({
-            message: "API error: Unknown response format from dataset endpoint",
-          });
-          setIsLoaded(true);
-        }
+        });
       })
       .catch((error) => {
         // Check if request was aborted or if this is an old request
@@ -783,6 +638,11 @@ function GovDataChart(props) {
         setError({ message: errorMessage, originalError: error });
         setIsLoaded(true);
       });
+
+    // Cancel any in-flight pages when the dataset changes or on unmount
+    return () => {
+      abortController.abort();
+    };
   }, [resourceID, debouncedLimit, organisation]);
 
   // error handling - only auto-select organization if none is selected and user hasn't selected one
@@ -799,179 +659,364 @@ function GovDataChart(props) {
     }
   }, [error, isLoaded, orgList, organisation]);
 
-  // Memoize expensive dataset processing computation
-  const processedDataset = useMemo(() => {
-    if (!result || !result.records || !xKey || !yKey) {
-      verboseLog("Dataset processing skipped - missing data:", {
-        hasResult: !!result,
-        hasRecords: !!(result && result.records),
-        xKey,
-        yKey,
-      });
-      return {};
-    }
+  // Datasets used by the layers and the join
+  const otherDatasets = useDatasets([
+    ...layers.map((layer) => layer.resourceID),
+    ...(join ? [join.resourceID] : []),
+  ]);
+
+  // The join with its keys filled in, and the loaded rows with it applied
+  // once the joined dataset has loaded
+  const resolvedJoin = useMemo(
+    () =>
+      join &&
+      resolveJoinKeys(
+        join,
+        result,
+        otherDatasets[join.resourceID],
+        columnProfiles
+      ),
+    [join, result, otherDatasets, columnProfiles]
+  );
+  const joinedResult = useMemo(
+    () =>
+      join
+        ? joinDatasets(
+            result,
+            otherDatasets[join.resourceID],
+            join,
+            columnProfiles
+          )
+        : result,
+    [join, result, otherDatasets, columnProfiles]
+  );
 
-    logger.log("=== PROCESSING DATASET ===");
-    logger.log("Records count:", result.records.length);
-    logger.log("xKey:", xKey, "yKey:", yKey, "series:", series);
+  // A configuration with a join is applied again once the joined dataset
+  // has loaded, as its keys may be joined fields
+  useEffect(() => {
+    const config = pendingJoinConfigRef.current;
+    if (!config || !isLoaded || !join) return;
+    const joinedData = otherDatasets[join.resourceID];
+    if (!joinedData || joinedData.isLoading) return;
+    pendingJoinConfigRef.current = null;
+    if (joinedData.records) restoreConfig(config);
+  }, [otherDatasets, join, isLoaded]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // The loaded and joined rows, reshaped, plus calculated fields; everything
+  // below works on these
+  const reshapedResult = useMemo(
+    () => reshapeDataset(joinedResult, reshape),
+    [joinedResult, reshape]
+  );
+  const dataResult = useMemo(
+    () => applyDerivedColumns(reshapedResult, derivedColumns),
+    [reshapedResult, derivedColumns]
+  );
 
-    // Check if xKey contains date strings
-    const sampleXValue = result.records[0]?.[xKey];
-    const xKeyIsDate = sampleXValue && isDateString(String(sampleXValue));
-    verboseLog("X-axis is date format?", xKeyIsDate, "Sample:", sampleXValue);
+  const dataProfiles = useMemo(
+    () => profileAddedFields(columnProfiles, dataResult),
+    [columnProfiles, dataResult]
+  );
 
-    let records = [...result.records].sort((a, b) => {
-      const aVal = a[xKey];
-      const bVal = b[xKey];
-      // Use intelligent comparison that handles dates, numbers, and strings
-      return compareValues(aVal, bVal);
-    });
+  // Row filters apply before grouping and aggregation
+  const filteredRecords = useMemo(
+    () =>
+      dataResult && dataResult.records
+        ? applyRowFilters(dataResult.records, rowFilters)
+        : [],
+    [dataResult, rowFilters]
+  );
 
-    // Convert date strings to timestamps for proper chart rendering
-    if (xKeyIsDate) {
-      records = records.map((record) => {
-        const xValue = record[xKey];
-        const xTimestamp = parseDate(String(xValue));
-        if (xTimestamp !== null) {
-          // Create a new record with timestamp for xKey
-          return {
-            ...record,
-            [xKey]: xTimestamp, // Use timestamp for positioning
-          };
-        }
-        return record;
-      });
-      verboseLog("Converted date strings to timestamps for x-axis");
+  // Check if xKey contains date strings
+  const xKeyIsDate = useMemo(() => {
+    if (dataProfiles && dataProfiles[xKey]) {
+      return TEMPORAL_TYPES.includes(dataProfiles[xKey].type);
     }
+    const sampleXValue =
+      dataResult && dataResult.records
+        ? dataResult.records[0]?.[xKey]
+        : undefined;
+    return !!sampleXValue && isDateString(String(sampleXValue));
+  }, [dataProfiles, dataResult, xKey]);
+  const xType =
+    dataProfiles && dataProfiles[xKey] ? dataProfiles[xKey].type : undefined;
+
+  // Chart types ranked for the current axes; the best is used unless the
+  // user picks one
+  const chartTypeRanking = useMemo(
+    () =>
+      recommendChartTypes(
+        dataResult && dataResult.records ? dataResult.records : [],
+        xKey,
+        yKey,
+        dataResult ? dataResult.fields : [],
+        series,
+        dataProfiles
+      ),
+    [dataResult, dataProfiles, xKey, yKey, series]
+  );
+  const plottedChartType = chartType || chartTypeRanking[0].type;
+
+  // The best axes for this dataset, offered as one-click suggested charts
+  const axisSuggestions = useMemo(() => {
+    if (!dataResult || !dataResult.fields || !dataResult.records) return [];
+    return recommendAxes(
+      dataResult.fields,
+      dataResult.records,
+      SUGGESTION_COUNT,
+      dataProfiles
+    ).map((suggestion) => ({
+      ...suggestion,
+      chartType: recommendChartTypes(
+        dataResult.records,
+        suggestion.xKey,
+        suggestion.yKey,
+        dataResult.fields,
+        suggestion.series || "",
+        dataProfiles
+      )[0].type,
+    }));
+  }, [dataResult, dataProfiles]);
+  // Periods keep their granularity on the axis, so quarters read as quarters
+  const xBucket = xKeyIsDate ? resample || granularityOfType(xType) : "";
+
+  // The layers with their fields filled in once their datasets have loaded
+  const resolvedLayers = useMemo(
+    () =>
+      layers.map((layer) =>
+        resolveLayerKeys(layer, otherDatasets[layer.resourceID])
+      ),
+    [layers, otherDatasets]
+  );
+  // The layers that can be plotted, with their records, to be processed with
+  // the chart
+  const layerJobs = useMemo(
+    () =>
+      resolvedLayers
+        .filter((layer) => {
+          const data = otherDatasets[layer.resourceID];
+          return data && data.records && layer.xKey && layer.yKey;
+        })
+        .map((layer) => ({
+          layer,
+          records: otherDatasets[layer.resourceID].records,
+          source: getResourceNamefromID(packages, layer.resourceID),
+        })),
+    [resolvedLayers, otherDatasets, packages]
+  );
 
-    let dataset = {};
+  // yKey is the first measure, on the left axis, followed by the additional
+  // measures and the layers
+  const chartMeasures = useMemo(
+    () =>
+      measureDatasets.length > 0 || layerMeasures.length > 0
+        ? [
+            {
+              field: yKey,
+              aggregation,
+              axis: "left",
+              style: isBarChartType(plottedChartType) ? "bar" : "line",
+              dataset,
+            },
+            ...measureDatasets,
+            ...layerMeasures,
+          ]
+        : null,
+    [
+      measureDatasets,
+      layerMeasures,
+      yKey,
+      aggregation,
+      plottedChartType,
+      dataset,
+    ]
+  );
 
-    // if we aren't summing data, a GroupBy operation will suffice
-    if (!sumData) {
-      if (series && series.trim() !== "") {
-        const grouped = _.groupBy(records, series);
-        // Sort each group by xKey and ensure y-values are numeric
-        Object.keys(grouped).forEach((key) => {
-          grouped[key] = grouped[key]
-            .sort((a, b) => compareValues(a[xKey], b[xKey]))
-            .map((record) => {
-              // Ensure y-value is numeric
-              const yValue = record[yKey];
-              const numericYValue =
-                typeof yValue === "number" ? yValue : parseFloatOrText(yValue);
-              return {
-                ...record,
-                [yKey]: numericYValue,
-              };
-            });
-        });
-        logger.log(
-          "Grouped dataset (no sum):",
-          Object.keys(grouped).length,
-          "series"
-        );
-        return grouped;
-      } else {
-        // No series, just use all records as one series
-        logger.log("No series specified, using all records as single series");
-        // Records are already sorted by xKey, ensure y-values are numeric
-        const processedRecords = records.map((record) => {
-          const yValue = record[yKey];
-          const numericYValue =
-            typeof yValue === "number" ? yValue : parseFloatOrText(yValue);
-          return {
-            ...record,
-            [yKey]: numericYValue,
-          };
-        });
-        return { "All Data": processedRecords };
-      }
+  // Process the chart whenever the records or settings change, in a worker
+  // for large datasets; a newer run cancels the one in progress
+  useEffect(() => {
+    if (!dataResult || !dataResult.records || !xKey || !yKey) {
+      verboseLog("Dataset processing skipped - missing data:", {
+        hasResult: !!dataResult,
+        hasRecords: !!(dataResult && dataResult.records),
+        xKey,
+        yKey,
+      });
+      return;
     }
 
-    // Note: records already have dates converted to timestamps if xKeyIsDate was true
-
-    // If no series is specified, use a default series
-    const seriesKey = series && series.trim() !== "" ? series : "default";
-
-    // Optimize: Use Map for O(1) lookups instead of nested loops (O(n²))
-    const seriesMap = new Map(); // Map<seriesID, Map<xValue, yValue>>
-
-    for (let i = 0; i < records.length; i++) {
-      let item = records[i];
-      let seriesID = item[seriesKey] || "default";
+    logger.log("=== PROCESSING DATASET ===");
+    logger.log(
+      "Records count:",
+      filteredRecords.length,
+      "of",
+      dataResult.records.length
+    );
+    logger.log("xKey:", xKey, "yKey:", yKey, "series:", series);
+    verboseLog("X-axis is date format?", xKeyIsDate);
 
-      // Ensure seriesID is a valid string key
-      if (seriesID === null || seriesID === undefined) {
-        seriesID = "default";
+    const abortController = new AbortController();
+    processChartDataInBackground(
+      filteredRecords,
+      {
+        xKey,
+        yKey,
+        series,
+        aggregation,
+        resample,
+        xKeyIsDate,
+        xType,
+        missingValues,
+        measures,
+        layers: layerJobs,
+        xBucket,
+      },
+      {
+        signal: abortController.signal,
+        onProgress: (done, total) =>
+          setProcessingProgress(done < total ? { done, total } : null),
       }
-      seriesID = String(seriesID);
+    )
+      .then((processed) => {
+        unstable_batchedUpdates(() => {
+          setProcessingProgress(null);
+          if (Object.keys(processed.dataset).length > 0) {
+            setDataset(processed.dataset);
+            setMeasureDatasets(processed.measureDatasets);
+            setLayerMeasures(processed.layerMeasures);
+            setChartRows(processed.rows);
+            const domain = processed.domain;
+            setCalculatedDomain({ ...domain });
+            // Bounds restored from the URL override the calculated ones once
+            // the dataset has finished loading
+            const restored = isLoaded ? pendingDomainRef.current : null;
+            if (restored) {
+              pendingDomainRef.current = null;
+              Object.assign(domain, restored);
+            }
+            setXMin(domain.xMin);
+            setXMax(domain.xMax);
+            setYMin(domain.yMin);
+            setYMax(domain.yMax);
+            if (domain.y2Min !== undefined) setY2Min(domain.y2Min);
+            if (domain.y2Max !== undefined) setY2Max(domain.y2Max);
+          } else if (isLoaded) {
+            // e.g. row filters that exclude every record
+            setDataset(processed.dataset);
+            setMeasureDatasets([]);
+            setLayerMeasures([]);
+            setChartRows([]);
+          }
+        });
+      })
+      .catch((processingError) => {
+        if (processingError.name === "AbortError") return;
+        logger.error("=== ERROR PROCESSING DATASET ===", processingError);
+        setProcessingProgress(null);
+      });
 
-      const xValue = item[xKey];
-      const yValue = parseFloatOrText(item[yKey]);
+    return () => {
+      abortController.abort();
+    };
+  }, [
+    dataResult,
+    filteredRecords,
+    xKey,
+    yKey,
+    series,
+    aggregation,
+    resample,
+    xKeyIsDate,
+    xType,
+    missingValues,
+    measures,
+    layerJobs,
+    xBucket,
+    isLoaded,
+  ]);
+
+  // Zooming works on charts that draw against the chart range
+  const hasRightAxis = [...measures, ...layers].some(
+    (item) => item.axis === "right"
+  );
+  const zoomAxes =
+    chartMeasures || isZoomableChartType(plottedChartType)
+      ? {
+          x: [xMin, xMax],
+          y: [yMin, yMax],
+          y2: chartMeasures && hasRightAxis ? [y2Min, y2Max] : undefined,
+        }
+      : null;
+  const isZoomed =
+    !!calculatedDomain &&
+    [
+      ["xMin", xMin],
+      ["xMax", xMax],
+      ["yMin", yMin],
+      ["yMax", yMax],
+      ["y2Min", y2Min],
+      ["y2Max", y2Max],
+    ].some(
+      ([bound, value]) =>
+        calculatedDomain[bound] !== undefined &&
+        String(calculatedDomain[bound]) !== String(value)
+    );
 
-      if (!seriesMap.has(seriesID)) {
-        seriesMap.set(seriesID, new Map());
+  // Sets the axes changed by the zoom controls; a null range returns an axis
+  // to its calculated bounds
+  function handleZoom(ranges) {
+    unstable_batchedUpdates(() => {
+      if (ranges.x !== undefined) {
+        const [min, max] = zoomBounds(ranges.x, calculatedDomain, "x");
+        setXMin(min);
+        setXMax(max);
       }
-
-      const xMap = seriesMap.get(seriesID);
-      if (xMap.has(xValue)) {
-        // x-key exists, sum y values
-        const existingY = xMap.get(xValue);
-        // Check if both values are numbers (after parseFloatOrText conversion)
-        if (typeof yValue === "number" && typeof existingY === "number") {
-          xMap.set(xValue, existingY + yValue);
-        } else if (typeof yValue === "number") {
-          // If only new value is numeric, replace with it
-          xMap.set(xValue, yValue);
-        } else if (typeof existingY === "number") {
-          // If only existing value is numeric, keep it
-          // (don't replace with non-numeric value)
-        }
-        // If neither is numeric, keep existing value
-      } else {
-        // x-key doesn't exist, add it
-        xMap.set(xValue, yValue);
+      if (ranges.y !== undefined) {
+        const [min, max] = zoomBounds(ranges.y, calculatedDomain, "y");
+        setYMin(min);
+        setYMax(max);
+      }
+      if (ranges.y2 !== undefined) {
+        const [min, max] = zoomBounds(ranges.y2, calculatedDomain, "y2");
+        setY2Min(min);
+        setY2Max(max);
       }
-    }
-
-    // Convert Map structure back to expected format
-    seriesMap.forEach((xMap, seriesID) => {
-      dataset[seriesID] = [];
-      // Convert Map entries to array and sort by xValue to ensure proper ordering
-      const entries = Array.from(xMap.entries()).map(([xValue, yValue]) => {
-        // Ensure yValue is numeric if it should be (preserve original type)
-        const finalYValue =
-          typeof yValue === "number" ? yValue : parseFloatOrText(yValue);
-        return {
-          [xKey]: xValue,
-          [yKey]: finalYValue,
-        };
-      });
-      // Sort by xKey value ONLY (handles timestamps, numbers, and strings)
-      // Y-values remain at their original numeric positions - NOT sorted
-      // They will be plotted on a linear scale at their actual numeric values
-      entries.sort((a, b) => compareValues(a[xKey], b[xKey]));
-      dataset[seriesID] = entries;
-    });
-
-    logger.log("Processed dataset:", {
-      seriesCount: Object.keys(dataset).length,
-      seriesNames: Object.keys(dataset),
     });
-    return dataset;
-  }, [sumData, result, series, xKey, yKey]);
+  }
 
-  // Update dataset state and calculate domain when processed dataset changes
-  useEffect(() => {
-    if (Object.keys(processedDataset).length > 0) {
-      setDataset(processedDataset);
-      const domain = calculateDomain(processedDataset, xKey, yKey);
-      setXMin(domain.xMin);
-      setXMax(domain.xMax);
-      setYMin(domain.yMin);
-      setYMax(domain.yMax);
-    }
-  }, [processedDataset, xKey, yKey]);
+  // The x-values of a time series, for the brush under the chart
+  const brushValues = useMemo(() => {
+    if (!xKeyIsDate) return [];
+    const values = chartRows
+      .map((row) => row[xKey])
+      .filter((value) => typeof value === "number" && isFinite(value));
+    return Array.from(new Set(values)).sort((a, b) => a - b);
+  }, [chartRows, xKey, xKeyIsDate]);
+
+  // The plotted series as rows (series, x, y) for the table view
+  const seriesTable = useMemo(() => {
+    if (view !== "series") return null;
+    const table = toLongTable(dataset, xKey, yKey, series);
+    return {
+      fields: table.columns.map((id) => ({ id })),
+      records: tableToRecords(table),
+    };
+  }, [view, dataset, xKey, yKey, series]);
+
+  // Cells that normalisation turned into nulls or numbers
+  const coercions = useMemo(() => {
+    const profiles = Object.values(dataProfiles || {});
+    return {
+      missing: profiles.reduce((total, p) => total + p.missingCount, 0),
+      numbers: profiles.reduce((total, p) => total + p.formattedCount, 0),
+    };
+  }, [dataProfiles]);
+
+  // One row per field with its inferred type and summary for the table view
+  const columnTable = useMemo(
+    () => profilesToTable(isLoaded ? dataProfiles : null),
+    [isLoaded, dataProfiles]
+  );
 
   // Show loading state for initial dataset list fetch
   if (isLoadingDatasets) {
@@ -1002,36 +1047,208 @@ function GovDataChart(props) {
   return (
     <Row>
       <Col xs={12} md={6} lg={8}>
-        {useBarChart ? (
-          <SimpleBarChart
-            isLoaded={isLoaded}
-            error={error}
-            dataset={dataset}
-            xKey={xKey}
-            yKey={yKey}
-            domain={[xMin, xMax, yMin, yMax]}
+        {!isLoaded && loadProgress && (
+          <ProgressBar
+            className="my-2"
+            animated
+            now={
+              loadProgress.total
+                ? (loadProgress.loaded /
+                    Math.min(loadProgress.total, MAX_DATASET_SIZE)) *
+                  100
+                : 100
+            }
+            label={`${loadProgress.loaded.toLocaleString()}${
+              loadProgress.total
+                ? ` of ${loadProgress.total.toLocaleString()}`
+                : ""
+            } rows`}
+          />
+        )}
+        {isLoaded && processingProgress && (
+          <ProgressBar
+            className="my-2"
+            animated
+            now={(processingProgress.done / processingProgress.total) * 100}
+            label="Processing"
+          />
+        )}
+        {isLoaded && result.truncated && (
+          <div className="text-center small my-2">
+            Showing the first {result.records.length.toLocaleString()} of{" "}
+            {result.total.toLocaleString()} rows
+          </div>
+        )}
+        <div className="view-switch">
+          <ToggleButtonGroup
+            type="radio"
+            name="view"
+            size="sm"
+            value={view}
+            onChange={setView}
+          >
+            <ToggleButton
+              id="view-chart"
+              value="chart"
+              variant="outline-primary"
+            >
+              Chart
+            </ToggleButton>
+            <ToggleButton
+              id="view-series"
+              value="series"
+              variant="outline-primary"
+            >
+              Plotted series
+            </ToggleButton>
+            <ToggleButton
+              id="view-records"
+              value="records"
+              variant="outline-primary"
+            >
+              Raw records
+            </ToggleButton>
+            <ToggleButton
+              id="view-columns"
+              value="columns"
+              variant="outline-primary"
+            >
+              Columns
+            </ToggleButton>
+          </ToggleButtonGroup>
+        </div>
+        {view === "chart" ? (
+          <>
+            <div ref={chartContainerRef}>
+              <ChartZoom
+                axes={
+                  isLoaded && !error && Object.keys(dataset).length > 0
+                    ? zoomAxes
+                    : null
+                }
+                onZoom={handleZoom}
+                onReset={() => handleZoom({ x: null, y: null, y2: null })}
+                isZoomed={isZoomed}
+                brushValues={brushValues}
+                formatX={(value) => formatBucket(value, xBucket)}
+              >
+                {chartMeasures &&
+                isLoaded &&
+                !error &&
+                Object.keys(dataset).length > 0 ? (
+                  <MeasuresChart
+                    measures={chartMeasures}
+                    xKey={xKey}
+                    xBucket={xBucket}
+                    domain={[xMin, xMax, yMin, yMax, y2Min, y2Max]}
+                  />
+                ) : (
+                  <Chart
+                    type={plottedChartType}
+                    isLoaded={isLoaded}
+                    xBucket={xBucket}
+                    xIsDate={xKeyIsDate}
+                    aggregation={aggregation}
+                    error={error}
+                    dataset={dataset}
+                    rows={chartRows}
+                    xKey={xKey}
+                    yKey={yKey}
+                    domain={[xMin, xMax, yMin, yMax]}
+                  />
+                )}
+              </ChartZoom>
+            </div>
+            <ChartExport
+              containerRef={chartContainerRef}
+              title={getResourceNamefromID(packages, resourceID)}
+              seriesNames={
+                chartMeasures
+                  ? buildMeasureSeries(chartMeasures).map(({ name }) => name)
+                  : getLegendNames(
+                      plottedChartType,
+                      dataset,
+                      xKey,
+                      yKey,
+                      (value) => formatBucket(value, xBucket)
+                    )
+              }
+              seriesColors={
+                chartMeasures
+                  ? buildMeasureSeries(chartMeasures).map(({ color }) => color)
+                  : undefined
+              }
+              disabled={
+                !isLoaded || !!error || Object.keys(dataset).length === 0
+              }
+            />
+          </>
+        ) : view === "series" ? (
+          <DataTable
+            records={seriesTable.records}
+            fields={seriesTable.fields}
+          />
+        ) : view === "columns" ? (
+          <DataTable
+            records={columnTable.records}
+            fields={columnTable.fields}
           />
         ) : (
-          <SimpleLineChart
-            isLoaded={isLoaded}
-            error={error}
-            dataset={dataset}
-            xKey={xKey}
-            yKey={yKey}
-            domain={[xMin, xMax, yMin, yMax]}
+          <DataTable
+            records={isLoaded && dataResult.records ? dataResult.records : []}
+            fields={isLoaded && dataResult.fields ? dataResult.fields : []}
           />
         )}
+        <DataExport
+          dataset={dataset}
+          xKey={xKey}
+          yKey={yKey}
+          series={series}
+          result={dataResult}
+          title={getResourceNamefromID(packages, resourceID)}
+          disabled={!isLoaded || !!error || Object.keys(dataset).length === 0}
+        />
       </Col>
       <Col xs={12} md={6} lg={4}>
+        <SavedViews
+          config={chartConfig}
+          onApply={restoreConfig}
+          packages={packages}
+        />
         <ChartSettings
           keys={[xKey, setXKey, yKey, setYKey, series, setSeries]}
           domain={[xMin, setXMin, xMax, setXMax, yMin, setYMin, yMax, setYMax]}
+          rightAxisDomain={
+            hasRightAxis ? [y2Min, setY2Min, y2Max, setY2Max] : null
+          }
+          measures={[measures, setMeasures]}
+          layers={[layers, setLayers]}
+          join={[join, handleJoinChange]}
+          resolvedJoin={resolvedJoin}
+          joinSummary={dataResult.joinSummary || null}
+          reshape={[reshape, handleReshapeChange]}
+          reshapeFields={joinedResult.fields || []}
+          reshapeSummary={dataResult.reshapeSummary || null}
+          baseFields={result.fields || []}
+          resolvedLayers={resolvedLayers}
+          otherDatasets={otherDatasets}
+          chartType={[chartType, setChartType]}
+          chartTypeRanking={chartTypeRanking}
+          suggestions={axisSuggestions}
+          onApplySuggestion={applySuggestion}
           resourceID={[resourceID, setResourceID]}
-          fields={result ? result.fields : []}
-          sumData={[sumData, setSumData]}
+          fields={dataResult ? dataResult.fields : []}
+          records={dataResult && dataResult.records ? dataResult.records : []}
+          derivedColumns={[derivedColumns, handleDerivedColumnsChange]}
+          rowFilters={[rowFilters, setRowFilters]}
+          resample={xKeyIsDate ? [resample, setResample] : null}
+          missingValues={[missingValues, setMissingValues]}
+          coercions={coercions}
+          matchCount={filteredRecords.length}
+          aggregation={[aggregation, setAggregation]}
           limit={[limit, setLimit]}
           packages={packages}
-          orgList={orgList}
+          allPackages={allPackages}
           organisation={[
             organisation,
             (newOrg) => {
@@ -1039,7 +1256,11 @@ function GovDataChart(props) {
               setOrganisation(newOrg);
             },
           ]}
-          filterResourceIDs={filterResourceIDs}
+          cachedAt={{
+            catalogue: catalogueFetchedAt,
+            dataset: datasetFetchedAt,
+          }}
+          onPurgeCache={purgeCache}
         />
       </Col>
     </Row>
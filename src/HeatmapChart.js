@@ -0,0 +1,136 @@
+import {
+  ResponsiveContainer,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  Tooltip,
+} from "recharts";
+import PropTypes from "prop-types";
+
+import { CHART_HEIGHT, CHART_MARGINS, COLOR_PALETTE } from "./constants";
+import { toHeatmapCells } from "./utils/chartTypes";
+import { formatBucket } from "./utils/timeBuckets";
+
+const MIN_OPACITY = 0.08;
+
+/**
+ * Heatmap of the dataset (see toHeatmapCells), where darker cells have
+ * larger values
+ * Rows and columns are plotted at their index so every cell is the same size.
+ * @param {Object} props - Component props
+ * @param {Object} props.dataset - Dataset object with series as keys
+ * @param {string} props.xKey - Key for x-axis data
+ * @param {string} props.yKey - Key for y-axis data
+ * @param {string} [props.xBucket] - Time bucket of a resampled date x-axis
+ * @param {boolean} [props.xIsDate] - Whether x-values are timestamps
+ * @param {string} [props.aggregation] - Aggregation the dataset was processed with
+ */
+function HeatmapChart(props) {
+  const formatXValue = (value) => formatBucket(value, props.xBucket);
+  const { rows, columns, cells, min, max } = toHeatmapCells(
+    props.dataset,
+    props.xKey,
+    props.yKey,
+    props.xIsDate,
+    props.aggregation
+  );
+  // A single series of dates is laid out as a calendar of years by months
+  const isCalendar = !!props.xIsDate && Object.keys(props.dataset).length === 1;
+  const points = cells.map((cell) => ({
+    ...cell,
+    columnIndex: columns.indexOf(cell.column),
+    rowIndex: rows.indexOf(cell.row),
+  }));
+  const opacity = (value) =>
+    max === min
+      ? 1
+      : MIN_OPACITY + ((value - min) / (max - min)) * (1 - MIN_OPACITY);
+
+  function renderCell(cellProps) {
+    const { cx, cy, xAxis, yAxis, payload } = cellProps;
+    const width = Math.abs(xAxis.scale(1) - xAxis.scale(0));
+    const height = Math.abs(yAxis.scale(1) - yAxis.scale(0));
+    return (
+      <rect
+        x={cx - width / 2}
+        y={cy - height / 2}
+        width={width}
+        height={height}
+        fill={COLOR_PALETTE[0]}
+        fillOpacity={opacity(payload.value)}
+        stroke="#fff"
+      />
+    );
+  }
+
+  function renderTooltip({ active, payload }) {
+    if (!active || !payload || payload.length === 0) return null;
+    const cell = payload[0].payload;
+    return (
+      <div
+        style={{
+          backgroundColor: "rgba(255, 255, 255, 0.95)",
+          border: "1px solid #e2e8f0",
+          borderRadius: "8px",
+          boxShadow: "0 4px 6px rgba(0, 0, 0, 0.1)",
+          padding: "12px",
+          fontSize: "0.9em",
+        }}
+      >
+        <div style={{ fontWeight: 600, marginBottom: "8px" }}>
+          {cell.row}, {formatXValue(cell.column)}
+        </div>
+        {props.yKey}: {cell.value.toLocaleString()}
+      </div>
+    );
+  }
+
+  return (
+    <div className="chart-container">
+      <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+        <ScatterChart margin={CHART_MARGINS}>
+          <XAxis
+            type="number"
+            dataKey="columnIndex"
+            domain={[-0.5, columns.length - 0.5]}
+            ticks={columns.map((column, index) => index)}
+            interval="preserveStartEnd"
+            tickFormatter={(index) => formatXValue(columns[index])}
+            label={{
+              value: isCalendar ? "Month" : props.xKey,
+              position: "bottom",
+              offset: 10,
+            }}
+          />
+          <YAxis
+            type="number"
+            dataKey="rowIndex"
+            domain={[-0.5, rows.length - 0.5]}
+            ticks={rows.map((row, index) => index)}
+            reversed
+            width={120}
+            tickFormatter={(index) => rows[index]}
+          />
+          <Tooltip content={renderTooltip} />
+          <Scatter data={points} shape={renderCell} isAnimationActive={false} />
+        </ScatterChart>
+      </ResponsiveContainer>
+      <div className="text-center small">
+        {props.yKey}: lightest {min.toLocaleString()}, darkest{" "}
+        {max.toLocaleString()}
+      </div>
+    </div>
+  );
+}
+
+HeatmapChart.propTypes = {
+  dataset: PropTypes.object.isRequired,
+  xKey: PropTypes.string.isRequired,
+  yKey: PropTypes.string.isRequired,
+  xBucket: PropTypes.string,
+  xIsDate: PropTypes.bool,
+  aggregation: PropTypes.string,
+};
+
+export default HeatmapChart;
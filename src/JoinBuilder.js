@@ -0,0 +1,267 @@
+import React from "react";
+import { Button, Row, Col, Form } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+import DatasetSelect from "./DatasetSelect";
+import { createJoin } from "./utils/join";
+import { JOIN_TYPE_OPTIONS, KEY_COERCION_OPTIONS } from "./constants";
+
+/**
+ * Editor for a join, which adds the fields of another dataset to the chart's
+ * records by matching key fields (see utils/join.js)
+ * @param {Object} props - Component props
+ * @param {Array} props.join - [join, setJoin], where join is null for none
+ * @param {Object|null} props.resolvedJoin - The join with its keys filled in
+ * once the joined dataset has loaded
+ * @param {Object} props.datasets - Datasets keyed by resource ID (see
+ * hooks/useDatasets.js)
+ * @param {Array} props.packages - Dataset catalogue
+ * @param {string} props.resourceID - The chart's own dataset
+ * @param {Array<string>} props.fields - Fields of the chart's own dataset
+ * @param {Object} [props.summary] - { rows, matched, unmatched } of the join
+ */
+function JoinBuilder(props) {
+  const [join, setJoin] = props.join;
+  const resolved = props.resolvedJoin;
+
+  function updateJoin(changes) {
+    setJoin({ ...resolved, ...changes });
+  }
+
+  function updateKey(index, changes) {
+    updateJoin({
+      keys: resolved.keys.map((key, i) =>
+        i === index ? { ...key, ...changes } : key
+      ),
+    });
+  }
+
+  function handleAdd() {
+    const next =
+      props.packages.find((item) => item.resource_id !== props.resourceID) ||
+      props.packages[0];
+    if (next) setJoin(createJoin(next.resource_id));
+  }
+
+  const data = (join && props.datasets[join.resourceID]) || {
+    isLoading: !!join,
+  };
+  const rightFields = (data.fields || [])
+    .map((field) => field.id)
+    .filter((id) => id !== "_id");
+  const summary = props.summary;
+  // Keys the join was not given were chosen from the fields both datasets
+  // share (see resolveJoinKeys)
+  const isAutomatic =
+    !!join && join.keys.length === 0 && resolved.keys.length > 0;
+
+  return (
+    <Form.Group>
+      <Row>
+        <h3 className="mb-3">Join</h3>
+      </Row>
+      <Row>
+        <Form.Text>
+          Add the fields of another dataset to each row, matching rows on key
+          fields such as a town or year.
+        </Form.Text>
+      </Row>
+      {resolved ? (
+        <Row className="join">
+          <Col xs={12}>
+            <DatasetSelect
+              packages={props.packages}
+              label="Joined dataset"
+              value={resolved.resourceID}
+              onChange={(resourceID) =>
+                setJoin({ ...createJoin(resourceID), type: resolved.type })
+              }
+            />
+          </Col>
+          {data.error && (
+            <Col xs={12}>
+              <Form.Text className="text-danger">
+                Could not load this dataset: {data.error.message}
+              </Form.Text>
+            </Col>
+          )}
+          {data.isLoading && (
+            <Col xs={12}>
+              <Form.Text>Loading dataset...</Form.Text>
+            </Col>
+          )}
+          <Col xs={12}>
+            <Form.Select
+              size="sm"
+              aria-label="Join type"
+              value={resolved.type}
+              onChange={(e) => updateJoin({ type: e.target.value })}
+            >
+              {JOIN_TYPE_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+          {isAutomatic && (
+            <Col xs={12}>
+              <Form.Text>
+                Matching on the dates and categories both datasets have:{" "}
+                {resolved.keys.map((key) => key.left).join(", ")}. Change or
+                remove these keys below.
+              </Form.Text>
+            </Col>
+          )}
+          {resolved.keys.length > 0 && (
+            <>
+              <Col xs={4}>
+                <Form.Label className="small mb-0">This dataset</Form.Label>
+              </Col>
+              <Col xs={4}>
+                <Form.Label className="small mb-0">Joined dataset</Form.Label>
+              </Col>
+              <Col>
+                <Form.Label className="small mb-0">Compare as</Form.Label>
+              </Col>
+            </>
+          )}
+          {resolved.keys.map((key, index) => (
+            <React.Fragment key={index}>
+              <Col xs={4}>
+                <Form.Select
+                  size="sm"
+                  aria-label="Key field"
+                  value={key.left}
+                  onChange={(e) => updateKey(index, { left: e.target.value })}
+                >
+                  {props.fields.map((id) => (
+                    <option key={id} value={id}>
+                      {id}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col xs={4}>
+                <Form.Select
+                  size="sm"
+                  aria-label="Joined key field"
+                  value={key.right}
+                  onChange={(e) => updateKey(index, { right: e.target.value })}
+                >
+                  {rightFields.map((id) => (
+                    <option key={id} value={id}>
+                      {id}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col>
+                <Form.Select
+                  size="sm"
+                  aria-label="Key comparison"
+                  value={key.coercion}
+                  onChange={(e) =>
+                    updateKey(index, { coercion: e.target.value })
+                  }
+                >
+                  {KEY_COERCION_OPTIONS.map(({ value, label }) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col xs="auto">
+                <Button
+                  variant="link"
+                  className="saved-view-action"
+                  onClick={() =>
+                    updateJoin({
+                      keys: resolved.keys.filter((other, i) => i !== index),
+                    })
+                  }
+                >
+                  Remove
+                </Button>
+              </Col>
+            </React.Fragment>
+          ))}
+          <Col xs={12}>
+            {summary ? (
+              <Form.Text>
+                {summary.rows.toLocaleString()} rows;{" "}
+                {summary.matched.toLocaleString()} matched and{" "}
+                {summary.unmatched.toLocaleString()}{" "}
+                {resolved.type === "left"
+                  ? "kept without"
+                  : "dropped for lack of"}{" "}
+                a match
+              </Form.Text>
+            ) : (
+              data.records && (
+                <Form.Text>Choose the key fields to join on.</Form.Text>
+              )
+            )}
+          </Col>
+          <Col xs="auto">
+            <Button
+              variant="secondary"
+              size="sm"
+              disabled={props.fields.length === 0 || rightFields.length === 0}
+              onClick={() =>
+                updateJoin({
+                  keys: [
+                    ...resolved.keys,
+                    {
+                      left: props.fields[0],
+                      right: rightFields[0],
+                      coercion: "auto",
+                    },
+                  ],
+                })
+              }
+            >
+              Add key
+            </Button>
+          </Col>
+          <Col xs="auto">
+            <Button
+              variant="link"
+              className="saved-view-action"
+              onClick={() => setJoin(null)}
+            >
+              Remove join
+            </Button>
+          </Col>
+        </Row>
+      ) : (
+        <Row>
+          <Button
+            variant="secondary"
+            disabled={props.packages.length === 0}
+            onClick={handleAdd}
+          >
+            Join a dataset
+          </Button>
+        </Row>
+      )}
+    </Form.Group>
+  );
+}
+
+JoinBuilder.propTypes = {
+  join: PropTypes.array.isRequired,
+  resolvedJoin: PropTypes.object,
+  datasets: PropTypes.object.isRequired,
+  packages: PropTypes.array.isRequired,
+  resourceID: PropTypes.string,
+  fields: PropTypes.arrayOf(PropTypes.string).isRequired,
+  summary: PropTypes.shape({
+    rows: PropTypes.number,
+    matched: PropTypes.number,
+    unmatched: PropTypes.number,
+  }),
+};
+
+export default JoinBuilder;
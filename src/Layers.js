@@ -0,0 +1,180 @@
+import React from "react";
+import { Button, Row, Col, Form } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+import DatasetSelect from "./DatasetSelect";
+import { createLayer, getLayerFieldIds } from "./utils/layers";
+import { AGGREGATION_OPTIONS, MAX_LAYERS } from "./constants";
+
+/**
+ * Editor for layers, which overlay series from other datasets on the chart
+ * @param {Object} props - Component props
+ * @param {Array} props.layers - [layers, setLayers] (see utils/layers.js)
+ * @param {Array} props.resolvedLayers - The layers with the fields they plot
+ * filled in once their datasets have loaded
+ * @param {Object} props.datasets - Layer datasets keyed by resource ID (see
+ * hooks/useDatasets.js)
+ * @param {Array} props.packages - Dataset catalogue
+ * @param {string} props.resourceID - The chart's own dataset, which a new
+ * layer does not default to
+ */
+function Layers(props) {
+  const [layers, setLayers] = props.layers;
+
+  // Changes are made to the resolved layer, so fields that were filled in
+  // automatically stay as they are shown
+  function updateLayer(index, changes) {
+    setLayers(
+      layers.map((layer, i) =>
+        i === index ? { ...props.resolvedLayers[i], ...changes } : layer
+      )
+    );
+  }
+
+  function handleAdd() {
+    const used = layers.map((layer) => layer.resourceID);
+    const next =
+      props.packages.find(
+        (item) =>
+          item.resource_id !== props.resourceID &&
+          !used.includes(item.resource_id)
+      ) || props.packages[0];
+    if (!next) return;
+    setLayers([...layers, createLayer(next.resource_id, layers.length)]);
+  }
+
+  return (
+    <Form.Group>
+      <Row>
+        <h3 className="mb-3">Layers</h3>
+      </Row>
+      <Row>
+        <Form.Text>
+          Overlay a series from another dataset, lined up on the chart's x-axis
+          by date or category.
+        </Form.Text>
+      </Row>
+      {props.resolvedLayers.map((layer, index) => {
+        const data = props.datasets[layer.resourceID] || { isLoading: true };
+        const fieldIds = getLayerFieldIds(data.fields);
+        const fieldSelect = (label, key, allowNone) => (
+          <Form.Select
+            size="sm"
+            aria-label={label}
+            value={layer[key]}
+            disabled={fieldIds.length === 0}
+            onChange={(e) => updateLayer(index, { [key]: e.target.value })}
+          >
+            {allowNone && <option value="">No series</option>}
+            {fieldIds.map((id) => (
+              <option key={id} value={id}>
+                {id}
+              </option>
+            ))}
+          </Form.Select>
+        );
+        return (
+          <Row key={index} className="layer">
+            <Col xs={12}>
+              <DatasetSelect
+                packages={props.packages}
+                label="Layer dataset"
+                value={layer.resourceID}
+                onChange={(resourceID) =>
+                  updateLayer(index, {
+                    resourceID,
+                    xKey: "",
+                    yKey: "",
+                    series: "",
+                  })
+                }
+              />
+            </Col>
+            {data.error && (
+              <Col xs={12}>
+                <Form.Text className="text-danger">
+                  Could not load this dataset: {data.error.message}
+                </Form.Text>
+              </Col>
+            )}
+            {data.isLoading && (
+              <Col xs={12}>
+                <Form.Text>Loading dataset...</Form.Text>
+              </Col>
+            )}
+            <Col xs={4}>{fieldSelect("Layer X axis", "xKey", false)}</Col>
+            <Col xs={4}>{fieldSelect("Layer Y axis", "yKey", false)}</Col>
+            <Col xs={4}>{fieldSelect("Layer series", "series", true)}</Col>
+            <Col>
+              <Form.Select
+                size="sm"
+                aria-label="Layer aggregation"
+                value={layer.aggregation}
+                onChange={(e) =>
+                  updateLayer(index, { aggregation: e.target.value })
+                }
+              >
+                {AGGREGATION_OPTIONS.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col>
+              <Form.Select
+                size="sm"
+                aria-label="Layer axis"
+                value={layer.axis}
+                onChange={(e) => updateLayer(index, { axis: e.target.value })}
+              >
+                <option value="left">Left axis</option>
+                <option value="right">Right axis</option>
+              </Form.Select>
+            </Col>
+            <Col xs="auto">
+              <Form.Control
+                type="color"
+                size="sm"
+                aria-label="Layer colour"
+                title="Layer colour"
+                value={layer.color}
+                onChange={(e) => updateLayer(index, { color: e.target.value })}
+              />
+            </Col>
+            <Col xs="auto">
+              <Button
+                variant="link"
+                className="saved-view-action"
+                onClick={() =>
+                  setLayers(layers.filter((layer, i) => i !== index))
+                }
+              >
+                Remove
+              </Button>
+            </Col>
+          </Row>
+        );
+      })}
+      <Row>
+        <Button
+          variant="secondary"
+          disabled={layers.length >= MAX_LAYERS || props.packages.length === 0}
+          onClick={handleAdd}
+        >
+          Add dataset layer
+        </Button>
+      </Row>
+    </Form.Group>
+  );
+}
+
+Layers.propTypes = {
+  layers: PropTypes.array.isRequired,
+  resolvedLayers: PropTypes.array.isRequired,
+  datasets: PropTypes.object.isRequired,
+  packages: PropTypes.array.isRequired,
+  resourceID: PropTypes.string,
+};
+
+export default Layers;
@@ -0,0 +1,148 @@
+import React from "react";
+import { Button, Row, Col, Form } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+import { suggestAggregation } from "./utils";
+import { createMeasure } from "./utils/measures";
+import { AGGREGATION_OPTIONS } from "./constants";
+
+// Every additional measure is aggregated, so each x-value has one point
+const MEASURE_AGGREGATIONS = AGGREGATION_OPTIONS.filter(
+  ({ value }) => value !== "none"
+);
+
+/**
+ * Editor for measures plotted alongside the Y axis field
+ * @param {Object} props - Component props
+ * @param {Array} props.measures - [measures, setMeasures] (see utils/measures.js)
+ * @param {Array<string>} props.fields - Fields that may be plotted
+ * @param {string} props.xKey - X-axis field, used to suggest an aggregation
+ * @param {string} props.yKey - Y-axis field, plotted on the left axis
+ * @param {Array} props.records - Dataset records, used to suggest an aggregation
+ */
+function Measures(props) {
+  const [measures, setMeasures] = props.measures;
+
+  function updateMeasure(index, changes) {
+    setMeasures(
+      measures.map((measure, i) =>
+        i === index ? { ...measure, ...changes } : measure
+      )
+    );
+  }
+
+  function handleAdd() {
+    const field =
+      props.fields.find(
+        (id) =>
+          id !== props.xKey &&
+          id !== props.yKey &&
+          !measures.some((measure) => measure.field === id)
+      ) || props.yKey;
+    const suggested = suggestAggregation(props.records, props.xKey, field);
+    setMeasures([
+      ...measures,
+      createMeasure(field, suggested === "none" ? "sum" : suggested),
+    ]);
+  }
+
+  return (
+    <Form.Group>
+      <Row>
+        <h3 className="mb-3">Measures</h3>
+      </Row>
+      <Row>
+        <Form.Text>
+          {props.yKey || "The Y axis field"} is plotted on the left axis. Add
+          measures to compare other fields, on either axis.
+        </Form.Text>
+      </Row>
+      {measures.map((measure, index) => (
+        <Row key={index} className="measure">
+          <Col xs={12}>
+            <Form.Select
+              size="sm"
+              aria-label="Measure field"
+              value={measure.field}
+              onChange={(e) => updateMeasure(index, { field: e.target.value })}
+            >
+              {props.fields.map((key) => (
+                <option key={key} value={key}>
+                  {key}
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col>
+            <Form.Select
+              size="sm"
+              aria-label="Measure aggregation"
+              value={measure.aggregation}
+              onChange={(e) =>
+                updateMeasure(index, { aggregation: e.target.value })
+              }
+            >
+              {MEASURE_AGGREGATIONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col>
+            <Form.Select
+              size="sm"
+              aria-label="Measure axis"
+              value={measure.axis}
+              onChange={(e) => updateMeasure(index, { axis: e.target.value })}
+            >
+              <option value="left">Left axis</option>
+              <option value="right">Right axis</option>
+            </Form.Select>
+          </Col>
+          <Col>
+            <Form.Select
+              size="sm"
+              aria-label="Measure style"
+              value={measure.style}
+              onChange={(e) => updateMeasure(index, { style: e.target.value })}
+            >
+              <option value="line">Line</option>
+              <option value="bar">Bars</option>
+            </Form.Select>
+          </Col>
+          <Col xs="auto">
+            <Button
+              variant="link"
+              className="saved-view-action"
+              onClick={() =>
+                setMeasures(measures.filter((measure, i) => i !== index))
+              }
+            >
+              Remove
+            </Button>
+          </Col>
+        </Row>
+      ))}
+      <Row>
+        <Button
+          variant="secondary"
+          disabled={props.fields.length === 0}
+          onClick={handleAdd}
+        >
+          Add measure
+        </Button>
+      </Row>
+    </Form.Group>
+  );
+}
+
+Measures.propTypes = {
+  measures: PropTypes.array.isRequired,
+  fields: PropTypes.arrayOf(PropTypes.string).isRequired,
+  xKey: PropTypes.string,
+  yKey: PropTypes.string,
+  records: PropTypes.array.isRequired,
+};
+
+export default Measures;
@@ -0,0 +1,188 @@
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Line,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from "recharts";
+import PropTypes from "prop-types";
+
+import { parseFloatOrText, isFloatOrInt } from "./utils";
+import {
+  CHART_HEIGHT,
+  CHART_MARGINS,
+  LEGEND_MAX_HEIGHT,
+  LEGEND_ICON_SIZE,
+  LEGEND_FONT_SIZE,
+  ANIMATION_DURATION,
+} from "./constants";
+import { buildMeasureSeries, pivotMeasures } from "./utils/measures";
+import { formatBucket } from "./utils/timeBuckets";
+
+function toAxisDomain(min, max) {
+  return min === "auto" || max === "auto"
+    ? ["dataMin", "dataMax"]
+    : [parseFloatOrText(min), parseFloatOrText(max)];
+}
+
+/**
+ * Chart of several measures sharing an x-axis, each on the left or right
+ * y-axis and drawn as a line or bars
+ * @param {Object} props - Component props
+ * @param {Array} props.measures - Measures with their processed dataset (see utils/measures.js)
+ * @param {string} props.xKey - Key for x-axis data
+ * @param {Array} props.domain - Array of [xMin, xMax, yMin, yMax, y2Min, y2Max] domain values
+ * @param {string} [props.xBucket] - Time bucket of a resampled date x-axis
+ */
+function MeasuresChart(props) {
+  const [xMin, xMax, yMin, yMax, y2Min, y2Max] = props.domain;
+  const formatXValue = (value) => formatBucket(value, props.xBucket);
+
+  const seriesList = buildMeasureSeries(props.measures);
+  const data = pivotMeasures(props.measures, props.xKey);
+  // Dates are timestamps by now; numeric text such as years stays a string
+  const xIsNumeric =
+    data.length > 0 &&
+    data.every((row) => {
+      const value = row[props.xKey];
+      return typeof value === "number" || (value !== "" && isFloatOrInt(value));
+    });
+  const axisLabel = (axis) =>
+    props.measures
+      .filter((measure) => measure.axis === axis)
+      .map((measure) => measure.field)
+      .filter((field, index, fields) => fields.indexOf(field) === index)
+      .join(", ");
+  const hasRightAxis = props.measures.some(
+    (measure) => measure.axis === "right"
+  );
+
+  return (
+    <div className="chart-container">
+      <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+        <ComposedChart data={data} margin={CHART_MARGINS}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" opacity={0.5} />
+          <XAxis
+            allowDataOverflow
+            type={xIsNumeric ? "number" : "category"}
+            dataKey={props.xKey}
+            domain={toAxisDomain(xMin, xMax)}
+            tickFormatter={formatXValue}
+            label={{
+              value: props.xKey || "X Axis",
+              position: "bottom",
+              offset: 10,
+            }}
+          />
+          <YAxis
+            allowDataOverflow
+            yAxisId="left"
+            type="number"
+            domain={toAxisDomain(yMin, yMax)}
+            label={{
+              value: axisLabel("left"),
+              angle: -90,
+              position: "left",
+              offset: 10,
+            }}
+          />
+          {hasRightAxis && (
+            <YAxis
+              allowDataOverflow
+              yAxisId="right"
+              orientation="right"
+              type="number"
+              domain={toAxisDomain(y2Min, y2Max)}
+              label={{
+                value: axisLabel("right"),
+                angle: 90,
+                position: "right",
+                offset: 10,
+              }}
+            />
+          )}
+          <Tooltip
+            labelFormatter={formatXValue}
+            contentStyle={{
+              backgroundColor: "rgba(255, 255, 255, 0.95)",
+              border: "1px solid #e2e8f0",
+              borderRadius: "8px",
+              boxShadow: "0 4px 6px rgba(0, 0, 0, 0.1)",
+              padding: "12px",
+            }}
+            itemStyle={{ fontSize: "0.9em", padding: "4px 0" }}
+            labelStyle={{ fontWeight: 600, marginBottom: "8px" }}
+          />
+          <Legend
+            iconSize={LEGEND_ICON_SIZE}
+            wrapperStyle={{
+              fontSize: LEGEND_FONT_SIZE,
+              paddingTop: "10px",
+              paddingBottom: "5px",
+              maxHeight: `${LEGEND_MAX_HEIGHT}px`,
+              overflowY: "auto",
+              overflowX: "hidden",
+            }}
+            layout="horizontal"
+            verticalAlign="bottom"
+            formatter={(value) =>
+              value.length > 30 ? value.substring(0, 30) + "..." : value
+            }
+          />
+          {seriesList.map(({ key, name, color, measure }) => {
+            return measure.style === "bar" ? (
+              <Bar
+                key={key}
+                dataKey={key}
+                name={name}
+                yAxisId={measure.axis}
+                fill={color}
+                radius={[8, 8, 0, 0]}
+                animationDuration={ANIMATION_DURATION}
+              />
+            ) : (
+              <Line
+                key={key}
+                type="monotone"
+                dataKey={key}
+                name={name}
+                yAxisId={measure.axis}
+                stroke={color}
+                strokeWidth={2.5}
+                connectNulls
+                dot={{ fill: color, r: 4, strokeWidth: 2, stroke: "#fff" }}
+                activeDot={{ r: 6, stroke: "#fff", strokeWidth: 2 }}
+                animationDuration={ANIMATION_DURATION}
+              />
+            );
+          })}
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+MeasuresChart.propTypes = {
+  measures: PropTypes.arrayOf(
+    PropTypes.shape({
+      field: PropTypes.string.isRequired,
+      aggregation: PropTypes.string.isRequired,
+      axis: PropTypes.oneOf(["left", "right"]).isRequired,
+      style: PropTypes.oneOf(["line", "bar"]).isRequired,
+      dataset: PropTypes.object.isRequired,
+      color: PropTypes.string,
+      source: PropTypes.string,
+    })
+  ).isRequired,
+  xKey: PropTypes.string.isRequired,
+  domain: PropTypes.arrayOf(
+    PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+  ).isRequired,
+  xBucket: PropTypes.string,
+};
+
+export default MeasuresChart;
@@ -0,0 +1,205 @@
+import React, { useEffect, useState } from "react";
+import { Button, Row, Col, Form } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+import { createReshape, validateReshape } from "./utils/reshape";
+import {
+  AGGREGATION_OPTIONS,
+  MAX_PIVOT_COLUMNS,
+  RESHAPE_MODE_OPTIONS,
+} from "./constants";
+
+// Rows that share a spread value are always combined
+const PIVOT_AGGREGATIONS = AGGREGATION_OPTIONS.filter(
+  ({ value }) => value !== "none"
+);
+
+/**
+ * Editor for reshaping the dataset between wide and long form before the
+ * axes are chosen (see utils/reshape.js)
+ * Changes are drafted here and take effect when applied, as reshaping
+ * replaces the fields the axes are chosen from.
+ * @param {Object} props - Component props
+ * @param {Array} props.reshape - [reshape, setReshape], where reshape is null
+ * for none
+ * @param {Array<string>} props.fields - Fields of the dataset before reshaping
+ * @param {Object} [props.summary] - { rows, dropped } of the applied reshape
+ */
+function Reshape(props) {
+  const [reshape, setReshape] = props.reshape;
+  const [draft, setDraft] = useState(reshape);
+
+  // A reshape restored from a link or saved view replaces the draft
+  useEffect(() => {
+    setDraft(reshape);
+  }, [reshape]);
+
+  const error = draft ? validateReshape(draft, props.fields) : null;
+  const isApplied = JSON.stringify(draft) === JSON.stringify(reshape);
+
+  function handleModeChange(mode) {
+    if (!mode) setDraft(null);
+    else if (reshape && reshape.mode === mode) setDraft(reshape);
+    else setDraft(createReshape(mode, props.fields));
+  }
+
+  function toggleColumn(id) {
+    const columns = draft.columns.includes(id)
+      ? draft.columns.filter((column) => column !== id)
+      : props.fields.filter(
+          (field) => field === id || draft.columns.includes(field)
+        );
+    setDraft({ ...draft, columns });
+  }
+
+  const fieldSelect = (label, key) => (
+    <Form.Select
+      size="sm"
+      aria-label={label}
+      value={draft[key]}
+      onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+    >
+      {props.fields.map((id) => (
+        <option key={id} value={id}>
+          {id}
+        </option>
+      ))}
+    </Form.Select>
+  );
+
+  const summary = props.summary;
+
+  return (
+    <Form.Group>
+      <Row>
+        <h3 className="mb-3">Reshape</h3>
+      </Row>
+      <Row>
+        <Form.Text>
+          Unpivot a table with a column per year or category into rows, so the
+          columns can be charted as one series each, or pivot rows into columns.
+        </Form.Text>
+      </Row>
+      <Row>
+        <Col xs={4}>
+          <Form.Label>Mode</Form.Label>
+        </Col>
+        <Col>
+          <Form.Select
+            value={draft ? draft.mode : ""}
+            onChange={(e) => handleModeChange(e.target.value)}
+          >
+            {RESHAPE_MODE_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+      </Row>
+      {draft && draft.mode === "unpivot" && (
+        <Row className="reshape">
+          <Col xs={12}>
+            <Form.Label>Columns to unpivot</Form.Label>
+            <div className="reshape-columns">
+              {props.fields.map((id) => (
+                <Form.Check
+                  key={id}
+                  type="checkbox"
+                  id={`reshape-column-${id}`}
+                  label={id}
+                  checked={draft.columns.includes(id)}
+                  onChange={() => toggleColumn(id)}
+                />
+              ))}
+            </div>
+          </Col>
+          <Col xs={6}>
+            <Form.Control
+              type="text"
+              size="sm"
+              aria-label="Name for the column names"
+              title="Name for the column names"
+              value={draft.keyName}
+              onChange={(e) => setDraft({ ...draft, keyName: e.target.value })}
+            />
+          </Col>
+          <Col xs={6}>
+            <Form.Control
+              type="text"
+              size="sm"
+              aria-label="Name for the values"
+              title="Name for the values"
+              value={draft.valueName}
+              onChange={(e) =>
+                setDraft({ ...draft, valueName: e.target.value })
+              }
+            />
+          </Col>
+        </Row>
+      )}
+      {draft && draft.mode === "pivot" && (
+        <Row className="reshape">
+          <Col xs={6}>
+            <Form.Label>Spread</Form.Label>
+            {fieldSelect("Field to spread into columns", "key")}
+          </Col>
+          <Col xs={6}>
+            <Form.Label>Values</Form.Label>
+            {fieldSelect("Value field", "value")}
+          </Col>
+          <Col xs={12}>
+            <Form.Select
+              size="sm"
+              aria-label="Pivot aggregation"
+              value={draft.aggregation}
+              onChange={(e) =>
+                setDraft({ ...draft, aggregation: e.target.value })
+              }
+            >
+              {PIVOT_AGGREGATIONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </Form.Select>
+          </Col>
+        </Row>
+      )}
+      {error && (
+        <Row>
+          <Form.Text className="text-danger">{error}</Form.Text>
+        </Row>
+      )}
+      {reshape && summary && isApplied && (
+        <Row>
+          <Form.Text>
+            {summary.rows.toLocaleString()} rows after reshaping
+            {summary.dropped > 0 &&
+              `; ${summary.dropped.toLocaleString()} more values were dropped, as a pivot makes at most ${MAX_PIVOT_COLUMNS} columns`}
+          </Form.Text>
+        </Row>
+      )}
+      <Row>
+        <Button
+          variant="secondary"
+          disabled={isApplied || !!error}
+          onClick={() => setReshape(draft)}
+        >
+          {draft ? "Apply reshape" : "Undo reshape"}
+        </Button>
+      </Row>
+    </Form.Group>
+  );
+}
+
+Reshape.propTypes = {
+  reshape: PropTypes.array.isRequired,
+  fields: PropTypes.arrayOf(PropTypes.string).isRequired,
+  summary: PropTypes.shape({
+    rows: PropTypes.number,
+    dropped: PropTypes.number,
+  }),
+};
+
+export default Reshape;
@@ -0,0 +1,215 @@
+import React, { useMemo } from "react";
+import { Button, Row, Col, Form } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+import {
+  createCondition,
+  getDistinctValues,
+  getFilterKind,
+} from "./utils/rowFilters";
+import { MAX_FILTER_OPTIONS } from "./constants";
+
+/**
+ * Filter builder for the rows that are aggregated into the chart
+ * @param {Object} props - Component props
+ * @param {Array} props.filters - [filters, setFilters] (see utils/rowFilters.js)
+ * @param {Array<string>} props.fields - Field ids that can be filtered on
+ * @param {Array} props.records - Dataset records, used for field kinds and values
+ * @param {number} props.matchCount - Number of records that pass the filters
+ */
+function RowFilters(props) {
+  const [filters, setFilters] = props.filters;
+  const { conditions, combinator } = filters;
+  const records = props.records;
+
+  // Distinct values of the fields that have category conditions
+  const categoryFields = conditions
+    .filter((condition) => condition.kind === "category")
+    .map((condition) => condition.field);
+  const categoryKey = [...new Set(categoryFields)].join("\u0000");
+  const distinctValues = useMemo(() => {
+    const values = {};
+    categoryKey
+      .split("\u0000")
+      .filter(Boolean)
+      .forEach((field) => {
+        values[field] = getDistinctValues(records, field);
+      });
+    return values;
+  }, [records, categoryKey]);
+
+  function conditionFor(field) {
+    return createCondition(field, getFilterKind({ id: field }, records));
+  }
+
+  function setCondition(index, newCondition) {
+    setFilters({
+      combinator,
+      conditions: conditions.map((condition, i) =>
+        i === index ? newCondition : condition
+      ),
+    });
+  }
+
+  function updateCondition(index, changes) {
+    setCondition(index, { ...conditions[index], ...changes });
+  }
+
+  function addCondition() {
+    if (props.fields.length === 0) return;
+    setFilters({
+      combinator,
+      conditions: [...conditions, conditionFor(props.fields[0])],
+    });
+  }
+
+  function removeCondition(index) {
+    setFilters({
+      combinator,
+      conditions: conditions.filter((condition, i) => i !== index),
+    });
+  }
+
+  function renderEditor(condition, index) {
+    if (condition.kind === "number" || condition.kind === "date") {
+      const [lowKey, highKey] =
+        condition.kind === "number" ? ["min", "max"] : ["from", "to"];
+      const type = condition.kind === "number" ? "number" : "date";
+      return (
+        <Row>
+          <Col>
+            <Form.Control
+              type={type}
+              placeholder={lowKey}
+              aria-label={`${condition.field} ${lowKey}`}
+              value={condition[lowKey]}
+              onChange={(e) =>
+                updateCondition(index, { [lowKey]: e.target.value })
+              }
+            />
+          </Col>
+          <Col>
+            <Form.Control
+              type={type}
+              placeholder={highKey}
+              aria-label={`${condition.field} ${highKey}`}
+              value={condition[highKey]}
+              onChange={(e) =>
+                updateCondition(index, { [highKey]: e.target.value })
+              }
+            />
+          </Col>
+        </Row>
+      );
+    }
+
+    const values = distinctValues[condition.field] || [];
+    return (
+      <>
+        <Form.Select
+          multiple
+          htmlSize={Math.min(6, Math.max(2, values.length))}
+          aria-label={`${condition.field} values`}
+          value={condition.values}
+          onChange={(e) =>
+            updateCondition(index, {
+              values: Array.from(e.target.selectedOptions, (o) => o.value),
+            })
+          }
+        >
+          {values.slice(0, MAX_FILTER_OPTIONS).map((value) => (
+            <option key={value} value={value}>
+              {value}
+            </option>
+          ))}
+        </Form.Select>
+        {values.length > MAX_FILTER_OPTIONS && (
+          <Form.Text>
+            Showing the first {MAX_FILTER_OPTIONS} of {values.length} values
+          </Form.Text>
+        )}
+      </>
+    );
+  }
+
+  return (
+    <Form.Group>
+      <Row>
+        <h3 className="mb-3">Row Filters</h3>
+      </Row>
+      {conditions.length > 1 && (
+        <Row>
+          <Col xs={4}>
+            <Form.Label>Combine</Form.Label>
+          </Col>
+          <Col>
+            <Form.Select
+              value={combinator}
+              onChange={(e) =>
+                setFilters({ combinator: e.target.value, conditions })
+              }
+            >
+              <option value="and">Match all conditions (AND)</option>
+              <option value="or">Match any condition (OR)</option>
+            </Form.Select>
+          </Col>
+        </Row>
+      )}
+      {conditions.map((condition, index) => (
+        <div className="row-filter" key={index}>
+          <Row>
+            <Col>
+              <Form.Select
+                aria-label="Filter field"
+                value={condition.field}
+                onChange={(e) =>
+                  setCondition(index, conditionFor(e.target.value))
+                }
+              >
+                {props.fields.map((key) => (
+                  <option key={key} value={key}>
+                    {key}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col xs="auto">
+              <Button
+                variant="link"
+                className="saved-view-action"
+                onClick={() => removeCondition(index)}
+              >
+                Remove
+              </Button>
+            </Col>
+          </Row>
+          {renderEditor(condition, index)}
+        </div>
+      ))}
+      <Row>
+        <Button
+          variant="secondary"
+          disabled={props.fields.length === 0}
+          onClick={addCondition}
+        >
+          Add filter
+        </Button>
+        {conditions.length > 0 && (
+          <Form.Text>
+            {props.matchCount.toLocaleString()} of{" "}
+            {records.length.toLocaleString()} rows match
+          </Form.Text>
+        )}
+      </Row>
+    </Form.Group>
+  );
+}
+
+RowFilters.propTypes = {
+  filters: PropTypes.array.isRequired,
+  fields: PropTypes.arrayOf(PropTypes.string).isRequired,
+  records: PropTypes.array.isRequired,
+  matchCount: PropTypes.number.isRequired,
+};
+
+export default RowFilters;
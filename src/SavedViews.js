@@ -0,0 +1,230 @@
+import React, { useState, useRef } from "react";
+import { Button, Row, Col, Form, ListGroup } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+import { getResourceNamefromID } from "./utils";
+import {
+  loadSavedViews,
+  storeSavedViews,
+  mergeSavedViews,
+  renameSavedView,
+  exportSavedViews,
+  importSavedViews,
+} from "./utils/savedViews";
+import { downloadFile } from "./utils/download";
+import { logger } from "./utils/logger";
+
+/**
+ * Sidebar listing named chart configurations saved in localStorage
+ * @param {Object} props - Component props
+ * @param {Object} props.config - Current chart configuration
+ * @param {Function} props.onApply - Called with a saved configuration to load it
+ * @param {Array} props.packages - Catalogue resources, used for dataset names
+ */
+function SavedViews(props) {
+  const [views, setViews] = useState(loadSavedViews);
+  const [name, setName] = useState("");
+  const [status, setStatus] = useState("");
+  // The view being renamed: { name, value } while its name is edited
+  const [renaming, setRenaming] = useState(null);
+  const fileInputRef = useRef(null);
+
+  function updateViews(newViews) {
+    setViews(newViews);
+    storeSavedViews(newViews);
+  }
+
+  function handleSave(e) {
+    e.preventDefault();
+    const viewName = name.trim();
+    if (!viewName || !props.config.resourceID) return;
+    updateViews(
+      mergeSavedViews(views, [
+        { name: viewName, config: props.config, savedAt: Date.now() },
+      ])
+    );
+    setName("");
+    setStatus(`Saved "${viewName}"`);
+  }
+
+  function handleDelete(viewName) {
+    updateViews(views.filter((view) => view.name !== viewName));
+    setStatus(`Deleted "${viewName}"`);
+  }
+
+  function handleRename() {
+    const { name: viewName, value } = renaming;
+    setRenaming(null);
+    if (value.trim() === viewName) return;
+    try {
+      updateViews(renameSavedView(views, viewName, value));
+      setStatus(`Renamed "${viewName}" to "${value.trim()}"`);
+    } catch (error) {
+      setStatus(`Rename failed: ${error.message}`);
+    }
+  }
+
+  function handleRenameKeyDown(e) {
+    if (e.key === "Enter") {
+      // Rename rather than submit the form, which saves a new view
+      e.preventDefault();
+      handleRename();
+    } else if (e.key === "Escape") {
+      setRenaming(null);
+    }
+  }
+
+  function handleExport() {
+    downloadFile(
+      exportSavedViews(views),
+      "sgraphs-views.json",
+      "application/json"
+    );
+  }
+
+  function handleImport(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ""; // Allow importing the same file again
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        const imported = importSavedViews(text);
+        updateViews(mergeSavedViews(views, imported));
+        setStatus(`Imported ${imported.length} views`);
+      })
+      .catch((error) => {
+        logger.error("Failed to import saved views:", error);
+        setStatus(`Import failed: ${error.message}`);
+      });
+  }
+
+  return (
+    <Form className="settingsbar saved-views px-3 py-3" onSubmit={handleSave}>
+      <Row>
+        <h3 className="mb-3">Saved Views</h3>
+      </Row>
+      <Row>
+        <Col>
+          <Form.Control
+            type="text"
+            placeholder="Name this view"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </Col>
+      </Row>
+      <Row>
+        <Button
+          type="submit"
+          disabled={!name.trim() || !props.config.resourceID}
+        >
+          Save current view
+        </Button>
+      </Row>
+      {views.length > 0 && (
+        <ListGroup variant="flush" className="my-3">
+          {views.map((view) => (
+            <ListGroup.Item key={view.name} className="px-0">
+              <Row className="align-items-center">
+                <Col>
+                  {renaming && renaming.name === view.name ? (
+                    <Form.Control
+                      size="sm"
+                      type="text"
+                      aria-label={`New name for ${view.name}`}
+                      value={renaming.value}
+                      autoFocus
+                      onChange={(e) =>
+                        setRenaming({ ...renaming, value: e.target.value })
+                      }
+                      onKeyDown={handleRenameKeyDown}
+                      onBlur={handleRename}
+                    />
+                  ) : (
+                    <div>
+                      <strong>{view.name}</strong>
+                    </div>
+                  )}
+                  <Form.Text>
+                    {getResourceNamefromID(
+                      props.packages,
+                      view.config.resourceID
+                    ) || view.config.resourceID}
+                  </Form.Text>
+                </Col>
+                <Col xs="auto">
+                  <Button
+                    size="sm"
+                    variant="link"
+                    className="saved-view-action"
+                    onClick={() => props.onApply(view.config)}
+                  >
+                    Load
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="link"
+                    className="saved-view-action"
+                    onClick={() =>
+                      setRenaming({ name: view.name, value: view.name })
+                    }
+                  >
+                    Rename
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="link"
+                    className="saved-view-action"
+                    onClick={() => handleDelete(view.name)}
+                  >
+                    Delete
+                  </Button>
+                </Col>
+              </Row>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+      <Row>
+        <Col>
+          <Button
+            variant="secondary"
+            onClick={handleExport}
+            disabled={views.length === 0}
+          >
+            Export JSON
+          </Button>
+        </Col>
+        <Col>
+          <Button
+            variant="secondary"
+            onClick={() => fileInputRef.current.click()}
+          >
+            Import JSON
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            hidden
+          />
+        </Col>
+      </Row>
+      {status && (
+        <Row>
+          <Form.Text>{status}</Form.Text>
+        </Row>
+      )}
+    </Form>
+  );
+}
+
+SavedViews.propTypes = {
+  config: PropTypes.object.isRequired,
+  onApply: PropTypes.func.isRequired,
+  packages: PropTypes.array.isRequired,
+};
+
+export default SavedViews;
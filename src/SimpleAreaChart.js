@@ -0,0 +1,143 @@
+import {
+  ResponsiveContainer,
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from "recharts";
+import PropTypes from "prop-types";
+
+import { parseFloatOrText, pivotDataset } from "./utils";
+import {
+  CHART_HEIGHT,
+  CHART_MARGINS,
+  LEGEND_MAX_HEIGHT,
+  LEGEND_ICON_SIZE,
+  LEGEND_FONT_SIZE,
+  ANIMATION_DURATION,
+  COLOR_PALETTE,
+} from "./constants";
+import { formatBucket } from "./utils/timeBuckets";
+
+/**
+ * Stacked area chart, showing how the series add up over the x-axis
+ * @param {Object} props - Component props
+ * @param {Object} props.dataset - Dataset object with series as keys
+ * @param {Array} [props.rows] - The dataset pivoted by pivotDataset, if already done
+ * @param {string} props.xKey - Key for x-axis data
+ * @param {string} props.yKey - Key for y-axis data
+ * @param {Array} props.domain - Array of [xMin, xMax, yMin, yMax] domain values
+ * @param {string} [props.xBucket] - Time bucket of a resampled date x-axis
+ */
+function SimpleAreaChart(props) {
+  const [xMin, xMax, yMin, yMax] = props.domain;
+  const formatXValue = (value) => formatBucket(value, props.xBucket);
+  const seriesKeys = Object.keys(props.dataset);
+  const data =
+    props.rows || pivotDataset(props.dataset, props.xKey, props.yKey);
+  const xIsNumeric =
+    data.length > 0 && data.every((row) => typeof row[props.xKey] === "number");
+
+  return (
+    <div className="chart-container">
+      <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+        <AreaChart data={data} margin={CHART_MARGINS}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" opacity={0.5} />
+          <XAxis
+            allowDataOverflow
+            type={xIsNumeric ? "number" : "category"}
+            dataKey={props.xKey}
+            domain={
+              xMin === "auto" || xMax === "auto"
+                ? ["dataMin", "dataMax"]
+                : [parseFloatOrText(xMin), parseFloatOrText(xMax)]
+            }
+            tickFormatter={formatXValue}
+            label={{
+              value: props.xKey || "X Axis",
+              position: "bottom",
+              offset: 10,
+            }}
+          />
+          <YAxis
+            allowDataOverflow
+            type="number"
+            domain={
+              yMin === "auto" || yMax === "auto"
+                ? ["dataMin", "dataMax"]
+                : [parseFloatOrText(yMin), parseFloatOrText(yMax)]
+            }
+            label={{
+              value: props.yKey || "Y Axis",
+              angle: -90,
+              position: "left",
+              offset: 10,
+            }}
+          />
+          <Tooltip
+            labelFormatter={formatXValue}
+            contentStyle={{
+              backgroundColor: "rgba(255, 255, 255, 0.95)",
+              border: "1px solid #e2e8f0",
+              borderRadius: "8px",
+              boxShadow: "0 4px 6px rgba(0, 0, 0, 0.1)",
+              padding: "12px",
+            }}
+            itemStyle={{ fontSize: "0.9em", padding: "4px 0" }}
+            labelStyle={{ fontWeight: 600, marginBottom: "8px" }}
+          />
+          <Legend
+            iconSize={LEGEND_ICON_SIZE}
+            wrapperStyle={{
+              fontSize: LEGEND_FONT_SIZE,
+              paddingTop: "10px",
+              paddingBottom: "5px",
+              maxHeight: `${LEGEND_MAX_HEIGHT}px`,
+              overflowY: "auto",
+              overflowX: "hidden",
+            }}
+            iconType="rect"
+            layout="horizontal"
+            verticalAlign="bottom"
+            formatter={(value) =>
+              value.length > 30 ? value.substring(0, 30) + "..." : value
+            }
+          />
+          {seriesKeys.map((seriesKey, index) => {
+            const color = COLOR_PALETTE[index % COLOR_PALETTE.length];
+            return (
+              <Area
+                key={seriesKey}
+                type="monotone"
+                dataKey={seriesKey}
+                name={seriesKey}
+                stackId="stack"
+                stroke={color}
+                fill={color}
+                fillOpacity={0.6}
+                connectNulls
+                animationDuration={ANIMATION_DURATION}
+              />
+            );
+          })}
+        </AreaChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+SimpleAreaChart.propTypes = {
+  dataset: PropTypes.object.isRequired,
+  rows: PropTypes.array,
+  xKey: PropTypes.string.isRequired,
+  yKey: PropTypes.string.isRequired,
+  domain: PropTypes.arrayOf(
+    PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+  ).isRequired,
+  xBucket: PropTypes.string,
+};
+
+export default SimpleAreaChart;
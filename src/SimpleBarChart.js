@@ -10,7 +10,7 @@ import {
 } from "recharts";
 import PropTypes from "prop-types";
 
-import { parseFloatOrText } from "./utils";
+import { parseFloatOrText, pivotDataset } from "./utils";
 import {
   CHART_HEIGHT,
   CHART_MARGINS,
@@ -18,10 +18,10 @@ import {
   LEGEND_ICON_SIZE,
   LEGEND_FONT_SIZE,
   ANIMATION_DURATION,
-  TIMESTAMP_THRESHOLD,
   COLOR_PALETTE,
 } from "./constants";
 import { logger } from "./utils/logger";
+import { formatBucket } from "./utils/timeBuckets";
 
 /**
  * Bar chart component for displaying categorical data
@@ -29,9 +29,13 @@ import { logger } from "./utils/logger";
  * @param {boolean} props.isLoaded - Whether data has been loaded
  * @param {Object|null} props.error - Error object if an error occurred
  * @param {Object} props.dataset - Dataset object with series as keys
+ * @param {Array} [props.rows] - The dataset pivoted by pivotDataset, if already done
  * @param {string} props.xKey - Key for x-axis data
  * @param {string} props.yKey - Key for y-axis data
  * @param {Array} props.domain - Array of [xMin, xMax, yMin, yMax] domain values
+ * @param {string} [props.xBucket] - Time bucket of a resampled date x-axis
+ * @param {string} [props.stack] - "stacked" to stack the series, "percent" to stack them to 100%
+ * @param {boolean} [props.horizontal] - Whether to draw the bars sideways, with categories on the y-axis
  */
 function SimpleBarChart(props) {
   // Safely destructure domain array with defaults
@@ -40,6 +44,9 @@ function SimpleBarChart(props) {
     : ["auto", "auto", "auto", "auto"];
   let [xMin, xMax, yMin, yMax] = domain;
 
+  // Dates are shown at the granularity they were resampled to
+  const formatXValue = (value) => formatBucket(value, props.xBucket);
+
   // Use centralized color palette
   const colorPalette = COLOR_PALETTE;
 
@@ -250,108 +257,93 @@ function SimpleBarChart(props) {
   // Recharts expects: data = [{x: 1, series1: 10, series2: 15}, {x: 2, series1: 20, series2: 25}]
   // Current structure: dataset = {series1: [{x: 1, y: 10}], series2: [{x: 1, y: 15}]}
   const seriesKeys = Object.keys(props.dataset);
-  let transformedData = [];
-
-  if (seriesKeys.length > 0) {
-    // Get all unique x-values across all series
-    const xValueSet = new Set();
-    seriesKeys.forEach((seriesKey) => {
-      const seriesData = props.dataset[seriesKey];
-      if (Array.isArray(seriesData)) {
-        seriesData.forEach((point) => {
-          if (point[props.xKey] !== undefined && point[props.xKey] !== null) {
-            xValueSet.add(point[props.xKey]);
-          }
-        });
-      }
-    });
+  const transformedData =
+    props.rows || pivotDataset(props.dataset, props.xKey, props.yKey);
 
-    const xValues = Array.from(xValueSet).sort((a, b) => {
-      // Use intelligent comparison for sorting
-      if (typeof a === "number" && typeof b === "number") return a - b;
-      if (typeof a === "number") return -1;
-      if (typeof b === "number") return 1;
-      return String(a).localeCompare(String(b));
-    });
-
-    // Create transformed data array
-    transformedData = xValues.map((xValue) => {
-      const dataPoint = { [props.xKey]: xValue };
-
-      // For each series, find the y-value for this x-value
-      seriesKeys.forEach((seriesKey) => {
-        const seriesData = props.dataset[seriesKey];
-        if (Array.isArray(seriesData)) {
-          const matchingPoint = seriesData.find(
-            (point) => point[props.xKey] === xValue
-          );
-          if (matchingPoint && matchingPoint[props.yKey] !== undefined) {
-            // Use series key as the dataKey for this bar
-            dataPoint[seriesKey] = matchingPoint[props.yKey];
-          } else {
-            // No data for this x-value in this series
-            dataPoint[seriesKey] = null;
-          }
-        }
-      });
+  logger.log("Transformed data for bar chart:", transformedData.slice(0, 3));
 
-      return dataPoint;
-    });
-  }
+  const isPercent = props.stack === "percent";
+  const isStacked = isPercent || props.stack === "stacked";
 
-  logger.log("Transformed data for bar chart:", transformedData.slice(0, 3));
+  // The x-axis holds the categories, which are drawn down the side when the
+  // bars are horizontal
+  const categoryAxisProps = {
+    type: isAxisNumerical(props.xKey) ? "number" : "category",
+    dataKey: props.xKey,
+    allowDataOverflow: true,
+    domain:
+      xMin === "auto" || xMax === "auto"
+        ? ["dataMin", "dataMax"]
+        : [parseFloatOrText(xMin), parseFloatOrText(xMax)],
+    tickFormatter: formatXValue,
+  };
+  const valueAxisProps = {
+    type: isAxisNumerical(props.yKey) ? "number" : "category",
+    allowDataOverflow: true,
+    // 100% stacks are fractions of each category's total
+    domain: isPercent
+      ? [0, 1]
+      : yMin === "auto" || yMax === "auto"
+      ? ["dataMin", "dataMax"]
+      : [parseFloatOrText(yMin), parseFloatOrText(yMax)],
+    tickFormatter: isPercent
+      ? (value) => `${Math.round(value * 100)}%`
+      : undefined,
+  };
+  const categoryLabel = props.xKey || "X Axis";
+  const valueLabel = isPercent
+    ? `Share of ${props.yKey || "Y Axis"}`
+    : props.yKey || "Y Axis";
 
   return (
     <div className="chart-container">
       <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
-        <BarChart data={transformedData} margin={CHART_MARGINS}>
+        <BarChart
+          data={transformedData}
+          margin={CHART_MARGINS}
+          layout={props.horizontal ? "vertical" : "horizontal"}
+          stackOffset={isPercent ? "expand" : "none"}
+        >
           <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" opacity={0.5} />
-          <XAxis
-            type={isAxisNumerical(props.xKey) ? "number" : "category"}
-            dataKey={props.xKey}
-            domain={
-              xMin === "auto" || xMax === "auto"
-                ? ["dataMin", "dataMax"]
-                : [parseFloatOrText(xMin), parseFloatOrText(xMax)]
-            }
-            tickFormatter={(value) => {
-              // If value is a timestamp (large number), format as date
-              if (typeof value === "number" && value > TIMESTAMP_THRESHOLD) {
-                const date = new Date(value);
-                // Format as YYYY-MM if it's the first of the month, otherwise YYYY-MM-DD
-                if (date.getDate() === 1) {
-                  return `${date.getFullYear()}-${String(
-                    date.getMonth() + 1
-                  ).padStart(2, "0")}`;
-                }
-                return `${date.getFullYear()}-${String(
-                  date.getMonth() + 1
-                ).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
-              }
-              return value;
-            }}
-            label={{
-              value: props.xKey || "X Axis",
-              position: "bottom",
-              offset: 10,
-            }}
-          ></XAxis>
-          <YAxis
-            type={isAxisNumerical(props.yKey) ? "number" : "category"}
-            domain={
-              yMin === "auto" || yMax === "auto"
-                ? ["dataMin", "dataMax"]
-                : [parseFloatOrText(yMin), parseFloatOrText(yMax)]
-            }
-            label={{
-              value: props.yKey || "Y Axis",
-              angle: -90,
-              position: "left",
-              offset: 10,
-            }}
-          ></YAxis>
+          {props.horizontal ? (
+            <XAxis
+              {...valueAxisProps}
+              type="number"
+              label={{ value: valueLabel, position: "bottom", offset: 10 }}
+            ></XAxis>
+          ) : (
+            <XAxis
+              {...categoryAxisProps}
+              label={{ value: categoryLabel, position: "bottom", offset: 10 }}
+            ></XAxis>
+          )}
+          {props.horizontal ? (
+            <YAxis
+              {...categoryAxisProps}
+              type="category"
+              domain={undefined}
+              width={120}
+              label={{
+                value: categoryLabel,
+                angle: -90,
+                position: "left",
+                offset: 10,
+              }}
+            ></YAxis>
+          ) : (
+            <YAxis
+              {...valueAxisProps}
+              label={{
+                value: valueLabel,
+                angle: -90,
+                position: "left",
+                offset: 10,
+              }}
+            ></YAxis>
+          )}
           <Tooltip
             filterNull="true"
+            labelFormatter={formatXValue}
             contentStyle={{
               backgroundColor: "rgba(255, 255, 255, 0.95)",
               border: "1px solid #e2e8f0",
@@ -394,7 +386,10 @@ function SimpleBarChart(props) {
                 name={seriesKey}
                 key={seriesKey}
                 fill={barColor}
-                radius={[8, 8, 0, 0]}
+                stackId={isStacked ? "stack" : undefined}
+                radius={
+                  isStacked ? 0 : props.horizontal ? [0, 8, 8, 0] : [8, 8, 0, 0]
+                }
                 animationDuration={ANIMATION_DURATION}
               />
             );
@@ -409,11 +404,15 @@ SimpleBarChart.propTypes = {
   isLoaded: PropTypes.bool.isRequired,
   error: PropTypes.object,
   dataset: PropTypes.object.isRequired,
+  rows: PropTypes.array,
   xKey: PropTypes.string.isRequired,
   yKey: PropTypes.string.isRequired,
   domain: PropTypes.arrayOf(
     PropTypes.oneOfType([PropTypes.string, PropTypes.number])
   ).isRequired,
+  xBucket: PropTypes.string,
+  stack: PropTypes.oneOf(["", "stacked", "percent"]),
+  horizontal: PropTypes.bool,
 };
 
 export default SimpleBarChart;
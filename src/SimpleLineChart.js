@@ -8,6 +8,8 @@ import {
   Tooltip,
   Legend,
 } from "recharts";
+import { useMemo, useState } from "react";
+import { Form } from "react-bootstrap";
 import PropTypes from "prop-types";
 
 import { parseFloatOrText } from "./utils";
@@ -18,13 +20,20 @@ import {
   LEGEND_ICON_SIZE,
   LEGEND_FONT_SIZE,
   ANIMATION_DURATION,
-  TIMESTAMP_THRESHOLD,
   COLOR_PALETTE,
+  DOWNSAMPLE_POINTS_PER_PIXEL,
+  LINE_DOT_THRESHOLD,
 } from "./constants";
+import { useElementWidth } from "./hooks/useElementWidth";
+import { downsampleDataset } from "./utils/downsample";
 import { logger } from "./utils/logger";
+import { formatBucket } from "./utils/timeBuckets";
 
 /**
  * Line chart component for displaying time series and continuous data
+ * Long series are downsampled to the chart's width (see utils/downsample),
+ * unless full resolution is switched on, and dense charts are drawn without
+ * dots or animation.
  * @param {Object} props - Component props
  * @param {boolean} props.isLoaded - Whether data has been loaded
  * @param {Object|null} props.error - Error object if an error occurred
@@ -32,6 +41,7 @@ import { logger } from "./utils/logger";
  * @param {string} props.xKey - Key for x-axis data
  * @param {string} props.yKey - Key for y-axis data
  * @param {Array} props.domain - Array of [xMin, xMax, yMin, yMax] domain values
+ * @param {string} [props.xBucket] - Time bucket of a resampled date x-axis
  */
 function SimpleLineChart(props) {
   // Safely destructure domain array with defaults
@@ -40,9 +50,33 @@ function SimpleLineChart(props) {
     : ["auto", "auto", "auto", "auto"];
   let [xMin, xMax, yMin, yMax] = domain;
 
+  // Dates are shown at the granularity they were resampled to
+  const formatXValue = (value) => formatBucket(value, props.xBucket);
+
   // Use centralized color palette
   const colorPalette = COLOR_PALETTE;
 
+  const [containerRef, containerWidth] = useElementWidth();
+  const [fullResolution, setFullResolution] = useState(false);
+  const maxPoints = fullResolution
+    ? 0
+    : Math.round(
+        Math.max(
+          containerWidth - CHART_MARGINS.left - CHART_MARGINS.right,
+          0
+        ) * DOWNSAMPLE_POINTS_PER_PIXEL
+      );
+  const plotted = useMemo(
+    () =>
+      downsampleDataset(props.dataset, props.xKey, props.yKey, {
+        maxPoints,
+        xMin: parseFloatOrText(xMin),
+        xMax: parseFloatOrText(xMax),
+      }),
+    [props.dataset, props.xKey, props.yKey, maxPoints, xMin, xMax]
+  );
+  const isDense = plotted.plottedCount > LINE_DOT_THRESHOLD;
+
   function isAxisNumerical(key) {
     if (!props.dataset || !Object.keys(props.dataset)[0]) return false;
     let first_series = Object.keys(props.dataset)[0];
@@ -241,11 +275,22 @@ function SimpleLineChart(props) {
   );
 
   return (
-    <div className="chart-container">
+    <div className="chart-container" ref={containerRef}>
+      {(fullResolution || plotted.plottedCount < plotted.pointCount) && (
+        <Form.Check
+          type="switch"
+          id="line-full-resolution"
+          className="chart-resolution"
+          label={`Full resolution (${plotted.pointCount.toLocaleString()} points)`}
+          checked={fullResolution}
+          onChange={(e) => setFullResolution(e.target.checked)}
+        />
+      )}
       <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
         <LineChart margin={CHART_MARGINS}>
           <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" opacity={0.5} />
           <XAxis
+            allowDataOverflow
             type={isAxisNumerical(props.xKey) ? "number" : "category"}
             dataKey={props.xKey}
             domain={
@@ -253,22 +298,7 @@ function SimpleLineChart(props) {
                 ? ["dataMin", "dataMax"]
                 : [parseFloatOrText(xMin), parseFloatOrText(xMax)]
             }
-            tickFormatter={(value) => {
-              // If value is a timestamp (large number), format as date
-              if (typeof value === "number" && value > TIMESTAMP_THRESHOLD) {
-                const date = new Date(value);
-                // Format as YYYY-MM if it's the first of the month, otherwise YYYY-MM-DD
-                if (date.getDate() === 1) {
-                  return `${date.getFullYear()}-${String(
-                    date.getMonth() + 1
-                  ).padStart(2, "0")}`;
-                }
-                return `${date.getFullYear()}-${String(
-                  date.getMonth() + 1
-                ).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
-              }
-              return value;
-            }}
+            tickFormatter={formatXValue}
             label={{
               value: props.xKey || "X Axis",
               position: "bottom",
@@ -276,6 +306,7 @@ function SimpleLineChart(props) {
             }}
           ></XAxis>
           <YAxis
+            allowDataOverflow
             type={isAxisNumerical(props.yKey) ? "number" : "category"}
             domain={
               yMin === "auto" || yMax === "auto"
@@ -291,6 +322,7 @@ function SimpleLineChart(props) {
           ></YAxis>
           <Tooltip
             filterNull="true"
+            labelFormatter={formatXValue}
             contentStyle={{
               backgroundColor: "rgba(255, 255, 255, 0.95)",
               border: "1px solid #e2e8f0",
@@ -315,8 +347,8 @@ function SimpleLineChart(props) {
             layout="horizontal"
             verticalAlign="bottom"
           />
-          {Object.keys(props.dataset).map((key, index) => {
-            const seriesData = props.dataset[key];
+          {Object.keys(plotted.dataset).map((key, index) => {
+            const seriesData = plotted.dataset[key];
             if (!Array.isArray(seriesData) || seriesData.length === 0) {
               logger.warn(`Series "${key}" has no data or is not an array`);
               return null;
@@ -331,8 +363,13 @@ function SimpleLineChart(props) {
                 key={key}
                 stroke={lineColor}
                 strokeWidth={2.5}
-                dot={{ fill: lineColor, r: 4, strokeWidth: 2, stroke: "#fff" }}
+                dot={
+                  isDense
+                    ? false
+                    : { fill: lineColor, r: 4, strokeWidth: 2, stroke: "#fff" }
+                }
                 activeDot={{ r: 6, stroke: "#fff", strokeWidth: 2 }}
+                isAnimationActive={!isDense}
                 animationDuration={ANIMATION_DURATION}
               />
             );
@@ -352,6 +389,7 @@ SimpleLineChart.propTypes = {
   domain: PropTypes.arrayOf(
     PropTypes.oneOfType([PropTypes.string, PropTypes.number])
   ).isRequired,
+  xBucket: PropTypes.string,
 };
 
 export default SimpleLineChart;
@@ -0,0 +1,121 @@
+import {
+  ResponsiveContainer,
+  PieChart,
+  Pie,
+  Cell,
+  Tooltip,
+  Legend,
+} from "recharts";
+import PropTypes from "prop-types";
+
+import {
+  CHART_HEIGHT,
+  LEGEND_MAX_HEIGHT,
+  LEGEND_ICON_SIZE,
+  LEGEND_FONT_SIZE,
+  ANIMATION_DURATION,
+  COLOR_PALETTE,
+} from "./constants";
+import { toPieSlices } from "./utils/chartTypes";
+import { formatBucket } from "./utils/timeBuckets";
+
+/**
+ * Pie or donut chart of a breakdown at a single period (see toPieSlices)
+ * @param {Object} props - Component props
+ * @param {Object} props.dataset - Dataset object with series as keys
+ * @param {string} props.xKey - Key for x-axis data
+ * @param {string} props.yKey - Key for y-axis data
+ * @param {string} [props.xBucket] - Time bucket of a resampled date x-axis
+ * @param {boolean} [props.donut] - Whether to leave a hole in the middle
+ */
+function SimplePieChart(props) {
+  const formatXValue = (value) => formatBucket(value, props.xBucket);
+  const { slices, period } = toPieSlices(
+    props.dataset,
+    props.xKey,
+    props.yKey,
+    formatXValue
+  );
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+
+  if (slices.length === 0) {
+    return (
+      <div style={{ padding: "20px", textAlign: "center" }}>
+        <div style={{ color: "#666", fontSize: "1em" }}>
+          No positive values to show as a pie.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="chart-container">
+      <div className="text-center small">
+        {props.yKey}
+        {period !== null && ` at ${formatXValue(period)}`}
+      </div>
+      <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+        <PieChart>
+          <Pie
+            data={slices}
+            dataKey="value"
+            nameKey="name"
+            innerRadius={props.donut ? "50%" : 0}
+            outerRadius="80%"
+            label={({ percent }) => `${(percent * 100).toFixed(1)}%`}
+            animationDuration={ANIMATION_DURATION}
+          >
+            {slices.map((slice, index) => (
+              <Cell
+                key={slice.name}
+                fill={COLOR_PALETTE[index % COLOR_PALETTE.length]}
+              />
+            ))}
+          </Pie>
+          <Tooltip
+            formatter={(value) =>
+              `${value.toLocaleString()} (${((value / total) * 100).toFixed(
+                1
+              )}%)`
+            }
+            contentStyle={{
+              backgroundColor: "rgba(255, 255, 255, 0.95)",
+              border: "1px solid #e2e8f0",
+              borderRadius: "8px",
+              boxShadow: "0 4px 6px rgba(0, 0, 0, 0.1)",
+              padding: "12px",
+            }}
+            itemStyle={{ fontSize: "0.9em", padding: "4px 0" }}
+          />
+          <Legend
+            iconSize={LEGEND_ICON_SIZE}
+            wrapperStyle={{
+              fontSize: LEGEND_FONT_SIZE,
+              paddingTop: "10px",
+              paddingBottom: "5px",
+              maxHeight: `${LEGEND_MAX_HEIGHT}px`,
+              overflowY: "auto",
+              overflowX: "hidden",
+            }}
+            iconType="rect"
+            layout="horizontal"
+            verticalAlign="bottom"
+            formatter={(value) =>
+              value.length > 30 ? value.substring(0, 30) + "..." : value
+            }
+          />
+        </PieChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+SimplePieChart.propTypes = {
+  dataset: PropTypes.object.isRequired,
+  xKey: PropTypes.string.isRequired,
+  yKey: PropTypes.string.isRequired,
+  xBucket: PropTypes.string,
+  donut: PropTypes.bool,
+};
+
+export default SimplePieChart;
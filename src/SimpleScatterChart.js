@@ -0,0 +1,176 @@
+import {
+  ResponsiveContainer,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from "recharts";
+import PropTypes from "prop-types";
+
+import { parseFloatOrText, isFloatOrInt } from "./utils";
+import {
+  CHART_HEIGHT,
+  CHART_MARGINS,
+  LEGEND_MAX_HEIGHT,
+  LEGEND_ICON_SIZE,
+  LEGEND_FONT_SIZE,
+  ANIMATION_DURATION,
+  COLOR_PALETTE,
+} from "./constants";
+import { linearTrend } from "./utils/chartTypes";
+import { formatBucket } from "./utils/timeBuckets";
+
+// Trendlines are drawn as a line through two points that are not shown
+const HiddenPoint = () => <g />;
+
+/**
+ * Scatter chart of every point, optionally with a least-squares trendline
+ * per series
+ * @param {Object} props - Component props
+ * @param {Object} props.dataset - Dataset object with series as keys
+ * @param {string} props.xKey - Key for x-axis data
+ * @param {string} props.yKey - Key for y-axis data
+ * @param {Array} props.domain - Array of [xMin, xMax, yMin, yMax] domain values
+ * @param {string} [props.xBucket] - Time bucket of a resampled date x-axis
+ * @param {boolean} [props.trendline] - Whether to draw a trendline per series
+ */
+function SimpleScatterChart(props) {
+  const [xMin, xMax, yMin, yMax] = props.domain;
+  const formatXValue = (value) => formatBucket(value, props.xBucket);
+  const seriesKeys = Object.keys(props.dataset);
+  const xIsNumeric = seriesKeys.every((key) =>
+    props.dataset[key].every(
+      (point) =>
+        typeof point[props.xKey] === "number" || isFloatOrInt(point[props.xKey])
+    )
+  );
+
+  return (
+    <div className="chart-container">
+      <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+        <ScatterChart margin={CHART_MARGINS}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" opacity={0.5} />
+          <XAxis
+            allowDataOverflow
+            type={xIsNumeric ? "number" : "category"}
+            dataKey={props.xKey}
+            name={props.xKey}
+            allowDuplicatedCategory={false}
+            domain={
+              xMin === "auto" || xMax === "auto"
+                ? ["dataMin", "dataMax"]
+                : [parseFloatOrText(xMin), parseFloatOrText(xMax)]
+            }
+            tickFormatter={formatXValue}
+            label={{
+              value: props.xKey || "X Axis",
+              position: "bottom",
+              offset: 10,
+            }}
+          />
+          <YAxis
+            allowDataOverflow
+            type="number"
+            dataKey={props.yKey}
+            name={props.yKey}
+            domain={
+              yMin === "auto" || yMax === "auto"
+                ? ["dataMin", "dataMax"]
+                : [parseFloatOrText(yMin), parseFloatOrText(yMax)]
+            }
+            label={{
+              value: props.yKey || "Y Axis",
+              angle: -90,
+              position: "left",
+              offset: 10,
+            }}
+          />
+          <Tooltip
+            cursor={{ strokeDasharray: "3 3" }}
+            formatter={(value, name) =>
+              name === props.xKey ? formatXValue(value) : value
+            }
+            contentStyle={{
+              backgroundColor: "rgba(255, 255, 255, 0.95)",
+              border: "1px solid #e2e8f0",
+              borderRadius: "8px",
+              boxShadow: "0 4px 6px rgba(0, 0, 0, 0.1)",
+              padding: "12px",
+            }}
+            itemStyle={{ fontSize: "0.9em", padding: "4px 0" }}
+          />
+          <Legend
+            iconSize={LEGEND_ICON_SIZE}
+            wrapperStyle={{
+              fontSize: LEGEND_FONT_SIZE,
+              paddingTop: "10px",
+              paddingBottom: "5px",
+              maxHeight: `${LEGEND_MAX_HEIGHT}px`,
+              overflowY: "auto",
+              overflowX: "hidden",
+            }}
+            layout="horizontal"
+            verticalAlign="bottom"
+            formatter={(value) =>
+              value.length > 30 ? value.substring(0, 30) + "..." : value
+            }
+          />
+          {seriesKeys.map((seriesKey, index) => {
+            const color = COLOR_PALETTE[index % COLOR_PALETTE.length];
+            return (
+              <Scatter
+                key={seriesKey}
+                name={seriesKey}
+                data={props.dataset[seriesKey]}
+                fill={color}
+                fillOpacity={0.7}
+                animationDuration={ANIMATION_DURATION}
+              />
+            );
+          })}
+          {props.trendline &&
+            xIsNumeric &&
+            seriesKeys.map((seriesKey, index) => {
+              const trend = linearTrend(
+                props.dataset[seriesKey],
+                props.xKey,
+                props.yKey
+              );
+              if (!trend) return null;
+              return (
+                <Scatter
+                  key={`${seriesKey}-trend`}
+                  name={`${seriesKey} (trend)`}
+                  data={trend}
+                  line={{
+                    stroke: COLOR_PALETTE[index % COLOR_PALETTE.length],
+                    strokeWidth: 2,
+                    strokeDasharray: "6 4",
+                  }}
+                  shape={HiddenPoint}
+                  legendType="none"
+                  isAnimationActive={false}
+                />
+              );
+            })}
+        </ScatterChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+SimpleScatterChart.propTypes = {
+  dataset: PropTypes.object.isRequired,
+  xKey: PropTypes.string.isRequired,
+  yKey: PropTypes.string.isRequired,
+  domain: PropTypes.arrayOf(
+    PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+  ).isRequired,
+  xBucket: PropTypes.string,
+  trendline: PropTypes.bool,
+};
+
+export default SimpleScatterChart;
@@ -0,0 +1,69 @@
+import React from "react";
+import { Row, Form, ListGroup } from "react-bootstrap";
+import PropTypes from "prop-types";
+
+import { getChartTypeLabel } from "./utils/chartTypes";
+
+/**
+ * One-click alternatives from recommendAxes, best first
+ * @param {Object} props - Component props
+ * @param {Array} props.suggestions - [{ xKey, yKey, series, chartType, reasons }]
+ * @param {Array} props.keys - The current [xKey, yKey, series]
+ * @param {Function} props.onApply - Called with the chosen suggestion
+ */
+function SuggestedCharts(props) {
+  const [xKey, yKey, series] = props.keys;
+
+  return (
+    <Form.Group>
+      <Row>
+        <h3 className="mb-3">Suggested Charts</h3>
+      </Row>
+      <ListGroup className="mb-2 suggested-charts">
+        {props.suggestions.map((suggestion) => (
+          <ListGroup.Item
+            key={`${suggestion.xKey}|${suggestion.yKey}|${suggestion.series}`}
+            action
+            active={
+              suggestion.xKey === xKey &&
+              suggestion.yKey === yKey &&
+              (suggestion.series || "") === (series || "")
+            }
+            onClick={() => props.onApply(suggestion)}
+          >
+            <div>
+              <strong>{suggestion.yKey}</strong> by{" "}
+              <strong>{suggestion.xKey}</strong>
+              {suggestion.series && (
+                <>
+                  {" "}
+                  per <strong>{suggestion.series}</strong>
+                </>
+              )}{" "}
+              ({getChartTypeLabel(suggestion.chartType).toLowerCase()})
+            </div>
+            {suggestion.reasons.length > 0 && (
+              <small>{suggestion.reasons.join("; ")}</small>
+            )}
+          </ListGroup.Item>
+        ))}
+      </ListGroup>
+    </Form.Group>
+  );
+}
+
+SuggestedCharts.propTypes = {
+  suggestions: PropTypes.arrayOf(
+    PropTypes.shape({
+      xKey: PropTypes.string.isRequired,
+      yKey: PropTypes.string.isRequired,
+      series: PropTypes.string,
+      chartType: PropTypes.string.isRequired,
+      reasons: PropTypes.arrayOf(PropTypes.string).isRequired,
+    })
+  ).isRequired,
+  keys: PropTypes.array.isRequired,
+  onApply: PropTypes.func.isRequired,
+};
+
+export default SuggestedCharts;
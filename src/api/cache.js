@@ -0,0 +1,156 @@
+import { CACHE_DB_NAME } from "../constants";
+import { logger, verboseLog } from "../utils/logger";
+import { fetchJson, getFetchedAt, isAbortError, markFetchedAt } from "./http";
+
+/**
+ * Persistent response cache backed by IndexedDB
+ *
+ * Entries are stored as { key, data, fetchedAt } where the key is built from
+ * the endpoint and its query parameters (limit, page, ...). When IndexedDB is not
+ * available (private browsing, tests) every read misses and writes are no-ops.
+ */
+
+const DB_VERSION = 1;
+const STORE_NAME = "responses";
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof window === "undefined" || !window.indexedDB) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = window.indexedDB.open(CACHE_DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "key" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+}
+
+function runRequest(mode, operation) {
+  return openDatabase().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+        const request = operation(store);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      })
+  );
+}
+
+function readEntry(key) {
+  return runRequest("readonly", (store) => store.get(key)).catch((error) => {
+    verboseLog("Cache read failed:", key, error);
+    return null;
+  });
+}
+
+function writeEntry(entry) {
+  return runRequest("readwrite", (store) => store.put(entry)).catch(
+    (error) => {
+      logger.warn("Cache write failed:", entry.key, error);
+    }
+  );
+}
+
+/**
+ * Builds the cache key for a request URL from its endpoint and query
+ * parameters (limit, page, offset, ...) in a stable order
+ * @param {string} url - Request URL
+ * @returns {string} - Cache key
+ */
+export function buildCacheKey(url) {
+  const parsed = new URL(url, window.location.origin);
+  parsed.searchParams.sort();
+  const query = parsed.searchParams.toString();
+  const endpoint = `${parsed.origin}${parsed.pathname}`;
+  return query ? `${endpoint}?${query}` : endpoint;
+}
+
+/**
+ * Removes every cached response
+ * @returns {Promise<void>}
+ */
+export function purgeCache() {
+  return runRequest("readwrite", (store) => store.clear()).then(() => {
+    logger.log("Response cache purged");
+  });
+}
+
+/**
+ * Creates a fetcher with stale-while-revalidate caching
+ * - younger than maxAge: served from cache
+ * - younger than maxAge + staleWhileRevalidate: served from cache and
+ *   refreshed in the background
+ * - otherwise (or on a cache miss): fetched from the network, falling back to
+ *   any cached copy when the network request fails
+ * @param {Object} [options]
+ * @param {number} [options.maxAge] - Freshness lifetime in milliseconds
+ * @param {number} [options.staleWhileRevalidate] - Extra lifetime in which stale entries are served
+ * @param {Function} [options.fetcher] - (url, signal) => Promise<json>
+ * @returns {Function} - (url, signal) => Promise<json>
+ */
+export function createCachedFetcher({
+  maxAge = 0,
+  staleWhileRevalidate = 0,
+  fetcher = fetchJson,
+} = {}) {
+  // Background refreshes in progress, by cache key
+  const revalidating = new Map();
+
+  function fetchAndStore(url, key, signal) {
+    return fetcher(url, signal).then((data) => {
+      const fetchedAt = getFetchedAt(data) || Date.now();
+      writeEntry({ key, data, fetchedAt });
+      return markFetchedAt(data, fetchedAt);
+    });
+  }
+
+  function revalidate(url, key) {
+    if (revalidating.has(key)) return;
+    verboseLog("Revalidating cached response:", key);
+    const refresh = fetchAndStore(url, key)
+      .catch((error) => {
+        logger.warn("Background refresh failed:", key, error);
+      })
+      .then(() => {
+        revalidating.delete(key);
+      });
+    revalidating.set(key, refresh);
+  }
+
+  return function cachedFetch(url, signal) {
+    const key = buildCacheKey(url);
+
+    return readEntry(key).then((entry) => {
+      if (signal && signal.aborted) {
+        throw new DOMException("The operation was aborted.", "AbortError");
+      }
+
+      const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+      if (entry && age <= maxAge) {
+        verboseLog("Cache hit:", key);
+        return markFetchedAt(entry.data, entry.fetchedAt);
+      }
+      if (entry && age <= maxAge + staleWhileRevalidate) {
+        verboseLog("Serving stale cache entry:", key);
+        revalidate(url, key);
+        return markFetchedAt(entry.data, entry.fetchedAt);
+      }
+
+      return fetchAndStore(url, key, signal).catch((error) => {
+        if (isAbortError(error) || !entry) throw error;
+        // Offline or data.gov.sg is down: an expired copy beats no data
+        logger.warn("Network request failed, serving expired cache:", key);
+        return markFetchedAt(entry.data, entry.fetchedAt);
+      });
+    });
+  };
+}
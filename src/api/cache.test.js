@@ -0,0 +1,173 @@
+import { buildCacheKey, createCachedFetcher, purgeCache } from "./cache";
+import { getFetchedAt } from "./http";
+
+// An in-memory stand-in for the one object store the cache uses. Requests
+// complete asynchronously and entries are copied, as in IndexedDB.
+function createFakeIndexedDB() {
+  const entries = new Map();
+  const copy = (value) => value && JSON.parse(JSON.stringify(value));
+  const request = (run) => {
+    const pending = {};
+    Promise.resolve().then(() => {
+      pending.result = run();
+      pending.onsuccess();
+    });
+    return pending;
+  };
+  const store = {
+    get: (key) => request(() => copy(entries.get(key))),
+    put: (entry) => request(() => entries.set(entry.key, copy(entry))),
+    clear: () => request(() => entries.clear()),
+  };
+  const db = { transaction: () => ({ objectStore: () => store }) };
+  return { open: () => request(() => db), entries };
+}
+
+const indexedDB = createFakeIndexedDB();
+const MINUTE = 60 * 1000;
+const DATASETS_URL = "https://example.test/datasets?page=2&limit=10";
+
+// Lets fire-and-forget cache writes and background refreshes finish
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+let now;
+
+beforeAll(() => {
+  window.indexedDB = indexedDB;
+});
+
+afterAll(() => {
+  delete window.indexedDB;
+});
+
+beforeEach(() => {
+  now = Date.UTC(2024, 0, 1);
+  jest.spyOn(Date, "now").mockImplementation(() => now);
+  return purgeCache();
+});
+
+afterEach(() => {
+  Date.now.mockRestore();
+});
+
+// Answers with { version } counting up from 1, one per network request
+function versionedFetcher() {
+  let version = 0;
+  return jest.fn(() => Promise.resolve({ version: ++version }));
+}
+
+test("buildCacheKey ignores the order of the query parameters", () => {
+  expect(buildCacheKey(DATASETS_URL)).toBe(
+    buildCacheKey("https://example.test/datasets?limit=10&page=2")
+  );
+  expect(buildCacheKey(DATASETS_URL)).toBe(
+    "https://example.test/datasets?limit=10&page=2"
+  );
+});
+
+describe("createCachedFetcher", () => {
+  test("serves a response from the cache until it is maxAge old", () => {
+    const fetcher = versionedFetcher();
+    const cachedFetch = createCachedFetcher({ maxAge: 5 * MINUTE, fetcher });
+    return cachedFetch(DATASETS_URL)
+      .then(settle)
+      .then(() => {
+        now += 5 * MINUTE;
+        return cachedFetch(DATASETS_URL);
+      })
+      .then((data) => {
+        expect(data).toEqual({ version: 1 });
+        expect(getFetchedAt(data)).toBe(Date.UTC(2024, 0, 1));
+        expect(fetcher).toHaveBeenCalledTimes(1);
+        now += 1;
+        return cachedFetch(DATASETS_URL);
+      })
+      .then((data) => {
+        expect(data).toEqual({ version: 2 });
+        expect(getFetchedAt(data)).toBe(now);
+      });
+  });
+
+  test("serves a stale response while refreshing it once in the background", () => {
+    const fetcher = versionedFetcher();
+    const cachedFetch = createCachedFetcher({
+      maxAge: MINUTE,
+      staleWhileRevalidate: 10 * MINUTE,
+      fetcher,
+    });
+    return cachedFetch(DATASETS_URL)
+      .then(settle)
+      .then(() => {
+        now += 5 * MINUTE;
+        return Promise.all([
+          cachedFetch(DATASETS_URL),
+          cachedFetch(DATASETS_URL),
+        ]);
+      })
+      .then((responses) => {
+        expect(responses).toEqual([{ version: 1 }, { version: 1 }]);
+        return settle();
+      })
+      .then(() => {
+        expect(fetcher).toHaveBeenCalledTimes(2);
+        return cachedFetch(DATASETS_URL);
+      })
+      .then((data) => {
+        expect(data).toEqual({ version: 2 });
+      });
+  });
+
+  test("falls back to an expired copy when the network fails", () => {
+    const fetcher = jest
+      .fn()
+      .mockResolvedValueOnce({ version: 1 })
+      .mockRejectedValue(new TypeError("Failed to fetch"));
+    const cachedFetch = createCachedFetcher({ maxAge: MINUTE, fetcher });
+    return cachedFetch(DATASETS_URL)
+      .then(settle)
+      .then(() => {
+        now += 60 * MINUTE;
+        return cachedFetch(DATASETS_URL);
+      })
+      .then((data) => {
+        expect(data).toEqual({ version: 1 });
+        expect(getFetchedAt(data)).toBe(Date.UTC(2024, 0, 1));
+        return expect(
+          cachedFetch("https://example.test/other")
+        ).rejects.toThrow("Failed to fetch");
+      });
+  });
+
+  test("rejects a request cancelled while the cache is read", () => {
+    const controller = new AbortController();
+    const fetcher = versionedFetcher();
+    const request = createCachedFetcher({ fetcher })(
+      DATASETS_URL,
+      controller.signal
+    );
+    controller.abort();
+    return expect(request)
+      .rejects.toMatchObject({ name: "AbortError" })
+      .then(() => {
+        expect(fetcher).not.toHaveBeenCalled();
+      });
+  });
+});
+
+test("purgeCache removes every cached response", () => {
+  const fetcher = versionedFetcher();
+  const cachedFetch = createCachedFetcher({ maxAge: 60 * MINUTE, fetcher });
+  return cachedFetch(DATASETS_URL)
+    .then(settle)
+    .then(() => {
+      expect(indexedDB.entries.size).toBe(1);
+      return purgeCache();
+    })
+    .then(() => {
+      expect(indexedDB.entries.size).toBe(0);
+      return cachedFetch(DATASETS_URL);
+    })
+    .then((data) => {
+      expect(data).toEqual({ version: 2 });
+    });
+});
@@ -0,0 +1,325 @@
+import {
+  API_DATASETS_ENDPOINT,
+  CKAN_PACKAGE_SEARCH_ENDPOINT,
+  MAX_PAGES_TO_FETCH,
+  CACHE_TTL,
+} from "../constants";
+import { logger, verboseLog } from "../utils/logger";
+import { fetchJson, getFetchedAt, isAbortError } from "./http";
+import { createCachedFetcher } from "./cache";
+
+/**
+ * Dataset catalogue client
+ *
+ * A source is an object of the shape `{ name, load(signal) }` where `load`
+ * resolves to `{ resources, fetchedAt }`. Each resource has the shape:
+ *   { resource_id, resource_name, organisation, resource_format,
+ *     description, last_updated }
+ * where resource_format is upper case ("" if unknown), last_updated is a
+ * timestamp (null if unknown), and fetchedAt is when the oldest underlying
+ * response was retrieved (null if unknown). Sources list resources in every
+ * format so the dataset search can show them, but only CSV resources can be
+ * charted. The client tries each source in order and falls back to the next
+ * one when a source fails or returns no CSV resources.
+ */
+
+// Catalogue responses are cached offline (see api/cache.js)
+const catalogueFetcher = createCachedFetcher(CACHE_TTL.CATALOGUE);
+
+function toFormat(format) {
+  return format ? String(format).toUpperCase() : "";
+}
+
+/**
+ * Checks whether a catalogue resource can be charted
+ * @param {Object} resource - Catalogue resource
+ * @returns {boolean} - Whether the resource is a CSV
+ */
+export function isCsvResource(resource) {
+  return resource.resource_format === "CSV";
+}
+
+function toTimestamp(date) {
+  const timestamp = date ? Date.parse(date) : NaN;
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Source for the data.gov.sg v2 `/datasets` endpoint
+ * Documentation: https://guide.data.gov.sg/developer-guide/dataset-apis/list-all-datasets
+ * The v2 API returns: { code: 0, data: { datasets: [...], pages: N } }
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - Datasets endpoint URL
+ * @param {number} [options.maxPages] - Maximum number of pages to fetch
+ * @param {Function} [options.fetcher] - (url, signal) => Promise<json>
+ * @returns {Object} - Catalogue source
+ */
+export function createV2Source({
+  endpoint = API_DATASETS_ENDPOINT,
+  maxPages = MAX_PAGES_TO_FETCH,
+  fetcher = catalogueFetcher,
+} = {}) {
+  function isV2Page(apiData) {
+    return (
+      !!apiData &&
+      apiData.code === 0 &&
+      !!apiData.data &&
+      Array.isArray(apiData.data.datasets)
+    );
+  }
+
+  function fetchPage(page, signal) {
+    const url = page > 1 ? `${endpoint}?page=${page}` : endpoint;
+    return fetcher(url, signal);
+  }
+
+  function load(signal) {
+    logger.log("Fetching datasets list from:", endpoint);
+    let fetchedAt = null;
+    const trackFetchedAt = (pageData) => {
+      const pageFetchedAt = getFetchedAt(pageData);
+      if (pageFetchedAt !== null) {
+        fetchedAt =
+          fetchedAt === null ? pageFetchedAt : Math.min(fetchedAt, pageFetchedAt);
+      }
+    };
+
+    // Fetch the first page to get the total page count, then the rest in parallel
+    return fetchPage(1, signal)
+      .then((apiData) => {
+        if (!isV2Page(apiData)) {
+          throw new Error("Unknown response format from datasets endpoint");
+        }
+        trackFetchedAt(apiData);
+
+        const totalPages = apiData.data.pages || 1;
+        const pagesToFetch = Math.min(totalPages, maxPages);
+        logger.log(
+          `Found ${apiData.data.datasets.length} datasets on first page, fetching ${pagesToFetch} of ${totalPages} pages`
+        );
+
+        const pagePromises = [];
+        for (let page = 2; page <= pagesToFetch; page++) {
+          pagePromises.push(
+            fetchPage(page, signal)
+              .then((pageData) => {
+                if (!isV2Page(pageData)) return [];
+                trackFetchedAt(pageData);
+                verboseLog(
+                  `Page ${page}: Found ${pageData.data.datasets.length} datasets`
+                );
+                return pageData.data.datasets;
+              })
+              .catch((error) => {
+                // A missing page should not fail the whole catalogue
+                if (isAbortError(error)) throw error;
+                logger.warn(`Error fetching page ${page}:`, error);
+                return [];
+              })
+          );
+        }
+
+        return Promise.all(pagePromises).then((pages) =>
+          pages.reduce(
+            (allDatasets, pageDatasets) => allDatasets.concat(pageDatasets),
+            apiData.data.datasets
+          )
+        );
+      })
+      .then((allDatasets) => {
+        logger.log(`Total datasets fetched: ${allDatasets.length}`);
+        const resources = allDatasets.map((dataset) => ({
+          resource_id: dataset.datasetId,
+          resource_name: dataset.name,
+          organisation: dataset.managedByAgencyName || "Unknown",
+          resource_format: toFormat(dataset.format),
+          description: dataset.description || "",
+          last_updated: toTimestamp(dataset.lastUpdatedAt),
+        }));
+        return { resources, fetchedAt };
+      });
+  }
+
+  return { name: "v2", load };
+}
+
+/**
+ * Source for the legacy CKAN `package_search` endpoint (proxied via /api)
+ * @param {Object} [options]
+ * @param {string} [options.url] - package_search URL
+ * @param {Function} [options.fetcher] - (url, signal) => Promise<json>
+ * @returns {Object} - Catalogue source
+ */
+export function createCkanSource({
+  url = CKAN_PACKAGE_SEARCH_ENDPOINT,
+  fetcher = catalogueFetcher,
+} = {}) {
+  function load(signal) {
+    logger.log("Fetching datasets list from CKAN:", url);
+    return fetcher(url, signal).then((ckanData) => {
+      if (
+        !ckanData ||
+        !ckanData.success ||
+        !ckanData.result ||
+        !Array.isArray(ckanData.result.results)
+      ) {
+        throw new Error("Unknown response format from package_search");
+      }
+
+      const allResources = [];
+      ckanData.result.results.forEach((pkg) => {
+        if (!Array.isArray(pkg.resources)) return;
+        pkg.resources.forEach((resource) => {
+          allResources.push({
+            resource_id: resource.id,
+            resource_name: resource.name || pkg.title,
+            organisation:
+              pkg.organization?.title || pkg.organization?.name || "Unknown",
+            resource_format: toFormat(resource.format),
+            description: resource.description || pkg.notes || "",
+            last_updated: toTimestamp(
+              resource.last_modified || pkg.metadata_modified
+            ),
+          });
+        });
+      });
+      return { resources: allResources, fetchedAt: getFetchedAt(ckanData) };
+    });
+  }
+
+  return { name: "ckan", load };
+}
+
+/**
+ * Source backed by a local JSON fixture
+ * The fixture may be an array of resources, or a URL (e.g. a file in public/)
+ * that serves such an array.
+ * @param {Array|string} fixture - Resources, or a URL to fetch them from
+ * @param {Object} [options]
+ * @param {Function} [options.fetcher] - (url, signal) => Promise<json>
+ * @returns {Object} - Catalogue source
+ */
+export function createFixtureSource(fixture, { fetcher = fetchJson } = {}) {
+  function load(signal) {
+    const data =
+      typeof fixture === "string"
+        ? fetcher(fixture, signal)
+        : Promise.resolve(fixture);
+    return data.then((resources) => {
+      if (!Array.isArray(resources)) {
+        throw new Error("Catalogue fixture must be an array of resources");
+      }
+      return {
+        resources: resources.map((resource) => ({
+          ...resource,
+          resource_format: toFormat(resource.resource_format),
+        })),
+        fetchedAt: getFetchedAt(resources),
+      };
+    });
+  }
+
+  return { name: "fixture", load };
+}
+
+/**
+ * Returns the sorted list of unique organisations in a resource list
+ * @param {Array} resources - Catalogue resources
+ * @returns {Array<string>} - Organisation names
+ */
+export function getOrganisations(resources) {
+  return [...new Set(resources.map((item) => item.organisation))].sort();
+}
+
+/**
+ * Creates a catalogue client that loads resources from the first working source
+ * @param {Object} [options]
+ * @param {Array} [options.sources] - Sources to try in order (default: v2, then CKAN)
+ * @returns {Object} - Client with a `load(signal)` method resolving to
+ *   { resources, allResources, orgList, source, fetchedAt }, where resources
+ *   are the CSV resources and allResources those in every format
+ */
+export function createCatalogueClient({ sources } = {}) {
+  const catalogueSources = sources || [createV2Source(), createCkanSource()];
+
+  function load(signal) {
+    const failures = [];
+
+    function trySource(index) {
+      if (index >= catalogueSources.length) {
+        const details = failures
+          .map(({ name, error }) => `${name} error: ${error.message}`)
+          .join(". ");
+        const error = new Error(
+          `Unable to load the dataset catalogue. ${details}`
+        );
+        error.failures = failures;
+        return Promise.reject(error);
+      }
+
+      const source = catalogueSources[index];
+      return source
+        .load(signal)
+        .then(({ resources: allResources, fetchedAt }) => {
+          const resources = (allResources || []).filter(isCsvResource);
+          if (resources.length === 0) {
+            throw new Error("No CSV datasets found in API response");
+          }
+          logger.log(
+            `Found ${resources.length} CSV resources of ${allResources.length} from ${source.name} source`
+          );
+          return {
+            resources,
+            allResources,
+            orgList: getOrganisations(resources),
+            source: source.name,
+            fetchedAt,
+          };
+        })
+        .catch((error) => {
+          if (isAbortError(error)) throw error;
+          logger.warn(`Catalogue source "${source.name}" failed:`, error);
+          failures.push({ name: source.name, error });
+          return trySource(index + 1);
+        });
+    }
+
+    return trySource(0);
+  }
+
+  return { load };
+}
+
+/**
+ * Builds a user-facing message for a catalogue loading error
+ * @param {Error} error - Error from the catalogue client
+ * @returns {string} - Error message with diagnostic details
+ */
+export function describeCatalogueError(error) {
+  let errorMessage = "Failed to fetch data from API. ";
+  let errorDetails = "";
+
+  // Check if it's a network/CORS error
+  if (
+    error.message &&
+    (error.message.includes("Failed to fetch") ||
+      error.message.includes("NetworkError") ||
+      error.message.includes("Network request failed") ||
+      error.name === "TypeError")
+  ) {
+    if (window.location.protocol === "file:") {
+      errorMessage +=
+        "You are opening the file directly. Please use 'npm start' or serve via HTTP server.";
+      errorDetails = `Protocol: ${window.location.protocol}, Hostname: ${window.location.hostname}`;
+    } else {
+      errorMessage +=
+        "Network error. This could be due to: 1) CORS restrictions, 2) Network connectivity, 3) API server issues, 4) Proxy configuration. ";
+      errorDetails = `Requested: ${API_DATASETS_ENDPOINT}, Origin: ${window.location.origin}, Protocol: ${window.location.protocol}`;
+    }
+  } else {
+    errorMessage += error.message || "Unknown error occurred.";
+    errorDetails = `Error type: ${error.name}, Message: ${error.message}`;
+  }
+
+  return `${errorMessage} [Details: ${errorDetails}]`;
+}
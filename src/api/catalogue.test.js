@@ -0,0 +1,212 @@
+import {
+  createCatalogueClient,
+  createCkanSource,
+  createFixtureSource,
+  createV2Source,
+  getOrganisations,
+} from "./catalogue";
+
+const csv = (id, organisation) => ({
+  resource_id: id,
+  resource_name: `Dataset ${id}`,
+  organisation,
+  resource_format: "CSV",
+});
+
+const failingSource = (name, error = new Error(`${name} is down`)) => ({
+  name,
+  load: () => Promise.reject(error),
+});
+
+describe("createCatalogueClient", () => {
+  test("uses the first source that works", () => {
+    const client = createCatalogueClient({
+      sources: [
+        failingSource("v2"),
+        createFixtureSource([csv("a", "HDB"), csv("b", "NEA")]),
+      ],
+    });
+    return client.load().then((catalogue) => {
+      expect(catalogue.source).toBe("fixture");
+      expect(catalogue.resources.map((r) => r.resource_id)).toEqual(["a", "b"]);
+      expect(catalogue.orgList).toEqual(["HDB", "NEA"]);
+    });
+  });
+
+  test("falls back when a source has no CSV resources", () => {
+    const client = createCatalogueClient({
+      sources: [
+        createFixtureSource([{ ...csv("a", "HDB"), resource_format: "PDF" }]),
+        createFixtureSource([csv("b", "NEA")]),
+      ],
+    });
+    return client.load().then((catalogue) => {
+      expect(catalogue.resources.map((r) => r.resource_id)).toEqual(["b"]);
+    });
+  });
+
+  test("charts the CSV resources and searches them all", () => {
+    const client = createCatalogueClient({
+      sources: [
+        createFixtureSource([
+          csv("a", "HDB"),
+          { ...csv("b", "URA"), resource_format: "kml" },
+          { ...csv("c", "NEA"), resource_format: "csv" },
+        ]),
+      ],
+    });
+    return client.load().then((catalogue) => {
+      expect(catalogue.resources.map((r) => r.resource_id)).toEqual(["a", "c"]);
+      expect(
+        catalogue.allResources.map((r) => [r.resource_id, r.resource_format])
+      ).toEqual([
+        ["a", "CSV"],
+        ["b", "KML"],
+        ["c", "CSV"],
+      ]);
+      expect(catalogue.orgList).toEqual(["HDB", "NEA"]);
+    });
+  });
+
+  test("reports every failure when no source works", () => {
+    const client = createCatalogueClient({
+      sources: [failingSource("v2"), failingSource("ckan")],
+    });
+    return client.load().then(
+      () => {
+        throw new Error("expected the load to fail");
+      },
+      (error) => {
+        expect(error.message).toContain("v2 error: v2 is down");
+        expect(error.message).toContain("ckan error: ckan is down");
+        expect(error.failures.map((failure) => failure.name)).toEqual([
+          "v2",
+          "ckan",
+        ]);
+      }
+    );
+  });
+
+  test("does not fall back when loading is cancelled", () => {
+    const abort = new DOMException("The operation was aborted.", "AbortError");
+    const fallback = { name: "fixture", load: jest.fn() };
+    const client = createCatalogueClient({
+      sources: [failingSource("v2", abort), fallback],
+    });
+    return client.load().then(
+      () => {
+        throw new Error("expected the load to fail");
+      },
+      (error) => {
+        expect(error.name).toBe("AbortError");
+        expect(fallback.load).not.toHaveBeenCalled();
+      }
+    );
+  });
+});
+
+describe("createV2Source", () => {
+  const page = (datasets, pages) => ({ code: 0, data: { datasets, pages } });
+  const dataset = (id, format = "CSV") => ({
+    datasetId: id,
+    name: `Dataset ${id}`,
+    format,
+    managedByAgencyName: "HDB",
+    description: `About ${id}`,
+    lastUpdatedAt: "2024-01-02T00:00:00Z",
+  });
+
+  test("fetches every page up to maxPages, keeping each format", () => {
+    const pages = {
+      "https://example.test/datasets": page([dataset("d_1")], 4),
+      "https://example.test/datasets?page=2": page([dataset("d_2", "PDF")]),
+      "https://example.test/datasets?page=3": page([dataset("d_3")]),
+    };
+    const fetcher = jest.fn((url) => Promise.resolve(pages[url]));
+    const source = createV2Source({
+      endpoint: "https://example.test/datasets",
+      maxPages: 3,
+      fetcher,
+    });
+    return source.load().then(({ resources }) => {
+      expect(fetcher).toHaveBeenCalledTimes(3);
+      expect(resources).toEqual([
+        {
+          resource_id: "d_1",
+          resource_name: "Dataset d_1",
+          organisation: "HDB",
+          resource_format: "CSV",
+          description: "About d_1",
+          last_updated: Date.parse("2024-01-02T00:00:00Z"),
+        },
+        expect.objectContaining({ resource_id: "d_2", resource_format: "PDF" }),
+        expect.objectContaining({ resource_id: "d_3" }),
+      ]);
+    });
+  });
+
+  test("skips a page that fails", () => {
+    const fetcher = (url) =>
+      url.endsWith("page=2")
+        ? Promise.reject(new Error("timeout"))
+        : Promise.resolve(page([dataset("d_1")], 2));
+    return createV2Source({ fetcher })
+      .load()
+      .then(({ resources }) => {
+        expect(resources.map((r) => r.resource_id)).toEqual(["d_1"]);
+      });
+  });
+
+  test("rejects an unknown response", () => {
+    const fetcher = () => Promise.resolve({ code: 1 });
+    return expect(createV2Source({ fetcher }).load()).rejects.toThrow(
+      "Unknown response format"
+    );
+  });
+});
+
+describe("createCkanSource", () => {
+  test("lists the resources of every package", () => {
+    const fetcher = () =>
+      Promise.resolve({
+        success: true,
+        result: {
+          results: [
+            {
+              title: "Resale prices",
+              notes: "Flat resale prices",
+              organization: { title: "HDB" },
+              resources: [
+                { id: "r1", name: "", format: "csv" },
+                { id: "r2", name: "Map", format: "KML" },
+              ],
+            },
+          ],
+        },
+      });
+    return createCkanSource({ fetcher })
+      .load()
+      .then(({ resources }) => {
+        expect(resources).toEqual([
+          {
+            resource_id: "r1",
+            resource_name: "Resale prices",
+            organisation: "HDB",
+            resource_format: "CSV",
+            description: "Flat resale prices",
+            last_updated: null,
+          },
+          expect.objectContaining({
+            resource_id: "r2",
+            resource_format: "KML",
+          }),
+        ]);
+      });
+  });
+});
+
+test("getOrganisations lists each organisation once, sorted", () => {
+  expect(
+    getOrganisations([csv("a", "NEA"), csv("b", "HDB"), csv("c", "NEA")])
+  ).toEqual(["HDB", "NEA"]);
+});
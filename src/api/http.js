@@ -0,0 +1,89 @@
+import { ERROR_MESSAGE_MAX_LENGTH } from "../constants";
+import { logger } from "../utils/logger";
+
+// Options shared by every request to data.gov.sg
+const REQUEST_OPTIONS = {
+  mode: "cors", // Need CORS for cross-origin request
+  credentials: "omit",
+  headers: {
+    Accept: "application/json",
+  },
+};
+
+/**
+ * Fetches a URL and parses the JSON body
+ * Non-2xx responses are rejected with the status line and the (truncated) body
+ * @param {string} url - URL to fetch
+ * @param {AbortSignal} [signal] - Signal used to cancel the request
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+export function fetchJson(url, signal) {
+  return fetch(url, { ...REQUEST_OPTIONS, signal }).then((res) => {
+    if (!res.ok) {
+      return res.text().then((text) => {
+        logger.error("=== ERROR RESPONSE ===", res.status, res.statusText, url);
+
+        // Try to parse as JSON if possible
+        let errorDetails = text;
+        try {
+          errorDetails = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (e) {
+          logger.error("Response is not JSON, raw text:", text.substring(0, 1000));
+        }
+
+        throw new Error(
+          `HTTP ${res.status} ${res.statusText} - ${errorDetails.substring(
+            0,
+            ERROR_MESSAGE_MAX_LENGTH
+          )}`
+        );
+      });
+    }
+
+    return res
+      .json()
+      .then((json) => markFetchedAt(json, Date.now()))
+      .catch((parseError) => {
+        throw new Error(
+          `Failed to parse JSON response: ${parseError.message}`
+        );
+      });
+  });
+}
+
+/**
+ * Checks whether an error was caused by an aborted request
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True if the request was cancelled
+ */
+export function isAbortError(error) {
+  return !!error && error.name === "AbortError";
+}
+
+// When each parsed response was retrieved from the network
+const fetchedAtByResponse = new WeakMap();
+
+/**
+ * Records when a parsed response was retrieved from the network
+ * @param {Object} response - Parsed JSON response
+ * @param {number} fetchedAt - Timestamp in milliseconds
+ * @returns {Object} - The same response
+ */
+export function markFetchedAt(response, fetchedAt) {
+  if (response && typeof response === "object") {
+    fetchedAtByResponse.set(response, fetchedAt);
+  }
+  return response;
+}
+
+/**
+ * Returns when a parsed response was retrieved from the network
+ * @param {Object} response - Parsed JSON response
+ * @returns {number|null} - Timestamp in milliseconds, or null if unknown
+ */
+export function getFetchedAt(response) {
+  if (!response || typeof response !== "object") return null;
+  return fetchedAtByResponse.has(response)
+    ? fetchedAtByResponse.get(response)
+    : null;
+}
@@ -0,0 +1,227 @@
+import {
+  API_BASE_URL,
+  API_LIST_ROWS_ENDPOINT,
+  MAX_DATASET_SIZE,
+  BATCH_SIZE,
+  CACHE_TTL,
+} from "../constants";
+import { logger, verboseLog } from "../utils/logger";
+import { getFetchedAt } from "./http";
+import { createCachedFetcher } from "./cache";
+
+/**
+ * Dataset rows loader for the v2 `list-rows` endpoint
+ *
+ * The first page tells us how to paginate:
+ * - `data.links.next` is followed as a cursor, one page at a time
+ * - otherwise the remaining offsets are fetched in parallel batches of
+ *   BATCH_SIZE, up to `data.total` (or `totalRowCount`) if the API reports it
+ *   and until a short page comes back if it doesn't
+ * Loading stops at MAX_DATASET_SIZE rows.
+ */
+
+// Dataset rows are cached offline (see api/cache.js)
+const listRowsFetcher = createCachedFetcher(CACHE_TTL.LIST_ROWS);
+
+function isAborted(signal) {
+  return !!signal && signal.aborted;
+}
+
+function abortError() {
+  return new DOMException("The operation was aborted.", "AbortError");
+}
+
+function pageUrl(resourceID, pageSize, offset) {
+  const url = `${API_LIST_ROWS_ENDPOINT(resourceID)}?limit=${pageSize}`;
+  return offset > 0 ? `${url}&offset=${offset}` : url;
+}
+
+function getTotal(data) {
+  const total = data.total ?? data.totalRowCount ?? data.count;
+  return typeof total === "number" && total >= 0 ? total : null;
+}
+
+function getNextUrl(data) {
+  const next = data.links && data.links.next;
+  return next ? new URL(next, API_BASE_URL).toString() : null;
+}
+
+/**
+ * Normalises field descriptors, inferring them from the first row if missing
+ * @param {Array} fields - Fields from the API (may be empty)
+ * @param {Array} rows - Dataset rows
+ * @returns {Array} - Fields of the shape { id, type, ... }
+ */
+export function normaliseFields(fields, rows) {
+  if (fields && fields.length > 0) {
+    // Handle different possible field structures
+    return fields.map((field, index) => ({
+      id:
+        field.id || field.name || field.field || field.column || `field_${index}`,
+      type: field.type || "text",
+      ...field,
+    }));
+  }
+  if (rows.length > 0) {
+    logger.log("No fields provided, inferring from row structure");
+    const firstRow = rows[0];
+    return Object.keys(firstRow).map((key) => ({
+      id: key,
+      type: typeof firstRow[key] === "number" ? "number" : "text",
+    }));
+  }
+  return [];
+}
+
+/**
+ * Loads every row of a dataset, following the API's pagination
+ * @param {string} resourceID - Dataset ID
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] - Rows requested per page, a positive
+ * integer
+ * @param {number} [options.maxRows] - Stop after this many rows
+ * @param {AbortSignal} [options.signal] - Signal used to cancel loading
+ * @param {Function} [options.onProgress] - Called with { loaded, total }
+ * @param {Function} [options.fetcher] - (url, signal) => Promise<json>
+ * @returns {Promise<Object>} - { records, fields, fetchedAt, total, truncated }
+ */
+export function loadDatasetRows(
+  resourceID,
+  {
+    pageSize = 1000,
+    maxRows = MAX_DATASET_SIZE,
+    signal,
+    onProgress = () => {},
+    fetcher = listRowsFetcher,
+  } = {}
+) {
+  // The offsets below advance by pageSize, so it must move them forward
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    return Promise.reject(
+      new Error(`Page size must be a positive integer, not ${pageSize}`)
+    );
+  }
+  let records = [];
+  let fetchedAt = null;
+
+  function addPage(apiData) {
+    const rows = (apiData.data && apiData.data.rows) || [];
+    const pageFetchedAt = getFetchedAt(apiData);
+    if (pageFetchedAt !== null) {
+      fetchedAt =
+        fetchedAt === null ? pageFetchedAt : Math.min(fetchedAt, pageFetchedAt);
+    }
+    records = records.concat(rows);
+    return rows;
+  }
+
+  function isV2Rows(apiData) {
+    return !!apiData && apiData.code === 0 && !!apiData.data;
+  }
+
+  function fetchPage(url) {
+    if (isAborted(signal)) return Promise.reject(abortError());
+    verboseLog("Fetching rows page:", url);
+    return fetcher(url, signal).then((apiData) => {
+      if (!isV2Rows(apiData)) {
+        throw new Error("Unknown response format from list-rows page");
+      }
+      return apiData;
+    });
+  }
+
+  // Follow `links.next` until the cursor runs out or we have enough rows
+  function followCursor(nextUrl, total) {
+    if (!nextUrl || records.length >= maxRows) return Promise.resolve();
+    return fetchPage(nextUrl).then((apiData) => {
+      const rows = addPage(apiData);
+      onProgress({ loaded: records.length, total });
+      if (rows.length === 0) return undefined;
+      return followCursor(getNextUrl(apiData.data), total);
+    });
+  }
+
+  // Fetch the given offsets BATCH_SIZE pages at a time
+  function fetchOffsets(offsets, total) {
+    if (offsets.length === 0 || records.length >= maxRows) {
+      return Promise.resolve();
+    }
+    const batch = offsets.slice(0, BATCH_SIZE);
+    return Promise.all(
+      batch.map((offset) => fetchPage(pageUrl(resourceID, pageSize, offset)))
+    ).then((pages) => {
+      // Promise.all keeps pages in offset order even if they resolve out of order
+      let shortPage = false;
+      pages.forEach((apiData) => {
+        if (addPage(apiData).length < pageSize) shortPage = true;
+      });
+      onProgress({ loaded: records.length, total });
+      // Without a known total, a short page means we've reached the end
+      if (total === null && shortPage) return undefined;
+      return fetchOffsets(offsets.slice(BATCH_SIZE), total);
+    });
+  }
+
+  const firstUrl = pageUrl(resourceID, pageSize, 0);
+  logger.log("=== FETCHING DATASET ROWS ===");
+  logger.log("Fetching dataset from:", firstUrl);
+
+  return fetcher(firstUrl, signal).then((apiData) => {
+    // Fallback: Handle old CKAN format, which is not paginated
+    if (apiData && apiData.success && apiData.result) {
+      verboseLog("=== CKAN DATASET FORMAT DETECTED ===");
+      const result = apiData.result;
+      return {
+        records: result.records || [],
+        fields: normaliseFields(result.fields, result.records || []),
+        fetchedAt: getFetchedAt(apiData),
+        total: (result.records || []).length,
+        truncated: false,
+      };
+    }
+    if (!isV2Rows(apiData)) {
+      throw new Error("Unknown response format from dataset endpoint");
+    }
+
+    const firstRows = addPage(apiData);
+    const fields = apiData.data.fields || [];
+    const total = getTotal(apiData.data);
+    const nextUrl = getNextUrl(apiData.data);
+    onProgress({ loaded: records.length, total });
+
+    let remaining;
+    if (firstRows.length < pageSize && !nextUrl) {
+      // Everything fit on the first page
+      remaining = Promise.resolve();
+    } else if (nextUrl) {
+      remaining = followCursor(nextUrl, total);
+    } else {
+      // With no total, fetchOffsets stops at the first short page
+      const lastOffset = total === null ? maxRows : Math.min(total, maxRows);
+      const offsets = [];
+      for (let offset = pageSize; offset < lastOffset; offset += pageSize) {
+        offsets.push(offset);
+      }
+      remaining = fetchOffsets(offsets, total);
+    }
+
+    return remaining.then(() => {
+      const truncated =
+        records.length > maxRows || (total !== null && total > maxRows);
+      if (truncated) {
+        logger.warn(
+          `Dataset ${resourceID} has more than ${maxRows} rows; only the first ${maxRows} are loaded`
+        );
+      }
+      records = records.slice(0, maxRows);
+      logger.log(`Found ${records.length} rows`);
+      return {
+        records,
+        fields: normaliseFields(fields, records),
+        fetchedAt,
+        total: total === null ? records.length : total,
+        truncated,
+      };
+    });
+  });
+}
@@ -0,0 +1,157 @@
+import { loadDatasetRows, normaliseFields } from "./rows";
+import { API_LIST_ROWS_ENDPOINT } from "../constants";
+
+const rowsOf = (from, count) =>
+  Array.from({ length: count }, (value, i) => ({ _id: from + i + 1 }));
+
+// Serves `rowCount` rows by limit and offset, like list-rows without a cursor
+function offsetFetcher(rowCount, { reportTotal = true } = {}) {
+  return jest.fn((url) => {
+    const params = new URL(url).searchParams;
+    const limit = Number(params.get("limit"));
+    const offset = Number(params.get("offset") || 0);
+    const count = Math.max(0, Math.min(limit, rowCount - offset));
+    return Promise.resolve({
+      code: 0,
+      data: {
+        rows: rowsOf(offset, count),
+        fields: [{ id: "_id", type: "int" }],
+        ...(reportTotal && { total: rowCount }),
+      },
+    });
+  });
+}
+
+const ids = (result) => result.records.map((record) => record._id);
+
+describe("loadDatasetRows", () => {
+  test("follows links.next as a cursor", () => {
+    const pages = {
+      [`${API_LIST_ROWS_ENDPOINT("d_1")}?limit=2`]: {
+        rows: rowsOf(0, 2),
+        links: { next: "/datasets/d_1/list-rows?cursor=b" },
+      },
+      "https://api-production.data.gov.sg/datasets/d_1/list-rows?cursor=b": {
+        rows: rowsOf(2, 2),
+        links: { next: "/datasets/d_1/list-rows?cursor=c" },
+      },
+      "https://api-production.data.gov.sg/datasets/d_1/list-rows?cursor=c": {
+        rows: rowsOf(4, 1),
+      },
+    };
+    const fetcher = jest.fn((url) =>
+      Promise.resolve({ code: 0, data: pages[url] })
+    );
+    return loadDatasetRows("d_1", { pageSize: 2, fetcher }).then((result) => {
+      expect(fetcher).toHaveBeenCalledTimes(3);
+      expect(ids(result)).toEqual([1, 2, 3, 4, 5]);
+      expect(result.truncated).toBe(false);
+      expect(result.total).toBe(5);
+    });
+  });
+
+  test("fetches the offsets up to the reported total", () => {
+    const fetcher = offsetFetcher(5);
+    const progress = [];
+    return loadDatasetRows("d_1", {
+      pageSize: 2,
+      fetcher,
+      onProgress: (update) => progress.push(update),
+    }).then((result) => {
+      expect(fetcher.mock.calls.map(([url]) => new URL(url).search)).toEqual([
+        "?limit=2",
+        "?limit=2&offset=2",
+        "?limit=2&offset=4",
+      ]);
+      expect(ids(result)).toEqual([1, 2, 3, 4, 5]);
+      expect(progress[progress.length - 1]).toEqual({ loaded: 5, total: 5 });
+    });
+  });
+
+  test("stops at the first short page when there is no total", () => {
+    const fetcher = offsetFetcher(5, { reportTotal: false });
+    return loadDatasetRows("d_1", { pageSize: 2, maxRows: 100, fetcher }).then(
+      (result) => {
+        expect(ids(result)).toEqual([1, 2, 3, 4, 5]);
+        expect(result.total).toBe(5);
+        // The first batch reaches the short page, so no second batch is sent
+        expect(fetcher).toHaveBeenCalledTimes(11);
+      }
+    );
+  });
+
+  test("makes a single request when the first page is short", () => {
+    const fetcher = offsetFetcher(3, { reportTotal: false });
+    return loadDatasetRows("d_1", { pageSize: 10, fetcher }).then((result) => {
+      expect(fetcher).toHaveBeenCalledTimes(1);
+      expect(ids(result)).toEqual([1, 2, 3]);
+    });
+  });
+
+  test("truncates at maxRows", () => {
+    const fetcher = offsetFetcher(10);
+    return loadDatasetRows("d_1", { pageSize: 3, maxRows: 4, fetcher }).then(
+      (result) => {
+        expect(ids(result)).toEqual([1, 2, 3, 4]);
+        expect(result.truncated).toBe(true);
+        expect(result.total).toBe(10);
+      }
+    );
+  });
+
+  test("reads the unpaginated CKAN format", () => {
+    const fetcher = () =>
+      Promise.resolve({
+        success: true,
+        result: { records: [{ year: "2019" }], fields: [{ id: "year" }] },
+      });
+    return loadDatasetRows("r1", { fetcher }).then((result) => {
+      expect(result.records).toEqual([{ year: "2019" }]);
+      expect(result.fields).toEqual([{ id: "year", type: "text" }]);
+      expect(result.truncated).toBe(false);
+    });
+  });
+
+  test("rejects a page size that would not move the offsets forward", () => {
+    const fetcher = offsetFetcher(10);
+    const attempts = [0, -1000, NaN, Infinity, 1.5, "1000"].map((pageSize) =>
+      expect(loadDatasetRows("d_1", { pageSize, fetcher })).rejects.toThrow(
+        `Page size must be a positive integer, not ${pageSize}`
+      )
+    );
+    return Promise.all(attempts).then(() => {
+      expect(fetcher).not.toHaveBeenCalled();
+    });
+  });
+
+  test("rejects when cancelled between pages", () => {
+    const controller = new AbortController();
+    const fetcher = jest.fn((url) => {
+      controller.abort();
+      return offsetFetcher(10)(url);
+    });
+    return expect(
+      loadDatasetRows("d_1", {
+        pageSize: 2,
+        signal: controller.signal,
+        fetcher,
+      })
+    ).rejects.toMatchObject({ name: "AbortError" });
+  });
+});
+
+describe("normaliseFields", () => {
+  test("names each field by its id", () => {
+    expect(normaliseFields([{ name: "year" }], [])).toEqual([
+      { id: "year", type: "text", name: "year" },
+    ]);
+  });
+
+  test("infers the fields from the first row when none are listed", () => {
+    expect(normaliseFields([], [{ year: 2019, town: "Bedok" }])).toEqual([
+      { id: "year", type: "number" },
+      { id: "town", type: "text" },
+    ]);
+    expect(normaliseFields([], [])).toEqual([]);
+  });
+});
@@ -8,13 +8,28 @@ export const API_BASE_URL = "https://api-production.data.gov.sg/v2/public/api";
 export const API_DATASETS_ENDPOINT = `${API_BASE_URL}/datasets`;
 export const API_LIST_ROWS_ENDPOINT = (datasetId) =>
   `${API_BASE_URL}/datasets/${datasetId}/list-rows`;
+// Legacy CKAN API, proxied via /api (see setupProxy.js); every format is
+// listed, as the search shows the datasets that can't be charted too
+export const CKAN_PACKAGE_SEARCH_ENDPOINT =
+  "/api/action/package_search?rows=1000";
+// A dataset's page on the portal, by its v2 dataset ID
+export const DATASET_PAGE_URL = (datasetId) =>
+  `https://data.gov.sg/datasets/${datasetId}/view`;
 
 // Pagination & Data Limits
 export const MAX_PAGES_TO_FETCH = 50;
 export const DEFAULT_LIMIT = 2000;
+// Rows per request offered by the limit slider
+export const MIN_LIMIT = 1000;
+export const MAX_LIMIT = 10000;
+export const LIMIT_STEP = 1000;
 export const MAX_DATASET_SIZE = 100000;
 export const BATCH_SIZE = 10; // Pages to fetch in parallel
 
+// Licence attribution required by the Singapore Open Data Licence
+export const DATA_ATTRIBUTION =
+  "Contains information from datasets accessed from data.gov.sg which is made available under the terms of the Singapore Open Data Licence version 1.0.";
+
 // Chart Configuration
 export const CHART_HEIGHT = 600;
 export const CHART_MARGINS = {
@@ -30,9 +45,49 @@ export const LEGEND_FONT_SIZE = "0.75em";
 // Animation
 export const ANIMATION_DURATION = 750;
 
+// Line Downsampling
+export const DOWNSAMPLE_POINTS_PER_PIXEL = 1; // Points kept per series for each pixel of chart width
+export const LINE_DOT_THRESHOLD = 500; // Plotted points above which lines are drawn without dots or animation
+
+// Chart Zoom
+export const ZOOM_WHEEL_FACTOR = 1.2; // Range scale for each mouse-wheel step
+export const ZOOM_MIN_SELECTION = 10; // Pixels a drag must cover to zoom that axis
+export const BRUSH_HEIGHT = 30;
+
 // Debouncing
 export const DEBOUNCE_DELAY = 500; // milliseconds
 
+// Offline Cache (IndexedDB)
+// Responses younger than maxAge are served from cache; older ones are served
+// stale while a background refresh runs, up to maxAge + staleWhileRevalidate.
+export const CACHE_DB_NAME = "sgraphs-cache";
+const HOUR = 60 * 60 * 1000;
+export const CACHE_TTL = {
+  CATALOGUE: { maxAge: 24 * HOUR, staleWhileRevalidate: 7 * 24 * HOUR },
+  LIST_ROWS: { maxAge: 6 * HOUR, staleWhileRevalidate: 7 * 24 * HOUR },
+};
+
+// Saved Views (localStorage)
+export const SAVED_VIEWS_STORAGE_KEY = "sgraphs.savedViews";
+
+// Dataset Search
+export const RECENT_DATASETS_STORAGE_KEY = "sgraphs.recentDatasets";
+export const MAX_RECENT_DATASETS = 5;
+export const MAX_SEARCH_RESULTS = 50; // Results listed at once
+export const SEARCH_DEBOUNCE_DELAY = 150; // milliseconds
+// How much a match in each catalogue field counts towards a result's rank
+export const SEARCH_FIELD_WEIGHTS = {
+  resource_name: 3,
+  organisation: 2,
+  description: 1,
+};
+export const UPDATED_FACET_OPTIONS = [
+  { value: "", label: "Any time" },
+  { value: "month", label: "Past month", days: 31 },
+  { value: "year", label: "Past year", days: 366 },
+  { value: "3years", label: "Past 3 years", days: 3 * 366 },
+];
+
 // Error Message Limits
 export const ERROR_MESSAGE_MAX_LENGTH = 500;
 export const ERROR_DETAILS_MAX_LENGTH = 2000;
@@ -52,10 +107,100 @@ export const MIN_SERIES_UNIQUE_COUNT = 2;
 export const MAX_SERIES_UNIQUE_COUNT = 20;
 export const NUMERIC_RATIO_THRESHOLD = 0.8; // 80% of values must be numeric
 
+// Aggregation of the y-values that share a series and x-value
+export const AGGREGATION_OPTIONS = [
+  { value: "none", label: "None (plot every row)" },
+  { value: "sum", label: "Sum" },
+  { value: "mean", label: "Mean" },
+  { value: "median", label: "Median" },
+  { value: "min", label: "Minimum" },
+  { value: "max", label: "Maximum" },
+  { value: "count", label: "Count" },
+  { value: "countDistinct", label: "Count distinct" },
+  { value: "first", label: "First" },
+  { value: "last", label: "Last" },
+  { value: "std", label: "Standard deviation" },
+];
+
+// Resampling periods for date x-axes
+export const TIME_BUCKET_OPTIONS = [
+  { value: "", label: "Raw (no resampling)" },
+  { value: "day", label: "Day" },
+  { value: "week", label: "Week" },
+  { value: "month", label: "Month" },
+  { value: "quarter", label: "Quarter" },
+  { value: "half", label: "Half-year" },
+  { value: "year", label: "Year" },
+  { value: "fy", label: "Financial year (Apr-Mar)" },
+];
+
+// How missing y-values are drawn
+export const MISSING_VALUE_OPTIONS = [
+  { value: "", label: "Leave gaps" },
+  { value: "zero", label: "Fill with zero" },
+  { value: "interpolate", label: "Interpolate" },
+];
+
+// Chart types, in the order they are offered
+export const CHART_TYPE_OPTIONS = [
+  { value: "line", label: "Line" },
+  { value: "area", label: "Stacked area" },
+  { value: "bar", label: "Bars" },
+  { value: "stackedBar", label: "Stacked bars" },
+  { value: "percentBar", label: "100% stacked bars" },
+  { value: "horizontalBar", label: "Horizontal bars" },
+  { value: "scatter", label: "Scatter" },
+  { value: "scatterTrend", label: "Scatter with trendline" },
+  { value: "pie", label: "Pie" },
+  { value: "donut", label: "Donut" },
+  { value: "heatmap", label: "Heatmap" },
+];
+export const PIE_MAX_SLICES = 12; // More parts than this are hard to read as a pie
+
+// Row Filters
+export const MAX_FILTER_OPTIONS = 500; // Distinct values listed in a category filter
+
+// Value Normalisation
+// Cell text (compared in lower case) that stands for a missing or suppressed value
+export const MISSING_VALUE_MARKERS = ["na", "n.a.", "n/a", "-", "--", "..", "s", "nil", "null"];
+export const THOUSANDS_SEPARATOR = ","; // As in "1,234,567"
+
+// Column Profiling
+export const PROFILE_WORKER_THRESHOLD = 20000; // Rows above which profiling runs in a worker
+
+// Chart Processing
+export const PROCESSING_WORKER_THRESHOLD = 10000; // Rows above which charts are processed in a worker
+export const PROCESSING_CHUNK_SIZE = 5000; // Rows processed between checks for cancellation
+
+// Dataset Layers
+export const MAX_LAYERS = 2; // Datasets that may be overlaid on the chart's own
+
+// Dataset Joins
+export const JOIN_TYPE_OPTIONS = [
+  { value: "inner", label: "Inner join (matching rows only)" },
+  { value: "left", label: "Left join (keep every row)" },
+];
+// How the values of a key pair are compared
+export const KEY_COERCION_OPTIONS = [
+  { value: "auto", label: "Automatic" },
+  { value: "text", label: "Text (ignoring case)" },
+  { value: "number", label: "Number" },
+  { value: "date", label: "Date or period" },
+];
+export const JOINED_FIELD_SUFFIX = "_joined"; // Added to joined fields whose names are taken
+
+// Reshaping
+export const RESHAPE_MODE_OPTIONS = [
+  { value: "", label: "None" },
+  { value: "unpivot", label: "Unpivot (columns to rows)" },
+  { value: "pivot", label: "Pivot (rows to columns)" },
+];
+export const MAX_PIVOT_COLUMNS = 50; // Columns a pivot may create
+
 // Date Parsing
 export const TIMESTAMP_THRESHOLD = 1000000000; // Values above this are likely timestamps
 
-// Scoring Weights (for computeLabels)
+// Scoring Weights (for recommendAxes), added up per (x, y, series) candidate
 export const SCORE_WEIGHTS = {
   TIME_FIELD_X: 150,
   VALUE_FIELD_Y: 150,
@@ -63,7 +208,14 @@ export const SCORE_WEIGHTS = {
   UNIQUE_COUNT_BONUS: 30,
   TIME_FIELD_Y_PENALTY: -100,
   VALUE_FIELD_X_PENALTY: -50,
+  CATEGORICAL_X_BONUS: 20,
+  NON_NUMERIC_Y_PENALTY: -200,
+  CONSTANT_FIELD_PENALTY: -120,
+  IDENTIFIER_PENALTY: -150,
+  SERIES_BONUS: 40,
+  SERIES_DISTANCE_PENALTY: -3, // Per distinct value away from IDEAL_SERIES_UNIQUE_COUNT
 };
+export const SUGGESTION_COUNT = 5; // Suggested charts offered in the settings
 
 // Color Palette
 export const COLOR_PALETTE = [
@@ -1 +1,71 @@
- 
\ No newline at end of file
+import { useState, useEffect, useRef } from "react";
+
+import { createCatalogueClient } from "../api/catalogue";
+import { isAbortError } from "../api/http";
+import { logger } from "../utils/logger";
+
+const defaultClient = createCatalogueClient();
+
+/**
+ * Custom hook to load the dataset catalogue
+ * @param {Object} [client] - Catalogue client (defaults to v2 with CKAN fallback)
+ * @returns {Object} - { packages, allPackages, orgList, source, fetchedAt,
+ *   isLoading, error }, where packages are the CSV datasets and allPackages
+ *   those in every format
+ */
+export function useDatasetListFetch(client = defaultClient) {
+  const [packages, setPackages] = useState([]);
+  const [allPackages, setAllPackages] = useState([]);
+  const [orgList, setOrgList] = useState([]);
+  const [source, setSource] = useState(null);
+  const [fetchedAt, setFetchedAt] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Ref to track and cancel the catalogue request
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    setIsLoading(true);
+    setError(null);
+
+    client
+      .load(abortController.signal)
+      .then((catalogue) => {
+        if (abortController.signal.aborted) return;
+        setPackages(catalogue.resources);
+        setAllPackages(catalogue.allResources);
+        setOrgList(catalogue.orgList);
+        setSource(catalogue.source);
+        setFetchedAt(catalogue.fetchedAt);
+        setIsLoading(false);
+      })
+      .catch((loadError) => {
+        if (abortController.signal.aborted || isAbortError(loadError)) return;
+        logger.error("=== CATALOGUE FETCH ERROR ===", loadError);
+        setError(loadError);
+        setIsLoading(false);
+      });
+
+    // Cancel the request if the component unmounts or the client changes
+    return () => {
+      abortController.abort();
+    };
+  }, [client]);
+
+  return {
+    packages,
+    allPackages,
+    orgList,
+    source,
+    fetchedAt,
+    isLoading,
+    error,
+  };
+}
@@ -0,0 +1,90 @@
+import { useState, useEffect, useRef } from "react";
+
+import { loadDatasetRows } from "../api/rows";
+import { isAbortError } from "../api/http";
+import { logger } from "../utils/logger";
+import { DEFAULT_LIMIT } from "../constants";
+
+/**
+ * Custom hook to load datasets besides the chart's own, for layers (see
+ * utils/layers.js) and joins (see utils/join.js)
+ * Each dataset is loaded once while it is used; a dataset that is no longer
+ * used is cancelled or dropped.
+ * @param {Array<string>} resourceIDs - Datasets in use
+ * @returns {Object} - Keyed by resource ID: { records, fields } once loaded,
+ * { error } if loading failed, or { isLoading: true }
+ */
+export function useDatasets(resourceIDs) {
+  const [datasets, setDatasets] = useState({});
+  // Abort controllers of the datasets being loaded, keyed by resource ID
+  const requestsRef = useRef(new Map());
+  // Datasets that have been loaded or have failed, so they are not loaded again
+  const settledRef = useRef(new Set());
+
+  const idsKey = JSON.stringify([...new Set(resourceIDs)].sort());
+
+  useEffect(() => {
+    const ids = JSON.parse(idsKey);
+    const requests = requestsRef.current;
+    const settled = settledRef.current;
+
+    requests.forEach((controller, id) => {
+      if (!ids.includes(id)) {
+        controller.abort();
+        requests.delete(id);
+      }
+    });
+    settled.forEach((id) => {
+      if (!ids.includes(id)) settled.delete(id);
+    });
+    setDatasets((current) => {
+      const kept = {};
+      ids.forEach((id) => {
+        kept[id] = current[id] || { isLoading: true };
+      });
+      return kept;
+    });
+
+    ids
+      .filter((id) => !requests.has(id) && !settled.has(id))
+      .forEach((id) => {
+        const controller = new AbortController();
+        requests.set(id, controller);
+        loadDatasetRows(id, {
+          pageSize: DEFAULT_LIMIT,
+          signal: controller.signal,
+        })
+          .then((result) => {
+            if (controller.signal.aborted) return;
+            setDatasets((current) => ({
+              ...current,
+              [id]: { records: result.records, fields: result.fields },
+            }));
+          })
+          .catch((loadError) => {
+            if (controller.signal.aborted || isAbortError(loadError)) return;
+            logger.error("=== DATASET FETCH ERROR ===", loadError);
+            setDatasets((current) => ({
+              ...current,
+              [id]: { error: loadError },
+            }));
+          })
+          .finally(() => {
+            if (controller.signal.aborted) return;
+            requests.delete(id);
+            settled.add(id);
+          });
+      });
+  }, [idsKey]);
+
+  // Cancel any loads in progress when the component unmounts
+  useEffect(() => {
+    const requests = requestsRef.current;
+    return () => {
+      requests.forEach((controller) => controller.abort());
+      requests.clear();
+    };
+  }, []);
+
+  return datasets;
+}
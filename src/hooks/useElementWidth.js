@@ -0,0 +1,29 @@
+import { useState, useEffect } from "react";
+
+/**
+ * Custom hook to track the width of an element
+ * Uses ResizeObserver where available, and window resizes otherwise. The
+ * element may mount after the component, so the hook returns a callback ref.
+ * @returns {Array} - [ref, width] where ref goes on the element and width is
+ * in pixels (0 until measured)
+ */
+export function useElementWidth() {
+  const [element, setElement] = useState(null);
+  const [width, setWidth] = useState(0);
+
+  useEffect(() => {
+    if (!element) return undefined;
+    const measure = () => setWidth(element.clientWidth);
+    measure();
+
+    if (typeof ResizeObserver !== "undefined") {
+      const observer = new ResizeObserver(measure);
+      observer.observe(element);
+      return () => observer.disconnect();
+    }
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, [element]);
+
+  return [setElement, width];
+}
@@ -0,0 +1,49 @@
+import { useEffect, useRef } from "react";
+
+import { useDebounce } from "./useDebounce";
+import { serializeChartConfig, parseChartConfig } from "../utils/urlState";
+import { DEBOUNCE_DELAY } from "../constants";
+
+/**
+ * Custom hook to mirror the chart configuration in the URL query string
+ * Each settled configuration becomes a browser history entry, and back/forward
+ * navigation hands the stored configuration to onRestore.
+ * @param {Object} config - Current chart configuration
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether the configuration is settled enough to record
+ * @param {Function} options.onRestore - Called with the parsed configuration on popstate
+ */
+export function useUrlState(config, { enabled, onRestore }) {
+  const serialized = serializeChartConfig(config);
+  // Settings change in bursts (e.g. auto-selected axes); record only the final state
+  const settled = useDebounce(enabled ? serialized : null, DEBOUNCE_DELAY);
+  const hasWrittenRef = useRef(false);
+
+  useEffect(() => {
+    if (settled === null) return;
+    if (settled !== window.location.search) {
+      const url = `${window.location.pathname}${settled}${window.location.hash}`;
+      // The first write describes the page we loaded, so don't add an entry for it
+      if (hasWrittenRef.current) {
+        window.history.pushState(null, "", url);
+      } else {
+        window.history.replaceState(null, "", url);
+      }
+    }
+    hasWrittenRef.current = true;
+  }, [settled]);
+
+  // Keep the latest callback without re-subscribing on every render
+  const onRestoreRef = useRef(onRestore);
+  onRestoreRef.current = onRestore;
+
+  useEffect(() => {
+    const handlePopState = () => {
+      onRestoreRef.current(parseChartConfig(window.location.search));
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => {
+      window.removeEventListener("popstate", handlePopState);
+    };
+  }, []);
+}
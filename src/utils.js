@@ -1,4 +1,18 @@
-
+import {
+  TIMESTAMP_THRESHOLD,
+  PIE_MAX_SLICES,
+  SCORE_WEIGHTS,
+  SUGGESTION_COUNT,
+  MAX_UNIQUE_VALUES_FOR_SERIES,
+  SERIES_UNIQUE_RATIO_THRESHOLD,
+  IDEAL_SERIES_UNIQUE_COUNT,
+  MIN_SERIES_UNIQUE_COUNT,
+  MAX_SERIES_UNIQUE_COUNT,
+  NUMERIC_RATIO_THRESHOLD,
+} from "./constants";
+import { NUMERIC_TYPES, TEMPORAL_TYPES } from "./utils/columnProfile";
+import { isMissingValue, parseNumber } from "./utils/normalize";
+import { parsePeriod } from "./utils/periods";
 
 // Helper function to detect if a field name suggests it's a time/date field
 function isTimeField(fieldName) {
@@ -22,13 +36,27 @@ function isValueField(fieldName) {
   return valueKeywords.some(keyword => lowerName.includes(keyword));
 }
 
+// Helper function to detect if a field name suggests a rate or average, which
+// must not be summed
+function isRateField(fieldName) {
+  const rateKeywords = [
+    "rate", "percent", "pct", "ratio", "average", "avg", "mean", "median",
+    "index", "price", "per_", "_per", "per ", "proportion", "share"
+  ];
+  const lowerName = fieldName.toLowerCase();
+  return rateKeywords.some(keyword => lowerName.includes(keyword));
+}
+
 // Helper function to analyze field type and content
-function analyzeField(field, records) {
+export function analyzeField(field, records) {
   const fieldName = field.id;
   const samples = records.slice(0, Math.min(100, records.length)).map(r => r[fieldName]);
+  // Missing values count towards whichever type the rest of the column has
+  const presentCount = samples.filter(v => !isMissingValue(v)).length;
   const numericCount = samples.filter(v => isFloatOrInt(v)).length;
   const uniqueCount = new Set(samples).size;
-  const isNumeric = numericCount / samples.length > 0.8; // 80% numeric
+  const isNumeric = presentCount > 0 &&
+    numericCount / presentCount > NUMERIC_RATIO_THRESHOLD;
   const isTime = isTimeField(fieldName);
   const isValue = isValueField(fieldName);
   
@@ -38,23 +66,167 @@ function analyzeField(field, records) {
     isTime,
     isValue,
     uniqueCount,
-    numericRatio: numericCount / samples.length,
+    sampleSize: samples.length,
+    numericRatio: presentCount > 0 ? numericCount / presentCount : 0,
     sample: samples[0]
   };
 }
 
+// The same analysis as analyzeField, from a column profile of every value
+function analyzeProfile(profile) {
+  const present = profile.count - profile.nullCount - profile.missingCount;
+  const isNumeric = NUMERIC_TYPES.includes(profile.type);
+  return {
+    name: profile.field,
+    isNumeric,
+    // A numeric field named like "time_taken" is a measure, not a date
+    isTime: TEMPORAL_TYPES.includes(profile.type) ||
+      (!isNumeric && isTimeField(profile.field)),
+    isValue: isValueField(profile.field) ||
+      profile.type === "percentage" || profile.type === "currency",
+    isIdentifier: profile.type === "identifier",
+    uniqueCount: profile.distinctCount,
+    sampleSize: Math.max(present, 1),
+    numericRatio: isNumeric ? 1 : 0,
+    sample: profile.topValues.length > 0 ? profile.topValues[0].value : undefined
+  };
+}
+
+// Score a field as the x-axis, with the reasons for the score
+function scoreXField(f) {
+  const reasons = [];
+  let score = 0;
+  if (f.isTime) {
+    score += SCORE_WEIGHTS.TIME_FIELD_X;
+    reasons.push(`${f.name} is a date or period`);
+  }
+  if (f.isValue) {
+    score += SCORE_WEIGHTS.VALUE_FIELD_X_PENALTY;
+  }
+  // More unique values = better for x-axis (shows distribution)
+  score += SCORE_WEIGHTS.UNIQUE_COUNT_BONUS * f.uniqueCount / f.sampleSize;
+  if (!f.isNumeric && !f.isTime && f.uniqueCount > 1) {
+    score += SCORE_WEIGHTS.CATEGORICAL_X_BONUS;
+    reasons.push(`${f.name} is categorical`);
+  }
+  if (f.uniqueCount <= 1) {
+    score += SCORE_WEIGHTS.CONSTANT_FIELD_PENALTY;
+  }
+  if (f.isIdentifier) {
+    score += SCORE_WEIGHTS.IDENTIFIER_PENALTY;
+  }
+  return { score, reasons };
+}
+
+// Score a field as the y-axis, with the reasons for the score
+function scoreYField(f) {
+  const reasons = [];
+  let score = 0;
+  if (f.isNumeric) {
+    score += SCORE_WEIGHTS.NUMERIC_BONUS;
+  } else {
+    score += SCORE_WEIGHTS.NON_NUMERIC_Y_PENALTY;
+  }
+  if (f.isValue) {
+    score += SCORE_WEIGHTS.VALUE_FIELD_Y;
+    reasons.push(`${f.name} looks like a measure`);
+  } else if (f.isNumeric) {
+    reasons.push(`${f.name} is numeric`);
+  }
+  if (f.isTime) {
+    score += SCORE_WEIGHTS.TIME_FIELD_Y_PENALTY;
+  }
+  if (f.uniqueCount <= 1) {
+    score += SCORE_WEIGHTS.CONSTANT_FIELD_PENALTY;
+  }
+  if (f.isIdentifier) {
+    score += SCORE_WEIGHTS.IDENTIFIER_PENALTY;
+  }
+  return { score, reasons };
+}
+
+// Score a field as the series; null if it cannot split the data into
+// separate lines at all
+function scoreSeriesField(f) {
+  if (
+    f.isIdentifier ||
+    f.isValue ||
+    f.uniqueCount < MIN_SERIES_UNIQUE_COUNT ||
+    f.uniqueCount > MAX_UNIQUE_VALUES_FOR_SERIES ||
+    f.uniqueCount >= f.sampleSize * SERIES_UNIQUE_RATIO_THRESHOLD
+  ) {
+    return null;
+  }
+  const score = SCORE_WEIGHTS.SERIES_BONUS +
+    SCORE_WEIGHTS.SERIES_DISTANCE_PENALTY * Math.abs(f.uniqueCount - IDEAL_SERIES_UNIQUE_COUNT);
+  const reasons = f.uniqueCount <= MAX_SERIES_UNIQUE_COUNT
+    ? [`${f.name} splits the data into ${f.uniqueCount} series`]
+    : [];
+  return { score, reasons };
+}
+
+/**
+ * Ranks (x, y, series) combinations of fields for charting
+ * Every combination is scored with SCORE_WEIGHTS: the x-axis should be a
+ * date or category, the y-axis a numeric measure, and the series a field
+ * with close to IDEAL_SERIES_UNIQUE_COUNT values (or none).
+ * @param {Array} fields - Array of field objects with id, type, etc.
+ * @param {Array} records - Array of data records
+ * @param {number} limit - Number of suggestions to return
+ * @param {Object} [profiles] - Column profiles keyed by field id, used instead of sampling records
+ * @returns {Array} - [{ xKey, yKey, series, score, reasons }] best first; series may be null
+ */
+export function recommendAxes(fields, records, limit = SUGGESTION_COUNT, profiles = null) {
+  if (!fields || !records || records.length === 0) return [];
+
+  const fieldAnalyses = fields
+    .filter(f => f && f.id && records[0] && records[0][f.id] !== undefined)
+    .map(f => {
+      if (profiles && profiles[f.id]) return analyzeProfile(profiles[f.id]);
+      const analysis = analyzeField(f, records);
+      // Row numbers and codes that are unique per row say nothing on an axis
+      analysis.isIdentifier = f.id === "_id" ||
+        (/(^|[_ ])id$/i.test(f.id) && analysis.uniqueCount === analysis.sampleSize);
+      return analysis;
+    });
+
+  const xScores = fieldAnalyses.map(scoreXField);
+  const yScores = fieldAnalyses.map(scoreYField);
+  const seriesScores = fieldAnalyses.map(scoreSeriesField);
+
+  const candidates = [];
+  fieldAnalyses.forEach((x, i) => {
+    fieldAnalyses.forEach((y, j) => {
+      if (i === j) return;
+      const base = xScores[i].score + yScores[j].score;
+      const reasons = [...xScores[i].reasons, ...yScores[j].reasons];
+      candidates.push({ xKey: x.name, yKey: y.name, series: null, score: base, reasons });
+      fieldAnalyses.forEach((s, k) => {
+        // A series is only suggested where it beats having none
+        if (k === i || k === j || !seriesScores[k] || seriesScores[k].score <= 0) return;
+        candidates.push({
+          xKey: x.name,
+          yKey: y.name,
+          series: s.name,
+          score: base + seriesScores[k].score,
+          reasons: [...reasons, ...seriesScores[k].reasons],
+        });
+      });
+    });
+  });
+
+  return candidates.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
 /**
  * Automatically computes appropriate x-axis, y-axis, and series labels based on field analysis
- * Uses scoring system to select the best fields for each axis
+ * Uses the best combination from recommendAxes
  * @param {Array} fields - Array of field objects with id, type, etc.
  * @param {Array} records - Array of data records
+ * @param {Object} [profiles] - Column profiles keyed by field id
  * @returns {Array} - [xKey, yKey, seriesKey] where seriesKey may be null
  */
-export function computeLabels(fields, records) {
-  let temp_x,
-    temp_y,
-    temp_series = null;
-
+export function computeLabels(fields, records, profiles = null) {
   // Validate inputs
   if (!fields || !Array.isArray(fields) || fields.length === 0) {
     console.error("computeLabels: fields is empty or invalid", fields);
@@ -65,456 +237,125 @@ export function computeLabels(fields, records) {
     throw new Error("Records array is empty or invalid");
   }
 
-  console.log("=== ANALYZING FIELDS FOR AUTO-SELECTION ===");
-  
-  // Analyze all fields
-  const fieldAnalyses = fields
-    .filter(f => f && f.id && records[0] && records[0][f.id] !== undefined)
-    .map(f => analyzeField(f, records));
-  
-  console.log("Field analyses:", fieldAnalyses.map(f => ({
-    name: f.name,
-    isNumeric: f.isNumeric,
-    isTime: f.isTime,
-    isValue: f.isValue,
-    uniqueCount: f.uniqueCount
-  })));
-
-  // Score all fields for their suitability as X-axis or Y-axis
-  // X-axis: prefer time fields, fields with many unique values, categorical fields
-  // Y-axis: prefer value fields, numeric fields, fields that represent measurable quantities
-  const xScores = fieldAnalyses.map(f => {
-    let score = 0;
-    // Time fields are excellent for x-axis
-    if (f.isTime) score += 150;
-    // More unique values = better for x-axis (shows distribution)
-    score += Math.min(f.uniqueCount / records.length * 60, 60);
-    // Prefer fields with "year", "date", "time" in name
-    const lowerName = f.name.toLowerCase();
-    if (lowerName.includes("year") || lowerName.includes("date")) score += 40;
-    if (lowerName.includes("time") || lowerName.includes("period")) score += 30;
-    if (lowerName.includes("month") || lowerName.includes("day")) score += 25;
-    // Numeric fields can be good for x-axis if they have many unique values
-    if (f.isNumeric && f.uniqueCount > records.length * 0.5) score += 15;
-    // Strongly penalize value fields for x-axis (they're much better for y-axis)
-    if (f.isValue) score -= 80;
-    // Prefer non-numeric or categorical fields for x-axis
-    if (!f.isNumeric && f.uniqueCount > 1) score += 20;
-    return { ...f, xScore: score };
-  });
-
-  const yScores = fieldAnalyses.map(f => {
-    let score = 0;
-    // Value fields are excellent for y-axis
-    if (f.isValue) score += 150;
-    // Numeric fields are essential for y-axis
-    if (f.isNumeric) score += 80;
-    // Higher numeric ratio = better
-    score += f.numericRatio * 40;
-    // Strongly penalize time fields for y-axis (they're much better for x-axis)
-    if (f.isTime) score -= 100;
-    // Prefer fields with moderate unique values for y-axis (measured values, not categories)
-    // But not too few (avoid constant values) or too many (avoid categorical)
-    if (f.uniqueCount > 1 && f.uniqueCount < records.length * 0.7) {
-      score += 15;
-    }
-    // Penalize fields with too many unique values (likely categorical, better for x)
-    if (f.uniqueCount > records.length * 0.9) {
-      score -= 30;
-    }
-    // Prefer fields with value-related keywords
-    const lowerName = f.name.toLowerCase();
-    if (lowerName.includes("value") || lowerName.includes("amount") || 
-        lowerName.includes("count") || lowerName.includes("total") ||
-        lowerName.includes("number") || lowerName.includes("quantity")) {
-      score += 30;
-    }
-    return { ...f, yScore: score };
-  });
-
-  // Step 1: Choose X-axis (highest xScore)
-  const sortedByX = [...xScores].sort((a, b) => b.xScore - a.xScore);
-  temp_x = sortedByX[0]?.name;
-
-  // Step 2: Choose Y-axis (highest yScore, but MUST be different from x)
-  // First, ensure we have at least 2 fields
-  if (fieldAnalyses.length < 2) {
+  const [best] = recommendAxes(fields, records, 1, profiles);
+  if (!best) {
+    // A single field can only be plotted against itself
+    const only = fields.find(f => f && f.id && records[0][f.id] !== undefined) || fields[0];
     console.warn("Only one field available, cannot set different x and y axes");
-    temp_y = fieldAnalyses[0]?.name || temp_x;
-  } else {
-    // Get the x-axis field info to avoid selecting similar fields
-    const xField = fieldAnalyses.find(f => f.name === temp_x);
-    
-    // Filter out the selected x-axis and find best y-axis
-    // Also strongly prefer non-time fields for y-axis (time fields are better for x)
-    console.log("Selecting Y-axis. temp_x:", temp_x, "xField.isTime:", xField?.isTime);
-    const sortedByY = yScores
-      .filter(f => {
-        // CRITICAL: Must be different from x (use strict string comparison)
-        const nameMatches = f.name === temp_x || String(f.name).trim() === String(temp_x).trim();
-        if (nameMatches) {
-          console.log(`Filtering out ${f.name} because it matches temp_x ${temp_x}`);
-          return false;
-        }
-        // If x is a time field, strongly prefer non-time fields for y
-        if (xField && xField.isTime && f.isTime) {
-          // Only allow time field for y if there are no other options
-          return false;
-        }
-        return true;
-      })
-      .sort((a, b) => {
-        // If x is time, heavily penalize time fields for y
-        if (xField && xField.isTime) {
-          if (a.isTime !== b.isTime) {
-            return a.isTime ? 1 : -1; // Non-time fields first
-          }
-        }
-        return b.yScore - a.yScore;
-      });
-    
-    console.log("Y-axis candidates after filtering:", sortedByY.map(f => f.name));
-    
-    if (sortedByY.length > 0) {
-      temp_y = sortedByY[0].name;
-      console.log("Selected temp_y:", temp_y, "temp_x:", temp_x, "areEqual:", temp_y === temp_x);
-      // IMMEDIATE CHECK: Verify temp_y is different from temp_x
-      if (temp_y === temp_x || String(temp_y).trim() === String(temp_x).trim()) {
-        console.error("ERROR: sortedByY[0].name equals temp_x! This should not happen.");
-        console.error("temp_x:", temp_x, "temp_y:", temp_y, "sortedByY:", sortedByY.map(f => f.name));
-        // Force to next available field
-        const nextField = sortedByY.length > 1 ? sortedByY[1].name : null;
-        if (nextField && nextField !== temp_x) {
-          temp_y = nextField;
-        } else {
-          // Find any field different from temp_x
-          const differentField = fieldAnalyses.find(f => f.name !== temp_x);
-          temp_y = differentField ? differentField.name : fieldAnalyses[1]?.name || fieldAnalyses[0]?.name;
-        }
-      }
-    } else {
-      // Fallback: pick any field different from x, prioritizing numeric non-time
-      const otherFields = fieldAnalyses.filter(f => {
-        if (f.name === temp_x) return false;
-        // If x is time, avoid time fields for y
-        if (xField && xField.isTime && f.isTime) return false;
-        return true;
-      });
-      
-      if (otherFields.length > 0) {
-        // Prefer numeric non-time fields if available
-        const numericNonTime = otherFields.filter(f => f.isNumeric && !f.isTime);
-        if (numericNonTime.length > 0) {
-          temp_y = numericNonTime[0].name;
-        } else {
-          // Prefer numeric fields
-          const numericOther = otherFields.filter(f => f.isNumeric);
-          if (numericOther.length > 0) {
-            temp_y = numericOther[0].name;
-          } else {
-            // Any field different from x (and not time if x is time)
-            temp_y = otherFields[0].name;
-          }
-        }
-      } else {
-        // Last resort: if x is time and all other fields are time, pick the first different one
-        const anyDifferent = fieldAnalyses.find(f => f.name !== temp_x);
-        temp_y = anyDifferent ? anyDifferent.name : fieldAnalyses[1]?.name || fieldAnalyses[0]?.name;
-      }
-      
-      // VERIFY: Ensure temp_y is different from temp_x after fallback
-      if (temp_y === temp_x && fieldAnalyses.length >= 2) {
-        console.warn("temp_y equals temp_x after fallback! Forcing different value...");
-        // Force to use first two different fields
-        for (let i = 0; i < fieldAnalyses.length; i++) {
-          if (fieldAnalyses[i].name !== temp_x) {
-            temp_y = fieldAnalyses[i].name;
-            console.warn(`Forced temp_y to ${temp_y}`);
-            break;
-          }
-        }
-      }
-    }
-    
-    // FINAL VERIFICATION before moving on: x and y MUST be different
-    if (temp_x === temp_y && fieldAnalyses.length >= 2) {
-      console.error("CRITICAL ERROR: temp_x and temp_y are still the same after all y-axis selection logic!");
-      console.error("temp_x:", temp_x, "temp_y:", temp_y);
-      console.error("Available fields:", fieldAnalyses.map(f => f.name));
-      // Force to first two fields - guaranteed to be different
-      temp_x = fieldAnalyses[0].name;
-      temp_y = fieldAnalyses[1].name;
-      console.warn(`FORCED FIX: x=${temp_x}, y=${temp_y}`);
-    }
-    
-    // Immediate validation: if somehow they're still the same, fix it now
-    if (temp_x === temp_y && fieldAnalyses.length >= 2) {
-      console.warn("X and Y are the same after selection, fixing immediately...");
-      const xFieldInfo = fieldAnalyses.find(f => f.name === temp_x);
-      // Find the best alternative
-      const alternatives = fieldAnalyses.filter(f => f.name !== temp_x);
-      if (alternatives.length > 0) {
-        // If x is time, prefer non-time numeric for y
-        if (xFieldInfo && xFieldInfo.isTime) {
-          const nonTimeNumeric = alternatives.filter(f => !f.isTime && f.isNumeric);
-          if (nonTimeNumeric.length > 0) {
-            temp_y = nonTimeNumeric[0].name;
-          } else {
-            temp_y = alternatives[0].name;
-          }
-        } else {
-          // If x is not time, prefer time field for x and keep current as y, or pick any different
-          const timeFields = alternatives.filter(f => f.isTime);
-          if (timeFields.length > 0) {
-            temp_x = timeFields[0].name;
-            // Now ensure y is different from new x
-            const yAlternatives = fieldAnalyses.filter(f => f.name !== temp_x);
-            temp_y = yAlternatives.length > 0 ? yAlternatives[0].name : alternatives[0].name;
-          } else {
-            temp_y = alternatives[0].name;
-          }
-        }
-      }
-    }
+    return [only.id, only.id, null];
   }
 
-  // Final safety check: ensure x and y are ALWAYS different
-  // This check happens BEFORE the series selection to catch issues early
-  if (temp_x === temp_y && fieldAnalyses.length >= 2) {
-    console.warn("X and Y axes were the same after initial selection, attempting to fix...");
-    console.warn("temp_x:", temp_x, "temp_y:", temp_y, "fields:", fieldAnalyses.map(f => f.name));
-    // Strategy: Find the best complementary pair
-    const xField = fieldAnalyses.find(f => f.name === temp_x);
-    
-    if (xField && xField.isTime) {
-      // X is time, find best non-time numeric field for y
-      const yCandidates = fieldAnalyses
-        .filter(f => f.name !== temp_x && f.isNumeric && !f.isTime)
-        .sort((a, b) => {
-          // Prefer value fields
-          if (a.isValue !== b.isValue) return b.isValue - a.isValue;
-          return b.numericRatio - a.numericRatio;
-        });
-      if (yCandidates.length > 0) {
-        temp_y = yCandidates[0].name;
-      } else {
-        // No numeric non-time fields, pick any different field
-        const differentField = fieldAnalyses.find(f => f.name !== temp_x);
-        if (differentField) temp_y = differentField.name;
-      }
-    } else if (xField && xField.isValue) {
-      // X is a value field, find a time field for x and use current as y
-      const timeCandidates = fieldAnalyses
-        .filter(f => f.name !== temp_x && f.isTime)
-        .sort((a, b) => b.uniqueCount - a.uniqueCount);
-      if (timeCandidates.length > 0) {
-        temp_x = timeCandidates[0].name;
-        temp_y = xField.name; // Keep the value field as y
-      } else {
-        // No time fields, find any different field for y
-        const differentField = fieldAnalyses.find(f => f.name !== temp_x);
-        if (differentField) temp_y = differentField.name;
-      }
-    } else {
-      // X is neither time nor value, try to optimize
-      // Find best time field for x, or best value field for y
-      const timeFields = fieldAnalyses.filter(f => f.isTime && f.name !== temp_x);
-      const valueFields = fieldAnalyses.filter(f => f.isValue && f.name !== temp_x);
-      
-      if (timeFields.length > 0) {
-        // Use time field for x, keep current for y if it's different
-        temp_x = timeFields[0].name;
-        if (temp_x === temp_y) {
-          // Still same, pick any different field for y
-          const differentField = fieldAnalyses.find(f => f.name !== temp_x);
-          if (differentField) temp_y = differentField.name;
-        }
-      } else if (valueFields.length > 0) {
-        // Use value field for y
-        temp_y = valueFields[0].name;
-      } else {
-        // Last resort: just pick first two different fields
-        temp_x = fieldAnalyses[0].name;
-        temp_y = fieldAnalyses.length > 1 ? fieldAnalyses[1].name : fieldAnalyses[0].name;
-      }
-    }
-  }
-
-  // Step 3: Choose Series (categorical field with moderate number of unique values)
-  // IMPORTANT: If there are only 2 fields total, don't use series (need both for x and y)
-  if (fieldAnalyses.length <= 2) {
-    // Only 2 fields available - use both for x and y, no series
-    temp_series = null;
-    console.log("Only 2 fields available - setting series to null (using both fields for x and y)");
-  } else {
-    // We have more than 2 fields, so we can select a series
-    const candidateSeries = fieldAnalyses.filter(f => 
-      f.name !== temp_x && 
-      f.name !== temp_y &&
-      f.name !== "_id" &&
-      f.uniqueCount > 1 && 
-      f.uniqueCount < Math.min(50, records.length * 0.5) && // Not too many unique values
-      f.uniqueCount < records.length * 0.9 // Not too few (not almost all unique)
-    );
-
-    if (candidateSeries.length > 0) {
-      // Prefer fields with 2-20 unique values (good for series)
-      const idealSeries = candidateSeries.filter(f => f.uniqueCount >= 2 && f.uniqueCount <= 20);
-      if (idealSeries.length > 0) {
-        temp_series = idealSeries.sort((a, b) => {
-          // Prefer fields closer to 5-10 unique values
-          const aScore = Math.abs(a.uniqueCount - 7.5);
-          const bScore = Math.abs(b.uniqueCount - 7.5);
-          return aScore - bScore;
-        })[0].name;
-      } else {
-        // Use best candidate
-        temp_series = candidateSeries[0].name;
-      }
-    }
-    // If no good series found, temp_series remains null
-  }
-
-  // Final validation: ensure x and y are ALWAYS different (absolute guarantee)
-  if (temp_x === temp_y && fieldAnalyses.length >= 2) {
-    console.error("ERROR: X and Y axes are still the same after all attempts to fix!");
-    console.error("Available fields:", fieldAnalyses.map(f => f.name));
-    console.error("Current temp_x:", temp_x, "temp_y:", temp_y);
-    // Force different axes by using first two fields (guaranteed to be different)
-    temp_x = fieldAnalyses[0].name;
-    temp_y = fieldAnalyses[1].name;
-    console.warn(`Forced different axes: x=${temp_x}, y=${temp_y}`);
-  } else if (temp_x === temp_y) {
-    console.error("Cannot set different axes - only one field available");
-  }
-  
-  // One more check: if somehow they're still the same, swap with next available
-  if (temp_x === temp_y && fieldAnalyses.length >= 2) {
-    // This should never happen, but just in case
-    for (let i = 0; i < fieldAnalyses.length; i++) {
-      if (fieldAnalyses[i].name !== temp_x) {
-        temp_y = fieldAnalyses[i].name;
-        break;
-      }
-    }
-  }
-
-  // ABSOLUTE FINAL CHECK: Before returning, guarantee they're different
-  // This is the last line of defense - if x and y are still the same, force them to be different
-  if (temp_x === temp_y && fieldAnalyses.length >= 2) {
-    console.error("CRITICAL: X and Y are STILL the same before return! Forcing different values...");
-    console.error("temp_x:", temp_x, "temp_y:", temp_y);
-    console.error("Available fields:", fieldAnalyses.map(f => f.name));
-    
-    // Use first two fields - guaranteed to be different if we have 2+ fields
-    const firstField = fieldAnalyses[0].name;
-    const secondField = fieldAnalyses.length > 1 ? fieldAnalyses[1].name : null;
-    
-    if (secondField && secondField !== firstField) {
-      temp_x = firstField;
-      temp_y = secondField;
-      console.warn(`ABSOLUTE FIX: x=${temp_x}, y=${temp_y}`);
-    } else {
-      // Find any field that's different from first
-      for (let i = 1; i < fieldAnalyses.length; i++) {
-        if (fieldAnalyses[i].name !== firstField) {
-          temp_x = firstField;
-          temp_y = fieldAnalyses[i].name;
-          console.warn(`ABSOLUTE FIX (loop): x=${temp_x}, y=${temp_y}`);
-          break;
-        }
-      }
-    }
-  }
-
-  // Verify one last time before returning
-  if (temp_x === temp_y && fieldAnalyses.length >= 2) {
-    console.error("FATAL: Unable to set different x and y axes. Available fields:", 
-      fieldAnalyses.map(f => f.name));
-    // Last resort: use first two fields
-    temp_x = fieldAnalyses[0].name;
-    temp_y = fieldAnalyses[1].name;
-  }
-
-  console.log("Auto-selected:", { 
-    x: temp_x, 
-    y: temp_y, 
-    series: temp_series,
-    xScore: xScores.find(f => f.name === temp_x)?.xScore,
-    yScore: yScores.find(f => f.name === temp_y)?.yScore,
-    fieldsAnalyzed: fieldAnalyses.length,
-    areDifferent: temp_x !== temp_y
+  console.log("Auto-selected:", {
+    x: best.xKey,
+    y: best.yKey,
+    series: best.series,
+    score: best.score,
+    reasons: best.reasons
   });
-
-  // Final assertion: if we have 2+ fields, x and y MUST be different
-  // If they're still the same, throw an error to prevent bad data
-  if (fieldAnalyses.length >= 2 && temp_x === temp_y) {
-    const errorMsg = `CRITICAL BUG: Cannot set different axes: x=${temp_x}, y=${temp_y}, fields=${fieldAnalyses.map(f => f.name).join(', ')}`;
-    console.error(errorMsg);
-    // Instead of throwing, force to first two fields as absolute last resort
-    temp_x = fieldAnalyses[0].name;
-    temp_y = fieldAnalyses[1].name;
-    console.error(`FORCED TO FIRST TWO: x=${temp_x}, y=${temp_y}`);
-  }
-
-  return [temp_x, temp_y, temp_series];
+  return [best.xKey, best.yKey, best.series];
 }
 
 /**
- * Determines if a bar chart is more appropriate than a line chart based on x-axis characteristics
+ * Ranks the chart types in CHART_TYPE_OPTIONS for the chosen axes
  * @param {Array} records - Array of data records
  * @param {string} xKey - The x-axis field key
+ * @param {string} yKey - The y-axis field key
  * @param {Array} fields - Array of field objects
- * @returns {boolean} - True if bar chart should be used
+ * @param {string} series - The series field key ("" for none)
+ * @param {Object} [profiles] - Column profiles keyed by field id
+ * @returns {Array} - [{ type, score, reason }] best first, with scores from 0 to 1
  */
-export function shouldUseBarChart(records, xKey, fields) {
+export function recommendChartTypes(records, xKey, yKey, fields, series, profiles = null) {
   if (!records || !xKey || records.length === 0) {
-    return false;
+    return [{ type: "line", score: 0, reason: "There is no data to analyse" }];
   }
 
   // Get x-axis field info
-  const xField = fields.find(f => f.id === xKey);
+  const xField = (fields || []).find(f => f.id === xKey);
   const xValues = records.map(r => r[xKey]).filter(v => v !== undefined && v !== null);
   
   if (xValues.length === 0) {
-    return false;
+    return [{ type: "line", score: 0, reason: "The x-axis has no values" }];
   }
 
-  // Check if x-axis is a time field (line charts are better for time series)
-  if (xField && isTimeField(xField.id)) {
-    return false;
-  }
+  const xProfile = profiles && profiles[xKey];
+  const yProfile = profiles && yKey && profiles[yKey];
+
+  // Line charts are better for time series
+  const isTime = xProfile
+    ? TEMPORAL_TYPES.includes(xProfile.type)
+    : (xField && isTimeField(xField.id)) ||
+      /^\d{4}[-/]\d{1,2}([-/]\d{1,2})?$/.test(String(xValues[0]));
 
   // Count unique values
-  const uniqueValues = new Set(xValues);
-  const uniqueCount = uniqueValues.size;
+  const uniqueCount = new Set(xValues).size;
   const totalCount = xValues.length;
 
   // Check if values are numeric
   const numericCount = xValues.filter(v => isFloatOrInt(v)).length;
-  const isNumeric = numericCount / totalCount > 0.8; // 80% numeric
-
-  // Bar charts are better for:
-  // 1. Categorical data (non-numeric or low unique value count)
-  // 2. Discrete values (few unique values relative to total)
-  // 3. Non-time fields
-  
-  // Use bar chart if:
-  // - Not numeric, OR
-  // - Numeric but has few unique values (< 20) and unique ratio is low (< 50%)
-  const shouldUseBar = !isNumeric || (uniqueCount < 20 && uniqueCount / totalCount < 0.5);
-
-  console.log("Chart type decision:", {
-    xKey,
-    isNumeric,
-    uniqueCount,
-    totalCount,
-    uniqueRatio: uniqueCount / totalCount,
-    isTimeField: xField && isTimeField(xField.id),
-    shouldUseBar
-  });
-
-  return shouldUseBar;
+  const isNumeric = xProfile
+    ? NUMERIC_TYPES.includes(xProfile.type)
+    : numericCount / totalCount > 0.8; // 80% numeric
+  const yValues = yKey ? records.map(r => r[yKey]).filter(v => v !== undefined && v !== null && v !== "") : [];
+  const yIsNumeric = yProfile
+    ? NUMERIC_TYPES.includes(yProfile.type)
+    : yValues.length > 0 &&
+      yValues.filter(v => isFloatOrInt(v)).length / yValues.length > 0.8;
+  const seriesCount = series ? new Set(records.map(r => r[series])).size : 1;
+  const hasSeries = seriesCount > 1;
+
+  // Categorical data: non-numeric, or few unique numbers (< 20) that repeat
+  // (unique ratio < 50%)
+  const isCategorical = !isTime &&
+    (!isNumeric || (uniqueCount < 20 && uniqueCount / totalCount < 0.5));
+  const isContinuous = isNumeric && !isTime && !isCategorical;
+  const averageLabelLength = isNumeric ? 0 :
+    xValues.reduce((total, v) => total + String(v).length, 0) / totalCount;
+  const fitsPie = yIsNumeric && (hasSeries
+    ? seriesCount <= PIE_MAX_SLICES
+    : isCategorical && uniqueCount <= PIE_MAX_SLICES);
+
+  const ranking = [
+    isTime
+      ? { type: "line", score: 0.9, reason: "Dates on the x-axis read best as a line" }
+      : isContinuous
+        ? { type: "line", score: 0.7, reason: "The x-axis is a continuous number" }
+        : { type: "line", score: 0.2, reason: "A line suggests an order the categories do not have" },
+    isTime
+      ? { type: "area", score: hasSeries ? 0.75 : 0.5, reason: hasSeries ? "Stacks the series over time to show their total" : "Shows the volume over time" }
+      : { type: "area", score: 0.1, reason: "Areas suit time series" },
+    isCategorical
+      ? { type: "bar", score: 0.85, reason: "Compares categories or a few discrete values" }
+      : { type: "bar", score: isTime ? 0.3 : 0.4, reason: "Many x-values make thin bars" },
+    isCategorical && hasSeries
+      ? { type: "stackedBar", score: 0.7, reason: "Shows each category's total and its make-up" }
+      : { type: "stackedBar", score: 0.1, reason: hasSeries ? "Suits categories on the x-axis" : "Needs a series field to stack" },
+    isCategorical && hasSeries
+      ? { type: "percentBar", score: 0.6, reason: "Compares the series' shares within each category" }
+      : { type: "percentBar", score: 0.05, reason: hasSeries ? "Suits categories on the x-axis" : "Needs a series field to split into shares" },
+    isCategorical && (uniqueCount > 12 || averageLabelLength > 12)
+      ? { type: "horizontalBar", score: 0.8, reason: "Many or long category labels fit better sideways" }
+      : { type: "horizontalBar", score: isCategorical ? 0.5 : 0.1, reason: isCategorical ? "Compares categories" : "Suits categories on the x-axis" },
+    isContinuous && yIsNumeric
+      ? { type: "scatter", score: 0.65, reason: "Relates two numeric fields" }
+      : { type: "scatter", score: 0.1, reason: "Needs numbers on both axes" },
+    isContinuous && yIsNumeric
+      ? { type: "scatterTrend", score: 0.6, reason: "Shows the trend between two numeric fields" }
+      : { type: "scatterTrend", score: 0.05, reason: "Needs numbers on both axes" },
+    fitsPie
+      ? { type: "pie", score: hasSeries ? 0.3 : 0.55, reason: hasSeries ? "Shares of each series in the latest period" : "A few categories as shares of a whole" }
+      : { type: "pie", score: 0.05, reason: "Too many parts, or no numbers, for a pie" },
+    fitsPie
+      ? { type: "donut", score: hasSeries ? 0.25 : 0.5, reason: hasSeries ? "Shares of each series in the latest period" : "A few categories as shares of a whole" }
+      : { type: "donut", score: 0.05, reason: "Too many parts, or no numbers, for a donut" },
+    hasSeries && seriesCount > 5 && uniqueCount > 5
+      ? { type: "heatmap", score: 0.6, reason: "Many series across many x-values" }
+      : isTime && !hasSeries
+        ? { type: "heatmap", score: 0.3, reason: "A calendar of values by year and month" }
+        : { type: "heatmap", score: 0.1, reason: "Needs many series for its rows" },
+  ].sort((a, b) => b.score - a.score);
+
+  return ranking;
 }
 
 // Function to determine if summing is needed
@@ -563,6 +404,33 @@ export function shouldSumData(records, xKey, yKey) {
   return hasMultipleNumericValues;
 }
 
+/**
+ * Suggests how to aggregate y-values that share an x-value
+ * - no duplicate x-values: "none" (plot the rows as they are)
+ * - non-numeric y: "count"
+ * - rates, percentages, averages and prices: "mean"
+ * - anything else: "sum"
+ * @param {Array} records - Array of data records
+ * @param {string} xKey - The x-axis field key
+ * @param {string} yKey - The y-axis field key
+ * @returns {string} - Aggregation name (see AGGREGATION_OPTIONS)
+ */
+export function suggestAggregation(records, xKey, yKey) {
+  if (!records || !xKey || !yKey || records.length === 0) {
+    return "none";
+  }
+
+  const yField = analyzeField({ id: yKey }, records);
+  if (!yField.isNumeric) {
+    const xValues = records.map(r => r[xKey]);
+    return new Set(xValues).size < xValues.length ? "count" : "none";
+  }
+  if (!shouldSumData(records, xKey, yKey)) {
+    return "none";
+  }
+  return isRateField(yKey) ? "mean" : "sum";
+}
+
 export function filterResourceIDs(pkgs, org) {
     return [...new Set(pkgs.filter(item => (item.organisation === org)).map(item => item.resource_id))];
 }
@@ -573,60 +441,39 @@ export function getResourceNamefromID(packages, resID) {
     return resource.resource_name;
 }
 
+// Numbers may be written with thousands separators (see utils/normalize)
 export function isFloatOrInt(val) {
-    return /^-?\d*(\.\d+)?$/.test(val);
+    return parseNumber(typeof val === 'number' ? val : String(val)) !== null;
 }
 
+// Missing-value markers such as "na" or "-" parse as null
 export function parseFloatOrText(value) {
+    if (isMissingValue(value)) return null;
+    const number = parseNumber(value);
+    if (number !== null) return number;
     let int = parseFloat(value);
     return isNaN(int) ? value : int;
 }
 
-// Check if a value looks like a date string
+// Check if a value looks like a date string or a period label such as
+// "2019-Q3" or "FY2019"
 export function isDateString(value) {
   if (!value || typeof value !== 'string') return false;
-  // Check for YYYY-MM, YYYY-MM-DD, YYYY/MM/DD patterns
-  return /^\d{4}[-/]\d{1,2}([-/]\d{1,2})?$/.test(value) || !isNaN(Date.parse(value));
+  return parsePeriod(value) !== null;
 }
 
-// Parse date strings in various formats (YYYY-MM, YYYY-MM-DD, YYYY/MM/DD, etc.)
-export function parseDate(value) {
-  if (!value) return null;
+// Parse dates and period labels (YYYY-MM, YYYY-MM-DD, 2019-Q3, 2019-H1,
+// FY2019, 2019/20, 2019, ...) to the timestamp of their first day; see
+// utils/periods. type is the column type from a profile, which tells a
+// financial year "2010/11" from November 2010
+export function parseDate(value, type) {
+  if (!value || isMissingValue(value)) return null;
   
   // If already a number (timestamp), return it
   if (typeof value === 'number') return value;
   
-  if (typeof value !== 'string') return null;
-  
-  // Try common date formats
-  // YYYY-MM (e.g., "1974-03", "1991-10")
-  const yearMonthMatch = value.match(/^(\d{4})[-/](\d{1,2})$/);
-  if (yearMonthMatch) {
-    const year = parseInt(yearMonthMatch[1], 10);
-    const month = parseInt(yearMonthMatch[2], 10);
-    if (!isNaN(year) && !isNaN(month) && month >= 1 && month <= 12) {
-      return new Date(year, month - 1, 1).getTime();
-    }
-  }
-  
-  // YYYY-MM-DD (e.g., "1974-03-15", "1991-10-01")
-  const yearMonthDayMatch = value.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
-  if (yearMonthDayMatch) {
-    const year = parseInt(yearMonthDayMatch[1], 10);
-    const month = parseInt(yearMonthDayMatch[2], 10);
-    const day = parseInt(yearMonthDayMatch[3], 10);
-    if (!isNaN(year) && !isNaN(month) && !isNaN(day) && month >= 1 && month <= 12 && day >= 1 && day <= 31) {
-      return new Date(year, month - 1, day).getTime();
-    }
-  }
-  
-  // Try standard Date parsing
-  const parsed = Date.parse(value);
-  if (!isNaN(parsed)) {
-    return parsed;
-  }
-  
-  return null;
+  const period = parsePeriod(value, type);
+  return period ? period.timestamp : null;
 }
 
 // Compare two values, handling dates, numbers, and strings intelligently
@@ -641,9 +488,9 @@ export function compareValues(a, b) {
   }
   
   // Try parsing as numbers
-  const aNum = parseFloat(a);
-  const bNum = parseFloat(b);
-  if (!isNaN(aNum) && !isNaN(bNum) && isFloatOrInt(a) && isFloatOrInt(b)) {
+  const aNum = parseNumber(typeof a === 'number' ? a : String(a));
+  const bNum = parseNumber(typeof b === 'number' ? b : String(b));
+  if (aNum !== null && bNum !== null) {
     return aNum - bNum;
   }
   
@@ -661,10 +508,12 @@ export function compareValues(a, b) {
 }
 
 // Calculate intelligent domain ranges from dataset
+// yKey may be a list of keys when series plot different fields
 export function calculateDomain(dataset, xKey, yKey) {
   if (!dataset || !xKey || !yKey || Object.keys(dataset).length === 0) {
     return { xMin: "auto", xMax: "auto", yMin: "auto", yMax: "auto" };
   }
+  const yKeys = Array.isArray(yKey) ? yKey : [yKey];
 
   // Collect all x and y values from all series
   const allXValues = [];
@@ -677,9 +526,11 @@ export function calculateDomain(dataset, xKey, yKey) {
         if (point[xKey] !== undefined && point[xKey] !== null) {
           allXValues.push(point[xKey]);
         }
-        if (point[yKey] !== undefined && point[yKey] !== null) {
-          allYValues.push(point[yKey]);
-        }
+        yKeys.forEach(key => {
+          if (point[key] !== undefined && point[key] !== null) {
+            allYValues.push(point[key]);
+          }
+        });
       });
     }
   });
@@ -689,7 +540,7 @@ export function calculateDomain(dataset, xKey, yKey) {
   let xMax = "auto";
   if (allXValues.length > 0) {
     // Check if values are already timestamps (numbers) or need parsing
-    const numericX = allXValues.filter(v => typeof v === 'number' || isFloatOrInt(v)).map(v => typeof v === 'number' ? v : parseFloat(v));
+    const numericX = allXValues.filter(v => isFloatOrInt(v)).map(v => parseNumber(v));
     
     // Try to parse as dates first (if not already numeric timestamps)
     const dateX = numericX.length < allXValues.length 
@@ -716,7 +567,7 @@ export function calculateDomain(dataset, xKey, yKey) {
       }
     } else {
       // Try numeric
-      const numericX = allXValues.filter(v => isFloatOrInt(v)).map(v => parseFloat(v));
+      const numericX = allXValues.filter(v => isFloatOrInt(v)).map(v => parseNumber(v));
       if (numericX.length > 0) {
         const xMinVal = Math.min(...numericX);
         const xMaxVal = Math.max(...numericX);
@@ -744,7 +595,7 @@ export function calculateDomain(dataset, xKey, yKey) {
   let yMin = "auto";
   let yMax = "auto";
   if (allYValues.length > 0) {
-    const numericY = allYValues.filter(v => isFloatOrInt(v)).map(v => parseFloat(v));
+    const numericY = allYValues.filter(v => isFloatOrInt(v)).map(v => parseNumber(v));
     if (numericY.length > 0) {
       const yMinVal = Math.min(...numericY);
       const yMaxVal = Math.max(...numericY);
@@ -810,9 +661,89 @@ export function calculateDomain(dataset, xKey, yKey) {
     xMax, 
     yMin, 
     yMax,
-    xValuesRange: allXValues.length > 0 ? `${Math.min(...allXValues.filter(v => isFloatOrInt(v)).map(v => parseFloat(v)))} to ${Math.max(...allXValues.filter(v => isFloatOrInt(v)).map(v => parseFloat(v)))}` : "N/A",
-    yValuesRange: allYValues.length > 0 ? `${Math.min(...allYValues.filter(v => isFloatOrInt(v)).map(v => parseFloat(v)))} to ${Math.max(...allYValues.filter(v => isFloatOrInt(v)).map(v => parseFloat(v)))}` : "N/A"
+    xValuesRange: allXValues.length > 0 ? `${Math.min(...allXValues.filter(v => isFloatOrInt(v)).map(v => parseNumber(v)))} to ${Math.max(...allXValues.filter(v => isFloatOrInt(v)).map(v => parseNumber(v)))}` : "N/A",
+    yValuesRange: allYValues.length > 0 ? `${Math.min(...allYValues.filter(v => isFloatOrInt(v)).map(v => parseNumber(v)))} to ${Math.max(...allYValues.filter(v => isFloatOrInt(v)).map(v => parseNumber(v)))}` : "N/A"
   });
 
   return { xMin, xMax, yMin, yMax };
-}
\ No newline at end of file
+}
+
+// Calculate the domains of a chart with a left and a right y-axis
+// measures: [{ field, axis: "left" | "right", dataset: {series: [{x, y}]} }]
+// Returns { xMin, xMax, yMin, yMax, y2Min, y2Max }, where y is the left axis
+export function calculateAxisDomains(measures, xKey) {
+  const combine = axisMeasures => {
+    const combined = {};
+    axisMeasures.forEach((measure, index) => {
+      Object.keys(measure.dataset || {}).forEach(seriesKey => {
+        combined[`${index}:${seriesKey}`] = measure.dataset[seriesKey];
+      });
+    });
+    return combined;
+  };
+  const axisDomain = axis => {
+    const axisMeasures = measures.filter(measure => measure.axis === axis);
+    return calculateDomain(combine(axisMeasures), xKey, axisMeasures.map(measure => measure.field));
+  };
+
+  const { xMin, xMax } = calculateDomain(combine(measures), xKey, measures.map(measure => measure.field));
+  const left = axisDomain("left");
+  const right = axisDomain("right");
+  return { xMin, xMax, yMin: left.yMin, yMax: left.yMax, y2Min: right.yMin, y2Max: right.yMax };
+}
+
+// Format an x-axis value for display, turning timestamps back into dates
+export function formatTimestamp(value) {
+  // If value is a timestamp (large number), format as date
+  if (typeof value === "number" && value > TIMESTAMP_THRESHOLD) {
+    const date = new Date(value);
+    const yearMonth = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+    // Format as YYYY-MM if it's the first of the month, otherwise YYYY-MM-DD
+    if (date.getDate() === 1) {
+      return yearMonth;
+    }
+    return `${yearMonth}-${String(date.getDate()).padStart(2, "0")}`;
+  }
+  return value;
+}
+
+// Pivot {series: [{x, y}]} into one row per x-value with a column per series
+// e.g. [{x: 1, series1: 10, series2: 15}, {x: 2, series1: 20, series2: null}]
+export function pivotDataset(dataset, xKey, yKey) {
+  const seriesKeys = Object.keys(dataset || {});
+  const rowsByX = new Map();
+
+  seriesKeys.forEach(seriesKey => {
+    const seriesData = dataset[seriesKey];
+    if (!Array.isArray(seriesData)) return;
+    seriesData.forEach(point => {
+      const xValue = point[xKey];
+      if (xValue === undefined || xValue === null) return;
+      if (!rowsByX.has(xValue)) {
+        rowsByX.set(xValue, { [xKey]: xValue });
+      }
+      // Keep the first point for an x-value, as the chart always has
+      const row = rowsByX.get(xValue);
+      if (row[seriesKey] === undefined && point[yKey] !== undefined) {
+        row[seriesKey] = point[yKey];
+      }
+    });
+  });
+
+  const xValues = Array.from(rowsByX.keys()).sort((a, b) => {
+    // Numbers (including timestamps) first, then strings alphabetically
+    if (typeof a === "number" && typeof b === "number") return a - b;
+    if (typeof a === "number") return -1;
+    if (typeof b === "number") return 1;
+    return String(a).localeCompare(String(b));
+  });
+
+  return xValues.map(xValue => {
+    const row = rowsByX.get(xValue);
+    // No data for this x-value in this series
+    seriesKeys.forEach(seriesKey => {
+      if (row[seriesKey] === undefined) row[seriesKey] = null;
+    });
+    return row;
+  });
+}
@@ -0,0 +1,224 @@
+import {
+  calculateAxisDomains,
+  recommendAxes,
+  recommendChartTypes,
+} from "./utils";
+
+const towns = ["Bedok", "Jurong", "Tampines", "Woodlands"];
+
+// Resale prices by year and town: a time series split by a few categories
+const resale = {
+  fields: [
+    { id: "_id", type: "int" },
+    { id: "year", type: "text" },
+    { id: "town", type: "text" },
+    { id: "resale_price", type: "numeric" },
+  ],
+  records: [2015, 2016, 2017, 2018, 2019, 2020].flatMap((year, i) =>
+    towns.map((town, j) => ({
+      _id: i * towns.length + j + 1,
+      year: String(year),
+      town,
+      resale_price: String(400000 + i * 10000 + j * 5000),
+    }))
+  ),
+};
+
+// Height against weight for 40 people: two continuous measures
+const people = Array.from({ length: 40 }, (v, i) => ({
+  height: 150 + i,
+  weight: 50 + ((i * 7) % 30),
+}));
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe("recommendAxes", () => {
+  test("suggests nothing until there are fields and records", () => {
+    expect(recommendAxes(null, resale.records)).toEqual([]);
+    expect(recommendAxes(resale.fields, null)).toEqual([]);
+    expect(recommendAxes(resale.fields, [])).toEqual([]);
+  });
+
+  test("puts time on x, the measure on y and the town as series", () => {
+    const [best] = recommendAxes(resale.fields, resale.records);
+    expect(best).toMatchObject({
+      xKey: "year",
+      yKey: "resale_price",
+      series: "town",
+    });
+    expect(best.reasons.length).toBeGreaterThan(0);
+  });
+
+  test("returns the best suggestions first, up to the limit", () => {
+    expect(recommendAxes(resale.fields, resale.records, 1)).toHaveLength(1);
+    const suggestions = recommendAxes(resale.fields, resale.records, 5);
+    expect(suggestions).toHaveLength(5);
+    const scores = suggestions.map((suggestion) => suggestion.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+  });
+
+  test("ranks the row id below the field it replaces", () => {
+    const suggestions = recommendAxes(resale.fields, resale.records, 50);
+    const score = (xKey, yKey) =>
+      suggestions.find(
+        (s) => s.xKey === xKey && s.yKey === yKey && s.series === null
+      ).score;
+    expect(score("_id", "resale_price")).toBeLessThan(
+      score("year", "resale_price")
+    );
+    expect(score("year", "_id")).toBeLessThan(score("year", "resale_price"));
+  });
+
+  test("never uses a field twice", () => {
+    recommendAxes(resale.fields, resale.records, 50).forEach((suggestion) => {
+      expect(suggestion.xKey).not.toBe(suggestion.yKey);
+      expect(suggestion.series).not.toBe(suggestion.xKey);
+    });
+  });
+
+  test("uses column profiles where given", () => {
+    const profile = (field, type, distinctCount) => ({
+      field,
+      type,
+      count: 24,
+      nullCount: 0,
+      missingCount: 0,
+      distinctCount,
+      topValues: [],
+    });
+    // Profiled as a year, so "period" is read as time without its name
+    const profiles = {
+      period: profile("period", "year", 6),
+      town: profile("town", "text", 4),
+      resale_price: profile("resale_price", "numeric", 24),
+    };
+    const records = resale.records.map(({ year, ...rest }) => ({
+      ...rest,
+      period: year,
+    }));
+    const fields = [
+      { id: "period", type: "text" },
+      { id: "town", type: "text" },
+      { id: "resale_price", type: "numeric" },
+    ];
+    const [best] = recommendAxes(fields, records, 1, profiles);
+    expect(best).toMatchObject({ xKey: "period", yKey: "resale_price" });
+  });
+});
+
+describe("calculateAxisDomains", () => {
+  const measure = (axis, points) => ({
+    field: "value",
+    axis,
+    dataset: { default: points.map(([year, value]) => ({ year, value })) },
+  });
+
+  test("scales each y-axis to its own measures over the shared x-axis", () => {
+    const domains = calculateAxisDomains(
+      [
+        measure("left", [
+          [2000, 0],
+          [2010, 100],
+        ]),
+        measure("right", [
+          [2005, 1000],
+          [2020, 5000],
+        ]),
+      ],
+      "year"
+    );
+    expect(domains).toEqual({
+      xMin: 1999,
+      xMax: 2021,
+      yMin: 0,
+      yMax: 110,
+      y2Min: 800,
+      y2Max: 5200,
+    });
+  });
+
+  test("leaves the right axis automatic without a measure on it", () => {
+    const domains = calculateAxisDomains(
+      [
+        measure("left", [
+          [2000, 10],
+          [2010, 20],
+        ]),
+      ],
+      "year"
+    );
+    expect(domains).toMatchObject({ y2Min: "auto", y2Max: "auto" });
+    expect(domains.yMax).toBe(21);
+  });
+});
+
+describe("recommendChartTypes", () => {
+  const types = (records, xKey, yKey, series = "") =>
+    recommendChartTypes(records, xKey, yKey, resale.fields, series).map(
+      (entry) => entry.type
+    );
+
+  test("draws a time series as a line, stacking areas for several", () => {
+    expect(types(resale.records, "year", "resale_price")[0]).toBe("line");
+    const bySeries = types(resale.records, "year", "resale_price", "town");
+    expect(bySeries.slice(0, 2)).toEqual(["line", "area"]);
+  });
+
+  test("compares categories with bars, stacked when split by series", () => {
+    expect(types(resale.records, "town", "resale_price")[0]).toBe("bar");
+    const bySeries = types(resale.records, "town", "resale_price", "year");
+    expect(bySeries[0]).toBe("bar");
+    expect(bySeries.indexOf("stackedBar")).toBeLessThan(
+      bySeries.indexOf("line")
+    );
+  });
+
+  test("relates two measures with a line or a scatter", () => {
+    expect(
+      recommendChartTypes(people, "height", "weight", [])
+        .slice(0, 3)
+        .map((entry) => entry.type)
+    ).toEqual(["line", "scatter", "scatterTrend"]);
+  });
+
+  test("offers a pie for a few categories as shares", () => {
+    const records = towns.map((town, i) => ({ town, flats: 100 + i }));
+    const pie = recommendChartTypes(records, "town", "flats", []).find(
+      (entry) => entry.type === "pie"
+    );
+    expect(pie.score).toBeGreaterThan(0.5);
+  });
+
+  test("ranks every chart type with a reason, best first", () => {
+    const ranking = recommendChartTypes(
+      resale.records,
+      "year",
+      "resale_price",
+      resale.fields,
+      "town"
+    );
+    expect(ranking).toHaveLength(11);
+    ranking.forEach((entry) =>
+      expect(entry.reason).toEqual(expect.any(String))
+    );
+    const scores = ranking.map((entry) => entry.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+  });
+
+  test("falls back to a line when there is nothing to rank", () => {
+    const fallback = (records, xKey) =>
+      recommendChartTypes(records, xKey, "resale_price", []);
+    expect(fallback([], "year")).toEqual([
+      { type: "line", score: 0, reason: "There is no data to analyse" },
+    ]);
+    expect(fallback(resale.records, "missing")).toEqual([
+      { type: "line", score: 0, reason: "The x-axis has no values" },
+    ]);
+  });
+});
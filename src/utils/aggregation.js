@@ -0,0 +1,93 @@
+import { parseFloatOrText } from "../utils";
+import { isMissingValue } from "./normalize";
+
+/**
+ * Aggregation functions applied to the y-values of each (series, x) bucket
+ *
+ * Numeric aggregations, first and last included, ignore values that don't
+ * parse as numbers and return null for a bucket without any; count and
+ * count-distinct work on the raw values, skipping empty cells and
+ * missing-value markers. "none" is not an aggregation: every row is plotted
+ * as is.
+ */
+
+function toNumbers(values) {
+  return values
+    .map((value) =>
+      typeof value === "number" ? value : parseFloatOrText(value)
+    )
+    .filter((value) => typeof value === "number" && !isNaN(value));
+}
+
+function sum(numbers) {
+  return numbers.reduce((total, value) => total + value, 0);
+}
+
+function mean(numbers) {
+  return sum(numbers) / numbers.length;
+}
+
+function median(numbers) {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Sample standard deviation; a single value has no spread
+function standardDeviation(numbers) {
+  if (numbers.length < 2) return 0;
+  const average = mean(numbers);
+  const squares = numbers.map((value) => (value - average) ** 2);
+  return Math.sqrt(sum(squares) / (numbers.length - 1));
+}
+
+// Missing-value markers such as "na" are not counted
+function isPresent(value) {
+  return !isMissingValue(value);
+}
+
+function numeric(aggregate) {
+  return (values) => {
+    const numbers = toNumbers(values);
+    return numbers.length > 0 ? aggregate(numbers) : null;
+  };
+}
+
+const AGGREGATORS = {
+  sum: numeric(sum),
+  mean: numeric(mean),
+  median: numeric(median),
+  // A bucket can hold every row of the dataset, too many to spread as arguments
+  min: numeric((numbers) => numbers.reduce((a, b) => Math.min(a, b))),
+  max: numeric((numbers) => numbers.reduce((a, b) => Math.max(a, b))),
+  std: numeric(standardDeviation),
+  count: (values) => values.filter(isPresent).length,
+  countDistinct: (values) => new Set(values.filter(isPresent).map(String)).size,
+  first: numeric((numbers) => numbers[0]),
+  last: numeric((numbers) => numbers[numbers.length - 1]),
+};
+
+/**
+ * Checks whether a value names a supported aggregation (or "none")
+ * @param {string} aggregation - Aggregation name
+ * @returns {boolean}
+ */
+export function isAggregation(aggregation) {
+  return (
+    aggregation === "none" ||
+    Object.prototype.hasOwnProperty.call(AGGREGATORS, aggregation)
+  );
+}
+
+/**
+ * Aggregates the y-values of one bucket
+ * @param {Array} values - Raw y-values in record order
+ * @param {string} aggregation - e.g. "sum", "mean", "countDistinct"
+ * @returns {number|null} - The aggregated value, null if there is none
+ */
+export function aggregateValues(values, aggregation) {
+  const aggregator = AGGREGATORS[aggregation] || AGGREGATORS.sum;
+  return aggregator(values);
+}
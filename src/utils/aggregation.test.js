@@ -0,0 +1,65 @@
+import { aggregateValues, isAggregation } from "./aggregation";
+
+// One bucket of monthly readings as list-rows returns them: text with
+// thousands separators, a missing-value marker and a blank cell
+const readings = ["1,200", "na", "300", "", 500, "-", "1,000"];
+
+describe("aggregateValues", () => {
+  test("adds up, averages and takes the middle of the numbers", () => {
+    expect(aggregateValues(readings, "sum")).toBe(3000);
+    expect(aggregateValues(readings, "mean")).toBe(750);
+    expect(aggregateValues(readings, "median")).toBe(750);
+    expect(aggregateValues([3, 1, 2], "median")).toBe(2);
+  });
+
+  test("takes the least and greatest of a bucket too big to spread", () => {
+    const values = Array.from({ length: 500000 }, (v, i) => i % 1000);
+    values[123456] = -5;
+    expect(aggregateValues(values, "min")).toBe(-5);
+    expect(aggregateValues(values, "max")).toBe(999);
+  });
+
+  test("gives the sample standard deviation, 0 for a single value", () => {
+    expect(aggregateValues([2, 4, 4, 4, 5, 5, 7, 9], "std")).toBeCloseTo(
+      2.138,
+      3
+    );
+    expect(aggregateValues(["42"], "std")).toBe(0);
+  });
+
+  test("gives the first and last numbers, parsed", () => {
+    expect(aggregateValues(readings, "first")).toBe(1200);
+    expect(aggregateValues(readings, "last")).toBe(1000);
+    expect(aggregateValues(["n/a", "Bedok", "12"], "first")).toBe(12);
+  });
+
+  test("counts the present values, and the distinct ones", () => {
+    expect(aggregateValues(readings, "count")).toBe(4);
+    expect(aggregateValues(["Bedok", "Jurong", "Bedok", "na"], "count")).toBe(
+      3
+    );
+    expect(
+      aggregateValues(["Bedok", "Jurong", "Bedok", "na"], "countDistinct")
+    ).toBe(2);
+  });
+
+  test("gives null for a bucket without numbers", () => {
+    ["sum", "mean", "median", "min", "max", "std", "first", "last"].forEach(
+      (aggregation) => {
+        expect(aggregateValues(["na", "", null], aggregation)).toBeNull();
+      }
+    );
+    expect(aggregateValues(["na", ""], "count")).toBe(0);
+  });
+
+  test("sums when the aggregation is unknown", () => {
+    expect(aggregateValues([1, 2], "total")).toBe(3);
+  });
+});
+
+test("isAggregation accepts the aggregations and none", () => {
+  expect(isAggregation("countDistinct")).toBe(true);
+  expect(isAggregation("none")).toBe(true);
+  expect(isAggregation("total")).toBe(false);
+  expect(isAggregation("toString")).toBe(false);
+});
@@ -0,0 +1,123 @@
+import { calculateAxisDomains, calculateDomain, pivotDataset } from "../utils";
+import { processLayerInSteps } from "./layers";
+import { processDatasetInSteps } from "./processDataset";
+
+/**
+ * Everything a chart needs from the filtered records, worked out in chunks
+ * so that a worker can report progress and stop between them (see
+ * utils/processingWorker.js). The result has the shape
+ *   { dataset, measureDatasets, layerMeasures, domain, rows }
+ * where dataset is the processed yKey, measureDatasets are the additional
+ * measures with their processed datasets, layerMeasures are the layers from
+ * other datasets aligned to the x-axis, domain holds the calculated axis
+ * bounds, and rows is the dataset pivoted to a row per x-value.
+ */
+
+/**
+ * Processes a chart, pausing every PROCESSING_CHUNK_SIZE records
+ * @param {Array} records - Records after row filters
+ * @param {Object} options - processDataset options, plus measures: the
+ * additional measures as [{ field, aggregation, axis, style }], layers: the
+ * layers as [{ layer, records, source }] with their keys resolved (see
+ * utils/layers.js), and xBucket: the time bucket of the x-axis
+ * @yields {Object} - { done, total } units of work, where each processed
+ * dataset counts a unit per record and the domain and pivot one each
+ * @returns {Object} - { dataset, measureDatasets, layerMeasures, domain, rows }
+ */
+export function* createChartDataJob(records, options) {
+  const { measures = [], layers = [], xBucket, ...datasetOptions } = options;
+  const { xKey, yKey, xKeyIsDate, missingValues } = datasetOptions;
+  const result = {
+    dataset: {},
+    measureDatasets: [],
+    layerMeasures: [],
+    domain: null,
+    rows: [],
+  };
+  const layerRecordCount = layers.reduce(
+    (count, layer) => count + layer.records.length,
+    0
+  );
+  const total = records.length * (1 + measures.length) + layerRecordCount + 2;
+  let done = 0;
+
+  // Passes on the pauses of processDataset or processLayer as progress
+  function* withProgress(steps) {
+    let step = steps.next();
+    while (!step.done) {
+      done += step.value;
+      yield { done, total };
+      step = steps.next();
+    }
+    return step.value;
+  }
+
+  const processWithProgress = (processOptions) =>
+    withProgress(processDatasetInSteps(records, processOptions));
+
+  result.dataset = yield* processWithProgress(datasetOptions);
+  // Each additional measure is processed like yKey, with its own aggregation
+  for (const measure of measures) {
+    result.measureDatasets.push({
+      ...measure,
+      dataset: yield* processWithProgress({
+        ...datasetOptions,
+        yKey: measure.field,
+        aggregation: measure.aggregation,
+      }),
+    });
+  }
+  // Layers are matched to the chart's x-values, unless they are dates
+  const categories =
+    xKeyIsDate || layers.length === 0
+      ? []
+      : Array.from(new Set(records.map((record) => record[xKey])));
+  for (const { layer, records: layerRecords, source } of layers) {
+    result.layerMeasures.push(
+      yield* withProgress(
+        processLayerInSteps(layerRecords, layer, {
+          xKey,
+          xKeyIsDate,
+          xBucket,
+          categories,
+          missingValues,
+          source,
+        })
+      )
+    );
+  }
+  // Each y-axis gets the domain of the measures plotted against it
+  result.domain =
+    result.measureDatasets.length > 0 || result.layerMeasures.length > 0
+      ? calculateAxisDomains(
+          [
+            { field: yKey, axis: "left", dataset: result.dataset },
+            ...result.measureDatasets,
+            ...result.layerMeasures,
+          ],
+          xKey
+        )
+      : calculateDomain(result.dataset, xKey, yKey);
+  done++;
+  yield { done, total };
+  result.rows = pivotDataset(result.dataset, xKey, yKey);
+  return result;
+}
+
+/**
+ * Processes a chart in one go on the current thread
+ * @param {Array} records - Records after row filters
+ * @param {Object} options - See createChartDataJob
+ * @param {Function} [onProgress] - Called as (done, total) as the work
+ * progresses
+ * @returns {Object} - { dataset, measureDatasets, domain, rows }
+ */
+export function processChartData(records, options, onProgress) {
+  const job = createChartDataJob(records, options);
+  let step = job.next();
+  while (!step.done) {
+    if (onProgress) onProgress(step.value.done, step.value.total);
+    step = job.next();
+  }
+  return step.value;
+}
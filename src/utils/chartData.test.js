@@ -0,0 +1,93 @@
+import { createChartDataJob, processChartData } from "./chartData";
+import { PROCESSING_CHUNK_SIZE } from "../constants";
+
+const records = Array.from({ length: PROCESSING_CHUNK_SIZE + 100 }, (v, i) => ({
+  year: String(2000 + (i % 20)),
+  value: i % 7,
+  count: 1,
+}));
+const options = {
+  xKey: "year",
+  yKey: "value",
+  series: "",
+  aggregation: "sum",
+  resample: "",
+  xKeyIsDate: false,
+  measures: [{ field: "count", aggregation: "sum", axis: "right" }],
+};
+
+test("reports progress through every record of every measure", () => {
+  const progress = [];
+  const result = processChartData(records, options, (done, total) =>
+    progress.push([done, total])
+  );
+  const total = records.length * 2 + 2;
+  expect(progress.every(([, t]) => t === total)).toBe(true);
+  const done = progress.map(([d]) => d);
+  expect(done).toEqual([...done].sort((a, b) => a - b));
+  // Four pauses per processed dataset, two of them while sorting, then the
+  // domain
+  expect(progress.length).toBe(9);
+  expect(done[done.length - 1]).toBe(total - 1);
+  expect(result.dataset.default).toHaveLength(20);
+  expect(result.measureDatasets[0].dataset.default[0].count).toBe(
+    records.length / 20
+  );
+  expect(result.rows).toHaveLength(20);
+  expect(result.domain).toMatchObject({ xMin: expect.anything() });
+});
+
+test("stops between chunks when the job is closed", () => {
+  const job = createChartDataJob(records, options);
+  const first = job.next();
+  expect(first.done).toBe(false);
+  expect(first.value.done).toBe(0);
+  expect(job.return().done).toBe(true);
+  expect(job.next()).toEqual({ done: true, value: undefined });
+});
+
+test("processes layers with the chart and counts them towards the domain", () => {
+  const layerRecords = [
+    { yr: "2000", rain: "900" },
+    { yr: "2001", rain: "-40" },
+  ];
+  const progress = [];
+  const result = processChartData(
+    records,
+    {
+      ...options,
+      measures: [],
+      layers: [
+        {
+          layer: {
+            resourceID: "d_rainfall",
+            xKey: "yr",
+            yKey: "rain",
+            series: "",
+            aggregation: "sum",
+            axis: "right",
+            color: "#123456",
+          },
+          records: layerRecords,
+          source: "Rainfall",
+        },
+      ],
+    },
+    (done, total) => progress.push([done, total])
+  );
+  expect(result.layerMeasures).toHaveLength(1);
+  expect(result.layerMeasures[0]).toMatchObject({
+    field: "rain",
+    source: "Rainfall",
+    dataset: {
+      default: [
+        { year: "2000", rain: 900 },
+        { year: "2001", rain: -40 },
+      ],
+    },
+  });
+  expect(progress[0][1]).toBe(records.length + layerRecords.length + 2);
+  // The right axis spans the layer, with padding
+  expect(result.domain.y2Min).toBeLessThanOrEqual(-40);
+  expect(result.domain.y2Max).toBeGreaterThanOrEqual(900);
+});
@@ -0,0 +1,170 @@
+import { downloadFile } from "./download";
+
+/**
+ * Chart image export
+ *
+ * Recharts draws the plot (axes, axis labels, lines/bars) as SVG, but the
+ * legend is HTML. Exports therefore compose a standalone SVG: the title, the
+ * cloned plot, a legend redrawn from the series colours and the attribution.
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const FONT_FAMILY =
+  "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+const PADDING = 16;
+const TITLE_HEIGHT = 36;
+const LEGEND_ROW_HEIGHT = 20;
+const LEGEND_SWATCH_SIZE = 10;
+const LEGEND_CHAR_WIDTH = 6.5; // Approximate width of a 12px character
+const ATTRIBUTION_HEIGHT = 28;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Finds the main Recharts SVG inside a chart container
+ * (legend icons are also `recharts-surface` SVGs, so match the wrapper child)
+ * @param {HTMLElement} container - Element containing the chart
+ * @returns {SVGSVGElement|null} - The plot SVG
+ */
+export function findChartSvg(container) {
+  if (!container) return null;
+  return container.querySelector(".recharts-wrapper > svg.recharts-surface");
+}
+
+function layoutLegend(legend, width) {
+  const items = [];
+  let x = PADDING;
+  let row = 0;
+  legend.forEach(({ name, color }) => {
+    const itemWidth =
+      LEGEND_SWATCH_SIZE + 6 + String(name).length * LEGEND_CHAR_WIDTH + 16;
+    if (x + itemWidth > width - PADDING && x > PADDING) {
+      x = PADDING;
+      row++;
+    }
+    items.push({ name, color, x, row });
+    x += itemWidth;
+  });
+  const rows = items.length > 0 ? row + 1 : 0;
+  return { items, height: rows * LEGEND_ROW_HEIGHT };
+}
+
+/**
+ * Builds a standalone SVG document for a rendered chart
+ * @param {SVGSVGElement} chartSvg - The Recharts plot SVG
+ * @param {Object} options
+ * @param {string} options.title - Chart title
+ * @param {Array} options.legend - [{ name, color }] legend entries
+ * @param {string} options.attribution - Licence attribution text
+ * @returns {Object} - { svg, width, height } where svg is the markup
+ */
+export function buildChartSvg(chartSvg, { title, legend = [], attribution }) {
+  const chartWidth = chartSvg.width.baseVal.value || chartSvg.clientWidth;
+  const chartHeight = chartSvg.height.baseVal.value || chartSvg.clientHeight;
+  const width = chartWidth + PADDING * 2;
+  const { items, height: legendHeight } = layoutLegend(legend, width);
+
+  const chartTop = PADDING + TITLE_HEIGHT;
+  const legendTop = chartTop + chartHeight + PADDING / 2;
+  const attributionTop = legendTop + legendHeight + PADDING / 2;
+  const height = attributionTop + ATTRIBUTION_HEIGHT + PADDING / 2;
+
+  const plot = chartSvg.cloneNode(true);
+  plot.setAttribute("x", PADDING);
+  plot.setAttribute("y", chartTop);
+  plot.setAttribute("width", chartWidth);
+  plot.setAttribute("height", chartHeight);
+  plot.removeAttribute("class");
+  const plotMarkup = new XMLSerializer().serializeToString(plot);
+
+  const legendMarkup = items
+    .map(
+      ({ name, color, x, row }) => `
+    <g transform="translate(${x}, ${legendTop + row * LEGEND_ROW_HEIGHT})">
+      <rect width="${LEGEND_SWATCH_SIZE}" height="${LEGEND_SWATCH_SIZE}" y="2" fill="${escapeXml(
+        color
+      )}" />
+      <text x="${
+        LEGEND_SWATCH_SIZE + 6
+      }" y="11" font-size="12" fill="#1e293b">${escapeXml(name)}</text>
+    </g>`
+    )
+    .join("");
+
+  const svg = `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">
+  <rect width="100%" height="100%" fill="#ffffff" />
+  <text x="${width / 2}" y="${
+    PADDING + TITLE_HEIGHT / 2
+  }" text-anchor="middle" dominant-baseline="middle" font-size="18" font-weight="600" fill="#1e293b">${escapeXml(
+    title
+  )}</text>
+  ${plotMarkup}
+  ${legendMarkup}
+  <text x="${width / 2}" y="${
+    attributionTop + ATTRIBUTION_HEIGHT / 2
+  }" text-anchor="middle" dominant-baseline="middle" font-size="10" fill="#64748b">${escapeXml(
+    attribution
+  )}</text>
+</svg>`;
+
+  return { svg, width, height };
+}
+
+/**
+ * Downloads a chart as an SVG file
+ * @param {SVGSVGElement} chartSvg - The Recharts plot SVG
+ * @param {Object} options - See buildChartSvg, plus filename (without extension)
+ */
+export function exportChartSvg(chartSvg, options) {
+  const { svg } = buildChartSvg(chartSvg, options);
+  downloadFile(svg, `${options.filename}.svg`, "image/svg+xml");
+}
+
+/**
+ * Downloads a chart as a PNG file
+ * @param {SVGSVGElement} chartSvg - The Recharts plot SVG
+ * @param {Object} options - See buildChartSvg, plus filename (without extension)
+ *   and pixelRatio (device pixels per CSS pixel, e.g. 2 for slides)
+ * @returns {Promise<void>}
+ */
+export function exportChartPng(chartSvg, options) {
+  const { svg, width, height } = buildChartSvg(chartSvg, options);
+  const pixelRatio = options.pixelRatio || 1;
+  const svgUrl = URL.createObjectURL(
+    new Blob([svg], { type: "image/svg+xml;charset=utf-8" })
+  );
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("Could not render chart image"));
+    image.src = svgUrl;
+  })
+    .then(
+      (image) =>
+        new Promise((resolve, reject) => {
+          const canvas = document.createElement("canvas");
+          canvas.width = Math.round(width * pixelRatio);
+          canvas.height = Math.round(height * pixelRatio);
+          const context = canvas.getContext("2d");
+          context.scale(pixelRatio, pixelRatio);
+          context.drawImage(image, 0, 0, width, height);
+          canvas.toBlob((blob) => {
+            if (blob) resolve(blob);
+            else reject(new Error("Could not encode chart as PNG"));
+          }, "image/png");
+        })
+    )
+    .then((blob) => {
+      downloadFile(blob, `${options.filename}.png`);
+    })
+    .finally(() => {
+      URL.revokeObjectURL(svgUrl);
+    });
+}
@@ -0,0 +1,265 @@
+import { formatTimestamp } from "../utils";
+import { aggregateValues } from "./aggregation";
+import { CHART_TYPE_OPTIONS, PIE_MAX_SLICES } from "../constants";
+
+/**
+ * Helpers for the chart types in CHART_TYPE_OPTIONS. Every type plots the
+ * same processed dataset, { series: [{ x, y }] }; these reshape it for the
+ * types that are not a line or bar per series.
+ */
+
+const BAR_CHART_TYPES = ["bar", "stackedBar", "percentBar", "horizontalBar"];
+// Types whose x- and y-axes follow the chart range, so they can be zoomed
+const ZOOMABLE_CHART_TYPES = [
+  "line",
+  "area",
+  "bar",
+  "stackedBar",
+  "scatter",
+  "scatterTrend",
+];
+// Aggregations whose values for parts of a heatmap cell add up to the cell's
+const ADDITIVE_AGGREGATIONS = ["none", "sum", "count", "countDistinct"];
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/**
+ * Checks for a chart type name from CHART_TYPE_OPTIONS
+ * @param {*} type - Candidate name
+ * @returns {boolean}
+ */
+export function isChartType(type) {
+  return CHART_TYPE_OPTIONS.some(({ value }) => value === type);
+}
+
+/**
+ * Checks whether a chart type draws bars
+ * @param {string} type - Chart type name
+ * @returns {boolean}
+ */
+export function isBarChartType(type) {
+  return BAR_CHART_TYPES.includes(type);
+}
+
+/**
+ * Checks whether a chart type can be zoomed and panned
+ * @param {string} type - Chart type name
+ * @returns {boolean}
+ */
+export function isZoomableChartType(type) {
+  return ZOOMABLE_CHART_TYPES.includes(type);
+}
+
+/**
+ * Label of a chart type for menus
+ * @param {string} type - Chart type name
+ * @returns {string}
+ */
+export function getChartTypeLabel(type) {
+  const option = CHART_TYPE_OPTIONS.find(({ value }) => value === type);
+  return option ? option.label : type;
+}
+
+function toNumber(value) {
+  const number = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Least-squares line through the points of a series
+ * @param {Array} points - Series points
+ * @param {string} xKey - X-axis field
+ * @param {string} yKey - Y-axis field
+ * @returns {Array|null} - Two points spanning the x-range, or null without two distinct numeric x-values
+ */
+export function linearTrend(points, xKey, yKey) {
+  const pairs = (points || [])
+    .map((point) => [toNumber(point[xKey]), toNumber(point[yKey])])
+    .filter(([x, y]) => x !== null && y !== null);
+  if (pairs.length < 2) return null;
+
+  const n = pairs.length;
+  const meanX = pairs.reduce((total, [x]) => total + x, 0) / n;
+  const meanY = pairs.reduce((total, [, y]) => total + y, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    variance += (x - meanX) * (x - meanX);
+  });
+  if (variance === 0) return null;
+
+  const slope = covariance / variance;
+  const intercept = meanY - slope * meanX;
+  const xs = pairs.map(([x]) => x);
+  return [Math.min(...xs), Math.max(...xs)].map((x) => ({
+    [xKey]: x,
+    [yKey]: slope * x + intercept,
+  }));
+}
+
+/**
+ * Slices of a pie chart, which shows a breakdown at a single period
+ * With one series there is a slice per x-value; with several there is a
+ * slice per series at the latest x-value. Slices beyond PIE_MAX_SLICES are
+ * combined into "Other", and values that are not positive are left out.
+ * @param {Object} dataset - Processed dataset, { series: [{ x, y }] }
+ * @param {string} xKey - X-axis field
+ * @param {string} yKey - Y-axis field
+ * @param {Function} [formatX] - Formats x-values as slice names
+ * @returns {Object} - { slices: [{ name, value }], period } where period is the x-value shown, or null
+ */
+export function toPieSlices(dataset, xKey, yKey, formatX = formatTimestamp) {
+  const seriesKeys = Object.keys(dataset || {});
+  let slices = [];
+  let period = null;
+
+  if (seriesKeys.length === 1) {
+    slices = dataset[seriesKeys[0]].map((point) => ({
+      name: String(formatX(point[xKey])),
+      value: toNumber(point[yKey]),
+    }));
+  } else if (seriesKeys.length > 1) {
+    const xValues = seriesKeys.flatMap((key) =>
+      dataset[key].map((point) => point[xKey])
+    );
+    // Dates are timestamps and sort as numbers; categories sort as text
+    period = xValues.reduce((latest, value) =>
+      (
+        typeof value === "number" && typeof latest === "number"
+          ? value > latest
+          : String(value) > String(latest)
+      )
+        ? value
+        : latest
+    );
+    slices = seriesKeys.map((key) => {
+      const point = dataset[key].find((item) => item[xKey] === period);
+      return { name: key, value: point ? toNumber(point[yKey]) : null };
+    });
+  }
+
+  slices = slices
+    .filter((slice) => slice.value !== null && slice.value > 0)
+    .sort((a, b) => b.value - a.value);
+  if (slices.length > PIE_MAX_SLICES) {
+    const rest = slices.slice(PIE_MAX_SLICES - 1);
+    slices = slices.slice(0, PIE_MAX_SLICES - 1).concat({
+      name: "Other",
+      value: rest.reduce((total, slice) => total + slice.value, 0),
+    });
+  }
+  return { slices, period };
+}
+
+/**
+ * Cells of a heatmap
+ * Several series give a matrix with a row per series and a column per
+ * x-value. A single series of dates gives a calendar with a row per year and
+ * a column per month. The values that fall in one cell, such as the days of a
+ * month, are combined with the chart's aggregation: a month of means is
+ * averaged, while counts and rows plotted as they are add up.
+ * @param {Object} dataset - Processed dataset, { series: [{ x, y }] }
+ * @param {string} xKey - X-axis field
+ * @param {string} yKey - Y-axis field
+ * @param {boolean} xIsDate - Whether x-values are timestamps
+ * @param {string} [aggregation] - Aggregation the dataset was processed with
+ * @returns {Object} - { rows, columns, cells: [{ row, column, value }], min, max }
+ */
+export function toHeatmapCells(
+  dataset,
+  xKey,
+  yKey,
+  xIsDate,
+  aggregation = "sum"
+) {
+  const seriesKeys = Object.keys(dataset || {});
+  const values = new Map();
+  let rows = [];
+  let columns = [];
+  const cellAggregation = ADDITIVE_AGGREGATIONS.includes(aggregation)
+    ? "sum"
+    : aggregation;
+
+  const addValue = (row, column, value) => {
+    const key = `${row}\u0000${column}`;
+    if (!values.has(key)) values.set(key, { row, column, values: [] });
+    values.get(key).values.push(value);
+  };
+
+  if (seriesKeys.length === 1 && xIsDate) {
+    const years = new Set();
+    dataset[seriesKeys[0]].forEach((point) => {
+      const value = toNumber(point[yKey]);
+      if (value === null || typeof point[xKey] !== "number") return;
+      const date = new Date(point[xKey]);
+      years.add(date.getFullYear());
+      addValue(String(date.getFullYear()), MONTH_NAMES[date.getMonth()], value);
+    });
+    rows = Array.from(years)
+      .sort((a, b) => a - b)
+      .map(String);
+    columns = MONTH_NAMES;
+  } else {
+    const columnSet = new Set();
+    seriesKeys.forEach((seriesKey) => {
+      dataset[seriesKey].forEach((point) => {
+        const value = toNumber(point[yKey]);
+        if (value === null) return;
+        columnSet.add(point[xKey]);
+        addValue(seriesKey, point[xKey], value);
+      });
+    });
+    rows = seriesKeys;
+    columns = Array.from(columnSet).sort((a, b) =>
+      typeof a === "number" && typeof b === "number"
+        ? a - b
+        : String(a).localeCompare(String(b))
+    );
+  }
+
+  const cells = Array.from(values.values()).map((cell) => ({
+    row: cell.row,
+    column: cell.column,
+    value: aggregateValues(cell.values, cellAggregation),
+  }));
+  const cellValues = cells.map((cell) => cell.value);
+  return {
+    rows,
+    columns,
+    cells,
+    min: cellValues.length > 0 ? Math.min(...cellValues) : 0,
+    max: cellValues.length > 0 ? Math.max(...cellValues) : 0,
+  };
+}
+
+/**
+ * Legend entries of a chart type, in the order the chart colours them
+ * @param {string} type - Chart type name
+ * @param {Object} dataset - Processed dataset, { series: [{ x, y }] }
+ * @param {string} xKey - X-axis field
+ * @param {string} yKey - Y-axis field
+ * @param {Function} [formatX] - Formats x-values as pie slice names
+ * @returns {Array<string>} - Legend names, empty for a heatmap
+ */
+export function getLegendNames(type, dataset, xKey, yKey, formatX) {
+  if (type === "heatmap") return [];
+  if (type === "pie" || type === "donut") {
+    return toPieSlices(dataset, xKey, yKey, formatX).slices.map(
+      (slice) => slice.name
+    );
+  }
+  return Object.keys(dataset || {});
+}
@@ -0,0 +1,157 @@
+import { linearTrend, toHeatmapCells, toPieSlices } from "./chartTypes";
+import { PIE_MAX_SLICES } from "../constants";
+
+const at = (year, month, day = 1) => new Date(year, month, day).getTime();
+
+describe("linearTrend", () => {
+  test("fits a line through the points, spanning their x-range", () => {
+    const points = [
+      { height: 150, weight: 52 },
+      { height: 160, weight: "58" },
+      { height: 170, weight: 60 },
+      { height: 165, weight: "n/a" },
+    ];
+    const [start, end] = linearTrend(points, "height", "weight");
+    expect(start.height).toBe(150);
+    expect(start.weight).toBeCloseTo(52.667, 3);
+    expect(end.height).toBe(170);
+    expect(end.weight).toBeCloseTo(60.667, 3);
+  });
+
+  test("has no trend without two distinct x-values", () => {
+    expect(linearTrend([{ x: 1, y: 1 }], "x", "y")).toBeNull();
+    expect(
+      linearTrend(
+        [
+          { x: 1, y: 1 },
+          { x: 1, y: 5 },
+        ],
+        "x",
+        "y"
+      )
+    ).toBeNull();
+    expect(linearTrend(null, "x", "y")).toBeNull();
+  });
+});
+
+describe("toPieSlices", () => {
+  test("gives a single series a slice per x-value, largest first", () => {
+    const dataset = {
+      default: [
+        { flat_type: "3 ROOM", sold: 30 },
+        { flat_type: "4 ROOM", sold: 50 },
+        { flat_type: "EXECUTIVE", sold: 0 },
+        { flat_type: "5 ROOM", sold: null },
+      ],
+    };
+    expect(toPieSlices(dataset, "flat_type", "sold")).toEqual({
+      slices: [
+        { name: "4 ROOM", value: 50 },
+        { name: "3 ROOM", value: 30 },
+      ],
+      period: null,
+    });
+  });
+
+  test("splits several series at the latest period", () => {
+    const dataset = {
+      Bedok: [
+        { month: at(2019, 0), sold: 10 },
+        { month: at(2019, 1), sold: 12 },
+      ],
+      Jurong: [
+        { month: at(2019, 0), sold: 20 },
+        { month: at(2019, 1), sold: 8 },
+      ],
+      Punggol: [{ month: at(2019, 0), sold: 5 }],
+    };
+    expect(toPieSlices(dataset, "month", "sold")).toEqual({
+      slices: [
+        { name: "Bedok", value: 12 },
+        { name: "Jurong", value: 8 },
+      ],
+      period: at(2019, 1),
+    });
+  });
+
+  test("combines the smallest slices into Other", () => {
+    const dataset = {
+      default: Array.from({ length: PIE_MAX_SLICES + 2 }, (v, i) => ({
+        town: `Town ${i + 1}`,
+        sold: 100 - i,
+      })),
+    };
+    const { slices } = toPieSlices(dataset, "town", "sold");
+    expect(slices).toHaveLength(PIE_MAX_SLICES);
+    expect(slices[PIE_MAX_SLICES - 1]).toEqual({
+      name: "Other",
+      value: [PIE_MAX_SLICES - 1, PIE_MAX_SLICES, PIE_MAX_SLICES + 1].reduce(
+        (total, i) => total + 100 - i,
+        0
+      ),
+    });
+  });
+
+  test("names the slices with the x-axis format", () => {
+    const dataset = { default: [{ year: at(2019, 0), sold: 1 }] };
+    const formatX = (value) => new Date(value).getFullYear();
+    expect(toPieSlices(dataset, "year", "sold", formatX).slices).toEqual([
+      { name: "2019", value: 1 },
+    ]);
+  });
+});
+
+describe("toHeatmapCells", () => {
+  const value = (heatmap, row, column) =>
+    heatmap.cells.find((cell) => cell.row === row && cell.column === column)
+      .value;
+
+  test("lays out several series as rows by x-value", () => {
+    const dataset = {
+      Jurong: [
+        { year: "2020", sold: 8 },
+        { year: "2019", sold: 20 },
+      ],
+      Bedok: [{ year: "2019", sold: 10 }],
+    };
+    const heatmap = toHeatmapCells(dataset, "year", "sold", false);
+    expect(heatmap.rows).toEqual(["Jurong", "Bedok"]);
+    expect(heatmap.columns).toEqual(["2019", "2020"]);
+    expect(value(heatmap, "Bedok", "2019")).toBe(10);
+    expect([heatmap.min, heatmap.max]).toEqual([8, 20]);
+  });
+
+  test("lays out a series of dates as a calendar of years by months", () => {
+    const dataset = {
+      default: [
+        { day: at(2019, 0, 5), sold: 3 },
+        { day: at(2019, 0, 20), sold: 4 },
+        { day: at(2020, 11, 31), sold: 9 },
+      ],
+    };
+    const heatmap = toHeatmapCells(dataset, "day", "sold", true, "sum");
+    expect(heatmap.rows).toEqual(["2019", "2020"]);
+    expect(heatmap.columns).toHaveLength(12);
+    expect(value(heatmap, "2019", "Jan")).toBe(7);
+    expect(value(heatmap, "2020", "Dec")).toBe(9);
+  });
+
+  test("combines a month of values with the chart's aggregation", () => {
+    const dataset = {
+      default: [
+        { day: at(2019, 0, 5), price: 400 },
+        { day: at(2019, 0, 20), price: 500 },
+      ],
+    };
+    const cell = (aggregation) =>
+      value(
+        toHeatmapCells(dataset, "day", "price", true, aggregation),
+        "2019",
+        "Jan"
+      );
+    expect(cell("mean")).toBe(450);
+    expect(cell("max")).toBe(500);
+    expect(cell("count")).toBe(900);
+    expect(cell("none")).toBe(900);
+  });
+});
@@ -0,0 +1,263 @@
+import { getCoercion, isMissingMarker } from "./normalize";
+import { isFinancialYearRange, parsePeriod } from "./periods";
+
+/**
+ * Column profiles: a scan of every value of a field that infers its type and
+ * summarises its contents. A profile has the shape
+ *   { field, type, count, nullCount, missingCount, formattedCount,
+ *     distinctCount, min, max, topValues: [{ value, count }] }
+ * where nullCount counts empty cells, missingCount counts markers such as
+ * "na" or "-", formattedCount counts numbers written with thousands
+ * separators, and min/max are set for numeric and date-like types.
+ */
+
+// Inferred column types
+export const COLUMN_TYPES = [
+  "integer",
+  "decimal",
+  "percentage",
+  "currency",
+  "year",
+  "year-month",
+  "quarter",
+  "half-year",
+  "financial-year",
+  "date",
+  "datetime",
+  "boolean",
+  "categorical",
+  "text",
+  "identifier",
+];
+export const NUMERIC_TYPES = [
+  "integer",
+  "decimal",
+  "percentage",
+  "currency",
+  "year",
+];
+export const TEMPORAL_TYPES = [
+  "year",
+  "year-month",
+  "quarter",
+  "half-year",
+  "financial-year",
+  "date",
+  "datetime",
+];
+
+// Share of the present values that must agree on a type
+const TYPE_RATIO_THRESHOLD = 0.8;
+const TOP_VALUE_COUNT = 5;
+// More distinct values than this (and than half the values) is free text
+const MAX_CATEGORIES = 50;
+
+const BOOLEAN_VALUES = ["true", "false", "yes", "no", "y", "n"];
+
+const VALUE_PATTERNS = [
+  ["integer", /^-?(\d+|\d{1,3}(,\d{3})+)$/],
+  ["decimal", /^-?(\d+|\d{1,3}(,\d{3})+)?\.\d+$|^-?\d+(\.\d+)?[eE][+-]?\d+$/],
+  ["percentage", /^-?\d+(\.\d+)?\s?%$/],
+  ["currency", /^-?(S\$|US\$|[$€£¥])\s?(\d+|\d{1,3}(,\d{3})+)(\.\d+)?$/],
+  ["year-month", /^\d{4}[-/](0?[1-9]|1[0-2])$/],
+  ["quarter", /^\d{4}[-\s]?Q[1-4]$|^\d{4}\s?[1-4]Q$|^Q[1-4][-\s]?\d{4}$/i],
+  ["half-year", /^\d{4}[-\s]?H[12]$|^\d{4}\s?[12]H$|^H[12][-\s]?\d{4}$/i],
+  ["financial-year", /^FY\s?(\d{4}|\d{2})([-/]\d{2})?$/i],
+  ["date", /^\d{4}[-/]\d{1,2}[-/]\d{1,2}$|^\d{1,2}\/\d{1,2}\/\d{4}$/],
+  ["datetime", /^\d{4}-\d{1,2}-\d{1,2}[T ]\d{1,2}:\d{2}/],
+];
+
+function valueType(text) {
+  // "2019/20" is a financial year; "2019/12" is a month
+  if (isFinancialYearRange(text)) return "financial-year";
+  const match = VALUE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : "text";
+}
+
+// The number in an integer, decimal, percentage or currency cell
+function toNumber(text) {
+  return parseFloat(text.replace(/[^\d.eE+-]/g, ""));
+}
+
+// Whole numbers from 1800 to 2200 read as years, unless the field is named
+// like a quantity that could fall in that range
+function isYearLike(name, numbers) {
+  return (
+    numbers.every((n) => Number.isInteger(n) && n >= 1800 && n <= 2200) &&
+    !/count|total|number|amount|price|value|qty|quantity/i.test(name)
+  );
+}
+
+/**
+ * Profiles one field of a dataset
+ * @param {string} field - Field id
+ * @param {Array} records - Every record of the dataset
+ * @returns {Object} - Column profile
+ */
+export function profileColumn(field, records) {
+  let nullCount = 0;
+  let missingCount = 0;
+  let formattedCount = 0;
+  const counts = new Map();
+  const typeCounts = {};
+
+  records.forEach((record) => {
+    const value = record[field];
+    if (value === undefined || value === null || value === "") {
+      nullCount++;
+      return;
+    }
+    const text = String(value).trim();
+    if (isMissingMarker(text)) {
+      missingCount++;
+      return;
+    }
+    counts.set(text, (counts.get(text) || 0) + 1);
+  });
+
+  // Types are decided per distinct value, weighted by how often it occurs
+  const present = records.length - nullCount - missingCount;
+  counts.forEach((count, text) => {
+    const type = valueType(text);
+    typeCounts[type] = (typeCounts[type] || 0) + count;
+    if (getCoercion(text) === "number") formattedCount += count;
+  });
+  const share = (...types) =>
+    present === 0
+      ? 0
+      : types.reduce((total, type) => total + (typeCounts[type] || 0), 0) /
+        present;
+  const distinctCount = counts.size;
+  const texts = Array.from(counts.keys());
+
+  let type;
+  if (present === 0) {
+    type = "text";
+  } else if (
+    distinctCount <= 2 &&
+    texts.every((text) => BOOLEAN_VALUES.includes(text.toLowerCase()))
+  ) {
+    type = "boolean";
+  } else if (share("integer") >= TYPE_RATIO_THRESHOLD) {
+    const numbers = texts
+      .filter((text) => valueType(text) === "integer")
+      .map(toNumber);
+    type = isYearLike(field, numbers) ? "year" : "integer";
+  } else if (share("integer", "decimal") >= TYPE_RATIO_THRESHOLD) {
+    type = "decimal";
+  } else {
+    type =
+      [
+        "percentage",
+        "currency",
+        "year-month",
+        "quarter",
+        "half-year",
+        "financial-year",
+        "date",
+        "datetime",
+      ].find((candidate) => share(candidate) >= TYPE_RATIO_THRESHOLD) || null;
+    if (type === null && share("date", "datetime") >= TYPE_RATIO_THRESHOLD) {
+      type = "datetime";
+    }
+  }
+
+  if (type === null || type === "integer") {
+    // Values that are all different and named like a key identify rows
+    const isKey =
+      distinctCount === present &&
+      present > 1 &&
+      (field === "_id" || /(^|[_ ])(id|code|key|no)$/i.test(field));
+    if (isKey) {
+      type = "identifier";
+    } else if (type === null) {
+      type =
+        distinctCount <= MAX_CATEGORIES || distinctCount < present / 2
+          ? "categorical"
+          : "text";
+    }
+  }
+
+  let min = null;
+  let max = null;
+  if (NUMERIC_TYPES.includes(type)) {
+    const numbers = texts.map(toNumber).filter((n) => !isNaN(n));
+    if (numbers.length > 0) {
+      min = numbers.reduce((a, b) => Math.min(a, b));
+      max = numbers.reduce((a, b) => Math.max(a, b));
+    }
+  } else if (TEMPORAL_TYPES.includes(type)) {
+    // Day-first dates and periods such as "Q3 2019" don't sort as text
+    const periods = texts
+      .map((text) => ({ text, period: parsePeriod(text, type) }))
+      .filter(({ period }) => period !== null)
+      .sort((a, b) => a.period.timestamp - b.period.timestamp);
+    if (periods.length > 0) {
+      min = periods[0].text;
+      max = periods[periods.length - 1].text;
+    }
+  }
+
+  const topValues = Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_VALUE_COUNT)
+    .map(([value, count]) => ({ value, count }));
+
+  return {
+    field,
+    type,
+    count: records.length,
+    nullCount,
+    missingCount,
+    formattedCount,
+    distinctCount,
+    min,
+    max,
+    topValues,
+  };
+}
+
+/**
+ * Profiles every field of a dataset
+ * @param {Array} fields - Field objects with an id
+ * @param {Array} records - Every record of the dataset
+ * @returns {Object} - Column profiles keyed by field id
+ */
+export function profileColumns(fields, records) {
+  const profiles = {};
+  (fields || []).forEach((field) => {
+    profiles[field.id] = profileColumn(field.id, records || []);
+  });
+  return profiles;
+}
+
+/**
+ * Lays out column profiles as a table for DataTable
+ * @param {Object} profiles - Column profiles keyed by field id
+ * @returns {Object} - { fields, records } with a record per column
+ */
+export function profilesToTable(profiles) {
+  const fields = [
+    "field",
+    "type",
+    "empty",
+    "missing",
+    "distinct",
+    "min",
+    "max",
+    "top values",
+  ].map((id) => ({ id }));
+  const records = Object.values(profiles || {}).map((profile) => ({
+    field: profile.field,
+    type: profile.type,
+    empty: profile.nullCount,
+    missing: profile.missingCount,
+    distinct: profile.distinctCount,
+    min: profile.min === null ? "" : profile.min,
+    max: profile.max === null ? "" : profile.max,
+    "top values": profile.topValues
+      .map(({ value, count }) => `${value} (${count})`)
+      .join(", "),
+  }));
+  return { fields, records };
+}
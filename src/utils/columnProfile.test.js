@@ -0,0 +1,89 @@
+import { profileColumn, profileColumns } from "./columnProfile";
+
+const column = (field, values) => values.map((value) => ({ [field]: value }));
+const profile = (field, values) => profileColumn(field, column(field, values));
+
+describe("years", () => {
+  test("reads whole numbers in the range of years as years, whatever the name", () => {
+    ["year", "period", "date", "census"].forEach((field) => {
+      expect(profile(field, ["2019", "2020", "2020", "2021"]).type).toBe(
+        "year"
+      );
+    });
+  });
+
+  test("keeps quantities that happen to fall in that range as integers", () => {
+    expect(profile("count", ["1900", "2000", "2100"]).type).toBe("integer");
+    expect(profile("total_value", ["1999", "2001"]).type).toBe("integer");
+  });
+
+  test("keeps numbers outside the range of years as integers", () => {
+    expect(profile("year", ["2019", "12000"]).type).toBe("integer");
+    expect(profile("level", ["1", "2", "3"]).type).toBe("integer");
+  });
+
+  test("gives the first and last year as numbers", () => {
+    expect(profile("period", ["2020", "2019", "2021"])).toMatchObject({
+      min: 2019,
+      max: 2021,
+    });
+  });
+});
+
+describe("the range of dates and periods", () => {
+  test("orders day-first dates by date, not as text", () => {
+    const days = profile("day", ["15/03/2019", "02/04/2019", "28/02/2020"]);
+    expect(days).toMatchObject({
+      type: "date",
+      min: "15/03/2019",
+      max: "28/02/2020",
+    });
+  });
+
+  test("orders quarters written with the quarter first", () => {
+    const quarters = profile("quarter", ["Q4 2018", "Q1 2019", "Q3 2018"]);
+    expect(quarters).toMatchObject({
+      type: "quarter",
+      min: "Q3 2018",
+      max: "Q1 2019",
+    });
+  });
+
+  test("orders financial years", () => {
+    const years = profile("fy", ["2019/20", "2009/10", "2010/11"]);
+    expect(years).toMatchObject({
+      type: "financial-year",
+      min: "2009/10",
+      max: "2019/20",
+    });
+  });
+});
+
+test("counts empty cells, missing-value markers and formatted numbers", () => {
+  const prices = profile("price", ["1,200", "", "na", "300", null, "1,500"]);
+  expect(prices).toMatchObject({
+    type: "integer",
+    count: 6,
+    nullCount: 2,
+    missingCount: 1,
+    formattedCount: 2,
+    min: 300,
+    max: 1500,
+  });
+});
+
+test("tells categories, booleans and identifiers apart", () => {
+  const records = ["Bedok", "Jurong", "Bedok", "Tampines"].map((town, i) => ({
+    town,
+    resale: i % 2 ? "Y" : "N",
+    flat_id: `F${i}`,
+  }));
+  const profiles = profileColumns(
+    [{ id: "town" }, { id: "resale" }, { id: "flat_id" }],
+    records
+  );
+  expect(profiles.town.type).toBe("categorical");
+  expect(profiles.town.topValues[0]).toEqual({ value: "Bedok", count: 2 });
+  expect(profiles.resale.type).toBe("boolean");
+  expect(profiles.flat_id.type).toBe("identifier");
+});
@@ -0,0 +1,58 @@
+import { profileColumns } from "./columnProfile";
+import { logger } from "./logger";
+import { PROFILE_WORKER_THRESHOLD } from "../constants";
+
+/**
+ * Profiles every field of a dataset, in a Web Worker when the dataset is
+ * large enough to block the page
+ * Falls back to the main thread when workers are unavailable or fail.
+ * @param {Array} fields - Field objects with an id
+ * @param {Array} records - Every record of the dataset
+ * @param {AbortSignal} [signal] - Stops the worker when aborted
+ * @returns {Promise<Object>} - Column profiles keyed by field id
+ */
+export function profileColumnsInBackground(fields, records, signal) {
+  if (
+    records.length < PROFILE_WORKER_THRESHOLD ||
+    typeof Worker === "undefined"
+  ) {
+    return Promise.resolve(profileColumns(fields, records));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(
+      new URL("../workers/columnProfile.worker.js", import.meta.url)
+    );
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener("abort", handleAbort);
+    };
+    const handleAbort = () => {
+      finish();
+      const error = new Error("Column profiling was cancelled");
+      error.name = "AbortError";
+      reject(error);
+    };
+
+    worker.onmessage = (event) => {
+      finish();
+      resolve(event.data);
+    };
+    worker.onerror = (event) => {
+      finish();
+      logger.warn(
+        "Profiling worker failed, profiling on the main thread:",
+        event.message
+      );
+      resolve(profileColumns(fields, records));
+    };
+    if (signal) {
+      if (signal.aborted) {
+        handleAbort();
+        return;
+      }
+      signal.addEventListener("abort", handleAbort);
+    }
+    worker.postMessage({ fields, records });
+  });
+}
@@ -0,0 +1,149 @@
+import { formatTimestamp, pivotDataset } from "../utils";
+import { downloadFile } from "./download";
+
+/**
+ * Tabular exports of the plotted data
+ *
+ * Every table has the shape { columns: [name], rows: [[value]] } so the same
+ * writers serve the processed series (wide or long) and the raw records.
+ */
+
+/**
+ * One row per x-value with a column per series (the bar chart pivot)
+ * Without aggregation a series can have several points at one x-value; the
+ * x-value then gets a row for each, the nth holding each series' nth point,
+ * so no point is left out.
+ * @param {Object} dataset - Processed dataset {series: [{x, y}]}
+ * @param {string} xKey - X-axis field
+ * @param {string} yKey - Y-axis field
+ * @returns {Object} - { columns, rows }
+ */
+export function toWideTable(dataset, xKey, yKey) {
+  const seriesKeys = Object.keys(dataset);
+  // series -> x-value -> its y-values, in order
+  const valuesBySeries = seriesKeys.map((seriesKey) => {
+    const values = new Map();
+    (dataset[seriesKey] || []).forEach((point) => {
+      if (point[yKey] === undefined) return;
+      if (!values.has(point[xKey])) values.set(point[xKey], []);
+      values.get(point[xKey]).push(point[yKey]);
+    });
+    return values;
+  });
+  const rows = [];
+  pivotDataset(dataset, xKey, yKey).forEach((row) => {
+    const x = row[xKey];
+    const columns = valuesBySeries.map((values) => values.get(x) || []);
+    const depth = Math.max(1, ...columns.map((column) => column.length));
+    for (let i = 0; i < depth; i++) {
+      rows.push([
+        formatTimestamp(x),
+        ...columns.map((column) => (i < column.length ? column[i] : null)),
+      ]);
+    }
+  });
+  return { columns: [xKey, ...seriesKeys], rows };
+}
+
+/**
+ * One row per plotted point: series, x, y
+ * @param {Object} dataset - Processed dataset {series: [{x, y}]}
+ * @param {string} xKey - X-axis field
+ * @param {string} yKey - Y-axis field
+ * @param {string} [seriesKey] - Series field name used for the first column
+ * @returns {Object} - { columns, rows }
+ */
+export function toLongTable(dataset, xKey, yKey, seriesKey) {
+  const rows = [];
+  Object.keys(dataset).forEach((seriesName) => {
+    (dataset[seriesName] || []).forEach((point) => {
+      rows.push([seriesName, formatTimestamp(point[xKey]), point[yKey]]);
+    });
+  });
+  return { columns: [seriesKey || "series", xKey, yKey], rows };
+}
+
+/**
+ * The records as returned by the API
+ * @param {Array} records - result.records
+ * @param {Array} fields - result.fields
+ * @returns {Object} - { columns, rows }
+ */
+export function toRecordsTable(records, fields) {
+  const columns = fields.map((field) => field.id);
+  return {
+    columns,
+    rows: records.map((record) => columns.map((column) => record[column])),
+  };
+}
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialises a table as CSV (RFC 4180)
+ * @param {Object} table - { columns, rows }
+ * @returns {string} - CSV text
+ */
+export function tableToCsv({ columns, rows }) {
+  return [columns, ...rows]
+    .map((row) => row.map(toCsvCell).join(","))
+    .join("\r\n");
+}
+
+/**
+ * Converts a table to an array of row objects keyed by column
+ * @param {Object} table - { columns, rows }
+ * @returns {Array<Object>} - Records
+ */
+export function tableToRecords({ columns, rows }) {
+  return rows.map((row) =>
+    columns.reduce((record, column, index) => {
+      record[column] = row[index] === undefined ? null : row[index];
+      return record;
+    }, {})
+  );
+}
+
+/**
+ * Serialises a table as a JSON array of row objects
+ * @param {Object} table - { columns, rows }
+ * @returns {string} - JSON text
+ */
+export function tableToJson(table) {
+  return JSON.stringify(tableToRecords(table), null, 2);
+}
+
+/**
+ * Downloads a table as CSV, JSON or XLSX
+ * @param {Object} table - { columns, rows }
+ * @param {string} format - "csv", "json" or "xlsx"
+ * @param {string} filename - File name without extension
+ * @returns {Promise<void>}
+ */
+export function downloadTable(table, format, filename) {
+  if (format === "csv") {
+    // The BOM makes Excel read the file as UTF-8
+    downloadFile(`\uFEFF${tableToCsv(table)}`, `${filename}.csv`, "text/csv");
+    return Promise.resolve();
+  }
+  if (format === "json") {
+    downloadFile(tableToJson(table), `${filename}.json`, "application/json");
+    return Promise.resolve();
+  }
+  // Loaded on demand to keep the spreadsheet writer out of the main bundle
+  return import("write-excel-file/browser").then(
+    ({ default: writeExcelFile }) => {
+      const sheetData = [
+        table.columns,
+        ...table.rows.map((row) =>
+          row.map((value) => (value === undefined ? null : value))
+        ),
+      ];
+      return writeExcelFile(sheetData).toFile(`${filename}.xlsx`);
+    }
+  );
+}
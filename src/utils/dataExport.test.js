@@ -0,0 +1,109 @@
+import {
+  tableToCsv,
+  tableToRecords,
+  toLongTable,
+  toWideTable,
+} from "./dataExport";
+
+describe("toWideTable", () => {
+  test.each([
+    [
+      "one point per x-value",
+      {
+        Bedok: [
+          { year: 2019, price: 10 },
+          { year: 2020, price: 11 },
+        ],
+        Jurong: [{ year: 2020, price: 21 }],
+      },
+      [
+        [2019, 10, null],
+        [2020, 11, 21],
+      ],
+    ],
+    [
+      "several points per x-value",
+      {
+        Bedok: [
+          { year: 2019, price: 10 },
+          { year: 2019, price: 12 },
+          { year: 2019, price: 14 },
+          { year: 2020, price: 11 },
+        ],
+        Jurong: [
+          { year: 2019, price: 20 },
+          { year: 2020, price: 21 },
+          { year: 2020, price: 23 },
+        ],
+      },
+      [
+        [2019, 10, 20],
+        [2019, 12, null],
+        [2019, 14, null],
+        [2020, 11, 21],
+        [2020, null, 23],
+      ],
+    ],
+    [
+      "missing values",
+      {
+        Bedok: [{ year: 2019, price: null }, { year: 2020 }],
+      },
+      [
+        [2019, null],
+        [2020, null],
+      ],
+    ],
+  ])("keeps every point with %s", (name, dataset, rows) => {
+    expect(toWideTable(dataset, "year", "price")).toEqual({
+      columns: ["year", ...Object.keys(dataset)],
+      rows,
+    });
+  });
+
+  test("sorts the x-values and formats timestamps", () => {
+    const dataset = {
+      value: [
+        { month: new Date(2019, 1, 1).getTime(), value: 2 },
+        { month: new Date(2019, 0, 1).getTime(), value: 1 },
+      ],
+    };
+    expect(toWideTable(dataset, "month", "value").rows).toEqual([
+      ["2019-01", 1],
+      ["2019-02", 2],
+    ]);
+  });
+});
+
+test("toLongTable has a row per point", () => {
+  const dataset = {
+    Bedok: [
+      { year: 2019, price: 10 },
+      { year: 2019, price: 12 },
+    ],
+  };
+  expect(toLongTable(dataset, "year", "price", "town")).toEqual({
+    columns: ["town", "year", "price"],
+    rows: [
+      ["Bedok", 2019, 10],
+      ["Bedok", 2019, 12],
+    ],
+  });
+});
+
+test.each([
+  [{ columns: ["a", "b"], rows: [[1, null]] }, "a,b\r\n1,"],
+  [
+    { columns: ["name"], rows: [['Say "hi", then\nleave']] },
+    'name\r\n"Say ""hi"", then\nleave"',
+  ],
+])("tableToCsv(%j)", (table, csv) => {
+  expect(tableToCsv(table)).toBe(csv);
+});
+
+test("tableToRecords keys each row by column", () => {
+  expect(tableToRecords({ columns: ["a", "b"], rows: [[1], [2, 3]] })).toEqual([
+    { a: 1, b: null },
+    { a: 2, b: 3 },
+  ]);
+});
@@ -0,0 +1,85 @@
+import { analyzeField, compareValues, formatTimestamp } from "../utils";
+import { parseNumber } from "./normalize";
+
+/**
+ * Helpers for the data table view
+ *
+ * Columns are described once with analyzeField so that cells can be formatted
+ * by type; sorting uses compareValues, the same ordering as the chart x-axis.
+ */
+
+/**
+ * Describes the columns of a record set
+ * @param {Array} fields - Fields of the shape { id, ... }
+ * @param {Array} records - Records keyed by field id
+ * @returns {Array<Object>} - [{ id, isNumeric, isTime }]
+ */
+export function describeColumns(fields, records) {
+  return fields.map((field) => {
+    const analysis =
+      records.length > 0
+        ? analyzeField(field, records)
+        : { isNumeric: false, isTime: false };
+    return {
+      id: field.id,
+      isNumeric: analysis.isNumeric,
+      isTime: analysis.isTime,
+    };
+  });
+}
+
+/**
+ * Formats a cell for display according to its column type
+ * @param {*} value - Cell value
+ * @param {Object} column - Column from describeColumns
+ * @returns {string} - Display text
+ */
+export function formatCell(value, column) {
+  if (value === null || value === undefined) return "";
+  if (column.isTime) return String(formatTimestamp(value));
+  const number = column.isNumeric ? parseNumber(value) : null;
+  if (number !== null) {
+    return number.toLocaleString(undefined, {
+      maximumFractionDigits: 6,
+    });
+  }
+  return String(value);
+}
+
+/**
+ * Keeps the records whose columns contain every search term (case-insensitive)
+ * @param {Array} records - Records to filter
+ * @param {Object} searches - { [columnId]: text }
+ * @returns {Array} - Matching records
+ */
+export function filterRecords(records, searches) {
+  const terms = Object.keys(searches)
+    .map((id) => ({ id, text: searches[id].trim().toLowerCase() }))
+    .filter(({ text }) => text !== "");
+  if (terms.length === 0) return records;
+  return records.filter((record) =>
+    terms.every(({ id, text }) => {
+      const value = record[id];
+      return (
+        value !== null &&
+        value !== undefined &&
+        String(value).toLowerCase().includes(text)
+      );
+    })
+  );
+}
+
+/**
+ * Sorts records by a column without modifying the input
+ * @param {Array} records - Records to sort
+ * @param {string} columnId - Column to sort by (falsy keeps the order)
+ * @param {string} direction - "asc" or "desc"
+ * @returns {Array} - Sorted records
+ */
+export function sortRecords(records, columnId, direction) {
+  if (!columnId) return records;
+  const sign = direction === "desc" ? -1 : 1;
+  return [...records].sort(
+    (a, b) => sign * compareValues(a[columnId], b[columnId])
+  );
+}
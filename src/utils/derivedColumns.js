@@ -0,0 +1,87 @@
+import { compileExpression } from "./expressions";
+import { logger } from "./logger";
+
+/**
+ * Calculated fields defined by the user as { name, expression }
+ *
+ * Columns are evaluated in order, so a column may use the ones before it.
+ * The results are added to the records and fields of the dataset, which the
+ * rest of the app then treats like fields from the API.
+ */
+
+/**
+ * Checks a new or restored column against the fields it can use
+ * @param {Object} column - { name, expression }
+ * @param {Array<string>} fieldIds - Fields available to this column
+ * @returns {string|null} - Error message, or null if the column is valid
+ */
+export function validateDerivedColumn(column, fieldIds) {
+  const name = column.name.trim();
+  if (!name) return "Enter a name for the field";
+  if (fieldIds.includes(name)) return `A field named "${name}" already exists`;
+  try {
+    compileExpression(column.expression, fieldIds);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Normalises columns from a URL or saved view, dropping malformed entries
+ * @param {*} columns - Candidate columns
+ * @returns {Array} - [{ name, expression }]
+ */
+export function sanitizeDerivedColumns(columns) {
+  if (!Array.isArray(columns)) return [];
+  return columns
+    .filter(
+      (column) =>
+        !!column &&
+        typeof column.name === "string" &&
+        column.name.trim() !== "" &&
+        typeof column.expression === "string"
+    )
+    .map((column) => ({
+      name: column.name.trim(),
+      expression: column.expression,
+    }));
+}
+
+/**
+ * Adds calculated fields to a dataset
+ * Columns that don't compile against the dataset are skipped.
+ * @param {Object} result - { records, fields, ... } as loaded
+ * @param {Array} columns - [{ name, expression }]
+ * @returns {Object} - The result with the extra records values and fields
+ */
+export function applyDerivedColumns(result, columns) {
+  if (!result || !result.records || !result.fields || columns.length === 0) {
+    return result;
+  }
+
+  let records = result.records;
+  const fields = [...result.fields];
+  columns.forEach((column) => {
+    const fieldIds = fields.map((field) => field.id);
+    const error = validateDerivedColumn(column, fieldIds);
+    if (error) {
+      logger.warn(`Skipping calculated field "${column.name}": ${error}`);
+      return;
+    }
+    const { evaluate } = compileExpression(column.expression, fieldIds);
+    let allNumeric = true;
+    records = records.map((record) => {
+      const value = evaluate(record);
+      if (value !== null && typeof value !== "number") allNumeric = false;
+      return { ...record, [column.name]: value };
+    });
+    fields.push({
+      id: column.name,
+      type: allNumeric ? "numeric" : "text",
+      expression: column.expression,
+    });
+  });
+
+  return { ...result, records, fields };
+}
@@ -0,0 +1,34 @@
+/**
+ * Triggers a browser download of in-memory content
+ * @param {Blob|string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} [mimeType] - MIME type used when content is a string
+ */
+export function downloadFile(content, filename, mimeType = "text/plain") {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Builds a file name (without extension) from a title
+ * @param {string} title - e.g. the dataset name
+ * @param {string} [fallback] - Used when the title has no usable characters
+ * @returns {string} - Lower-case, hyphen-separated slug
+ */
+export function toFilename(title, fallback = "sgraphs-chart") {
+  const slug = String(title || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .substring(0, 80);
+  return slug || fallback;
+}
@@ -0,0 +1,148 @@
+import { isMissingValue } from "./normalize";
+
+/**
+ * Downsampling of line series with largest-triangle-three-buckets (LTTB)
+ *
+ * LTTB keeps the first and last points and, from each of the buckets between
+ * them, the point that forms the largest triangle with the point kept before
+ * it and the average of the next bucket. Peaks and troughs survive, so a line
+ * drawn through the kept points looks like the full series at the chart's
+ * width. Numeric x-values (including timestamps) give the spacing; other
+ * x-values are treated as evenly spaced. Missing y-values split a series into
+ * runs that are downsampled separately, so gaps stay gaps.
+ */
+
+const isNumber = (value) => typeof value === "number" && isFinite(value);
+
+/**
+ * Downsamples points to at most a number of points
+ * @param {Array} points - Series points, sorted by x
+ * @param {number} threshold - Points to keep (fewer than 3 keeps every point)
+ * @param {string} xKey - X-axis field
+ * @param {string} yKey - Y-axis field
+ * @returns {Array} - The kept points, in order
+ */
+export function largestTriangleThreeBuckets(points, threshold, xKey, yKey) {
+  const count = points.length;
+  if (threshold >= count || threshold < 3) return points;
+
+  const x = (index) =>
+    isNumber(points[index][xKey]) ? points[index][xKey] : index;
+  const y = (index) => points[index][yKey];
+  const bucketSize = (count - 2) / (threshold - 2);
+  const sampled = [points[0]];
+  let previous = 0;
+
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    // Average of the next bucket, the third corner of the triangle
+    const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, count);
+    let averageX = 0;
+    let averageY = 0;
+    for (let index = nextStart; index < nextEnd; index++) {
+      averageX += x(index);
+      averageY += y(index);
+    }
+    const nextCount = Math.max(nextEnd - nextStart, 1);
+    averageX /= nextCount;
+    averageY /= nextCount;
+
+    const start = Math.floor(bucket * bucketSize) + 1;
+    const end = Math.floor((bucket + 1) * bucketSize) + 1;
+    let largestArea = -1;
+    let kept = start;
+    for (let index = start; index < end; index++) {
+      const area = Math.abs(
+        (x(previous) - averageX) * (y(index) - y(previous)) -
+          (x(previous) - x(index)) * (averageY - y(previous))
+      );
+      if (area > largestArea) {
+        largestArea = area;
+        kept = index;
+      }
+    }
+    sampled.push(points[kept]);
+    previous = kept;
+  }
+
+  sampled.push(points[count - 1]);
+  return sampled;
+}
+
+// Keeps the points within [min, max] and the nearest one on either side, so
+// that the line still runs to the edges of the plot
+function clipToDomain(points, xKey, min, max) {
+  if (!isNumber(min) || !isNumber(max)) return points;
+  if (!points.every((point) => isNumber(point[xKey]))) return points;
+  let first = points.findIndex((point) => point[xKey] >= min);
+  if (first === -1) return [];
+  let last = points.length - 1;
+  while (last > first && points[last][xKey] > max) last--;
+  first = Math.max(first - 1, 0);
+  last = Math.min(last + 1, points.length - 1);
+  return points.slice(first, last + 1);
+}
+
+// Downsamples each run of points with a y-value, keeping one missing point
+// between runs
+function downsampleSeries(points, maxPoints, xKey, yKey) {
+  const runs = [];
+  let run = [];
+  points.forEach((point) => {
+    if (isMissingValue(point[yKey]) || !isNumber(point[yKey])) {
+      if (run.length > 0) runs.push(run, [point]);
+      run = [];
+    } else {
+      run.push(point);
+    }
+  });
+  if (run.length > 0) runs.push(run);
+
+  const valueCount = points.length;
+  return runs.flatMap((part) =>
+    part.length === 1
+      ? part
+      : largestTriangleThreeBuckets(
+          part,
+          Math.max(3, Math.round((maxPoints * part.length) / valueCount)),
+          xKey,
+          yKey
+        )
+  );
+}
+
+/**
+ * Prepares the series of a line chart for drawing: points outside a numeric
+ * x-domain are dropped and each series is downsampled to maxPoints
+ * @param {Object} dataset - Processed dataset, { series: [{ x, y }] }
+ * @param {string} xKey - X-axis field
+ * @param {string} yKey - Y-axis field
+ * @param {Object} options
+ * @param {number} options.maxPoints - Points per series; 0 keeps every point
+ * @param {*} [options.xMin] - Lower x bound, if numeric
+ * @param {*} [options.xMax] - Upper x bound, if numeric
+ * @returns {Object} - { dataset, pointCount, plottedCount } with the point
+ * counts before and after downsampling
+ */
+export function downsampleDataset(dataset, xKey, yKey, options) {
+  const { maxPoints, xMin, xMax } = options;
+  const prepared = {};
+  let pointCount = 0;
+  let plottedCount = 0;
+  Object.keys(dataset || {}).forEach((seriesKey) => {
+    const points = dataset[seriesKey];
+    if (!Array.isArray(points)) {
+      prepared[seriesKey] = points;
+      return;
+    }
+    const visible = clipToDomain(points, xKey, xMin, xMax);
+    const kept =
+      maxPoints > 0 && visible.length > maxPoints
+        ? downsampleSeries(visible, maxPoints, xKey, yKey)
+        : visible;
+    pointCount += visible.length;
+    plottedCount += kept.length;
+    prepared[seriesKey] = kept;
+  });
+  return { dataset: prepared, pointCount, plottedCount };
+}
@@ -0,0 +1,126 @@
+import { downsampleDataset, largestTriangleThreeBuckets } from "./downsample";
+
+const DAY = 24 * 60 * 60 * 1000;
+const start = new Date(2019, 0, 1).getTime();
+
+// A daily series of readings as processDataset returns it, keyed by timestamp
+const daily = (readings) =>
+  readings.map((reading, i) => ({ day: start + i * DAY, reading }));
+const flat = (count) => daily(Array.from({ length: count }, () => 50));
+const days = (points) => points.map((point) => (point.day - start) / DAY);
+
+describe("largestTriangleThreeBuckets", () => {
+  test("keeps the first and last points and the spikes between them", () => {
+    const readings = Array.from({ length: 12 }, () => 50);
+    readings[3] = 90;
+    readings[7] = 10;
+    const points = daily(readings);
+    const kept = largestTriangleThreeBuckets(points, 4, "day", "reading");
+    expect(kept.map((point) => point.reading)).toEqual([50, 90, 10, 50]);
+    expect(kept[0]).toBe(points[0]);
+    expect(kept[3]).toBe(points[11]);
+  });
+
+  test("returns the points themselves when there is nothing to drop", () => {
+    const points = flat(10);
+    expect(largestTriangleThreeBuckets(points, 10, "day", "reading")).toBe(
+      points
+    );
+    expect(largestTriangleThreeBuckets(points, 50, "day", "reading")).toBe(
+      points
+    );
+    // Two points can only be the ends, so the series is kept whole
+    expect(largestTriangleThreeBuckets(points, 2, "day", "reading")).toBe(
+      points
+    );
+  });
+
+  test("spaces categories along the x-axis evenly", () => {
+    const towns = ["Ang Mo Kio", "Bedok", "Bishan", "Clementi", "Geylang"];
+    const points = towns.map((town, i) => ({
+      town,
+      price: i === 2 ? 900 : 400,
+    }));
+    const kept = largestTriangleThreeBuckets(points, 3, "town", "price");
+    expect(kept.map((point) => point.town)).toEqual([
+      "Ang Mo Kio",
+      "Bishan",
+      "Geylang",
+    ]);
+  });
+});
+
+describe("downsampleDataset", () => {
+  test("thins each series to maxPoints and counts the points", () => {
+    const result = downsampleDataset(
+      { Bedok: flat(100), Jurong: flat(40) },
+      "day",
+      "reading",
+      { maxPoints: 10 }
+    );
+    expect(result.dataset.Bedok).toHaveLength(10);
+    expect(result.dataset.Jurong).toHaveLength(10);
+    expect(result.pointCount).toBe(140);
+    expect(result.plottedCount).toBe(20);
+  });
+
+  test("keeps every point when maxPoints is 0 or the series is short", () => {
+    const series = flat(100);
+    [0, 100, 200].forEach((maxPoints) => {
+      const result = downsampleDataset({ default: series }, "day", "reading", {
+        maxPoints,
+      });
+      expect(result.dataset.default).toBe(series);
+      expect(result.plottedCount).toBe(100);
+    });
+  });
+
+  test("drops points outside the zoomed range, but one on either side", () => {
+    const result = downsampleDataset({ default: flat(10) }, "day", "reading", {
+      maxPoints: 0,
+      xMin: start + 3 * DAY,
+      xMax: start + 5 * DAY,
+    });
+    expect(days(result.dataset.default)).toEqual([2, 3, 4, 5, 6]);
+    expect(result.pointCount).toBe(5);
+  });
+
+  test("keeps every point of categories, which have no numeric range", () => {
+    const towns = [
+      { town: "Bedok", price: 1 },
+      { town: "Jurong", price: 2 },
+    ];
+    const result = downsampleDataset({ default: towns }, "town", "price", {
+      maxPoints: 0,
+      xMin: 0,
+      xMax: 1,
+    });
+    expect(result.dataset.default).toBe(towns);
+  });
+
+  test("keeps a gap in the readings as a gap", () => {
+    const readings = Array.from({ length: 41 }, (v, i) => i % 5);
+    readings[20] = null;
+    const { dataset } = downsampleDataset(
+      { default: daily(readings) },
+      "day",
+      "reading",
+      { maxPoints: 10 }
+    );
+    const kept = dataset.default;
+    expect(days(kept.filter((point) => point.reading === null))).toEqual([20]);
+    expect(days([kept[0], kept[kept.length - 1]])).toEqual([0, 40]);
+    expect(kept.length).toBeLessThan(41);
+  });
+
+  test("passes through entries that are not series", () => {
+    const result = downsampleDataset({ note: "no data" }, "day", "reading", {
+      maxPoints: 10,
+    });
+    expect(result).toEqual({
+      dataset: { note: "no data" },
+      pointCount: 0,
+      plottedCount: 0,
+    });
+  });
+});
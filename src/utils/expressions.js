@@ -0,0 +1,497 @@
+import { parseNumber } from "./normalize";
+import { parsePeriod } from "./periods";
+
+/**
+ * A small expression language for calculated fields
+ *
+ * Expressions are tokenised and parsed into a syntax tree that is walked by an
+ * evaluator; nothing is passed to eval or Function, and only the functions in
+ * FUNCTIONS can be called. Syntax:
+ *   fields        value, `field with spaces`
+ *   literals      12, 1.5e3, "text", 'text', true, false, null
+ *   arithmetic    + - * / % ^ (power), unary -; + joins text
+ *   comparison    == != < <= > >=
+ *   logic         and or not (also && || !)
+ *   conditional   test ? a : b, if(test, a, b)
+ *   functions     round(x, digits), abs, floor, ceil, sqrt, ln, log10, exp,
+ *                 min, max, coalesce, number, text, lower, upper, contains,
+ *                 year, month, case(value, match1, result1, ..., default)
+ * year() and month() read dates and periods as the chart does ("2019-Q3",
+ * "FY2019", a bare 2019); other numbers are read as timestamps.
+ * Numeric text from the dataset is read as numbers. Arithmetic on missing or
+ * non-numeric values, and division by zero, give null.
+ */
+
+const KEYWORDS = {
+  and: { type: "operator", value: "and" },
+  or: { type: "operator", value: "or" },
+  not: { type: "operator", value: "not" },
+  true: { type: "literal", value: true },
+  false: { type: "literal", value: false },
+  null: { type: "literal", value: null },
+};
+
+const OPERATOR_ALIASES = { "&&": "and", "||": "or", "!": "not" };
+
+const OPERATORS = [
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "<",
+  ">",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "^",
+  "!",
+  "?",
+  ":",
+  "(",
+  ")",
+  ",",
+];
+
+function syntaxError(message, position) {
+  const error = new Error(`${message} at position ${position + 1}`);
+  error.position = position;
+  return error;
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+    const rest = text.slice(index);
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    const number = rest.match(/^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/);
+    if (number) {
+      tokens.push({
+        type: "literal",
+        value: parseFloat(number[0]),
+        position: index,
+      });
+      index += number[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === "`") {
+      let value = "";
+      let end = index + 1;
+      while (end < text.length && text[end] !== char) {
+        if (text[end] === "\\" && end + 1 < text.length) end++;
+        value += text[end];
+        end++;
+      }
+      if (end >= text.length) {
+        throw syntaxError(`Unterminated ${char} quote`, index);
+      }
+      tokens.push({
+        type: char === "`" ? "identifier" : "literal",
+        value,
+        position: index,
+      });
+      index = end + 1;
+      continue;
+    }
+
+    const word = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (word) {
+      const name = word[0].toLowerCase();
+      // Own keywords only, so a field may be called "constructor"
+      const keyword = Object.prototype.hasOwnProperty.call(KEYWORDS, name)
+        ? KEYWORDS[name]
+        : null;
+      tokens.push(
+        keyword
+          ? { ...keyword, position: index }
+          : { type: "identifier", value: word[0], position: index }
+      );
+      index += word[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => rest.startsWith(op));
+    if (operator) {
+      tokens.push({
+        type: "operator",
+        value: OPERATOR_ALIASES[operator] || operator,
+        position: index,
+      });
+      index += operator.length;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character "${char}"`, index);
+  }
+
+  tokens.push({ type: "end", position: text.length });
+  return tokens;
+}
+
+// Recursive descent parser, lowest precedence first
+function parse(text) {
+  const tokens = tokenize(text);
+  let current = 0;
+
+  const peek = () => tokens[current];
+  const isOperator = (...values) =>
+    peek().type === "operator" && values.includes(peek().value);
+
+  function expect(value) {
+    if (!isOperator(value)) {
+      throw syntaxError(`Expected "${value}"`, peek().position);
+    }
+    current++;
+  }
+
+  function binary(next, operators, type = "binary") {
+    return () => {
+      let left = next();
+      while (isOperator(...operators)) {
+        const op = tokens[current++].value;
+        left = { type, op, left, right: next() };
+      }
+      return left;
+    };
+  }
+
+  function primary() {
+    const token = tokens[current];
+    if (token.type === "literal") {
+      current++;
+      return { type: "literal", value: token.value };
+    }
+    if (token.type === "identifier") {
+      current++;
+      if (!isOperator("(")) return { type: "field", name: token.value };
+      const name = token.value.toLowerCase();
+      if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+        throw syntaxError(`Unknown function "${token.value}"`, token.position);
+      }
+      current++;
+      const args = [];
+      if (!isOperator(")")) {
+        args.push(conditional());
+        while (isOperator(",")) {
+          current++;
+          args.push(conditional());
+        }
+      }
+      expect(")");
+      const [minArgs, maxArgs] = FUNCTIONS[name].arity;
+      if (args.length < minArgs || args.length > maxArgs) {
+        throw syntaxError(
+          `${name}() takes ${
+            minArgs === maxArgs ? minArgs : `${minArgs} or more`
+          } argument${maxArgs === 1 ? "" : "s"}`,
+          token.position
+        );
+      }
+      return { type: "call", name, args };
+    }
+    if (isOperator("(")) {
+      current++;
+      const expression = conditional();
+      expect(")");
+      return expression;
+    }
+    throw syntaxError(
+      token.type === "end"
+        ? "Unexpected end of expression"
+        : "Unexpected token",
+      token.position
+    );
+  }
+
+  // Right-associative: 2 ^ 3 ^ 2 is 2 ^ 9
+  function power() {
+    const base = primary();
+    if (!isOperator("^")) return base;
+    current++;
+    return { type: "binary", op: "^", left: base, right: unary() };
+  }
+
+  function unary() {
+    if (isOperator("-", "not")) {
+      const op = tokens[current++].value;
+      return { type: "unary", op, argument: unary() };
+    }
+    return power();
+  }
+
+  const multiplicative = binary(unary, ["*", "/", "%"]);
+  const additive = binary(multiplicative, ["+", "-"]);
+  const comparison = binary(additive, ["<", "<=", ">", ">="]);
+  const equality = binary(comparison, ["==", "!="]);
+  const and = binary(equality, ["and"], "logical");
+  const or = binary(and, ["or"], "logical");
+
+  function conditional() {
+    const test = or();
+    if (!isOperator("?")) return test;
+    current++;
+    const consequent = conditional();
+    expect(":");
+    return { type: "conditional", test, consequent, alternate: conditional() };
+  }
+
+  const tree = conditional();
+  if (peek().type !== "end") {
+    throw syntaxError("Unexpected token", peek().position);
+  }
+  return tree;
+}
+
+function isNumber(value) {
+  return typeof value === "number" && isFinite(value);
+}
+
+function toNumber(value) {
+  if (isNumber(value)) return value;
+  return typeof value === "string" ? parseNumber(value) : null;
+}
+
+function numeric(fn) {
+  return (...args) => {
+    const numbers = args.map(toNumber);
+    if (numbers.some((value) => value === null)) return null;
+    const value = fn(...numbers);
+    return isNumber(value) ? value : null;
+  };
+}
+
+function toDate(value) {
+  if (value === null || value === undefined) return null;
+  let timestamp;
+  if (isNumber(value)) {
+    // A whole number in the range of years is a year, not milliseconds
+    const year = Number.isInteger(value) ? parsePeriod(String(value)) : null;
+    timestamp = year && year.granularity === "year" ? year.timestamp : value;
+  } else {
+    const period = parsePeriod(String(value));
+    timestamp = period ? period.timestamp : null;
+  }
+  if (timestamp === null) return null;
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+const FUNCTIONS = {
+  abs: { arity: [1, 1], fn: numeric(Math.abs) },
+  round: {
+    arity: [1, 2],
+    fn: numeric((value, digits = 0) => {
+      const factor = 10 ** digits;
+      return Math.round(value * factor) / factor;
+    }),
+  },
+  floor: { arity: [1, 1], fn: numeric(Math.floor) },
+  ceil: { arity: [1, 1], fn: numeric(Math.ceil) },
+  sqrt: { arity: [1, 1], fn: numeric(Math.sqrt) },
+  ln: { arity: [1, 1], fn: numeric(Math.log) },
+  log10: { arity: [1, 1], fn: numeric(Math.log10) },
+  exp: { arity: [1, 1], fn: numeric(Math.exp) },
+  min: { arity: [1, Infinity], fn: numeric(Math.min) },
+  max: { arity: [1, Infinity], fn: numeric(Math.max) },
+  number: { arity: [1, 1], fn: toNumber },
+  text: {
+    arity: [1, 1],
+    fn: (value) => (value === null ? null : String(value)),
+  },
+  lower: {
+    arity: [1, 1],
+    fn: (value) => (value === null ? null : String(value).toLowerCase()),
+  },
+  upper: {
+    arity: [1, 1],
+    fn: (value) => (value === null ? null : String(value).toUpperCase()),
+  },
+  contains: {
+    arity: [2, 2],
+    fn: (value, part) =>
+      value !== null &&
+      part !== null &&
+      String(value).toLowerCase().includes(String(part).toLowerCase()),
+  },
+  year: {
+    arity: [1, 1],
+    fn: (value) => {
+      const date = toDate(value);
+      return date ? date.getFullYear() : null;
+    },
+  },
+  month: {
+    arity: [1, 1],
+    fn: (value) => {
+      const date = toDate(value);
+      return date ? date.getMonth() + 1 : null;
+    },
+  },
+  coalesce: {
+    arity: [1, Infinity],
+    fn: (...values) => {
+      const value = values.find((v) => v !== null && v !== undefined);
+      return value === undefined ? null : value;
+    },
+  },
+  // if() and case() only evaluate the branch they return (see evaluate)
+  if: { arity: [3, 3], lazy: true },
+  case: { arity: [3, Infinity], lazy: true },
+};
+
+function isEqual(a, b) {
+  if (isNumber(a) && isNumber(b)) return a === b;
+  if (a === null || b === null) return a === b;
+  return String(a) === String(b);
+}
+
+function compare(op, a, b) {
+  if (a === null || b === null) return null;
+  const order =
+    isNumber(a) && isNumber(b) ? a - b : String(a).localeCompare(String(b));
+  if (op === "<") return order < 0;
+  if (op === "<=") return order <= 0;
+  if (op === ">") return order > 0;
+  return order >= 0;
+}
+
+function arithmetic(op, a, b) {
+  // + joins text, e.g. town + " (" + year + ")"
+  if (
+    op === "+" &&
+    a !== null &&
+    b !== null &&
+    (!isNumber(a) || !isNumber(b)) &&
+    (typeof a === "string" || typeof b === "string")
+  ) {
+    return `${a}${b}`;
+  }
+  if (!isNumber(a) || !isNumber(b)) return null;
+  let value;
+  if (op === "+") value = a + b;
+  else if (op === "-") value = a - b;
+  else if (op === "*") value = a * b;
+  else if (op === "/") value = b === 0 ? null : a / b;
+  else if (op === "%") value = b === 0 ? null : a % b;
+  else value = a ** b;
+  return isNumber(value) ? value : null;
+}
+
+function readField(record, name) {
+  // Only the record's own values, never inherited properties like constructor
+  if (!Object.prototype.hasOwnProperty.call(record, name)) return null;
+  const value = record[name];
+  if (value === undefined || value === null || value === "") return null;
+  const number = toNumber(value);
+  return number === null ? value : number;
+}
+
+function evaluate(node, record) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "field":
+      return readField(record, node.name);
+    case "unary": {
+      const value = evaluate(node.argument, record);
+      if (node.op === "not") return !value;
+      return isNumber(value) ? -value : null;
+    }
+    case "logical": {
+      const left = evaluate(node.left, record);
+      if (node.op === "and") return !!left && !!evaluate(node.right, record);
+      return !!left || !!evaluate(node.right, record);
+    }
+    case "conditional":
+      return evaluate(node.test, record)
+        ? evaluate(node.consequent, record)
+        : evaluate(node.alternate, record);
+    case "binary": {
+      const left = evaluate(node.left, record);
+      const right = evaluate(node.right, record);
+      if (node.op === "==") return isEqual(left, right);
+      if (node.op === "!=") return !isEqual(left, right);
+      if (["<", "<=", ">", ">="].includes(node.op)) {
+        return compare(node.op, left, right);
+      }
+      return arithmetic(node.op, left, right);
+    }
+    case "call": {
+      if (node.name === "if") {
+        return evaluate(node.args[0], record)
+          ? evaluate(node.args[1], record)
+          : evaluate(node.args[2], record);
+      }
+      if (node.name === "case") {
+        // case(value, match1, result1, match2, result2, ..., [default])
+        const value = evaluate(node.args[0], record);
+        const pairs = node.args.slice(1);
+        for (let i = 0; i + 1 < pairs.length; i += 2) {
+          if (isEqual(value, evaluate(pairs[i], record))) {
+            return evaluate(pairs[i + 1], record);
+          }
+        }
+        return pairs.length % 2 === 1
+          ? evaluate(pairs[pairs.length - 1], record)
+          : null;
+      }
+      const args = node.args.map((arg) => evaluate(arg, record));
+      return FUNCTIONS[node.name].fn(...args);
+    }
+    default:
+      return null;
+  }
+}
+
+function collectFields(node, fields) {
+  if (node.type === "field") fields.add(node.name);
+  ["argument", "left", "right", "test", "consequent", "alternate"].forEach(
+    (key) => {
+      if (node[key]) collectFields(node[key], fields);
+    }
+  );
+  if (node.args) node.args.forEach((arg) => collectFields(arg, fields));
+  return fields;
+}
+
+/**
+ * Parses an expression and checks the fields it refers to
+ * @param {string} text - Expression source, e.g. "value / population * 1000"
+ * @param {Array<string>} [fieldIds] - Known fields; unknown fields are an error
+ * @returns {Object} - { fields, evaluate(record) } where evaluate returns a
+ *   number, string, boolean or null
+ * @throws {Error} - If the expression is invalid, with error.position set for
+ *   syntax errors
+ */
+export function compileExpression(text, fieldIds) {
+  if (!text || !text.trim()) throw new Error("Expression is empty");
+  const tree = parse(text);
+  const fields = [...collectFields(tree, new Set())];
+  if (fieldIds) {
+    const unknown = fields.filter((field) => !fieldIds.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown field${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")}`
+      );
+    }
+  }
+  return {
+    fields,
+    evaluate: (record) => {
+      const value = evaluate(tree, record);
+      return value === undefined ? null : value;
+    },
+  };
+}
@@ -0,0 +1,173 @@
+import { compileExpression } from "./expressions";
+
+const evaluate = (text, record = {}) =>
+  compileExpression(text).evaluate(record);
+
+describe("arithmetic", () => {
+  test("follows the usual precedence", () => {
+    expect(evaluate("1 + 2 * 3")).toBe(7);
+    expect(evaluate("(1 + 2) * 3")).toBe(9);
+    expect(evaluate("7 % 4")).toBe(3);
+    expect(evaluate("1.5e3")).toBe(1500);
+  });
+
+  test("raises to powers from the right, after negation", () => {
+    expect(evaluate("2 ^ 3 ^ 2")).toBe(512);
+    expect(evaluate("-2 ^ 2")).toBe(-4);
+  });
+
+  test("gives null rather than Infinity for a division by zero", () => {
+    expect(evaluate("1 / 0")).toBeNull();
+  });
+});
+
+describe("fields", () => {
+  test("reads numbers written as text, with thousands separators", () => {
+    const record = { value: "5", population: 200, "resale price": "500,000" };
+    expect(evaluate("value / population * 1000", record)).toBe(25);
+    expect(evaluate("`resale price` / 1000", record)).toBe(500);
+  });
+
+  test("treats blanks, missing-value markers and absent fields as null", () => {
+    expect(evaluate("value + 1", { value: "" })).toBeNull();
+    expect(evaluate("value * 2", { value: "n/a" })).toBeNull();
+    expect(evaluate("missing")).toBeNull();
+  });
+
+  test("joins text with +", () => {
+    const record = { town: "Bedok", year: 2019 };
+    expect(evaluate("town + ' (' + year + ')'", record)).toBe("Bedok (2019)");
+    expect(evaluate("value + 1", { value: "n/a" })).toBe("n/a1");
+  });
+
+  test("reads fields named like the properties of an object", () => {
+    expect(evaluate("constructor")).toBeNull();
+    expect(evaluate("`constructor`")).toBeNull();
+    expect(evaluate("toString + 1", { toString: 2 })).toBe(3);
+  });
+
+  test("lists the fields it refers to", () => {
+    const fieldIds = ["a", "b", "c"];
+    expect(
+      compileExpression("if(a > 0, b, coalesce(c, a))", fieldIds).fields
+    ).toEqual(["a", "b", "c"]);
+  });
+
+  test("rejects fields the dataset does not have", () => {
+    expect(() => compileExpression("population * 2", ["value"])).toThrow(
+      "Unknown field: population"
+    );
+    expect(() => compileExpression("a + b", ["value"])).toThrow(
+      "Unknown fields: a, b"
+    );
+  });
+});
+
+describe("comparisons and logic", () => {
+  test("compares numbers and text", () => {
+    expect(evaluate("1 < 2")).toBe(true);
+    expect(evaluate("2 <= 1")).toBe(false);
+    expect(evaluate('"b" > "a"')).toBe(true);
+    expect(evaluate("1 == '1'")).toBe(true);
+    expect(evaluate("1 != 2")).toBe(true);
+  });
+
+  test("only orders values that are present", () => {
+    expect(evaluate("null == null")).toBe(true);
+    expect(evaluate("null < 1")).toBeNull();
+  });
+
+  test("accepts words and symbols for and, or and not", () => {
+    expect(evaluate("true and false")).toBe(false);
+    expect(evaluate("false or 1")).toBe(true);
+    expect(evaluate("not 0")).toBe(true);
+    expect(evaluate("1 && 2")).toBe(true);
+    expect(evaluate("!(1 || 0)")).toBe(false);
+  });
+});
+
+describe("functions", () => {
+  test("rounds and takes roots and logarithms", () => {
+    expect(evaluate("round(2.567, 2)")).toBe(2.57);
+    expect(evaluate("round(2.5)")).toBe(3);
+    expect(evaluate("floor(2.7) + ceil(2.1)")).toBe(5);
+    expect(evaluate("abs(-3)")).toBe(3);
+    expect(evaluate("sqrt(16)")).toBe(4);
+    expect(evaluate("sqrt(-1)")).toBeNull();
+    expect(evaluate("log10(1000)")).toBe(3);
+  });
+
+  test("finds the least, greatest and first present value", () => {
+    expect(evaluate("min(3, 1, 2)")).toBe(1);
+    expect(evaluate("max(3, '4', 2)")).toBe(4);
+    expect(evaluate("coalesce(null, missing, 5)")).toBe(5);
+  });
+
+  test("converts and searches text", () => {
+    expect(evaluate("number('1,234')")).toBe(1234);
+    expect(evaluate("text(12)")).toBe("12");
+    expect(evaluate("lower('ABC') + upper('abc')")).toBe("abcABC");
+    expect(evaluate("contains('Ang Mo Kio', 'mo')")).toBe(true);
+  });
+
+  test("reads the year and month of dates and periods", () => {
+    const record = { month: "2019-03-15", quarter: "2019-Q3", fy: "FY2019" };
+    expect(evaluate("year(month) * 100 + month(month)", record)).toBe(201903);
+    expect(evaluate("month(quarter)", record)).toBe(7);
+    expect(evaluate("month(fy)", record)).toBe(4);
+    expect(evaluate("month('2019/20')")).toBe(4);
+    expect(evaluate("year('2019 2H')")).toBe(2019);
+  });
+
+  test("reads a whole number as a year unless it is a timestamp", () => {
+    expect(evaluate("year(2019)")).toBe(2019);
+    expect(evaluate("year('2019')")).toBe(2019);
+    expect(evaluate("month(2019)")).toBe(1);
+    expect(evaluate("year(1552608000000)")).toBe(
+      new Date(1552608000000).getFullYear()
+    );
+    expect(evaluate("year(5000)")).toBe(1970);
+  });
+
+  test("gives null for a value that is not a date", () => {
+    expect(evaluate("year('someday')")).toBeNull();
+    expect(evaluate("year(null)")).toBeNull();
+  });
+
+  test("chooses between values with if, ?: and case", () => {
+    expect(evaluate("if(1 > 2, 'yes', 'no')")).toBe("no");
+    expect(evaluate("1 > 2 ? 'yes' : 'no'")).toBe("no");
+    expect(evaluate("case(2, 1, 'one', 2, 'two', 'other')")).toBe("two");
+    expect(evaluate("case(3, 1, 'one', 2, 'two', 'other')")).toBe("other");
+    expect(evaluate("case(3, 1, 'one', 2, 'two')")).toBeNull();
+  });
+
+  test("only evaluates the branch it returns", () => {
+    const record = { kind: "a" };
+    expect(evaluate("if(kind == 'a', 1, 1 / 0)", record)).toBe(1);
+    expect(evaluate("case(kind, 'a', 1, 1 / 0)", record)).toBe(1);
+  });
+});
+
+describe("syntax errors", () => {
+  test("rejects an empty expression", () => {
+    expect(() => compileExpression("")).toThrow("Expression is empty");
+    expect(() => compileExpression("   ")).toThrow("Expression is empty");
+  });
+
+  test("rejects incomplete expressions and unknown functions", () => {
+    ["1 +", "(1 + 2", "1 2", "eval(1)", "round()"].forEach((text) => {
+      expect(() => compileExpression(text)).toThrow();
+    });
+  });
+
+  test("gives the position of the error", () => {
+    let error;
+    try {
+      compileExpression("1 + $");
+    } catch (e) {
+      error = e;
+    }
+    expect(error.position).toBe(4);
+  });
+});
@@ -0,0 +1,237 @@
+import { TEMPORAL_TYPES, profileColumn } from "./columnProfile";
+import { isMissingValue, parseNumber } from "./normalize";
+import { parsePeriod } from "./periods";
+import {
+  JOIN_TYPE_OPTIONS,
+  JOINED_FIELD_SUFFIX,
+  KEY_COERCION_OPTIONS,
+  MAX_DATASET_SIZE,
+} from "../constants";
+
+/**
+ * Joins combine the chart's dataset with another, matching records on one or
+ * more key fields. A join has the shape
+ *   { resourceID, type: "inner" | "left", keys: [{ left, right, coercion }] }
+ * where left is a field of the chart's dataset, right a field of the joined
+ * one, and coercion how their values are compared (KEY_COERCION_OPTIONS):
+ * as text ignoring case and surrounding spaces, as numbers ("1,000" matches
+ * 1000), as dates and periods ("2019" matches "2019-01-01"), or automatically
+ * as numbers or dates where both fields hold them and as text otherwise.
+ * The joined dataset has the same { records, fields } shape as a loaded one:
+ * the chart dataset's fields come first, then the joined dataset's without
+ * its keys, renamed with JOINED_FIELD_SUFFIX where the name is taken.
+ */
+
+// Values sampled to choose an automatic coercion
+const COERCION_SAMPLE_SIZE = 200;
+// Column types that can be joined on automatically; measures such as a price
+// that both datasets happen to have are not keys
+const KEY_TYPES = [...TEMPORAL_TYPES, "categorical", "identifier"];
+
+const isJoinType = (type) =>
+  JOIN_TYPE_OPTIONS.some(({ value }) => value === type);
+const isCoercion = (coercion) =>
+  KEY_COERCION_OPTIONS.some(({ value }) => value === coercion);
+
+function toTimestamp(value) {
+  const period = parsePeriod(String(value));
+  return period ? period.timestamp : null;
+}
+
+/**
+ * Turns a key value into the text it is matched by
+ * @param {*} value - Field value
+ * @param {string} coercion - "text", "number" or "date"
+ * @returns {string|null} - Match key, or null for values that match nothing
+ */
+export function normalizeKey(value, coercion) {
+  if (isMissingValue(value)) return null;
+  if (coercion === "number") {
+    const number = parseNumber(value);
+    return number === null ? null : String(number);
+  }
+  if (coercion === "date") {
+    const timestamp = toTimestamp(value);
+    return timestamp === null ? null : String(timestamp);
+  }
+  return String(value).trim().toLowerCase();
+}
+
+// Numbers, then dates, if every sampled value of both fields reads as one
+function detectCoercion(leftRecords, leftKey, rightRecords, rightKey) {
+  const values = [
+    ...leftRecords.slice(0, COERCION_SAMPLE_SIZE).map((r) => r[leftKey]),
+    ...rightRecords.slice(0, COERCION_SAMPLE_SIZE).map((r) => r[rightKey]),
+  ].filter((value) => !isMissingValue(value));
+  if (values.length === 0) return "text";
+  if (values.every((value) => parseNumber(value) !== null)) return "number";
+  if (values.every((value) => toTimestamp(value) !== null)) return "date";
+  return "text";
+}
+
+/**
+ * Creates an inner join whose keys are still to be chosen
+ * @param {string} resourceID - Dataset to join
+ * @returns {Object} - Join
+ */
+export function createJoin(resourceID) {
+  return { resourceID, type: "inner", keys: [] };
+}
+
+/**
+ * Normalises a join from a URL or saved view
+ * Its keys are checked once the joined dataset has loaded.
+ * @param {*} join - Candidate join
+ * @returns {Object|null} - Valid join, or null for none
+ */
+export function sanitizeJoin(join) {
+  if (!join || typeof join.resourceID !== "string" || !join.resourceID) {
+    return null;
+  }
+  const keys = Array.isArray(join.keys) ? join.keys : [];
+  return {
+    resourceID: join.resourceID,
+    type: isJoinType(join.type) ? join.type : "inner",
+    keys: keys
+      .filter(
+        (key) =>
+          !!key && typeof key.left === "string" && typeof key.right === "string"
+      )
+      .map((key) => ({
+        left: key.left,
+        right: key.right,
+        coercion: isCoercion(key.coercion) ? key.coercion : "auto",
+      })),
+  };
+}
+
+/**
+ * Fills in the keys of a join without any: the dates, periods and categories
+ * that both datasets have, compared without regard to case
+ * @param {Object} join - Join
+ * @param {Object} left - The chart's dataset, { records, fields }
+ * @param {Object} [right] - The joined dataset, { records, fields }, if loaded
+ * @param {Object} [profiles] - Column profiles of the chart's dataset; fields
+ * without one are profiled here
+ * @returns {Object} - Join with its keys filled in where possible
+ */
+export function resolveJoinKeys(join, left, right, profiles) {
+  if (!join || join.keys.length > 0 || !right || !right.fields) return join;
+  const rightIds = right.fields.map((field) => field.id);
+  const isKeyLike = (id) => {
+    const profile =
+      (profiles && profiles[id]) || profileColumn(id, left.records || []);
+    return KEY_TYPES.includes(profile.type);
+  };
+  const keys = ((left && left.fields) || [])
+    .filter((field) => field.id !== "_id")
+    .map((field) => ({
+      left: field.id,
+      right: rightIds.find(
+        (id) => id !== "_id" && id.toLowerCase() === field.id.toLowerCase()
+      ),
+      coercion: "auto",
+    }))
+    .filter((key) => key.right !== undefined && isKeyLike(key.left));
+  return { ...join, keys };
+}
+
+/**
+ * Joins another dataset to the chart's
+ * Every pair of matching records becomes a row, so a key that appears more
+ * than once in both datasets multiplies rows; at most MAX_DATASET_SIZE are
+ * kept. Records with a missing key value match nothing.
+ * @param {Object} left - The chart's dataset, { records, fields, ... }
+ * @param {Object} [right] - The joined dataset, { records, fields }, if loaded
+ * @param {Object} join - Join (see above)
+ * @param {Object} [profiles] - Column profiles of the chart's dataset, to
+ * choose keys for a join without any (see resolveJoinKeys)
+ * @returns {Object} - The joined dataset with a summary of the match,
+ * { ...left, records, fields, truncated, joinSummary: { rows, matched,
+ * unmatched } }, or left itself while the join cannot be made
+ */
+export function joinDatasets(left, right, join, profiles) {
+  if (!left || !left.records || !left.fields || !right || !right.records) {
+    return left;
+  }
+  const resolved = resolveJoinKeys(join, left, right, profiles);
+  const leftIds = left.fields.map((field) => field.id);
+  const rightIds = (right.fields || []).map((field) => field.id);
+  const keys = resolved.keys.filter(
+    (key) => leftIds.includes(key.left) && rightIds.includes(key.right)
+  );
+  if (keys.length === 0) return left;
+
+  const coercions = keys.map((key) =>
+    key.coercion === "auto"
+      ? detectCoercion(left.records, key.left, right.records, key.right)
+      : key.coercion
+  );
+  const keyOf = (record, side) => {
+    const parts = [];
+    for (let i = 0; i < keys.length; i++) {
+      const part = normalizeKey(record[keys[i][side]], coercions[i]);
+      if (part === null) return null;
+      parts.push(part);
+    }
+    return JSON.stringify(parts);
+  };
+
+  // The joined dataset's fields, other than its row id and keys
+  const taken = new Set(leftIds);
+  const rightKeyIds = keys.map((key) => key.right);
+  const joinedFields = right.fields
+    .filter((field) => field.id !== "_id" && !rightKeyIds.includes(field.id))
+    .map((field) => {
+      let id = field.id;
+      while (taken.has(id)) id = `${id}${JOINED_FIELD_SUFFIX}`;
+      taken.add(id);
+      return { ...field, id, joinedFrom: field.id };
+    });
+  const pick = (record) => {
+    const values = {};
+    joinedFields.forEach((field) => {
+      values[field.id] = record ? record[field.joinedFrom] : null;
+    });
+    return values;
+  };
+
+  const index = new Map();
+  right.records.forEach((record) => {
+    const key = keyOf(record, "right");
+    if (key === null) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(record);
+  });
+
+  const records = [];
+  let matched = 0;
+  let truncated = false;
+  for (let i = 0; i < left.records.length && !truncated; i++) {
+    const record = left.records[i];
+    const key = keyOf(record, "left");
+    const matches = (key !== null && index.get(key)) || [];
+    if (matches.length > 0) matched++;
+    const rows =
+      matches.length > 0 ? matches : resolved.type === "left" ? [null] : [];
+    for (let j = 0; j < rows.length; j++) {
+      if (records.length >= MAX_DATASET_SIZE) {
+        truncated = true;
+        break;
+      }
+      records.push({ ...record, ...pick(rows[j]) });
+    }
+  }
+
+  return {
+    ...left,
+    records,
+    fields: [...left.fields, ...joinedFields],
+    truncated: !!left.truncated || truncated,
+    joinSummary: {
+      rows: records.length,
+      matched,
+      unmatched: left.records.length - matched,
+    },
+  };
+}
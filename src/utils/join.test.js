@@ -0,0 +1,228 @@
+import {
+  createJoin,
+  joinDatasets,
+  normalizeKey,
+  resolveJoinKeys,
+  sanitizeJoin,
+} from "./join";
+import { profileColumns } from "./columnProfile";
+import { MAX_DATASET_SIZE } from "../constants";
+
+// Resale prices by town and year, to be joined with each town's population
+const resale = {
+  records: [
+    { _id: 1, town: "Bedok", year: "2019", price: "400" },
+    { _id: 2, town: "Bedok", year: "2020", price: "420" },
+    { _id: 3, town: "Jurong West", year: "2019", price: "380" },
+    { _id: 4, town: "Punggol", year: "2019", price: "500" },
+  ],
+  fields: [{ id: "_id" }, { id: "town" }, { id: "year" }, { id: "price" }],
+};
+const population = {
+  records: [
+    { _id: 1, Town: "BEDOK ", Year: 2019, price: "9", residents: "280,000" },
+    { _id: 2, Town: "bedok", Year: 2020, price: "9", residents: "279,000" },
+    { _id: 3, Town: "Jurong West", Year: 2019, price: "8", residents: "" },
+  ],
+  fields: [
+    { id: "_id" },
+    { id: "Town" },
+    { id: "Year" },
+    { id: "price" },
+    { id: "residents" },
+  ],
+};
+const byTownAndYear = (type = "inner") => ({
+  resourceID: "d_population",
+  type,
+  keys: [
+    { left: "town", right: "Town", coercion: "text" },
+    { left: "year", right: "Year", coercion: "auto" },
+  ],
+});
+
+describe("normalizeKey", () => {
+  test("compares text without regard to case or surrounding spaces", () => {
+    expect(normalizeKey(" Jurong West ", "text")).toBe("jurong west");
+    expect(normalizeKey(2019, "text")).toBe("2019");
+  });
+
+  test("reads formatted numbers as numbers", () => {
+    expect(normalizeKey("1,000", "number")).toBe(normalizeKey(1000, "number"));
+    expect(normalizeKey("n/a", "number")).toBeNull();
+  });
+
+  test("matches a year to the first day of that year", () => {
+    expect(normalizeKey("2019", "date")).toBe(
+      normalizeKey("2019-01-01", "date")
+    );
+    expect(normalizeKey("someday", "date")).toBeNull();
+  });
+
+  test("matches nothing for a missing value", () => {
+    expect(normalizeKey("", "text")).toBeNull();
+    expect(normalizeKey(null, "text")).toBeNull();
+    expect(normalizeKey("na", "number")).toBeNull();
+  });
+});
+
+describe("sanitizeJoin", () => {
+  test("needs the dataset to join", () => {
+    expect(sanitizeJoin(null)).toBeNull();
+    expect(sanitizeJoin({ resourceID: "" })).toBeNull();
+    expect(sanitizeJoin({ resourceID: "d_population" })).toEqual(
+      createJoin("d_population")
+    );
+  });
+
+  test("keeps complete keys and falls back for unknown settings", () => {
+    expect(
+      sanitizeJoin({
+        resourceID: "d_population",
+        type: "outer",
+        keys: [
+          { left: "year", right: "Year", coercion: "fuzzy" },
+          { left: "town", right: "Town", coercion: "text" },
+          { left: "town" },
+          null,
+        ],
+      })
+    ).toEqual({
+      resourceID: "d_population",
+      type: "inner",
+      keys: [
+        { left: "year", right: "Year", coercion: "auto" },
+        { left: "town", right: "Town", coercion: "text" },
+      ],
+    });
+  });
+});
+
+describe("resolveJoinKeys", () => {
+  test("joins on the dates and categories both datasets have", () => {
+    const join = resolveJoinKeys(
+      createJoin("d_population"),
+      resale,
+      population
+    );
+    expect(join.keys).toEqual([
+      { left: "town", right: "Town", coercion: "auto" },
+      { left: "year", right: "Year", coercion: "auto" },
+    ]);
+  });
+
+  test("does not join on measures that share a name", () => {
+    const keys = resolveJoinKeys(
+      createJoin("d_population"),
+      resale,
+      population
+    ).keys.map((key) => key.left);
+    expect(keys).not.toContain("price");
+  });
+
+  test("goes by the column profiles it is given", () => {
+    const profiles = profileColumns(resale.fields, resale.records);
+    profiles.town = { ...profiles.town, type: "text" };
+    const join = resolveJoinKeys(
+      createJoin("d_population"),
+      resale,
+      population,
+      profiles
+    );
+    expect(join.keys.map((key) => key.left)).toEqual(["year"]);
+  });
+
+  test("keeps the keys it was given", () => {
+    const join = byTownAndYear();
+    expect(resolveJoinKeys(join, resale, population)).toBe(join);
+  });
+
+  test("waits for the joined dataset to load", () => {
+    const join = createJoin("d_population");
+    expect(resolveJoinKeys(join, resale, undefined)).toBe(join);
+  });
+});
+
+describe("joinDatasets", () => {
+  const residents = (joined) =>
+    joined.records.map((record) => [
+      record.town,
+      record.year,
+      record.residents,
+    ]);
+
+  test("keeps the rows that match, with the joined fields", () => {
+    const joined = joinDatasets(resale, population, byTownAndYear());
+    expect(residents(joined)).toEqual([
+      ["Bedok", "2019", "280,000"],
+      ["Bedok", "2020", "279,000"],
+      ["Jurong West", "2019", ""],
+    ]);
+    expect(joined.joinSummary).toEqual({ rows: 3, matched: 3, unmatched: 1 });
+  });
+
+  test("keeps the rows without a match in a left join", () => {
+    const joined = joinDatasets(resale, population, byTownAndYear("left"));
+    expect(residents(joined)[3]).toEqual(["Punggol", "2019", null]);
+    expect(joined.joinSummary).toEqual({ rows: 4, matched: 3, unmatched: 1 });
+  });
+
+  test("adds the joined fields without their keys, renaming taken names", () => {
+    const joined = joinDatasets(resale, population, byTownAndYear());
+    expect(joined.fields.map((field) => field.id)).toEqual([
+      "_id",
+      "town",
+      "year",
+      "price",
+      "price_joined",
+      "residents",
+    ]);
+    expect(joined.records[0]).toMatchObject({
+      price: "400",
+      price_joined: "9",
+    });
+  });
+
+  test("makes a row for each match of a key that repeats", () => {
+    const joined = joinDatasets(resale, population, {
+      ...createJoin("d_population"),
+      keys: [{ left: "town", right: "Town", coercion: "text" }],
+    });
+    expect(
+      joined.records.filter((record) => record.town === "Bedok")
+    ).toHaveLength(4);
+    expect(joined.joinSummary.rows).toBe(5);
+  });
+
+  test("stops at MAX_DATASET_SIZE rows", () => {
+    const many = {
+      records: Array.from({ length: MAX_DATASET_SIZE + 1 }, (v, i) => ({
+        town: "Bedok",
+        residents: String(i),
+      })),
+      fields: [{ id: "town" }, { id: "residents" }],
+    };
+    const joined = joinDatasets(resale, many, {
+      ...createJoin("d_population"),
+      keys: [{ left: "town", right: "town", coercion: "text" }],
+    });
+    expect(joined.records).toHaveLength(MAX_DATASET_SIZE);
+    expect(joined.truncated).toBe(true);
+  });
+
+  test("joins on the keys it chooses when it is given none", () => {
+    const joined = joinDatasets(resale, population, createJoin("d_population"));
+    expect(joined.joinSummary).toEqual({ rows: 3, matched: 3, unmatched: 1 });
+  });
+
+  test("leaves the dataset alone until the join can be made", () => {
+    expect(joinDatasets(resale, undefined, byTownAndYear())).toBe(resale);
+    const unrelated = {
+      records: [{ station: "Changi", rain_mm: "150" }],
+      fields: [{ id: "station" }, { id: "rain_mm" }],
+    };
+    expect(joinDatasets(resale, unrelated, createJoin("d_rainfall"))).toBe(
+      resale
+    );
+  });
+});
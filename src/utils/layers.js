@@ -0,0 +1,186 @@
+import { computeLabels } from "../utils";
+import { isAggregation } from "./aggregation";
+import { processDatasetInSteps } from "./processDataset";
+import { COLOR_PALETTE, MAX_LAYERS } from "../constants";
+
+/**
+ * Layers overlay series from other datasets on the chart. A layer has the
+ * shape
+ *   { resourceID, xKey, yKey, series, aggregation, axis, color }
+ * where the keys are fields of the layer's own dataset ("" until chosen, in
+ * which case they are recommended as for the chart's dataset). A layer is
+ * processed like the Y axis field, then aligned to the chart's x-axis: dates
+ * become timestamps in the chart's time bucket, and other x-values are
+ * matched to the chart's categories regardless of case and spacing. The
+ * result is a measure (see utils/measures.js) that carries the layer's colour
+ * and dataset name. Layers are processed with the chart (see
+ * utils/chartData.js), so in a worker for large datasets.
+ */
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Layers take colours from the end of the palette, which the chart's own
+// series reach last
+function defaultColor(index) {
+  return COLOR_PALETTE[
+    COLOR_PALETTE.length - 1 - (index % COLOR_PALETTE.length)
+  ];
+}
+
+/**
+ * Creates a layer with its fields still to be chosen
+ * @param {string} resourceID - Dataset of the layer
+ * @param {number} index - Position of the layer, used to pick its colour
+ * @returns {Object} - Layer
+ */
+export function createLayer(resourceID, index) {
+  return {
+    resourceID,
+    xKey: "",
+    yKey: "",
+    series: "",
+    aggregation: "sum",
+    axis: "right",
+    color: defaultColor(index),
+  };
+}
+
+/**
+ * Normalises layers from a URL or saved view
+ * Their fields are checked once their datasets have loaded.
+ * @param {*} layers - Candidate layers
+ * @returns {Array} - At most MAX_LAYERS valid layers
+ */
+export function sanitizeLayers(layers) {
+  if (!Array.isArray(layers)) return [];
+  const text = (value) => (typeof value === "string" ? value : "");
+  return layers
+    .filter((layer) => !!layer && text(layer.resourceID) !== "")
+    .slice(0, MAX_LAYERS)
+    .map((layer, index) => ({
+      resourceID: layer.resourceID,
+      xKey: text(layer.xKey),
+      yKey: text(layer.yKey),
+      series: text(layer.series),
+      aggregation: isAggregation(layer.aggregation) ? layer.aggregation : "sum",
+      axis: layer.axis === "left" ? "left" : "right",
+      color: COLOR_PATTERN.test(layer.color)
+        ? layer.color
+        : defaultColor(index),
+    }));
+}
+
+/**
+ * Lists the fields of a layer's dataset that may be plotted
+ * @param {Array} fields - Fields of the dataset
+ * @returns {Array<string>} - Field ids, without the row id
+ */
+export function getLayerFieldIds(fields) {
+  return (fields || []).map((field) => field.id).filter((id) => id !== "_id");
+}
+
+/**
+ * Fills in the fields of a layer that are unset or not in its dataset
+ * @param {Object} layer - Layer
+ * @param {Object} [data] - The layer's dataset, { records, fields }, if loaded
+ * @returns {Object} - Layer with xKey and yKey set where the dataset allows
+ */
+export function resolveLayerKeys(layer, data) {
+  if (!data || !data.records || data.records.length === 0) return layer;
+  if (!data.fields || data.fields.length === 0) return layer;
+  const fieldIds = getLayerFieldIds(data.fields);
+  if (fieldIds.includes(layer.xKey) && fieldIds.includes(layer.yKey)) {
+    return fieldIds.includes(layer.series) ? layer : { ...layer, series: "" };
+  }
+  const [xKey, yKey] = computeLabels(data.fields, data.records);
+  return {
+    ...layer,
+    xKey: fieldIds.includes(layer.xKey) ? layer.xKey : xKey,
+    yKey: fieldIds.includes(layer.yKey) ? layer.yKey : yKey,
+    series: fieldIds.includes(layer.series) ? layer.series : "",
+  };
+}
+
+// Categories are matched without regard to case or surrounding spaces
+function categoryKey(value) {
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Processes a layer and aligns it to the chart's x-axis, pausing every
+ * PROCESSING_CHUNK_SIZE records (see processDatasetInSteps)
+ * @param {Array} records - Records of the layer's dataset
+ * @param {Object} layer - Layer with its keys resolved
+ * @param {Object} options
+ * @param {string} options.xKey - The chart's x-axis field
+ * @param {boolean} options.xKeyIsDate - Whether the chart's x-axis holds dates
+ * @param {string} options.xBucket - Time bucket of the chart's x-axis
+ * @param {Array} options.categories - The chart's x-values, when they are
+ * not dates
+ * @param {string} [options.missingValues] - "" (gaps), "zero" or "interpolate"
+ * @param {string} options.source - Name of the layer's dataset, for legends
+ * @yields {number} - Records grouped into series since the last pause
+ * @returns {Object} - Measure with the aligned dataset
+ */
+export function* processLayerInSteps(records, layer, options) {
+  const { xKey, xKeyIsDate, xBucket, categories, missingValues, source } =
+    options;
+  const processed = yield* processDatasetInSteps(records, {
+    xKey: layer.xKey,
+    yKey: layer.yKey,
+    series: layer.series,
+    aggregation: layer.aggregation,
+    resample: xKeyIsDate ? xBucket : "",
+    xKeyIsDate,
+    missingValues,
+  });
+
+  const chartCategories = new Map();
+  if (!xKeyIsDate) {
+    (categories || []).forEach((value) => {
+      const key = categoryKey(value);
+      if (!chartCategories.has(key)) chartCategories.set(key, value);
+    });
+  }
+  const alignX = (value) => {
+    if (xKeyIsDate) return typeof value === "number" ? value : null;
+    if (value === undefined || value === null) return null;
+    const key = categoryKey(value);
+    return chartCategories.has(key) ? chartCategories.get(key) : String(value);
+  };
+
+  const dataset = {};
+  Object.keys(processed).forEach((seriesName) => {
+    dataset[seriesName] = processed[seriesName]
+      .map((point) => ({
+        [xKey]: alignX(point[layer.xKey]),
+        [layer.yKey]: point[layer.yKey],
+      }))
+      .filter((point) => point[xKey] !== null);
+  });
+
+  return {
+    field: layer.yKey,
+    aggregation: layer.aggregation,
+    axis: layer.axis,
+    style: "line",
+    color: layer.color,
+    source,
+    dataset,
+  };
+}
+
+/**
+ * Processes a layer and aligns it to the chart's x-axis in one go (see
+ * processLayerInSteps)
+ * @param {Array} records - Records of the layer's dataset
+ * @param {Object} layer - Layer with its keys resolved
+ * @param {Object} options - See processLayerInSteps
+ * @returns {Object} - Measure with the aligned dataset
+ */
+export function processLayer(records, layer, options) {
+  const steps = processLayerInSteps(records, layer, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+}
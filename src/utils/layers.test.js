@@ -0,0 +1,185 @@
+import {
+  createLayer,
+  processLayer,
+  resolveLayerKeys,
+  sanitizeLayers,
+} from "./layers";
+import { COLOR_PALETTE, MAX_LAYERS } from "../constants";
+
+const at = (year, month, day = 1) => new Date(year, month, day).getTime();
+
+// Rainfall readings to overlay on a chart of resale prices
+const rainfall = [
+  { month: "2019-01", station: "Changi", rain_mm: "150.2" },
+  { month: "2019-01", station: "Seletar", rain_mm: "120" },
+  { month: "2019-02", station: "Changi", rain_mm: "na" },
+  { month: "2019-04", station: "Changi", rain_mm: "210" },
+];
+const layer = {
+  ...createLayer("d_rainfall", 0),
+  xKey: "month",
+  yKey: "rain_mm",
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("processLayer", () => {
+  const dateOptions = {
+    xKey: "sale_month",
+    xKeyIsDate: true,
+    xBucket: "month",
+    categories: [],
+    source: "Rainfall",
+  };
+
+  test("becomes a measure named after its dataset", () => {
+    const measure = processLayer(rainfall, layer, dateOptions);
+    expect(measure).toMatchObject({
+      field: "rain_mm",
+      aggregation: "sum",
+      axis: "right",
+      style: "line",
+      color: COLOR_PALETTE[COLOR_PALETTE.length - 1],
+      source: "Rainfall",
+    });
+  });
+
+  test("puts dates on the chart's x-axis field, in the chart's bucket", () => {
+    const { dataset } = processLayer(rainfall, layer, dateOptions);
+    expect(dataset.default).toEqual([
+      { sale_month: at(2019, 0), rain_mm: 270.2 },
+      { sale_month: at(2019, 1), rain_mm: null },
+      { sale_month: at(2019, 3), rain_mm: 210 },
+    ]);
+  });
+
+  test("resamples dates into a coarser bucket of the chart", () => {
+    const { dataset } = processLayer(
+      rainfall,
+      { ...layer, series: "station", aggregation: "max" },
+      { ...dateOptions, xBucket: "quarter" }
+    );
+    expect(dataset).toEqual({
+      Changi: [
+        { sale_month: at(2019, 0), rain_mm: 150.2 },
+        { sale_month: at(2019, 3), rain_mm: 210 },
+      ],
+      Seletar: [{ sale_month: at(2019, 0), rain_mm: 120 }],
+    });
+  });
+
+  test("matches categories to the chart's, whatever their case and spacing", () => {
+    const towns = [
+      { town: " BEDOK", population: "280000" },
+      { town: "jurong west ", population: "260000" },
+      { town: "Punggol", population: "190000" },
+      { town: null, population: "5" },
+    ];
+    const { dataset } = processLayer(
+      towns,
+      { ...layer, xKey: "town", yKey: "population" },
+      {
+        xKey: "town",
+        xKeyIsDate: false,
+        xBucket: "",
+        categories: ["Bedok", "Jurong West"],
+        source: "Population",
+      }
+    );
+    expect(dataset.default.map((point) => point.town)).toEqual([
+      "Bedok",
+      "Jurong West",
+      "Punggol",
+    ]);
+  });
+
+  test("leaves out points whose x-values are not dates on a time axis", () => {
+    const { dataset } = processLayer(
+      [...rainfall, { month: "Unknown", station: "Changi", rain_mm: "5" }],
+      layer,
+      dateOptions
+    );
+    expect(dataset.default).toHaveLength(3);
+  });
+});
+
+describe("resolveLayerKeys", () => {
+  const data = {
+    fields: [
+      { id: "_id" },
+      { id: "month" },
+      { id: "station" },
+      { id: "rain_mm" },
+    ],
+    records: rainfall,
+  };
+
+  test("waits for the layer's dataset to load", () => {
+    const unset = createLayer("d_rainfall", 0);
+    expect(resolveLayerKeys(unset, undefined)).toBe(unset);
+    expect(resolveLayerKeys(unset, { fields: [], records: [] })).toBe(unset);
+  });
+
+  test("keeps keys the dataset has", () => {
+    const chosen = { ...layer, series: "station" };
+    expect(resolveLayerKeys(chosen, data)).toBe(chosen);
+    expect(resolveLayerKeys({ ...layer, series: "town" }, data).series).toBe(
+      ""
+    );
+  });
+
+  test("recommends keys that are unset or not in the dataset", () => {
+    const resolved = resolveLayerKeys(
+      { ...createLayer("d_rainfall", 0), yKey: "rain_mm", series: "town" },
+      data
+    );
+    expect(resolved).toMatchObject({
+      xKey: "month",
+      yKey: "rain_mm",
+      series: "",
+    });
+  });
+});
+
+describe("sanitizeLayers", () => {
+  test("keeps valid settings and replaces the others", () => {
+    expect(
+      sanitizeLayers([
+        {
+          resourceID: "d_rainfall",
+          xKey: "month",
+          yKey: 5,
+          aggregation: "total",
+          axis: "top",
+          color: "red",
+        },
+      ])
+    ).toEqual([
+      {
+        resourceID: "d_rainfall",
+        xKey: "month",
+        yKey: "",
+        series: "",
+        aggregation: "sum",
+        axis: "right",
+        color: COLOR_PALETTE[COLOR_PALETTE.length - 1],
+      },
+    ]);
+  });
+
+  test("drops layers without a dataset and keeps at most MAX_LAYERS", () => {
+    const layers = Array.from({ length: MAX_LAYERS + 1 }, (v, i) =>
+      createLayer(`d_${i}`, i)
+    );
+    expect(sanitizeLayers([null, { xKey: "month" }, ...layers])).toEqual(
+      layers.slice(0, MAX_LAYERS)
+    );
+    expect(sanitizeLayers("d_rainfall")).toEqual([]);
+  });
+});
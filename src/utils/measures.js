@@ -0,0 +1,108 @@
+import { pivotDataset } from "../utils";
+import { isAggregation } from "./aggregation";
+import { AGGREGATION_OPTIONS, COLOR_PALETTE } from "../constants";
+
+/**
+ * Measures are the y-values plotted on a chart. The Y axis field is the
+ * primary measure; additional measures have the shape
+ *   { field, aggregation, axis: "left" | "right", style: "line" | "bar" }
+ * and are processed into their own { series: [{ x, y }] } dataset with the
+ * same x-axis, series field, filters and resampling. Measures from other
+ * datasets (see utils/layers.js) also carry a colour and the dataset name as
+ * source.
+ */
+
+/**
+ * Creates an additional measure on the right axis
+ * @param {string} field - Y field
+ * @param {string} aggregation - Aggregation name
+ * @returns {Object} - Measure
+ */
+export function createMeasure(field, aggregation) {
+  return { field, aggregation, axis: "right", style: "line" };
+}
+
+/**
+ * Normalises measures from a URL or saved view, dropping unknown fields
+ * @param {*} measures - Candidate measures
+ * @param {Array<string>} fieldIds - Fields of the current dataset
+ * @returns {Array} - Valid measures
+ */
+export function sanitizeMeasures(measures, fieldIds) {
+  if (!Array.isArray(measures)) return [];
+  return measures
+    .filter((measure) => !!measure && fieldIds.includes(measure.field))
+    .map((measure) => ({
+      field: measure.field,
+      aggregation:
+        isAggregation(measure.aggregation) && measure.aggregation !== "none"
+          ? measure.aggregation
+          : "sum",
+      axis: measure.axis === "left" ? "left" : "right",
+      style: measure.style === "bar" ? "bar" : "line",
+    }));
+}
+
+/**
+ * Names a measure for legends, e.g. "resale_price (Mean)", prefixed with the
+ * name of the dataset it comes from if that is not the chart's
+ * @param {Object} measure - Measure
+ * @returns {string} - Display name
+ */
+export function describeMeasure(measure) {
+  const option = AGGREGATION_OPTIONS.find(
+    ({ value }) => value === measure.aggregation
+  );
+  const name =
+    option && measure.aggregation !== "none"
+      ? `${measure.field} (${option.label})`
+      : measure.field;
+  return measure.source ? `${measure.source}: ${name}` : name;
+}
+
+/**
+ * Lists the plotted lines/bars of a set of processed measures, in legend order
+ * @param {Array} measures - Measures with their processed dataset
+ * @returns {Array} - [{ key, name, color, measure }] where key is unique per
+ * line and color is the measure's own or the next in the palette
+ */
+export function buildMeasureSeries(measures) {
+  const seriesList = [];
+  measures.forEach((measure, index) => {
+    const seriesNames = Object.keys(measure.dataset || {});
+    seriesNames.forEach((seriesName) => {
+      seriesList.push({
+        key: `m${index}:${seriesName}`,
+        name:
+          seriesNames.length === 1
+            ? describeMeasure(measure)
+            : `${seriesName} - ${describeMeasure(measure)}`,
+        color:
+          measure.color ||
+          COLOR_PALETTE[seriesList.length % COLOR_PALETTE.length],
+        measure,
+      });
+    });
+  });
+  return seriesList;
+}
+
+/**
+ * Pivots processed measures into one row per x-value, with a column per
+ * series key from buildMeasureSeries
+ * @param {Array} measures - Measures with their processed dataset
+ * @param {string} xKey - X-axis field
+ * @returns {Array} - Rows for a Recharts ComposedChart
+ */
+export function pivotMeasures(measures, xKey) {
+  const valueKey = xKey === "value" ? "_value" : "value";
+  const combined = {};
+  buildMeasureSeries(measures).forEach(({ key, measure }) => {
+    const seriesName = key.substring(key.indexOf(":") + 1);
+    combined[key] = measure.dataset[seriesName].map((point) => ({
+      [xKey]: point[xKey],
+      [valueKey]: point[measure.field],
+    }));
+  });
+  return pivotDataset(combined, xKey, valueKey);
+}
@@ -0,0 +1,84 @@
+import {
+  buildMeasureSeries,
+  createMeasure,
+  describeMeasure,
+  pivotMeasures,
+  sanitizeMeasures,
+} from "./measures";
+import { COLOR_PALETTE } from "../constants";
+
+// Resale prices on the left axis and the number of flats sold on the right,
+// split by town
+const price = {
+  field: "resale_price",
+  aggregation: "mean",
+  axis: "left",
+  style: "line",
+  dataset: {
+    Bedok: [
+      { year: 2019, resale_price: 400 },
+      { year: 2020, resale_price: 420 },
+    ],
+    Jurong: [{ year: 2020, resale_price: 380 }],
+  },
+};
+const sold = {
+  ...createMeasure("resale_price", "count"),
+  dataset: { default: [{ year: 2019, resale_price: 12 }] },
+};
+
+test("a new measure goes on the right axis as a line", () => {
+  expect(createMeasure("floor_area", "median")).toEqual({
+    field: "floor_area",
+    aggregation: "median",
+    axis: "right",
+    style: "line",
+  });
+});
+
+describe("sanitizeMeasures", () => {
+  test("keeps the measures of fields the dataset has", () => {
+    const measures = [
+      { field: "resale_price", aggregation: "max", axis: "left", style: "bar" },
+      { field: "lease", aggregation: "sum" },
+      null,
+    ];
+    expect(sanitizeMeasures(measures, ["year", "resale_price"])).toEqual([
+      { field: "resale_price", aggregation: "max", axis: "left", style: "bar" },
+    ]);
+  });
+
+  test("falls back to a summed line on the right axis", () => {
+    const measures = [{ field: "year", aggregation: "none", axis: "top" }];
+    expect(sanitizeMeasures(measures, ["year"])).toEqual([
+      { field: "year", aggregation: "sum", axis: "right", style: "line" },
+    ]);
+    expect(sanitizeMeasures("resale_price", ["resale_price"])).toEqual([]);
+  });
+});
+
+test("describeMeasure names the aggregation and the dataset", () => {
+  expect(describeMeasure(price)).toBe("resale_price (Mean)");
+  expect(describeMeasure({ field: "value", aggregation: "none" })).toBe(
+    "value"
+  );
+  expect(
+    describeMeasure({ ...price, source: "Rental prices", aggregation: "sum" })
+  ).toBe("Rental prices: resale_price (Sum)");
+});
+
+test("buildMeasureSeries names a line per series and measure", () => {
+  const series = buildMeasureSeries([price, { ...sold, color: "#123456" }]);
+  expect(series.map(({ key, name, color }) => [key, name, color])).toEqual([
+    ["m0:Bedok", "Bedok - resale_price (Mean)", COLOR_PALETTE[0]],
+    ["m0:Jurong", "Jurong - resale_price (Mean)", COLOR_PALETTE[1]],
+    ["m1:default", "resale_price (Count)", "#123456"],
+  ]);
+});
+
+test("pivotMeasures puts every line's value for an x-value in one row", () => {
+  expect(pivotMeasures([price, sold], "year")).toEqual([
+    { year: 2019, "m0:Bedok": 400, "m0:Jurong": null, "m1:default": 12 },
+    { year: 2020, "m0:Bedok": 420, "m0:Jurong": 380, "m1:default": null },
+  ]);
+});
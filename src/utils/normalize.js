@@ -0,0 +1,244 @@
+import { MISSING_VALUE_MARKERS, THOUSANDS_SEPARATOR } from "../constants";
+
+/**
+ * Normalisation of raw cell values before they are parsed
+ *
+ * data.gov.sg files mark missing or suppressed values with text such as "na",
+ * "-", "n.a.", ".." or "s", and write large numbers with thousands separators
+ * ("1,234,567"). Missing markers become null and formatted numbers become
+ * numbers; every other value is left for the caller to interpret. The markers
+ * and separator default to the constants and can be overridden per call.
+ */
+
+const DEFAULT_OPTIONS = {
+  missingMarkers: MISSING_VALUE_MARKERS,
+  thousandsSeparator: THOUSANDS_SEPARATOR,
+};
+
+const MISSING_VALUE_MODES = ["zero", "interpolate"];
+
+const numberPatterns = new Map();
+
+// Matches plain numbers and numbers grouped in threes by the separator
+function numberPattern(separator) {
+  if (!numberPatterns.has(separator)) {
+    const escaped = separator.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const digits = separator ? `(\\d+|\\d{1,3}(${escaped}\\d{3})+)` : "(\\d+)";
+    numberPatterns.set(
+      separator,
+      new RegExp(`^[-+]?(${digits}(\\.\\d*)?|\\.\\d+)([eE][-+]?\\d+)?$`)
+    );
+  }
+  return numberPatterns.get(separator);
+}
+
+function withDefaults(options) {
+  return options === DEFAULT_OPTIONS
+    ? options
+    : { ...DEFAULT_OPTIONS, ...options };
+}
+
+/**
+ * Checks for a cell that stands for a missing value, like "na" or "-"
+ * @param {*} value - Cell value
+ * @param {Object} [options] - { missingMarkers }
+ * @returns {boolean}
+ */
+export function isMissingMarker(value, options = DEFAULT_OPTIONS) {
+  const { missingMarkers } = withDefaults(options);
+  return (
+    typeof value === "string" &&
+    missingMarkers.includes(value.trim().toLowerCase())
+  );
+}
+
+/**
+ * Checks for an empty cell or a missing-value marker
+ * @param {*} value - Cell value
+ * @param {Object} [options] - { missingMarkers }
+ * @returns {boolean}
+ */
+export function isMissingValue(value, options = DEFAULT_OPTIONS) {
+  return (
+    value === null ||
+    value === undefined ||
+    (typeof value === "string" && value.trim() === "") ||
+    isMissingMarker(value, options)
+  );
+}
+
+/**
+ * Reads a number written with or without thousands separators
+ * @param {*} value - Cell value
+ * @param {Object} [options] - { thousandsSeparator }
+ * @returns {number|null} - The number, or null if the value is not one
+ */
+export function parseNumber(value, options = DEFAULT_OPTIONS) {
+  if (typeof value === "number") return isFinite(value) ? value : null;
+  if (typeof value !== "string") return null;
+  const { thousandsSeparator } = withDefaults(options);
+  const text = value.trim();
+  if (!numberPattern(thousandsSeparator).test(text)) return null;
+  const number = parseFloat(
+    thousandsSeparator ? text.split(thousandsSeparator).join("") : text
+  );
+  return isFinite(number) ? number : null;
+}
+
+/**
+ * How normalisation changes a cell
+ * @param {*} value - Cell value
+ * @param {Object} [options] - { missingMarkers, thousandsSeparator }
+ * @returns {string|null} - "missing" for a marker, "number" for a number
+ * that plain parsing would misread, or null if the cell is left as it is
+ */
+export function getCoercion(value, options = DEFAULT_OPTIONS) {
+  if (typeof value !== "string") return null;
+  if (isMissingMarker(value, options)) return "missing";
+  const number = parseNumber(value, options);
+  return number !== null && parseFloat(value) !== number ? "number" : null;
+}
+
+/**
+ * Normalises a cell: missing values become null and numbers become numbers
+ * @param {*} value - Cell value
+ * @param {Object} [options] - { missingMarkers, thousandsSeparator }
+ * @returns {*} - null, a number, or the value unchanged
+ */
+export function normalizeValue(value, options = DEFAULT_OPTIONS) {
+  if (isMissingValue(value, options)) return null;
+  const number = parseNumber(value, options);
+  return number === null ? value : number;
+}
+
+/**
+ * Checks whether a value names a way of drawing missing points
+ * ("" leaves gaps)
+ * @param {string} mode - Mode name
+ * @returns {boolean}
+ */
+export function isMissingValueMode(mode) {
+  return MISSING_VALUE_MODES.includes(mode);
+}
+
+// Orders numbers (including timestamps) numerically and other values as text
+function compareX(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+// Gives every series a point at each x-value of any series, with a missing
+// y-value where it had none
+function alignSeries(dataset, xKey, yKey, compare) {
+  const seriesKeys = Object.keys(dataset);
+  if (seriesKeys.length < 2) return dataset;
+  const seen = new Set();
+  const xValues = [];
+  seriesKeys.forEach((seriesKey) => {
+    dataset[seriesKey].forEach((point) => {
+      const x = point[xKey];
+      if (x === null || x === undefined || seen.has(x)) return;
+      seen.add(x);
+      xValues.push(x);
+    });
+  });
+  xValues.sort(compare);
+
+  const aligned = {};
+  seriesKeys.forEach((seriesKey) => {
+    const points = dataset[seriesKey];
+    const present = new Set(points.map((point) => point[xKey]));
+    const missing = xValues.filter((x) => !present.has(x));
+    if (missing.length === 0) {
+      aligned[seriesKey] = points;
+      return;
+    }
+    // Both lists are in x order, so they merge in one pass
+    const merged = [];
+    let next = 0;
+    points.forEach((point) => {
+      while (next < missing.length && compare(missing[next], point[xKey]) < 0) {
+        merged.push({ [xKey]: missing[next++], [yKey]: null });
+      }
+      merged.push(point);
+    });
+    while (next < missing.length) {
+      merged.push({ [xKey]: missing[next++], [yKey]: null });
+    }
+    aligned[seriesKey] = merged;
+  });
+  return aligned;
+}
+
+/**
+ * Fills the missing y-values of each series of a processed dataset
+ * Where there are several series, each is first given a missing point at
+ * every x-value that another series has, so a series with no row for an
+ * x-value is filled there too.
+ * - "zero": missing values become 0
+ * - "interpolate": missing values between two known numbers are placed on
+ *   the straight line between them; leading and trailing ones, and those
+ *   next to text, stay missing
+ * - anything else leaves the gaps
+ * @param {Object} dataset - Processed dataset, { series: [{ x, y }] }, each
+ * series sorted by x
+ * @param {string} xKey - X-axis field
+ * @param {string} yKey - Y-axis field
+ * @param {string} mode - "", "zero" or "interpolate"
+ * @param {Function} [compare] - Orders two x-values as the series are sorted;
+ * numbers numerically and other values as text by default
+ * @returns {Object} - Dataset with the same series
+ */
+export function fillMissingValues(
+  dataset,
+  xKey,
+  yKey,
+  mode,
+  compare = compareX
+) {
+  if (!isMissingValueMode(mode)) return dataset;
+  const isGap = (point) =>
+    isMissingValue(point[yKey]) || Number.isNaN(point[yKey]);
+  const isKnownNumber = (point) =>
+    typeof point[yKey] === "number" && isFinite(point[yKey]);
+  const aligned = alignSeries(dataset, xKey, yKey, compare);
+
+  const filled = {};
+  Object.keys(aligned).forEach((seriesKey) => {
+    const points = aligned[seriesKey];
+    if (mode === "zero") {
+      filled[seriesKey] = points.map((point) =>
+        isGap(point) ? { ...point, [yKey]: 0 } : point
+      );
+      return;
+    }
+    // Index of the nearest known point after each position
+    const next = new Array(points.length + 1).fill(-1);
+    for (let index = points.length - 1; index >= 0; index--) {
+      next[index] = isGap(points[index]) ? next[index + 1] : index;
+    }
+    // Numeric x-values (including timestamps) set the spacing; otherwise
+    // points are evenly spaced
+    const position = (index) =>
+      typeof points[index][xKey] === "number" ? points[index][xKey] : index;
+    let before = -1;
+    filled[seriesKey] = points.map((point, index) => {
+      if (!isGap(point)) {
+        before = index;
+        return point;
+      }
+      const after = next[index];
+      if (before === -1 || after === -1) return point;
+      if (!isKnownNumber(points[before]) || !isKnownNumber(points[after])) {
+        return point;
+      }
+      const span = position(after) - position(before);
+      const share =
+        span === 0 ? 0 : (position(index) - position(before)) / span;
+      const from = points[before][yKey];
+      const to = points[after][yKey];
+      return { ...point, [yKey]: from + (to - from) * share };
+    });
+  });
+  return filled;
+}
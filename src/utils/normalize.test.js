@@ -0,0 +1,174 @@
+import {
+  fillMissingValues,
+  isMissingValue,
+  normalizeValue,
+  parseNumber,
+} from "./normalize";
+
+test.each([
+  ["1,234,567", 1234567],
+  ["-1,234.5", -1234.5],
+  [" 42 ", 42],
+  ["1.5e3", 1500],
+  ["12,34", null],
+  ["na", null],
+  [7, 7],
+  [Infinity, null],
+  [null, null],
+])("parseNumber(%j) is %j", (value, expected) => {
+  expect(parseNumber(value)).toBe(expected);
+});
+
+test.each([
+  ["na", true],
+  [" - ", true],
+  ["..", true],
+  ["", true],
+  [null, true],
+  ["0", false],
+  [0, false],
+])("isMissingValue(%j) is %j", (value, expected) => {
+  expect(isMissingValue(value)).toBe(expected);
+});
+
+test.each([
+  ["n.a.", null],
+  ["1,000", 1000],
+  ["Bedok", "Bedok"],
+])("normalizeValue(%j) is %j", (value, expected) => {
+  expect(normalizeValue(value)).toBe(expected);
+});
+
+describe("fillMissingValues", () => {
+  const points = (...pairs) => pairs.map(([x, y]) => ({ x, y }));
+  const ys = (dataset) => {
+    const result = {};
+    Object.keys(dataset).forEach((key) => {
+      result[key] = dataset[key].map((point) => [point.x, point.y]);
+    });
+    return result;
+  };
+
+  test.each([
+    [
+      "",
+      [
+        [1, 1],
+        [2, null],
+        [3, 3],
+      ],
+    ],
+    [
+      "zero",
+      [
+        [1, 1],
+        [2, 0],
+        [3, 3],
+      ],
+    ],
+    [
+      "interpolate",
+      [
+        [1, 1],
+        [2, 2],
+        [3, 3],
+      ],
+    ],
+  ])("fills a missing value with %j", (mode, expected) => {
+    const dataset = { a: points([1, 1], [2, null], [3, 3]) };
+    expect(ys(fillMissingValues(dataset, "x", "y", mode))).toEqual({
+      a: expected,
+    });
+  });
+
+  test("spaces interpolated values by numeric x", () => {
+    const dataset = { a: points([0, 0], [1, "na"], [4, 8]) };
+    expect(ys(fillMissingValues(dataset, "x", "y", "interpolate")).a).toEqual([
+      [0, 0],
+      [1, 2],
+      [4, 8],
+    ]);
+  });
+
+  test.each([
+    [
+      "zero",
+      {
+        a: [
+          [2019, 1],
+          [2020, 0],
+          [2021, 3],
+          [2022, 0],
+        ],
+        b: [
+          [2019, 0],
+          [2020, 5],
+          [2021, 0],
+          [2022, 7],
+        ],
+      },
+    ],
+    [
+      "interpolate",
+      {
+        a: [
+          [2019, 1],
+          [2020, 2],
+          [2021, 3],
+          [2022, null],
+        ],
+        b: [
+          [2019, null],
+          [2020, 5],
+          [2021, 6],
+          [2022, 7],
+        ],
+      },
+    ],
+  ])("fills the x-values a series lacks with %j", (mode, expected) => {
+    const dataset = {
+      a: points([2019, 1], [2021, 3]),
+      b: points([2020, 5], [2022, 7]),
+    };
+    expect(ys(fillMissingValues(dataset, "x", "y", mode))).toEqual(expected);
+  });
+
+  test("orders the filled x-values with the comparator given", () => {
+    const months = ["Jan", "Feb", "Mar"];
+    const byMonth = (a, b) => months.indexOf(a) - months.indexOf(b);
+    const dataset = {
+      a: points(["Jan", 1], ["Mar", 3]),
+      b: points(["Feb", 2]),
+    };
+    expect(ys(fillMissingValues(dataset, "x", "y", "zero", byMonth))).toEqual({
+      a: [
+        ["Jan", 1],
+        ["Feb", 0],
+        ["Mar", 3],
+      ],
+      b: [
+        ["Jan", 0],
+        ["Feb", 2],
+        ["Mar", 0],
+      ],
+    });
+  });
+
+  test("only interpolates between numbers", () => {
+    const dataset = {
+      a: points([1, "low"], [2, null], [3, "high"], [4, null], [5, 5]),
+    };
+    expect(ys(fillMissingValues(dataset, "x", "y", "interpolate")).a).toEqual([
+      [1, "low"],
+      [2, null],
+      [3, "high"],
+      [4, null],
+      [5, 5],
+    ]);
+  });
+
+  test("leaves the dataset alone without a mode", () => {
+    const dataset = { a: points([1, null]), b: points([2, 2]) };
+    expect(fillMissingValues(dataset, "x", "y", "")).toBe(dataset);
+  });
+});
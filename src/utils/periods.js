@@ -0,0 +1,185 @@
+/**
+ * Reading period labels as dates
+ *
+ * Singapore datasets label rows with periods as often as with dates:
+ * "2019-Q3", "2019 3Q", "2019-H1", "FY2019", "2019/20" or a bare "2019".
+ * A period is read as the timestamp of its first day (local time) together
+ * with its granularity, named like the time buckets ("day", "month",
+ * "quarter", "half", "year" or "fy"), so that an axis of quarters can be
+ * labelled as quarters. Financial years run from April to March and are named
+ * after the year they start in, so "FY2019" and "2019/20" both start on
+ * 1 April 2019. Dates written with the year last are day first, as in
+ * Singapore: "03/04/2019" is 3 April 2019.
+ */
+
+const FIRST_YEAR = 1000;
+const LAST_YEAR = 2999;
+
+// Column types from a column profile and the granularity of their values
+const TYPE_GRANULARITIES = {
+  year: "year",
+  "year-month": "month",
+  quarter: "quarter",
+  "half-year": "half",
+  "financial-year": "fy",
+  date: "day",
+};
+
+const start = (year, month, day = 1) => new Date(year, month, day).getTime();
+
+// "19" is 2019 and "2019" is 2019
+const fullYear = (text) =>
+  text.length === 2 ? 2000 + parseInt(text, 10) : parseInt(text, 10);
+
+// "2019/20": the second year must follow the first
+function financialYearRange(text) {
+  const match = text.match(/^(\d{4})[-/](\d{2})$/);
+  if (!match) return null;
+  const year = parseInt(match[1], 10);
+  return (year + 1) % 100 === parseInt(match[2], 10) ? year : null;
+}
+
+// Formats tried in order; each returns the period or null
+const PERIOD_FORMATS = [
+  // Quarters: "2019-Q3", "2019 Q3", "2019Q3", "2019 3Q", "Q3 2019"
+  (text) => {
+    const match =
+      text.match(/^(\d{4})[-\s]?Q([1-4])$/i) ||
+      text.match(/^(\d{4})\s?([1-4])Q$/i);
+    const reversed = !match && text.match(/^Q([1-4])[-\s]?(\d{4})$/i);
+    if (!match && !reversed) return null;
+    const [year, quarter] = match
+      ? [match[1], match[2]]
+      : [reversed[2], reversed[1]];
+    return {
+      timestamp: start(parseInt(year, 10), (parseInt(quarter, 10) - 1) * 3),
+      granularity: "quarter",
+    };
+  },
+  // Half-years: "2019-H1", "2019 H2", "2019 1H", "H1 2019"
+  (text) => {
+    const match =
+      text.match(/^(\d{4})[-\s]?H([12])$/i) ||
+      text.match(/^(\d{4})\s?([12])H$/i);
+    const reversed = !match && text.match(/^H([12])[-\s]?(\d{4})$/i);
+    if (!match && !reversed) return null;
+    const [year, half] = match
+      ? [match[1], match[2]]
+      : [reversed[2], reversed[1]];
+    return {
+      timestamp: start(parseInt(year, 10), half === "1" ? 0 : 6),
+      granularity: "half",
+    };
+  },
+  // Financial years: "FY2019", "FY 2019", "FY19", "FY2019/20"
+  (text) => {
+    const match = text.match(/^FY\s?(\d{4}|\d{2})([-/]\d{2})?$/i);
+    if (!match) return null;
+    return { timestamp: start(fullYear(match[1]), 3), granularity: "fy" };
+  },
+  // Bare years: "2019"
+  (text) => {
+    if (!/^\d{4}$/.test(text)) return null;
+    const year = parseInt(text, 10);
+    if (year < FIRST_YEAR || year > LAST_YEAR) return null;
+    return { timestamp: start(year, 0), granularity: "year" };
+  },
+  // Months: "2019-03", "2019/3"
+  (text) => {
+    const match = text.match(/^(\d{4})[-/](\d{1,2})$/);
+    if (!match) return null;
+    const month = parseInt(match[2], 10);
+    if (month < 1 || month > 12) return null;
+    return {
+      timestamp: start(parseInt(match[1], 10), month - 1),
+      granularity: "month",
+    };
+  },
+  // Financial years written as a range: "2019/20", "2019-20"
+  (text) => {
+    const year = financialYearRange(text);
+    return year === null
+      ? null
+      : { timestamp: start(year, 3), granularity: "fy" };
+  },
+  // Days: "2019-03-15", "2019/03/15"
+  (text) => {
+    const match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+    if (!match) return null;
+    const month = parseInt(match[2], 10);
+    const day = parseInt(match[3], 10);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return {
+      timestamp: start(parseInt(match[1], 10), month - 1, day),
+      granularity: "day",
+    };
+  },
+  // Days, day first: "15/03/2019", "5/3/2019"
+  (text) => {
+    const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!match) return null;
+    const day = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return {
+      timestamp: start(parseInt(match[3], 10), month - 1, day),
+      granularity: "day",
+    };
+  },
+  // ISO-style date-times: "2019-03-15T08:30:00Z", "2019-03-15 08:30"
+  (text) => {
+    const match = text.match(
+      /^(\d{4})-(\d{1,2})-(\d{1,2})[T ](\d{1,2}):(\d{2})(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i
+    );
+    if (!match) return null;
+    const pad = (part) => part.padStart(2, "0");
+    const zone = (match[8] || "").replace(/^([+-]\d{2})(\d{2})$/, "$1:$2");
+    const timestamp = Date.parse(
+      `${match[1]}-${pad(match[2])}-${pad(match[3])}T${pad(match[4])}:${
+        match[5]
+      }${match[6] || ""}${zone.toUpperCase()}`
+    );
+    return isNaN(timestamp) ? null : { timestamp, granularity: "" };
+  },
+];
+
+/**
+ * Reads a date or period label
+ * @param {string} value - Label, e.g. "2019-Q3", "FY2019" or "2019-03-15"
+ * @param {string} [type] - Column type from a column profile; a
+ * "financial-year" column reads "2010/11" as FY2010 rather than November 2010
+ * @returns {Object|null} - { timestamp, granularity } where granularity is ""
+ * for date-times, or null if the value is not a date or period
+ */
+export function parsePeriod(value, type) {
+  if (typeof value !== "string") return null;
+  const text = value.trim();
+  if (type === "financial-year") {
+    const year = financialYearRange(text);
+    if (year !== null) return { timestamp: start(year, 3), granularity: "fy" };
+  }
+  // Only these formats: Date.parse reads "Level 2" and "Sales 2019" as dates
+  for (let i = 0; i < PERIOD_FORMATS.length; i++) {
+    const period = PERIOD_FORMATS[i](text);
+    if (period) return period;
+  }
+  return null;
+}
+
+/**
+ * Checks for a financial year written as a range of two years, like "2019/20"
+ * @param {string} text - Cell text
+ * @returns {boolean}
+ */
+export function isFinancialYearRange(text) {
+  return financialYearRange(text) !== null;
+}
+
+/**
+ * Granularity of the values of a profiled column
+ * @param {string} type - Column type from a column profile
+ * @returns {string} - Time bucket name, or "" if the column is not periods
+ */
+export function granularityOfType(type) {
+  return TYPE_GRANULARITIES[type] || "";
+}
@@ -0,0 +1,116 @@
+import {
+  granularityOfType,
+  isFinancialYearRange,
+  parsePeriod,
+} from "./periods";
+
+const at = (year, month, day = 1) => new Date(year, month, day).getTime();
+const period = (timestamp, granularity) => ({ timestamp, granularity });
+
+describe("parsePeriod", () => {
+  test("reads a bare year as its first day", () => {
+    expect(parsePeriod("2019")).toEqual(period(at(2019, 0), "year"));
+    expect(parsePeriod(" 2019 ")).toEqual(period(at(2019, 0), "year"));
+  });
+
+  test("reads quarters with the year first or last", () => {
+    const third = period(at(2019, 6), "quarter");
+    expect(parsePeriod("2019-Q3")).toEqual(third);
+    expect(parsePeriod("2019 3Q")).toEqual(third);
+    expect(parsePeriod("Q3 2019")).toEqual(third);
+    expect(parsePeriod("2019 Q1")).toEqual(period(at(2019, 0), "quarter"));
+    expect(parsePeriod("2019Q4")).toEqual(period(at(2019, 9), "quarter"));
+    expect(parsePeriod("Q5 2019")).toBeNull();
+  });
+
+  test("reads half-years", () => {
+    expect(parsePeriod("2019-H1")).toEqual(period(at(2019, 0), "half"));
+    expect(parsePeriod("2019 2H")).toEqual(period(at(2019, 6), "half"));
+    expect(parsePeriod("H2 2019")).toEqual(period(at(2019, 6), "half"));
+  });
+
+  test("starts a financial year in April of the year it is named after", () => {
+    const fy2019 = period(at(2019, 3), "fy");
+    expect(parsePeriod("FY2019")).toEqual(fy2019);
+    expect(parsePeriod("FY 19")).toEqual(fy2019);
+    expect(parsePeriod("FY2019/20")).toEqual(fy2019);
+    expect(parsePeriod("2019/20")).toEqual(fy2019);
+  });
+
+  test("reads a range as a financial year in a financial-year column", () => {
+    expect(parsePeriod("2010/11")).toEqual(period(at(2010, 10), "month"));
+    expect(parsePeriod("2010/11", "financial-year")).toEqual(
+      period(at(2010, 3), "fy")
+    );
+  });
+
+  test("reads months and days with the year first", () => {
+    expect(parsePeriod("2019-03")).toEqual(period(at(2019, 2), "month"));
+    expect(parsePeriod("2019/3")).toEqual(period(at(2019, 2), "month"));
+    expect(parsePeriod("2019-03-15")).toEqual(period(at(2019, 2, 15), "day"));
+    expect(parsePeriod("2019/3/5")).toEqual(period(at(2019, 2, 5), "day"));
+    expect(parsePeriod("2019-13")).toBeNull();
+    expect(parsePeriod("2019-00-10")).toBeNull();
+  });
+
+  test("reads dates with the year last as day first", () => {
+    expect(parsePeriod("15/03/2019")).toEqual(period(at(2019, 2, 15), "day"));
+    expect(parsePeriod("03/04/2019")).toEqual(period(at(2019, 3, 3), "day"));
+    expect(parsePeriod("5/3/2019")).toEqual(period(at(2019, 2, 5), "day"));
+  });
+
+  test("reads ISO date-times, with a T or a space before the time", () => {
+    expect(parsePeriod("2019-03-15T08:30:00Z")).toEqual(
+      period(Date.parse("2019-03-15T08:30:00Z"), "")
+    );
+    expect(parsePeriod("2019-03-15T08:30:00.5+0800")).toEqual(
+      period(Date.parse("2019-03-15T08:30:00.5+08:00"), "")
+    );
+    expect(parsePeriod("2019-3-5 8:30")).toEqual(
+      period(new Date(2019, 2, 5, 8, 30).getTime(), "")
+    );
+  });
+
+  test("keeps labels that end in a number as text", () => {
+    ["Level 2", "town 1", "Sales 2019", "1", "March 15"].forEach((label) => {
+      expect(parsePeriod(label)).toBeNull();
+    });
+  });
+
+  test("rejects text and values that are not text", () => {
+    expect(parsePeriod("not a date")).toBeNull();
+    expect(parsePeriod("")).toBeNull();
+    expect(parsePeriod(2019)).toBeNull();
+    expect(parsePeriod(null)).toBeNull();
+    expect(parsePeriod(undefined)).toBeNull();
+  });
+});
+
+test("isFinancialYearRange only accepts consecutive years", () => {
+  expect(isFinancialYearRange("2019/20")).toBe(true);
+  expect(isFinancialYearRange("2019-20")).toBe(true);
+  expect(isFinancialYearRange("2099/00")).toBe(true);
+  expect(isFinancialYearRange("2019/21")).toBe(false);
+  expect(isFinancialYearRange("2019")).toBe(false);
+});
+
+test("granularityOfType names the granularity of each temporal type", () => {
+  const types = [
+    "year",
+    "year-month",
+    "quarter",
+    "half-year",
+    "financial-year",
+    "date",
+    "text",
+  ];
+  expect(types.map(granularityOfType)).toEqual([
+    "year",
+    "month",
+    "quarter",
+    "half",
+    "fy",
+    "day",
+    "",
+  ]);
+});
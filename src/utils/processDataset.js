@@ -0,0 +1,261 @@
+import _ from "underscore";
+
+import { compareValues, parseDate, parseFloatOrText } from "../utils";
+import { aggregateValues } from "./aggregation";
+import { logger, verboseLog } from "./logger";
+import { fillMissingValues } from "./normalize";
+import { bucketTimestamp } from "./timeBuckets";
+import { PROCESSING_CHUNK_SIZE } from "../constants";
+
+// Pauses after every PROCESSING_CHUNK_SIZE items of a loop
+const isPause = (index) => index > 0 && index % PROCESSING_CHUNK_SIZE === 0;
+
+// Sorts the items as Array.prototype.sort would: each chunk is sorted on its
+// own, then the sorted chunks are merged in pairs, pausing as it goes
+function* sortInSteps(items, compare) {
+  let runs = [];
+  for (let start = 0; start < items.length; start += PROCESSING_CHUNK_SIZE) {
+    if (start > 0) yield 0;
+    runs.push(items.slice(start, start + PROCESSING_CHUNK_SIZE).sort(compare));
+  }
+  let moved = 0;
+  while (runs.length > 1) {
+    const merged = [];
+    for (let r = 0; r < runs.length; r += 2) {
+      const left = runs[r];
+      const right = runs[r + 1];
+      if (!right) {
+        merged.push(left);
+        continue;
+      }
+      const run = new Array(left.length + right.length);
+      let i = 0;
+      let j = 0;
+      for (let k = 0; k < run.length; k++) {
+        if (isPause(++moved)) yield 0;
+        // Ties keep the left item first, so the sort stays stable
+        const takeLeft =
+          j >= right.length ||
+          (i < left.length && compare(left[i], right[j]) <= 0);
+        run[k] = takeLeft ? left[i++] : right[j++];
+      }
+      merged.push(run);
+    }
+    runs = merged;
+  }
+  return runs.length ? runs[0] : [];
+}
+
+// Ensures a y-value is numeric where it can be
+function toNumericY(record, yKey) {
+  const yValue = record[yKey];
+  const numericYValue =
+    typeof yValue === "number" ? yValue : parseFloatOrText(yValue);
+  return {
+    ...record,
+    [yKey]: numericYValue,
+  };
+}
+
+/**
+ * Turns dataset records into chart series of the shape { series: [{ x, y }] }
+ * Records are sorted by x, date strings become timestamps (resampled into
+ * periods if requested), and the y-values that share a series and x-value are
+ * combined with the aggregation. Missing y-values are left as gaps unless
+ * missingValues asks for them to be filled.
+ * The work pauses every PROCESSING_CHUNK_SIZE records, so that a worker can
+ * report progress and stop it (see utils/chartData.js); processDataset runs
+ * it to the end.
+ * @param {Array} filteredRecords - Records after row filters
+ * @param {Object} options
+ * @param {string} options.xKey - X-axis field
+ * @param {string} options.yKey - Y-axis field
+ * @param {string} options.series - Series field ("" for a single series)
+ * @param {string} options.aggregation - Aggregation name, or "none"
+ * @param {string} options.resample - Time bucket ("" for raw dates)
+ * @param {boolean} options.xKeyIsDate - Whether x-values are date strings
+ * @param {string} [options.xType] - Column type of the x-axis field from its profile
+ * @param {string} [options.missingValues] - "" (gaps), "zero" or "interpolate"
+ * @yields {number} - Records grouped into series since the last pause
+ * @returns {Object} - Processed dataset keyed by series name
+ */
+export function* processDatasetInSteps(
+  filteredRecords,
+  {
+    xKey,
+    yKey,
+    series,
+    aggregation,
+    resample,
+    xKeyIsDate,
+    xType,
+    missingValues,
+  }
+) {
+  // Use intelligent comparison that handles dates, numbers, and strings
+  let records = yield* sortInSteps(filteredRecords, (a, b) =>
+    compareValues(a[xKey], b[xKey])
+  );
+
+  // Convert date strings to timestamps for proper chart rendering
+  if (xKeyIsDate) {
+    const converted = new Array(records.length);
+    for (let i = 0; i < records.length; i++) {
+      if (isPause(i)) yield 0;
+      const record = records[i];
+      const xTimestamp = parseDate(String(record[xKey]), xType);
+      // Create a new record with timestamp for xKey, for positioning
+      converted[i] =
+        xTimestamp !== null ? { ...record, [xKey]: xTimestamp } : record;
+    }
+    records = converted;
+    verboseLog("Converted date strings to timestamps for x-axis");
+  }
+
+  // Resample into periods; the rows of a period are combined below, summed
+  // if no aggregation is selected
+  const bucket = xKeyIsDate ? resample : "";
+  const bucketAggregation =
+    bucket && aggregation === "none" ? "sum" : aggregation;
+  if (bucket) {
+    const bucketed = new Array(records.length);
+    for (let i = 0; i < records.length; i++) {
+      if (isPause(i)) yield 0;
+      const record = records[i];
+      bucketed[i] =
+        typeof record[xKey] === "number"
+          ? { ...record, [xKey]: bucketTimestamp(record[xKey], bucket) }
+          : record;
+    }
+    records = bucketed;
+    verboseLog("Resampled x-axis timestamps by", bucket);
+  }
+
+  let dataset = {};
+
+  // if we aren't aggregating data, a GroupBy operation will suffice
+  if (bucketAggregation === "none") {
+    if (series && series.trim() !== "") {
+      const grouped = _.groupBy(records, series);
+      // Sort each group by xKey and ensure y-values are numeric
+      let done = 0;
+      for (const key of Object.keys(grouped)) {
+        const group = grouped[key].sort((a, b) =>
+          compareValues(a[xKey], b[xKey])
+        );
+        for (let i = 0; i < group.length; i++) {
+          group[i] = toNumericY(group[i], yKey);
+          if (++done % PROCESSING_CHUNK_SIZE === 0) yield PROCESSING_CHUNK_SIZE;
+        }
+      }
+      const rest = done % PROCESSING_CHUNK_SIZE;
+      if (rest) yield rest;
+      logger.log(
+        "Grouped dataset (no sum):",
+        Object.keys(grouped).length,
+        "series"
+      );
+      return fillMissingValues(
+        grouped,
+        xKey,
+        yKey,
+        missingValues,
+        compareValues
+      );
+    } else {
+      // No series, just use all records as one series
+      logger.log("No series specified, using all records as single series");
+      // Records are already sorted by xKey, ensure y-values are numeric
+      const processedRecords = new Array(records.length);
+      for (let i = 0; i < records.length; i++) {
+        processedRecords[i] = toNumericY(records[i], yKey);
+        if ((i + 1) % PROCESSING_CHUNK_SIZE === 0) yield PROCESSING_CHUNK_SIZE;
+      }
+      const rest = records.length % PROCESSING_CHUNK_SIZE;
+      if (rest) yield rest;
+      return fillMissingValues(
+        { "All Data": processedRecords },
+        xKey,
+        yKey,
+        missingValues,
+        compareValues
+      );
+    }
+  }
+
+  // Note: records already have dates converted to timestamps if xKeyIsDate was true
+
+  // If no series is specified, use a default series
+  const seriesKey = series && series.trim() !== "" ? series : "default";
+
+  // Optimize: Use Map for O(1) lookups instead of nested loops (O(n²))
+  const seriesMap = new Map(); // Map<seriesID, Map<xValue, yValues[]>>
+
+  for (let i = 0; i < records.length; i++) {
+    let item = records[i];
+    let seriesID = item[seriesKey] || "default";
+
+    // Ensure seriesID is a valid string key
+    if (seriesID === null || seriesID === undefined) {
+      seriesID = "default";
+    }
+    seriesID = String(seriesID);
+
+    const xValue = item[xKey];
+
+    if (!seriesMap.has(seriesID)) {
+      seriesMap.set(seriesID, new Map());
+    }
+
+    // Collect the bucket's y-values in record order, aggregated below
+    const xMap = seriesMap.get(seriesID);
+    if (!xMap.has(xValue)) {
+      xMap.set(xValue, []);
+    }
+    xMap.get(xValue).push(item[yKey]);
+    if ((i + 1) % PROCESSING_CHUNK_SIZE === 0) yield PROCESSING_CHUNK_SIZE;
+  }
+  const rest = records.length % PROCESSING_CHUNK_SIZE;
+  if (rest) yield rest;
+
+  // Convert Map structure back to expected format, pausing between series
+  // once a chunk's worth of x-values has been aggregated
+  let aggregated = 0;
+  for (const [seriesID, xMap] of seriesMap) {
+    if (aggregated >= PROCESSING_CHUNK_SIZE) {
+      aggregated = 0;
+      yield 0;
+    }
+    aggregated += xMap.size;
+    // Convert Map entries to array and sort by xValue to ensure proper ordering
+    const entries = Array.from(xMap.entries()).map(([xValue, yValues]) => ({
+      [xKey]: xValue,
+      [yKey]: aggregateValues(yValues, bucketAggregation),
+    }));
+    // Sort by xKey value ONLY (handles timestamps, numbers, and strings)
+    // Y-values remain at their original numeric positions - NOT sorted
+    // They will be plotted on a linear scale at their actual numeric values
+    entries.sort((a, b) => compareValues(a[xKey], b[xKey]));
+    dataset[seriesID] = entries;
+  }
+
+  logger.log("Processed dataset:", {
+    seriesCount: Object.keys(dataset).length,
+    seriesNames: Object.keys(dataset),
+  });
+  return fillMissingValues(dataset, xKey, yKey, missingValues, compareValues);
+}
+
+/**
+ * Turns dataset records into chart series in one go (see
+ * processDatasetInSteps)
+ * @param {Array} filteredRecords - Records after row filters
+ * @param {Object} options - See processDatasetInSteps
+ * @returns {Object} - Processed dataset keyed by series name
+ */
+export function processDataset(filteredRecords, options) {
+  const steps = processDatasetInSteps(filteredRecords, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+}
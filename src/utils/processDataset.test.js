@@ -0,0 +1,166 @@
+import { processDataset, processDatasetInSteps } from "./processDataset";
+import { PROCESSING_CHUNK_SIZE } from "../constants";
+
+const records = [
+  { year: "2020", town: "Bedok", price: "20" },
+  { year: "2019", town: "Bedok", price: "10" },
+  { year: "2019", town: "Bedok", price: "12" },
+  { year: "2019", town: "Jurong", price: "30" },
+  { year: "2021", town: "Jurong", price: "na" },
+];
+
+const points = (series) => series.map((point) => [point.year, point.price]);
+
+describe("processDataset", () => {
+  test.each([
+    [
+      "sum",
+      "town",
+      {
+        Bedok: [
+          ["2019", 22],
+          ["2020", 20],
+        ],
+        Jurong: [
+          ["2019", 30],
+          ["2021", null],
+        ],
+      },
+    ],
+    [
+      "mean",
+      "",
+      {
+        default: [
+          ["2019", 52 / 3],
+          ["2020", 20],
+          ["2021", null],
+        ],
+      },
+    ],
+    [
+      "none",
+      "town",
+      {
+        Bedok: [
+          ["2019", 10],
+          ["2019", 12],
+          ["2020", 20],
+        ],
+        Jurong: [
+          ["2019", 30],
+          ["2021", null],
+        ],
+      },
+    ],
+    [
+      "none",
+      "",
+      {
+        "All Data": [
+          ["2019", 10],
+          ["2019", 12],
+          ["2019", 30],
+          ["2020", 20],
+          ["2021", null],
+        ],
+      },
+    ],
+  ])("aggregates with %s by %j", (aggregation, series, expected) => {
+    const dataset = processDataset(records, {
+      xKey: "year",
+      yKey: "price",
+      series,
+      aggregation,
+      resample: "",
+      xKeyIsDate: false,
+    });
+    const result = {};
+    Object.keys(dataset).forEach((key) => {
+      result[key] = points(dataset[key]);
+    });
+    expect(result).toEqual(expected);
+  });
+
+  test("turns dates into timestamps and resamples them", () => {
+    const dataset = processDataset(
+      [
+        { month: "2019-01-15", value: 1 },
+        { month: "2019-02-15", value: 2 },
+        { month: "2019-04-15", value: 4 },
+      ],
+      {
+        xKey: "month",
+        yKey: "value",
+        series: "",
+        aggregation: "none",
+        resample: "quarter",
+        xKeyIsDate: true,
+      }
+    );
+    expect(dataset.default).toEqual([
+      { month: new Date(2019, 0, 1).getTime(), value: 3 },
+      { month: new Date(2019, 3, 1).getTime(), value: 4 },
+    ]);
+  });
+});
+
+describe("processDatasetInSteps", () => {
+  const many = Array.from(
+    { length: PROCESSING_CHUNK_SIZE * 2 + 10 },
+    (v, i) => ({
+      day: `2019-01-${String((i % 28) + 1).padStart(2, "0")}`,
+      town: i % 2 ? "Bedok" : "Jurong",
+      value: i,
+    })
+  );
+
+  test.each([
+    ["sum", "town", true],
+    ["none", "town", false],
+    ["none", "", true],
+  ])(
+    "with %s by %j pauses in each chunk and counts every record",
+    (aggregation, series, xKeyIsDate) => {
+      const options = {
+        xKey: "day",
+        yKey: "value",
+        series,
+        aggregation,
+        resample: "",
+        xKeyIsDate,
+      };
+      const steps = processDatasetInSteps(many, options);
+      const yielded = [];
+      let step = steps.next();
+      while (!step.done) {
+        yielded.push(step.value);
+        step = steps.next();
+      }
+      expect(yielded.length).toBeGreaterThanOrEqual(3);
+      expect(yielded.reduce((sum, count) => sum + count, 0)).toBe(many.length);
+      expect(step.value).toEqual(processDataset(many, options));
+    }
+  );
+
+  test("sorts a large dataset in chunks, keeping the order of equal x-values", () => {
+    const shuffled = Array.from(
+      { length: PROCESSING_CHUNK_SIZE * 3 },
+      (v, i) => ({ year: String(2019 - (i % 7)), value: i })
+    );
+    const steps = processDatasetInSteps(shuffled, {
+      xKey: "year",
+      yKey: "value",
+      series: "",
+      aggregation: "none",
+      resample: "",
+      xKeyIsDate: false,
+    });
+    // Nothing is grouped until the sort is done
+    expect(steps.next().value).toBe(0);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    const expected = [...shuffled].sort((a, b) => a.year - b.year);
+    expect(step.value["All Data"]).toEqual(expected);
+  });
+});
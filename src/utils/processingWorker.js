@@ -0,0 +1,143 @@
+import { processChartData } from "./chartData";
+import { logger } from "./logger";
+import { PROCESSING_WORKER_THRESHOLD } from "../constants";
+
+// One worker serves every chart; it keeps the last records it was sent, and
+// those of each layer's dataset, so that changing an axis does not copy them
+// again
+let worker = null;
+let workerRecords = null;
+let workerLayerRecords = new Map();
+let nextJobId = 0;
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(
+      new URL("../workers/processing.worker.js", import.meta.url)
+    );
+    workerRecords = null;
+    workerLayerRecords = new Map();
+  }
+  return worker;
+}
+
+function cancelledError() {
+  const error = new Error("Chart processing was cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+// Processes on the main thread; an error rejects the promise rather than
+// being thrown at the caller
+function processOnMainThread(records, options, onProgress) {
+  return new Promise((resolve) =>
+    resolve(processChartData(records, options, onProgress))
+  );
+}
+
+function stopWorker() {
+  if (worker) worker.terminate();
+  worker = null;
+  workerRecords = null;
+  workerLayerRecords = new Map();
+}
+
+/**
+ * Processes a chart (see utils/chartData.js), in a Web Worker when there are
+ * enough records, counting those of its layers, to block the page
+ * Falls back to the main thread when workers are unavailable or fail.
+ * @param {Array} records - Records after row filters
+ * @param {Object} options - See createChartDataJob
+ * @param {Object} [control]
+ * @param {AbortSignal} [control.signal] - Cancels the job when aborted
+ * @param {Function} [control.onProgress] - Called as (done, total) as the
+ * worker progresses
+ * @returns {Promise<Object>} - { dataset, measureDatasets, layerMeasures,
+ * domain, rows }
+ */
+export function processChartDataInBackground(
+  records,
+  options,
+  { signal, onProgress } = {}
+) {
+  const layers = options.layers || [];
+  const recordCount = layers.reduce(
+    (count, layer) => count + layer.records.length,
+    records.length
+  );
+  if (
+    recordCount < PROCESSING_WORKER_THRESHOLD ||
+    typeof Worker === "undefined"
+  ) {
+    return processOnMainThread(records, options);
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(cancelledError());
+      return;
+    }
+    const id = ++nextJobId;
+    const current = getWorker();
+
+    const finish = () => {
+      current.removeEventListener("message", handleMessage);
+      current.removeEventListener("error", handleError);
+      if (signal) signal.removeEventListener("abort", handleAbort);
+    };
+    const handleAbort = () => {
+      finish();
+      current.postMessage({ type: "cancel", id });
+      reject(cancelledError());
+    };
+    const handleMessage = (event) => {
+      const message = event.data;
+      if (message.id !== id) return;
+      if (message.type === "progress") {
+        if (onProgress) onProgress(message.done, message.total);
+        return;
+      }
+      finish();
+      if (message.type === "result") {
+        resolve(message.result);
+      } else if (message.type === "error") {
+        reject(new Error(message.message));
+      }
+    };
+    const handleError = (event) => {
+      finish();
+      stopWorker();
+      logger.warn(
+        "Processing worker failed, processing on the main thread:",
+        event.message
+      );
+      resolve(processOnMainThread(records, options, onProgress));
+    };
+
+    if (signal) signal.addEventListener("abort", handleAbort);
+    current.addEventListener("message", handleMessage);
+    current.addEventListener("error", handleError);
+    if (workerRecords !== records) {
+      current.postMessage({ type: "records", records });
+      workerRecords = records;
+    }
+    layers.forEach(({ layer, records: layerRecords }) => {
+      if (workerLayerRecords.get(layer.resourceID) === layerRecords) return;
+      current.postMessage({
+        type: "layerRecords",
+        resourceID: layer.resourceID,
+        records: layerRecords,
+      });
+      workerLayerRecords.set(layer.resourceID, layerRecords);
+    });
+    // The worker fills in the layers' records from those it was sent
+    current.postMessage({
+      type: "process",
+      id,
+      options: {
+        ...options,
+        layers: layers.map(({ layer, source }) => ({ layer, source })),
+      },
+    });
+  });
+}
@@ -0,0 +1,53 @@
+import { MAX_RECENT_DATASETS, RECENT_DATASETS_STORAGE_KEY } from "../constants";
+import { logger } from "./logger";
+
+/**
+ * Recently chosen datasets are kept in localStorage as resource IDs, most
+ * recent first.
+ */
+
+/**
+ * Reads the recently chosen datasets from localStorage
+ * @returns {Array<string>} - Resource IDs, or [] if none are stored or
+ * storage is unreadable
+ */
+export function loadRecentDatasets() {
+  try {
+    const stored = window.localStorage.getItem(RECENT_DATASETS_STORAGE_KEY);
+    const ids = stored ? JSON.parse(stored) : [];
+    return Array.isArray(ids)
+      ? ids.filter((id) => typeof id === "string").slice(0, MAX_RECENT_DATASETS)
+      : [];
+  } catch (error) {
+    logger.warn("Could not read recent datasets:", error);
+    return [];
+  }
+}
+
+/**
+ * Writes the recently chosen datasets to localStorage
+ * @param {Array<string>} ids - Resource IDs, most recent first
+ */
+export function storeRecentDatasets(ids) {
+  try {
+    window.localStorage.setItem(
+      RECENT_DATASETS_STORAGE_KEY,
+      JSON.stringify(ids)
+    );
+  } catch (error) {
+    logger.error("Could not store recent datasets:", error);
+  }
+}
+
+/**
+ * Moves a dataset to the front of the recent list
+ * @param {Array<string>} ids - Resource IDs, most recent first
+ * @param {string} resourceID - Dataset just chosen
+ * @returns {Array<string>} - At most MAX_RECENT_DATASETS resource IDs
+ */
+export function addRecentDataset(ids, resourceID) {
+  return [resourceID, ...ids.filter((id) => id !== resourceID)].slice(
+    0,
+    MAX_RECENT_DATASETS
+  );
+}
@@ -0,0 +1,270 @@
+import { aggregateValues, isAggregation } from "./aggregation";
+import { isMissingValue } from "./normalize";
+import { parsePeriod } from "./periods";
+import { logger } from "./logger";
+import {
+  MAX_DATASET_SIZE,
+  MAX_PIVOT_COLUMNS,
+  RESHAPE_MODE_OPTIONS,
+} from "../constants";
+
+/**
+ * Reshaping turns a wide table into a long one or back, before the axes are
+ * chosen. A reshape has one of the shapes
+ *   { mode: "unpivot", columns: [...], keyName, valueName }
+ *   { mode: "pivot", key, value, aggregation }
+ * An unpivot (or melt) turns each of the chosen columns into a row of its
+ * own, holding the column's name in keyName and its value in valueName, so
+ * a table with a column per year becomes a year/value series per row. A
+ * pivot does the reverse: the rows that agree on every other field become
+ * one, with a column per value of key holding the value field, combined
+ * with the aggregation where several rows share a key.
+ */
+
+const isReshapeMode = (mode) =>
+  mode !== "" && RESHAPE_MODE_OPTIONS.some(({ value }) => value === mode);
+
+/**
+ * Creates a reshape of a dataset's fields
+ * An unpivot starts with the fields named like periods, as in a table with a
+ * column per year, quarter or month, and names their column "year" or
+ * "period" so it is profiled as one; a pivot spreads the first field by the
+ * last.
+ * @param {string} mode - "unpivot" or "pivot"
+ * @param {Array<string>} fieldIds - Fields of the dataset before reshaping,
+ * without the row id
+ * @returns {Object} - Reshape
+ */
+export function createReshape(mode, fieldIds) {
+  if (mode === "pivot") {
+    return {
+      mode,
+      key: fieldIds[0] || "",
+      value: fieldIds[fieldIds.length - 1] || "",
+      aggregation: "sum",
+    };
+  }
+  // Only the period formats: a field named like a date-time is not a period
+  const columns = fieldIds.filter((id) => {
+    const period = parsePeriod(id);
+    return period !== null && period.granularity !== "";
+  });
+  let keyName =
+    columns.length === 0
+      ? "column"
+      : columns.every((id) => /^\d{4}$/.test(id.trim()))
+      ? "year"
+      : "period";
+  while (fieldIds.includes(keyName)) keyName = `${keyName}_`;
+  let valueName = "value";
+  while (fieldIds.includes(valueName)) valueName = `${valueName}_`;
+  return { mode: "unpivot", columns, keyName, valueName };
+}
+
+/**
+ * Normalises a reshape from a URL or saved view
+ * Its fields are checked when it is applied.
+ * @param {*} reshape - Candidate reshape
+ * @returns {Object|null} - Valid reshape, or null for none
+ */
+export function sanitizeReshape(reshape) {
+  if (!reshape || !isReshapeMode(reshape.mode)) return null;
+  const text = (value) => (typeof value === "string" ? value.trim() : "");
+  if (reshape.mode === "pivot") {
+    return {
+      mode: "pivot",
+      key: text(reshape.key),
+      value: text(reshape.value),
+      aggregation:
+        reshape.aggregation !== "none" && isAggregation(reshape.aggregation)
+          ? reshape.aggregation
+          : "sum",
+    };
+  }
+  return {
+    mode: "unpivot",
+    columns: Array.isArray(reshape.columns)
+      ? reshape.columns.filter((column) => typeof column === "string")
+      : [],
+    keyName: text(reshape.keyName),
+    valueName: text(reshape.valueName),
+  };
+}
+
+/**
+ * Checks a reshape against the fields of the dataset it applies to
+ * @param {Object} reshape - Reshape
+ * @param {Array<string>} fieldIds - Fields of the dataset before reshaping
+ * @returns {string|null} - Error message, or null if the reshape is valid
+ */
+export function validateReshape(reshape, fieldIds) {
+  if (reshape.mode === "pivot") {
+    if (!fieldIds.includes(reshape.key)) return "Choose the field to spread";
+    if (!fieldIds.includes(reshape.value)) return "Choose the value field";
+    if (reshape.key === reshape.value) {
+      return "The spread and value fields must differ";
+    }
+    return null;
+  }
+  if (reshape.columns.length === 0) return "Choose the columns to unpivot";
+  const missing = reshape.columns.find((column) => !fieldIds.includes(column));
+  if (missing) return `There is no field named "${missing}"`;
+  if (!reshape.keyName) return "Enter a name for the column names";
+  if (!reshape.valueName) return "Enter a name for the values";
+  if (reshape.keyName === reshape.valueName) {
+    return "The column names and values need different names";
+  }
+  const taken = [reshape.keyName, reshape.valueName].find((name) =>
+    fieldIds.includes(name)
+  );
+  if (taken) return `A field named "${taken}" already exists`;
+  return null;
+}
+
+function unpivot(result, reshape) {
+  const melted = result.fields.filter((field) =>
+    reshape.columns.includes(field.id)
+  );
+  const kept = result.fields.filter(
+    (field) => !reshape.columns.includes(field.id)
+  );
+  // The values keep their type where every unpivoted column shares it
+  const valueType = melted.every((field) => field.type === melted[0].type)
+    ? melted[0].type
+    : "text";
+
+  // Each row gets a row id of its own, as for a pivot
+  const records = [];
+  let truncated = false;
+  for (let i = 0; i < result.records.length && !truncated; i++) {
+    const record = result.records[i];
+    const rest = {};
+    kept.forEach((field) => {
+      rest[field.id] = record[field.id];
+    });
+    for (let j = 0; j < melted.length; j++) {
+      if (records.length >= MAX_DATASET_SIZE) {
+        truncated = true;
+        break;
+      }
+      records.push({
+        ...rest,
+        ...(rest._id !== undefined && { _id: records.length + 1 }),
+        [reshape.keyName]: melted[j].id,
+        [reshape.valueName]: record[melted[j].id],
+      });
+    }
+  }
+
+  return {
+    ...result,
+    records,
+    fields: [
+      ...kept,
+      { id: reshape.keyName, type: "text" },
+      { id: reshape.valueName, type: valueType },
+    ],
+    truncated: !!result.truncated || truncated,
+    reshapeSummary: { rows: records.length, dropped: 0 },
+  };
+}
+
+function pivot(result, reshape) {
+  const kept = result.fields.filter(
+    (field) =>
+      field.id !== "_id" &&
+      field.id !== reshape.key &&
+      field.id !== reshape.value
+  );
+
+  // Rows are grouped by every kept field, in order of appearance
+  const groups = new Map();
+  const columns = [];
+  const dropped = new Set();
+  result.records.forEach((record) => {
+    const keyValue = record[reshape.key];
+    if (isMissingValue(keyValue)) return;
+    const column = String(keyValue).trim();
+    if (!columns.includes(column)) {
+      if (columns.length >= MAX_PIVOT_COLUMNS) {
+        dropped.add(column);
+        return;
+      }
+      columns.push(column);
+    }
+    const groupKey = JSON.stringify(kept.map((field) => record[field.id]));
+    if (!groups.has(groupKey)) groups.set(groupKey, { record, values: {} });
+    const values = groups.get(groupKey).values;
+    if (!values[column]) values[column] = [];
+    values[column].push(record[reshape.value]);
+  });
+  if (dropped.size > 0) {
+    logger.warn(
+      `Pivot kept the first ${MAX_PIVOT_COLUMNS} values of "${reshape.key}" and dropped ${dropped.size}`
+    );
+  }
+
+  // The new columns are named after the values, unless a field has the name
+  const taken = new Set(result.fields.map((field) => field.id));
+  const columnIds = columns.map((column) => {
+    let id = column;
+    while (taken.has(id)) id = `${id} (${reshape.key})`;
+    taken.add(id);
+    return id;
+  });
+
+  const allNumeric = columnIds.map(() => true);
+  const records = [];
+  groups.forEach(({ record, values }) => {
+    const row = { _id: records.length + 1 };
+    kept.forEach((field) => {
+      row[field.id] = record[field.id];
+    });
+    columns.forEach((column, i) => {
+      const value = values[column]
+        ? aggregateValues(values[column], reshape.aggregation)
+        : null;
+      if (value !== null && typeof value !== "number") allNumeric[i] = false;
+      row[columnIds[i]] = value;
+    });
+    records.push(row);
+  });
+
+  return {
+    ...result,
+    records,
+    fields: [
+      { id: "_id", type: "int" },
+      ...kept,
+      ...columnIds.map((id, i) => ({
+        id,
+        type: allNumeric[i] ? "numeric" : "text",
+      })),
+    ],
+    reshapeSummary: { rows: records.length, dropped: dropped.size },
+  };
+}
+
+/**
+ * Reshapes a dataset
+ * A reshape that doesn't fit the dataset is skipped.
+ * @param {Object} result - { records, fields, ... } before reshaping
+ * @param {Object|null} reshape - Reshape (see above), or null for none
+ * @returns {Object} - The reshaped result with a summary,
+ * { ...result, records, fields, reshapeSummary: { rows, dropped } }, where
+ * dropped counts the pivot values beyond MAX_PIVOT_COLUMNS
+ */
+export function reshapeDataset(result, reshape) {
+  if (!reshape || !result || !result.records || !result.fields) return result;
+  const error = validateReshape(
+    reshape,
+    result.fields.map((field) => field.id)
+  );
+  if (error) {
+    logger.warn(`Skipping ${reshape.mode}: ${error}`);
+    return result;
+  }
+  return reshape.mode === "pivot"
+    ? pivot(result, reshape)
+    : unpivot(result, reshape);
+}
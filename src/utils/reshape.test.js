@@ -0,0 +1,227 @@
+import {
+  createReshape,
+  reshapeDataset,
+  sanitizeReshape,
+  validateReshape,
+} from "./reshape";
+import { MAX_PIVOT_COLUMNS } from "../constants";
+
+// Residents by town with a column per year, as census tables are published
+const wide = {
+  records: [
+    { _id: 1, town: "Bedok", 2019: 280, 2020: 279 },
+    { _id: 2, town: "Jurong West", 2019: 262, 2020: 259 },
+  ],
+  fields: [
+    { id: "_id", type: "int" },
+    { id: "town", type: "text" },
+    { id: "2019", type: "numeric" },
+    { id: "2020", type: "numeric" },
+  ],
+};
+const byYear = {
+  mode: "unpivot",
+  columns: ["2019", "2020"],
+  keyName: "year",
+  valueName: "residents",
+};
+
+describe("createReshape", () => {
+  test("unpivots the columns named after years into a year column", () => {
+    expect(createReshape("unpivot", ["town", "2019", "2020"])).toEqual({
+      mode: "unpivot",
+      columns: ["2019", "2020"],
+      keyName: "year",
+      valueName: "value",
+    });
+  });
+
+  test("names a column of other periods period", () => {
+    expect(
+      createReshape("unpivot", ["town", "2019-Q1", "2019-Q2", "2020-01"])
+    ).toMatchObject({
+      columns: ["2019-Q1", "2019-Q2", "2020-01"],
+      keyName: "period",
+    });
+  });
+
+  test("leaves out fields that only end in a number or hold a date-time", () => {
+    const reshape = createReshape("unpivot", [
+      "Level 2",
+      "town 1",
+      "Sales 2019",
+      "2019-03-15T08:30:00Z",
+      "2019",
+    ]);
+    expect(reshape.columns).toEqual(["2019"]);
+  });
+
+  test("avoids the names the dataset has", () => {
+    expect(createReshape("unpivot", ["year", "value", "2019"])).toMatchObject({
+      keyName: "year_",
+      valueName: "value_",
+    });
+    expect(createReshape("unpivot", ["town", "flat_type"])).toMatchObject({
+      columns: [],
+      keyName: "column",
+    });
+  });
+
+  test("pivots the first field by the last", () => {
+    expect(createReshape("pivot", ["year", "town", "residents"])).toEqual({
+      mode: "pivot",
+      key: "year",
+      value: "residents",
+      aggregation: "sum",
+    });
+  });
+});
+
+describe("sanitizeReshape", () => {
+  test("has no reshape for an unknown mode", () => {
+    expect(sanitizeReshape(null)).toBeNull();
+    expect(sanitizeReshape({ mode: "" })).toBeNull();
+    expect(sanitizeReshape({ mode: "transpose" })).toBeNull();
+  });
+
+  test("trims the fields of a pivot and sums unless told otherwise", () => {
+    expect(
+      sanitizeReshape({ mode: "pivot", key: " town ", value: 2019 })
+    ).toEqual({ mode: "pivot", key: "town", value: "", aggregation: "sum" });
+    // A pivot needs one value per cell, so it cannot leave values alone
+    expect(
+      sanitizeReshape({ mode: "pivot", key: "town", aggregation: "none" })
+        .aggregation
+    ).toBe("sum");
+  });
+
+  test("keeps the columns of an unpivot that are names", () => {
+    expect(
+      sanitizeReshape({ mode: "unpivot", columns: ["2019", 2020], keyName: 1 })
+    ).toEqual({
+      mode: "unpivot",
+      columns: ["2019"],
+      keyName: "",
+      valueName: "",
+    });
+  });
+});
+
+describe("validateReshape", () => {
+  const fieldIds = ["town", "2019", "2020"];
+
+  test("accepts an unpivot of fields the dataset has into new ones", () => {
+    expect(validateReshape(byYear, fieldIds)).toBeNull();
+  });
+
+  test("asks for the columns and names of an unpivot", () => {
+    const check = (changes) =>
+      validateReshape({ ...byYear, ...changes }, fieldIds);
+    expect(check({ columns: [] })).toBe("Choose the columns to unpivot");
+    expect(check({ columns: ["2021"] })).toBe('There is no field named "2021"');
+    expect(check({ keyName: "" })).toBe("Enter a name for the column names");
+    expect(check({ valueName: "" })).toBe("Enter a name for the values");
+  });
+
+  test("keeps the names of an unpivot apart from each other and the fields", () => {
+    const check = (changes) =>
+      validateReshape({ ...byYear, ...changes }, fieldIds);
+    expect(check({ valueName: "year" })).toBe(
+      "The column names and values need different names"
+    );
+    expect(check({ keyName: "town" })).toBe(
+      'A field named "town" already exists'
+    );
+  });
+
+  test("asks for two different fields of the dataset to pivot", () => {
+    const check = (key, value) =>
+      validateReshape({ mode: "pivot", key, value }, fieldIds);
+    expect(check("town", "2019")).toBeNull();
+    expect(check("region", "2019")).toBe("Choose the field to spread");
+    expect(check("town", "")).toBe("Choose the value field");
+    expect(check("town", "town")).toBe(
+      "The spread and value fields must differ"
+    );
+  });
+});
+
+describe("reshapeDataset", () => {
+  const long = reshapeDataset(wide, byYear);
+
+  test("unpivots a column per year into a row per town and year", () => {
+    expect(long.records).toEqual([
+      { _id: 1, town: "Bedok", year: "2019", residents: 280 },
+      { _id: 2, town: "Bedok", year: "2020", residents: 279 },
+      { _id: 3, town: "Jurong West", year: "2019", residents: 262 },
+      { _id: 4, town: "Jurong West", year: "2020", residents: 259 },
+    ]);
+    expect(long.fields).toEqual([
+      { id: "_id", type: "int" },
+      { id: "town", type: "text" },
+      { id: "year", type: "text" },
+      { id: "residents", type: "numeric" },
+    ]);
+    expect(long.reshapeSummary).toEqual({ rows: 4, dropped: 0 });
+  });
+
+  test("pivots the rows back into a column per town", () => {
+    const pivoted = reshapeDataset(long, {
+      mode: "pivot",
+      key: "town",
+      value: "residents",
+      aggregation: "sum",
+    });
+    expect(pivoted.records).toEqual([
+      { _id: 1, year: "2019", Bedok: 280, "Jurong West": 262 },
+      { _id: 2, year: "2020", Bedok: 279, "Jurong West": 259 },
+    ]);
+    expect(pivoted.fields.map((field) => field.id)).toEqual([
+      "_id",
+      "year",
+      "Bedok",
+      "Jurong West",
+    ]);
+  });
+
+  test("combines the rows that share a cell with the aggregation", () => {
+    // Without the town, the towns of a year share its cell
+    const byYearOnly = {
+      ...long,
+      fields: long.fields.filter((field) => field.id !== "town"),
+    };
+    const pivot = (aggregation) =>
+      reshapeDataset(byYearOnly, {
+        mode: "pivot",
+        key: "year",
+        value: "residents",
+        aggregation,
+      }).records;
+    expect(pivot("mean")).toEqual([{ _id: 1, 2019: 271, 2020: 269 }]);
+    expect(pivot("count")).toEqual([{ _id: 1, 2019: 2, 2020: 2 }]);
+  });
+
+  test("keeps the first MAX_PIVOT_COLUMNS values as columns", () => {
+    const many = {
+      records: Array.from({ length: MAX_PIVOT_COLUMNS + 3 }, (v, i) => ({
+        block: `Blk ${i + 1}`,
+        residents: i,
+      })),
+      fields: [{ id: "block" }, { id: "residents" }],
+    };
+    const pivoted = reshapeDataset(many, {
+      mode: "pivot",
+      key: "block",
+      value: "residents",
+      aggregation: "sum",
+    });
+    expect(pivoted.fields).toHaveLength(MAX_PIVOT_COLUMNS + 1);
+    expect(pivoted.reshapeSummary).toEqual({ rows: 1, dropped: 3 });
+  });
+
+  test("skips a reshape that doesn't fit the dataset", () => {
+    const reshape = { mode: "pivot", key: "region", value: "2019" };
+    expect(reshapeDataset(wide, reshape)).toBe(wide);
+    expect(reshapeDataset(wide, null)).toBe(wide);
+  });
+});
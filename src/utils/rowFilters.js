@@ -0,0 +1,181 @@
+import { analyzeField, compareValues, isDateString, parseDate } from "../utils";
+import { parseNumber } from "./normalize";
+
+/**
+ * Row filters, applied to the records before grouping and aggregation
+ *
+ * Filters have the shape { combinator: "and" | "or", conditions: [...] } and
+ * each condition targets one field with an editor chosen by its kind:
+ *   { field, kind: "number", min, max }       - inclusive numeric range
+ *   { field, kind: "date", from, to }         - inclusive date range (YYYY-MM-DD)
+ *   { field, kind: "category", values: [] }   - value is one of the selected values
+ * Bounds are kept as the strings typed by the user; an empty bound is open.
+ * Conditions without any bound or value are ignored.
+ */
+
+export const NO_ROW_FILTERS = { combinator: "and", conditions: [] };
+
+const FILTER_KINDS = ["number", "date", "category"];
+
+/**
+ * Chooses the filter editor for a field from a sample of its values
+ * @param {Object} field - Field of the shape { id, ... }
+ * @param {Array} records - Dataset records
+ * @returns {string} - "number", "date" or "category"
+ */
+export function getFilterKind(field, records) {
+  if (records.length === 0) return "category";
+  const analysis = analyzeField(field, records);
+  if (analysis.isNumeric) return "number";
+  const sample = analysis.sample;
+  if (analysis.isTime && sample && isDateString(String(sample))) {
+    return "date";
+  }
+  return "category";
+}
+
+/**
+ * Creates an empty condition for a field
+ * @param {string} field - Field id
+ * @param {string} kind - "number", "date" or "category"
+ * @returns {Object} - Condition
+ */
+export function createCondition(field, kind) {
+  if (kind === "number") return { field, kind, min: "", max: "" };
+  if (kind === "date") return { field, kind, from: "", to: "" };
+  return { field, kind: "category", values: [] };
+}
+
+/**
+ * Lists the distinct values of a field, in chart order
+ * @param {Array} records - Dataset records
+ * @param {string} field - Field id
+ * @returns {Array<string>} - Distinct non-empty values as strings
+ */
+export function getDistinctValues(records, field) {
+  const values = new Set();
+  records.forEach((record) => {
+    const value = record[field];
+    if (value !== null && value !== undefined && value !== "") {
+      values.add(String(value));
+    }
+  });
+  return [...values].sort(compareValues);
+}
+
+function isActive(condition) {
+  if (condition.kind === "number") {
+    return condition.min !== "" || condition.max !== "";
+  }
+  if (condition.kind === "date") {
+    return condition.from !== "" || condition.to !== "";
+  }
+  return condition.values.length > 0;
+}
+
+function inRange(value, min, max) {
+  return (min === null || value >= min) && (max === null || value <= max);
+}
+
+// Start of the day after the one a timestamp falls on, in local time
+function startOfNextDay(timestamp) {
+  const date = new Date(timestamp);
+  return new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate() + 1
+  ).getTime();
+}
+
+function toBound(text, parse) {
+  if (text === "" || text === undefined) return null;
+  const bound = parse(text);
+  return bound === null || isNaN(bound) ? null : bound;
+}
+
+// Compile a condition once so that matching a row is cheap
+function compileCondition(condition) {
+  const { field } = condition;
+  if (condition.kind === "number") {
+    const min = toBound(condition.min, parseNumber);
+    const max = toBound(condition.max, parseNumber);
+    return (record) => {
+      const number = parseNumber(record[field]);
+      return number !== null && inRange(number, min, max);
+    };
+  }
+  if (condition.kind === "date") {
+    const from = toBound(condition.from, parseDate);
+    const to = toBound(condition.to, parseDate);
+    // The range includes the whole of its last day, times as well as dates
+    const end = to === null ? null : startOfNextDay(to);
+    return (record) => {
+      const value = record[field];
+      const timestamp =
+        value === null || value === undefined ? null : parseDate(String(value));
+      return (
+        timestamp !== null &&
+        (from === null || timestamp >= from) &&
+        (end === null || timestamp < end)
+      );
+    };
+  }
+  const values = new Set(condition.values);
+  return (record) => values.has(String(record[field]));
+}
+
+/**
+ * Keeps the records that satisfy the filters
+ * @param {Array} records - Dataset records
+ * @param {Object} filters - { combinator, conditions }
+ * @returns {Array} - Matching records (the input array if nothing is filtered)
+ */
+export function applyRowFilters(records, filters) {
+  const matchers = (filters ? filters.conditions : [])
+    .filter(isActive)
+    .map(compileCondition);
+  if (matchers.length === 0) return records;
+  if (filters.combinator === "or") {
+    return records.filter((record) => matchers.some((match) => match(record)));
+  }
+  return records.filter((record) => matchers.every((match) => match(record)));
+}
+
+/**
+ * Validates filters (e.g. from a URL or saved view) against a dataset's fields
+ * Malformed conditions and conditions on unknown fields are dropped.
+ * @param {*} filters - Candidate filters
+ * @param {Array<string>} fieldIds - Fields of the current dataset
+ * @returns {Object} - Usable filters, NO_ROW_FILTERS if none remain
+ */
+export function sanitizeRowFilters(filters, fieldIds) {
+  if (!filters || !Array.isArray(filters.conditions)) return NO_ROW_FILTERS;
+  const conditions = filters.conditions
+    .filter(
+      (condition) =>
+        !!condition &&
+        fieldIds.includes(condition.field) &&
+        FILTER_KINDS.includes(condition.kind)
+    )
+    .map((condition) => {
+      const empty = createCondition(condition.field, condition.kind);
+      Object.keys(empty).forEach((key) => {
+        if (key === "values") {
+          empty.values = Array.isArray(condition.values)
+            ? condition.values.map(String)
+            : [];
+        } else if (key !== "field" && key !== "kind") {
+          empty[key] =
+            condition[key] === undefined || condition[key] === null
+              ? ""
+              : String(condition[key]);
+        }
+      });
+      return empty;
+    });
+  if (conditions.length === 0) return NO_ROW_FILTERS;
+  return {
+    combinator: filters.combinator === "or" ? "or" : "and",
+    conditions,
+  };
+}
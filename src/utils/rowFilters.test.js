@@ -0,0 +1,102 @@
+import { applyRowFilters, sanitizeRowFilters } from "./rowFilters";
+
+const records = [
+  { month: "2019-02-28", town: "Bedok", price: "400,000" },
+  { month: "2019-03-01", town: "Jurong", price: "450000" },
+  { month: "2019-03-15T08:30:00", town: "Bedok", price: "500000" },
+  { month: "2019-03-15T23:59:59", town: "Jurong", price: "" },
+  { month: "2019-03-16", town: "Bedok", price: "550000" },
+];
+
+const only = (condition, combinator = "and") =>
+  applyRowFilters(records, { combinator, conditions: [condition] }).map(
+    (record) => record.month
+  );
+
+describe("applyRowFilters", () => {
+  test.each([
+    [
+      "2019-03-01",
+      "2019-03-15",
+      ["2019-03-01", "2019-03-15T08:30:00", "2019-03-15T23:59:59"],
+    ],
+    [
+      "2019-03-15",
+      "2019-03-15",
+      ["2019-03-15T08:30:00", "2019-03-15T23:59:59"],
+    ],
+    ["", "2019-02-28", ["2019-02-28"]],
+    ["2019-03-16", "", ["2019-03-16"]],
+    ["2019-03-17", "", []],
+  ])("keeps dates from %j to %j, whole days", (from, to, expected) => {
+    expect(only({ field: "month", kind: "date", from, to })).toEqual(expected);
+  });
+
+  test.each([
+    ["450000", "500000", ["2019-03-01", "2019-03-15T08:30:00"]],
+    ["", "400000", ["2019-02-28"]],
+    ["500,001", "", ["2019-03-16"]],
+  ])("keeps numbers from %j to %j", (min, max, expected) => {
+    expect(only({ field: "price", kind: "number", min, max })).toEqual(
+      expected
+    );
+  });
+
+  test("keeps the chosen categories", () => {
+    expect(
+      only({ field: "town", kind: "category", values: ["Jurong"] })
+    ).toEqual(["2019-03-01", "2019-03-15T23:59:59"]);
+  });
+
+  test.each([
+    ["and", ["2019-03-15T08:30:00", "2019-03-16"]],
+    [
+      "or",
+      [
+        "2019-02-28",
+        "2019-03-15T08:30:00",
+        "2019-03-15T23:59:59",
+        "2019-03-16",
+      ],
+    ],
+  ])("combines conditions with %s", (combinator, expected) => {
+    const filters = {
+      combinator,
+      conditions: [
+        { field: "town", kind: "category", values: ["Bedok"] },
+        { field: "month", kind: "date", from: "2019-03-15", to: "" },
+      ],
+    };
+    expect(
+      applyRowFilters(records, filters).map((record) => record.month)
+    ).toEqual(expected);
+  });
+
+  test("returns the records when nothing is filtered", () => {
+    const filters = {
+      combinator: "and",
+      conditions: [{ field: "month", kind: "date", from: "", to: "" }],
+    };
+    expect(applyRowFilters(records, filters)).toBe(records);
+  });
+});
+
+test("sanitizeRowFilters drops unknown fields and malformed conditions", () => {
+  expect(
+    sanitizeRowFilters(
+      {
+        combinator: "xor",
+        conditions: [
+          { field: "month", kind: "date", to: 2019 },
+          { field: "region", kind: "category", values: ["East"] },
+          { field: "town", kind: "regex" },
+          null,
+        ],
+      },
+      ["month", "town"]
+    )
+  ).toEqual({
+    combinator: "and",
+    conditions: [{ field: "month", kind: "date", from: "", to: "2019" }],
+  });
+});
@@ -0,0 +1,125 @@
+import { SAVED_VIEWS_STORAGE_KEY } from "../constants";
+import { logger } from "./logger";
+
+/**
+ * Saved views are named chart configurations kept in localStorage:
+ *   [{ name, config, savedAt }]
+ * where config has the same shape as the URL state (see urlState.js).
+ */
+
+const EXPORT_VERSION = 1;
+
+function isValidView(view) {
+  return (
+    !!view &&
+    typeof view.name === "string" &&
+    view.name.trim() !== "" &&
+    !!view.config &&
+    typeof view.config === "object" &&
+    typeof view.config.resourceID === "string"
+  );
+}
+
+/**
+ * Reads saved views from localStorage
+ * @returns {Array} - Saved views, or [] if none are stored or storage is unreadable
+ */
+export function loadSavedViews() {
+  try {
+    const stored = window.localStorage.getItem(SAVED_VIEWS_STORAGE_KEY);
+    const views = stored ? JSON.parse(stored) : [];
+    return Array.isArray(views) ? views.filter(isValidView) : [];
+  } catch (error) {
+    logger.warn("Could not read saved views:", error);
+    return [];
+  }
+}
+
+/**
+ * Writes saved views to localStorage
+ * @param {Array} views - Saved views
+ */
+export function storeSavedViews(views) {
+  try {
+    window.localStorage.setItem(SAVED_VIEWS_STORAGE_KEY, JSON.stringify(views));
+  } catch (error) {
+    logger.error("Could not store saved views:", error);
+  }
+}
+
+/**
+ * Adds views to a list, replacing any existing views with the same name
+ * @param {Array} views - Existing views
+ * @param {Array} newViews - Views to add
+ * @returns {Array} - Merged views sorted by name
+ */
+export function mergeSavedViews(views, newViews) {
+  const byName = new Map(views.map((view) => [view.name, view]));
+  newViews.forEach((view) => byName.set(view.name, view));
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Renames a view, keeping its configuration
+ * @param {Array} views - Saved views
+ * @param {string} name - Current name of the view
+ * @param {string} newName - New name
+ * @returns {Array} - Views sorted by name
+ * @throws {Error} - If the new name is blank or used by another view
+ */
+export function renameSavedView(views, name, newName) {
+  const trimmed = newName.trim();
+  if (!trimmed) {
+    throw new Error("Enter a name for the view");
+  }
+  if (trimmed !== name && views.some((view) => view.name === trimmed)) {
+    throw new Error(`A view named "${trimmed}" already exists`);
+  }
+  return mergeSavedViews(
+    views.filter((view) => view.name !== name),
+    views
+      .filter((view) => view.name === name)
+      .map((view) => ({ ...view, name: trimmed }))
+  );
+}
+
+/**
+ * Serialises views for download as a JSON file
+ * @param {Array} views - Saved views
+ * @returns {string} - JSON document
+ */
+export function exportSavedViews(views) {
+  return JSON.stringify({ version: EXPORT_VERSION, views }, null, 2);
+}
+
+/**
+ * Parses a JSON document produced by exportSavedViews
+ * A bare array of views is accepted as well.
+ * @param {string} text - JSON document
+ * @returns {Array} - Valid views from the document
+ * @throws {Error} - If the document is not JSON or contains no valid views
+ */
+export function importSavedViews(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a valid JSON file: ${error.message}`);
+  }
+  const views = Array.isArray(parsed) ? parsed : parsed && parsed.views;
+  if (!Array.isArray(views)) {
+    throw new Error("File does not contain a list of saved views");
+  }
+  const validViews = views.filter(isValidView);
+  if (validViews.length === 0) {
+    throw new Error("File does not contain any valid saved views");
+  }
+  if (validViews.length < views.length) {
+    logger.warn(
+      `Skipped ${
+        views.length - validViews.length
+      } invalid saved views on import`
+    );
+  }
+  return validViews;
+}
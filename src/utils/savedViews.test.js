@@ -0,0 +1,116 @@
+import {
+  exportSavedViews,
+  importSavedViews,
+  loadSavedViews,
+  mergeSavedViews,
+  renameSavedView,
+  storeSavedViews,
+} from "./savedViews";
+import { SAVED_VIEWS_STORAGE_KEY } from "../constants";
+
+const view = (name, resourceID = "d_1") => ({
+  name,
+  config: { resourceID, xKey: "year", yKey: "value" },
+  savedAt: 1700000000000,
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe("loading and storing", () => {
+  test("reads back the views it stored", () => {
+    const views = [view("Prices"), view("Rents", "d_2")];
+    storeSavedViews(views);
+    expect(loadSavedViews()).toEqual(views);
+  });
+
+  test("starts with no views", () => {
+    expect(loadSavedViews()).toEqual([]);
+  });
+
+  test("ignores storage that is not a list of views", () => {
+    window.localStorage.setItem(SAVED_VIEWS_STORAGE_KEY, "{not json");
+    expect(loadSavedViews()).toEqual([]);
+    window.localStorage.setItem(SAVED_VIEWS_STORAGE_KEY, '{"name":"Prices"}');
+    expect(loadSavedViews()).toEqual([]);
+  });
+
+  test("drops the views it cannot load", () => {
+    window.localStorage.setItem(
+      SAVED_VIEWS_STORAGE_KEY,
+      JSON.stringify([
+        view("Prices"),
+        null,
+        view(" "),
+        { name: "No dataset", config: { xKey: "year" } },
+      ])
+    );
+    expect(loadSavedViews()).toEqual([view("Prices")]);
+  });
+
+  test("survives storage that refuses writes", () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const setItem = jest
+      .spyOn(Storage.prototype, "setItem")
+      .mockImplementation(() => {
+        throw new Error("QuotaExceededError");
+      });
+    expect(() => storeSavedViews([view("Prices")])).not.toThrow();
+    expect(console.error).toHaveBeenCalled();
+    setItem.mockRestore();
+    console.error.mockRestore();
+  });
+});
+
+describe("saving and renaming", () => {
+  test("replaces a view saved again under its name, keeping names sorted", () => {
+    const updated = { ...view("Prices", "d_9"), savedAt: 1800000000000 };
+    expect(
+      mergeSavedViews([view("Rents"), view("Prices")], [updated, view("Area")])
+    ).toEqual([view("Area"), updated, view("Rents")]);
+  });
+
+  test("renames a view and keeps its configuration", () => {
+    const views = [view("Area"), view("Prices", "d_2")];
+    expect(renameSavedView(views, "Prices", " Average prices ")).toEqual([
+      view("Area"),
+      view("Average prices", "d_2"),
+    ]);
+    expect(views[1].name).toBe("Prices");
+  });
+
+  test("refuses a blank name or one another view has", () => {
+    const views = [view("Area"), view("Prices")];
+    expect(() => renameSavedView(views, "Prices", "  ")).toThrow(
+      "Enter a name for the view"
+    );
+    expect(() => renameSavedView(views, "Prices", "Area")).toThrow(
+      'A view named "Area" already exists'
+    );
+    expect(renameSavedView(views, "Prices", "Prices")).toEqual(views);
+  });
+});
+
+describe("import and export", () => {
+  test("imports the views it exported", () => {
+    const views = [view("Prices"), view("Rents", "d_2")];
+    expect(importSavedViews(exportSavedViews(views))).toEqual(views);
+    expect(JSON.parse(exportSavedViews(views)).version).toBe(1);
+  });
+
+  test("accepts a bare list and skips the views it cannot load", () => {
+    const text = JSON.stringify([view("Prices"), { name: "Broken" }]);
+    expect(importSavedViews(text)).toEqual([view("Prices")]);
+  });
+
+  test("explains why a file cannot be imported", () => {
+    expect(() => importSavedViews("views")).toThrow(/^Not a valid JSON file/);
+    expect(() => importSavedViews('{"views":{}}')).toThrow(
+      "File does not contain a list of saved views"
+    );
+    expect(() => importSavedViews("[{}]")).toThrow(
+      "File does not contain any valid saved views"
+    );
+  });
+});
@@ -0,0 +1,226 @@
+import { SEARCH_FIELD_WEIGHTS, UPDATED_FACET_OPTIONS } from "../constants";
+
+/**
+ * Client-side full-text search over the dataset catalogue
+ *
+ * Names, agencies and descriptions are split into lower-case words and
+ * indexed by word. A query matches the datasets that contain every one of
+ * its words, each either exactly, as the start of a longer word ("popul"
+ * finds "population"), or with a typo or two ("polution" finds "pollution").
+ * Results are ranked by how well each word matched and in which field
+ * (SEARCH_FIELD_WEIGHTS), with a bonus for names containing the whole query.
+ *
+ * Facets narrow the results by agency, last update and format:
+ *   { organisation, updated, format }
+ * where "" means any, and updated is a value of UPDATED_FACET_OPTIONS.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const STOP_WORDS = new Set(["a", "an", "and", "by", "for", "in", "of", "the"]);
+// Matches in order of preference, as a share of the field's weight
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.75;
+const FUZZY_MATCH = 0.5;
+const NAME_PHRASE_BONUS = 2;
+
+export const NO_FACETS = { organisation: "", updated: "", format: "" };
+
+/**
+ * Splits text into the words that are indexed and searched for
+ * @param {string} text - Text
+ * @returns {Array<string>} - Lower-case words without stop words
+ */
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word !== "" && !STOP_WORDS.has(word));
+}
+
+// Typos allowed in a word of this length
+function maxTypos(length) {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+/**
+ * Counts the edits that turn one word into another, up to a limit
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} - Levenshtein distance, or limit + 1 if it is larger
+ */
+export function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previous = Array.from({ length: b.length + 1 }, (value, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// How well an indexed word matches a query word, from 0 (not at all) to 1
+function matchQuality(word, queryWord) {
+  if (word === queryWord) return EXACT_MATCH;
+  if (word.startsWith(queryWord)) return PREFIX_MATCH;
+  const typos = maxTypos(queryWord.length);
+  if (typos === 0) return 0;
+  const distance = editDistance(word, queryWord, typos);
+  return distance <= typos ? FUZZY_MATCH / distance : 0;
+}
+
+/**
+ * Indexes catalogue resources for search
+ * @param {Array} resources - Catalogue resources (see api/catalogue.js)
+ * @returns {Object} - Index with a `search(query)` method returning the
+ * matching resources best first, or every resource by name for an empty query
+ */
+export function createSearchIndex(resources) {
+  const seen = new Set();
+  const documents = resources.filter((resource) => {
+    if (seen.has(resource.resource_id)) return false;
+    seen.add(resource.resource_id);
+    return true;
+  });
+
+  // word -> Map(document index -> weight of the best field it appears in)
+  const words = new Map();
+  documents.forEach((resource, index) => {
+    Object.keys(SEARCH_FIELD_WEIGHTS).forEach((field) => {
+      const weight = SEARCH_FIELD_WEIGHTS[field];
+      tokenize(resource[field]).forEach((word) => {
+        if (!words.has(word)) words.set(word, new Map());
+        const postings = words.get(word);
+        postings.set(index, Math.max(postings.get(index) || 0, weight));
+      });
+    });
+  });
+
+  const byName = documents
+    .slice()
+    .sort((a, b) => a.resource_name.localeCompare(b.resource_name));
+
+  function search(query) {
+    const queryWords = [...new Set(tokenize(query))];
+    if (queryWords.length === 0) return byName;
+
+    let scores = null;
+    for (const queryWord of queryWords) {
+      // The best match of this word in each document
+      const wordScores = new Map();
+      words.forEach((postings, word) => {
+        const quality = matchQuality(word, queryWord);
+        if (quality === 0) return;
+        postings.forEach((weight, index) => {
+          const score = weight * quality;
+          if (score > (wordScores.get(index) || 0)) {
+            wordScores.set(index, score);
+          }
+        });
+      });
+      if (scores === null) {
+        scores = wordScores;
+      } else {
+        const combined = new Map();
+        scores.forEach((score, index) => {
+          if (wordScores.has(index)) {
+            combined.set(index, score + wordScores.get(index));
+          }
+        });
+        scores = combined;
+      }
+      if (scores.size === 0) return [];
+    }
+
+    const phrase = String(query).trim().toLowerCase();
+    return [...scores.entries()]
+      .map(([index, score]) => {
+        const resource = documents[index];
+        const bonus = resource.resource_name.toLowerCase().includes(phrase)
+          ? NAME_PHRASE_BONUS
+          : 0;
+        return { resource, score: score + bonus };
+      })
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          a.resource.resource_name.localeCompare(b.resource.resource_name)
+      )
+      .map(({ resource }) => resource);
+  }
+
+  return { search };
+}
+
+/**
+ * Checks a resource against the facets
+ * @param {Object} resource - Catalogue resource
+ * @param {Object} facets - { organisation, updated, format } ("" for any)
+ * @param {number} now - Current time, for the last-updated facet
+ * @returns {boolean}
+ */
+export function matchesFacets(resource, facets, now) {
+  if (facets.organisation && resource.organisation !== facets.organisation) {
+    return false;
+  }
+  if (facets.format && resource.resource_format !== facets.format) {
+    return false;
+  }
+  const updated = UPDATED_FACET_OPTIONS.find(
+    ({ value }) => value === facets.updated
+  );
+  if (updated && updated.days) {
+    return (
+      typeof resource.last_updated === "number" &&
+      now - resource.last_updated <= updated.days * DAY
+    );
+  }
+  return true;
+}
+
+/**
+ * Counts the results for each value of a facet
+ * The other facets apply, so each count is what choosing the value would
+ * show.
+ * @param {Array} results - Resources matching the query
+ * @param {Object} facets - The chosen facets
+ * @param {string} facet - "organisation", "updated" or "format"
+ * @param {number} now - Current time, for the last-updated facet
+ * @returns {Array} - [{ value, label, count }], for organisation and format
+ * the values present sorted by name, for updated every option
+ */
+export function countFacetValues(results, facets, facet, now) {
+  const others = { ...facets, [facet]: "" };
+  const matching = results.filter((resource) =>
+    matchesFacets(resource, others, now)
+  );
+  if (facet === "updated") {
+    return UPDATED_FACET_OPTIONS.map(({ value, label }) => ({
+      value,
+      label,
+      count: matching.filter((resource) =>
+        matchesFacets(resource, { ...others, updated: value }, now)
+      ).length,
+    }));
+  }
+  const field = facet === "format" ? "resource_format" : facet;
+  const counts = new Map();
+  matching.forEach((resource) => {
+    const value = resource[field];
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.keys()]
+    .sort()
+    .map((value) => ({ value, label: value, count: counts.get(value) }));
+}
@@ -0,0 +1,158 @@
+import {
+  NO_FACETS,
+  countFacetValues,
+  createSearchIndex,
+  editDistance,
+  matchesFacets,
+  tokenize,
+} from "./search";
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 1);
+
+// Part of the catalogue, as api/catalogue.js lists it
+const catalogue = [
+  {
+    resource_id: "d_air",
+    resource_name: "Air Pollution Index",
+    organisation: "National Environment Agency",
+    resource_format: "CSV",
+    description: "Daily readings",
+    last_updated: NOW - 10 * DAY,
+  },
+  {
+    resource_id: "d_population",
+    resource_name: "Resident Population by Age",
+    organisation: "Singapore Department of Statistics",
+    resource_format: "CSV",
+    description: "Mid-year estimates",
+    last_updated: NOW - 400 * DAY,
+  },
+  {
+    resource_id: "d_resale",
+    resource_name: "Resale Flat Prices",
+    organisation: "Housing and Development Board",
+    resource_format: "XLSX",
+    description: "Prices of resale flats by town and population centre",
+    last_updated: null,
+  },
+];
+const ids = (resources) => resources.map((resource) => resource.resource_id);
+
+describe("tokenize", () => {
+  test("splits text into lower-case words, without stop words", () => {
+    expect(tokenize("The Price of a Flat, 2019")).toEqual([
+      "price",
+      "flat",
+      "2019",
+    ]);
+  });
+
+  test("keeps accented letters in words", () => {
+    expect(tokenize("Résidents/âge")).toEqual(["résidents", "âge"]);
+  });
+
+  test("has no words for empty text", () => {
+    expect(tokenize("")).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe("editDistance", () => {
+  test("counts the letters added, dropped or changed", () => {
+    expect(editDistance("pollution", "pollution", 2)).toBe(0);
+    expect(editDistance("polution", "pollution", 2)).toBe(1);
+    expect(editDistance("kitten", "sitting", 3)).toBe(3);
+  });
+
+  test("stops at one past the limit", () => {
+    expect(editDistance("kitten", "sitting", 1)).toBe(2);
+    expect(editDistance("a", "abcd", 1)).toBe(2);
+  });
+});
+
+describe("createSearchIndex", () => {
+  // The catalogue lists a dataset once per resource; it is found once
+  const index = createSearchIndex([...catalogue, catalogue[0]]);
+  const search = (query) => ids(index.search(query));
+
+  test("lists every dataset by name before a search", () => {
+    expect(search("")).toEqual(["d_air", "d_resale", "d_population"]);
+    expect(search("the of")).toEqual(["d_air", "d_resale", "d_population"]);
+  });
+
+  test("finds words exactly, by their start, or with a typo", () => {
+    expect(search("pollution")).toEqual(["d_air"]);
+    expect(search("pollut")).toEqual(["d_air"]);
+    expect(search("polution")).toEqual(["d_air"]);
+  });
+
+  test("ranks matches in the name above those in the description", () => {
+    expect(search("popul")).toEqual(["d_population", "d_resale"]);
+  });
+
+  test("needs every word of the query, in any field", () => {
+    expect(search("resale flat")).toEqual(["d_resale"]);
+    expect(search("population housing")).toEqual(["d_resale"]);
+    expect(search("statistics")).toEqual(["d_population"]);
+    expect(search("population weather")).toEqual([]);
+  });
+});
+
+describe("matchesFacets", () => {
+  const matching = (facets) =>
+    ids(catalogue.filter((resource) => matchesFacets(resource, facets, NOW)));
+
+  test("matches everything without facets", () => {
+    expect(matching(NO_FACETS)).toEqual(ids(catalogue));
+  });
+
+  test("narrows by agency and format", () => {
+    expect(
+      matching({ ...NO_FACETS, organisation: "National Environment Agency" })
+    ).toEqual(["d_air"]);
+    expect(matching({ ...NO_FACETS, format: "XLSX" })).toEqual(["d_resale"]);
+  });
+
+  test("narrows by last update, leaving out datasets without a date", () => {
+    expect(matching({ ...NO_FACETS, updated: "month" })).toEqual(["d_air"]);
+    expect(matching({ ...NO_FACETS, updated: "3years" })).toEqual([
+      "d_air",
+      "d_population",
+    ]);
+  });
+});
+
+describe("countFacetValues", () => {
+  test("counts each value with the other facets applied", () => {
+    const facets = { ...NO_FACETS, format: "CSV", organisation: "Any" };
+    expect(
+      countFacetValues(catalogue, facets, "organisation", NOW).map(
+        ({ value, count }) => [value, count]
+      )
+    ).toEqual([
+      ["National Environment Agency", 1],
+      ["Singapore Department of Statistics", 1],
+    ]);
+  });
+
+  test("counts the formats of the results", () => {
+    expect(countFacetValues(catalogue, NO_FACETS, "format", NOW)).toEqual([
+      { value: "CSV", label: "CSV", count: 2 },
+      { value: "XLSX", label: "XLSX", count: 1 },
+    ]);
+  });
+
+  test("counts every last-updated option", () => {
+    expect(
+      countFacetValues(catalogue, NO_FACETS, "updated", NOW).map(
+        ({ value, count }) => [value, count]
+      )
+    ).toEqual([
+      ["", 3],
+      ["month", 1],
+      ["year", 1],
+      ["3years", 2],
+    ]);
+  });
+});
@@ -0,0 +1,96 @@
+import { formatTimestamp } from "../utils";
+
+/**
+ * Time buckets for resampling date x-axes
+ *
+ * A timestamp is moved to the start of its period (local time), so every row
+ * in the same period shares one x-value and is combined by the aggregation.
+ * Weeks start on Monday; the Singapore government financial year runs from
+ * April to March and is named after the year it starts in (FY2019 is
+ * April 2019 - March 2020).
+ */
+
+const TIME_BUCKET_NAMES = [
+  "day",
+  "week",
+  "month",
+  "quarter",
+  "half",
+  "year",
+  "fy",
+];
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Checks whether a value names a supported time bucket
+ * @param {string} bucket - Bucket name
+ * @returns {boolean}
+ */
+export function isTimeBucket(bucket) {
+  return TIME_BUCKET_NAMES.includes(bucket);
+}
+
+/**
+ * Moves a timestamp to the start of its period
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @param {string} bucket - "day", "week", "month", "quarter", "half", "year"
+ * or "fy"
+ * @returns {number} - Timestamp of the period start
+ */
+export function bucketTimestamp(timestamp, bucket) {
+  const date = new Date(timestamp);
+  const year = date.getFullYear();
+  const month = date.getMonth();
+  switch (bucket) {
+    case "day":
+      return new Date(year, month, date.getDate()).getTime();
+    case "week": {
+      const daysSinceMonday = (date.getDay() + 6) % 7;
+      return new Date(year, month, date.getDate() - daysSinceMonday).getTime();
+    }
+    case "month":
+      return new Date(year, month, 1).getTime();
+    case "quarter":
+      return new Date(year, month - (month % 3), 1).getTime();
+    case "half":
+      return new Date(year, month < 6 ? 0 : 6, 1).getTime();
+    case "year":
+      return new Date(year, 0, 1).getTime();
+    case "fy":
+      return new Date(month >= 3 ? year : year - 1, 3, 1).getTime();
+    default:
+      return timestamp;
+  }
+}
+
+/**
+ * Formats a period start for axis ticks and tooltips
+ * @param {*} value - Timestamp (other values are returned unchanged)
+ * @param {string} [bucket] - Bucket the timestamp was resampled to
+ * @returns {*} - e.g. "2019-03-04", "2019-03", "2019-Q1", "2019-H1", "2019",
+ * "FY2019"
+ */
+export function formatBucket(value, bucket) {
+  if (typeof value !== "number" || !isTimeBucket(bucket)) {
+    return formatTimestamp(value);
+  }
+  const date = new Date(value);
+  const year = date.getFullYear();
+  const month = date.getMonth();
+  switch (bucket) {
+    case "day":
+    case "week":
+      return `${year}-${pad(month + 1)}-${pad(date.getDate())}`;
+    case "month":
+      return `${year}-${pad(month + 1)}`;
+    case "quarter":
+      return `${year}-Q${Math.floor(month / 3) + 1}`;
+    case "half":
+      return `${year}-H${month < 6 ? 1 : 2}`;
+    case "year":
+      return String(year);
+    default:
+      return `FY${month >= 3 ? year : year - 1}`;
+  }
+}
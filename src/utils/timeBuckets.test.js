@@ -0,0 +1,86 @@
+import { bucketTimestamp, formatBucket, isTimeBucket } from "./timeBuckets";
+
+const at = (year, month, day = 1, ...time) =>
+  new Date(year, month, day, ...time).getTime();
+
+// The last moment of a day, to check it stays in its period
+const endOf = (year, month, day) => at(year, month, day, 23, 59, 59, 999);
+
+describe("bucketTimestamp", () => {
+  test("keeps a month together up to its last millisecond", () => {
+    expect(bucketTimestamp(endOf(2019, 0, 31), "month")).toBe(at(2019, 0));
+    expect(bucketTimestamp(at(2019, 1, 1), "month")).toBe(at(2019, 1));
+    expect(bucketTimestamp(endOf(2020, 1, 29), "month")).toBe(at(2020, 1));
+  });
+
+  test("drops the time of day", () => {
+    expect(bucketTimestamp(at(2019, 2, 15, 8, 30), "day")).toBe(
+      at(2019, 2, 15)
+    );
+  });
+
+  test("starts weeks on Monday, across the turn of a year", () => {
+    // 1 January 2020 was a Wednesday and 5 January a Sunday
+    expect(bucketTimestamp(at(2020, 0, 1), "week")).toBe(at(2019, 11, 30));
+    expect(bucketTimestamp(endOf(2020, 0, 5), "week")).toBe(at(2019, 11, 30));
+    expect(bucketTimestamp(at(2020, 0, 6), "week")).toBe(at(2020, 0, 6));
+  });
+
+  test("splits quarters at January, April, July and October", () => {
+    expect(bucketTimestamp(endOf(2019, 2, 31), "quarter")).toBe(at(2019, 0));
+    expect(bucketTimestamp(at(2019, 3, 1), "quarter")).toBe(at(2019, 3));
+    expect(bucketTimestamp(at(2019, 7, 20), "quarter")).toBe(at(2019, 6));
+    expect(bucketTimestamp(endOf(2019, 11, 31), "quarter")).toBe(at(2019, 9));
+  });
+
+  test("splits halves at July", () => {
+    expect(bucketTimestamp(endOf(2019, 5, 30), "half")).toBe(at(2019, 0));
+    expect(bucketTimestamp(at(2019, 6, 1), "half")).toBe(at(2019, 6));
+  });
+
+  test("starts financial years in April of the year they are named after", () => {
+    expect(bucketTimestamp(endOf(2020, 2, 31), "fy")).toBe(at(2019, 3));
+    expect(bucketTimestamp(at(2020, 3, 1), "fy")).toBe(at(2020, 3));
+    expect(bucketTimestamp(at(2020, 11, 31), "fy")).toBe(at(2020, 3));
+  });
+
+  test("starts years in January", () => {
+    expect(bucketTimestamp(endOf(2019, 11, 31), "year")).toBe(at(2019, 0));
+  });
+
+  test("leaves the timestamp alone for an unknown bucket", () => {
+    expect(bucketTimestamp(at(2019, 2, 15, 8), "decade")).toBe(
+      at(2019, 2, 15, 8)
+    );
+  });
+});
+
+describe("formatBucket", () => {
+  test("names each period as it is usually written", () => {
+    expect(formatBucket(at(2019, 2, 4), "day")).toBe("2019-03-04");
+    expect(formatBucket(at(2019, 2, 4), "week")).toBe("2019-03-04");
+    expect(formatBucket(at(2019, 2), "month")).toBe("2019-03");
+    expect(formatBucket(at(2019, 6), "quarter")).toBe("2019-Q3");
+    expect(formatBucket(at(2019, 6), "half")).toBe("2019-H2");
+    expect(formatBucket(at(2019, 0), "year")).toBe("2019");
+  });
+
+  test("names a financial year after the year it starts in", () => {
+    expect(formatBucket(at(2019, 3), "fy")).toBe("FY2019");
+    expect(formatBucket(at(2020, 0), "fy")).toBe("FY2019");
+  });
+
+  test("leaves values that are not timestamps alone", () => {
+    expect(formatBucket("Bedok", "month")).toBe("Bedok");
+  });
+});
+
+test("isTimeBucket knows the buckets", () => {
+  expect(
+    ["day", "week", "month", "quarter", "half", "year", "fy"].every(
+      isTimeBucket
+    )
+  ).toBe(true);
+  expect(isTimeBucket("")).toBe(false);
+  expect(isTimeBucket("decade")).toBe(false);
+});
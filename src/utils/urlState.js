@@ -0,0 +1,164 @@
+import { isFloatOrInt } from "../utils";
+import { isAggregation } from "./aggregation";
+import { isChartType } from "./chartTypes";
+import { logger } from "./logger";
+import { DEFAULT_LIMIT, LIMIT_STEP, MAX_LIMIT, MIN_LIMIT } from "../constants";
+
+// Chart configuration keys and the query-string parameters they map to
+const URL_PARAMS = {
+  organisation: "org",
+  resourceID: "dataset",
+  xKey: "x",
+  yKey: "y",
+  series: "series",
+  aggregation: "agg",
+  limit: "limit",
+  xMin: "xmin",
+  xMax: "xmax",
+  yMin: "ymin",
+  yMax: "ymax",
+  y2Min: "y2min",
+  y2Max: "y2max",
+  chartType: "chart",
+  // Read from links made before the chart type was selectable
+  useBarChart: "bar",
+  rowFilters: "filters",
+  resample: "resample",
+  missingValues: "missing",
+  derivedColumns: "derived",
+  measures: "measures",
+  layers: "layers",
+  join: "join",
+  reshape: "reshape",
+};
+
+const BOOLEAN_KEYS = ["useBarChart"];
+const DOMAIN_KEYS = ["xMin", "xMax", "yMin", "yMax", "y2Min", "y2Max"];
+// Structured settings, stored as JSON
+const JSON_KEYS = [
+  "rowFilters",
+  "derivedColumns",
+  "measures",
+  "layers",
+  "join",
+  "reshape",
+];
+
+/**
+ * Serialises a chart configuration into a query string
+ * Empty values are left out so the URL stays short
+ * @param {Object} config - Chart configuration (see URL_PARAMS for keys)
+ * @returns {string} - Query string including the leading "?", or ""
+ */
+export function serializeChartConfig(config) {
+  const params = new URLSearchParams();
+  Object.keys(URL_PARAMS).forEach((key) => {
+    const value = config[key];
+    if (value === undefined || value === null || value === "") return;
+    if (BOOLEAN_KEYS.includes(key)) {
+      params.set(URL_PARAMS[key], value ? "1" : "0");
+    } else if (JSON_KEYS.includes(key)) {
+      params.set(URL_PARAMS[key], JSON.stringify(value));
+    } else {
+      params.set(URL_PARAMS[key], String(value));
+    }
+  });
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+/**
+ * Parses a query string produced by serializeChartConfig
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} - Partial chart configuration with only the keys present
+ */
+export function parseChartConfig(search) {
+  const params = new URLSearchParams(search);
+  const config = {};
+  Object.keys(URL_PARAMS).forEach((key) => {
+    const value = params.get(URL_PARAMS[key]);
+    if (value === null) return;
+    if (BOOLEAN_KEYS.includes(key)) {
+      config[key] = value === "1" || value === "true";
+    } else if (JSON_KEYS.includes(key)) {
+      try {
+        config[key] = JSON.parse(value);
+      } catch (error) {
+        logger.warn(`Ignoring malformed "${URL_PARAMS[key]}" parameter`);
+      }
+    } else if (DOMAIN_KEYS.includes(key) && isFloatOrInt(value)) {
+      // Domain bounds are numbers unless they are Recharts keywords like 'dataMin - 20'
+      config[key] = parseFloat(value);
+    } else {
+      config[key] = value;
+    }
+  });
+  // Links from before aggregation was selectable carry sum=1 or sum=0
+  const legacySum = params.get("sum");
+  if (config.aggregation === undefined && legacySum !== null) {
+    config.sumData = legacySum === "1" || legacySum === "true";
+  }
+  return config;
+}
+
+/**
+ * Picks the domain bounds out of a chart configuration
+ * @param {Object} config - Partial chart configuration
+ * @returns {Object|null} - { xMin, xMax, yMin, yMax, y2Min, y2Max } subset, or null if none are set
+ */
+export function getConfigDomain(config) {
+  const domain = {};
+  DOMAIN_KEYS.forEach((key) => {
+    if (config[key] !== undefined) domain[key] = config[key];
+  });
+  return Object.keys(domain).length > 0 ? domain : null;
+}
+
+/**
+ * Reads the aggregation from a chart configuration
+ * Older configurations (URLs and saved views) have a sumData flag instead.
+ * @param {Object} config - Partial chart configuration
+ * @returns {string|undefined} - Aggregation name, or undefined if none is set
+ */
+export function getConfigAggregation(config) {
+  if (isAggregation(config.aggregation)) return config.aggregation;
+  if (typeof config.sumData === "boolean") {
+    return config.sumData ? "sum" : "none";
+  }
+  return undefined;
+}
+
+/**
+ * Reads the chart type from a chart configuration
+ * Older configurations have a useBarChart flag instead. An automatic chart
+ * type is left out, so a full configuration (one with axes) without a type
+ * is automatic.
+ * @param {Object} config - Partial chart configuration
+ * @returns {string|undefined} - Chart type, "" for automatic, or undefined if none is set
+ */
+export function getConfigChartType(config) {
+  if (isChartType(config.chartType)) return config.chartType;
+  if (typeof config.useBarChart === "boolean") {
+    return config.useBarChart ? "bar" : "line";
+  }
+  return config.xKey !== undefined ? "" : undefined;
+}
+
+/**
+ * Reads the rows per request from a chart configuration
+ * The value is used as the page size of every request for the dataset, so
+ * it is kept to the steps the limit slider offers.
+ * @param {Object} config - Partial chart configuration
+ * @returns {string} - Whole number of rows from MIN_LIMIT to MAX_LIMIT in
+ * steps of LIMIT_STEP, or DEFAULT_LIMIT if none or an invalid one is set
+ */
+export function getConfigLimit(config) {
+  const value = config.limit;
+  const number =
+    typeof value === "number" || (typeof value === "string" && value.trim())
+      ? Number(value)
+      : NaN;
+  if (!Number.isInteger(number)) return String(DEFAULT_LIMIT);
+  const stepped = Math.round(number / LIMIT_STEP) * LIMIT_STEP;
+  return String(Math.min(Math.max(stepped, MIN_LIMIT), MAX_LIMIT));
+}
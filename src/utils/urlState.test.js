@@ -0,0 +1,48 @@
+import {
+  getConfigLimit,
+  parseChartConfig,
+  serializeChartConfig,
+} from "./urlState";
+
+describe("getConfigLimit", () => {
+  test.each([
+    [{}, "2000"],
+    [{ limit: "5000" }, "5000"],
+    [{ limit: 3000 }, "3000"],
+    [{ limit: " 4000 " }, "4000"],
+    [{ limit: "2400" }, "2000"],
+    [{ limit: "2500" }, "3000"],
+    [{ limit: "0" }, "1000"],
+    [{ limit: "-5000" }, "1000"],
+    [{ limit: "50000" }, "10000"],
+    [{ limit: "1e4" }, "10000"],
+    [{ limit: "" }, "2000"],
+    [{ limit: "   " }, "2000"],
+    [{ limit: "lots" }, "2000"],
+    [{ limit: "1500.5" }, "2000"],
+    [{ limit: "Infinity" }, "2000"],
+    [{ limit: null }, "2000"],
+    [{ limit: true }, "2000"],
+  ])("reads %j as %j", (config, expected) => {
+    expect(getConfigLimit(config)).toBe(expected);
+  });
+
+  test("reads the limit from a URL", () => {
+    expect(getConfigLimit(parseChartConfig("?dataset=d_1&limit=-1"))).toBe(
+      "1000"
+    );
+  });
+});
+
+test("parseChartConfig reads what serializeChartConfig writes", () => {
+  const config = {
+    resourceID: "d_1",
+    xKey: "year",
+    yKey: "value",
+    limit: "3000",
+    xMin: 2010,
+    useBarChart: true,
+    rowFilters: { search: "bedok" },
+  };
+  expect(parseChartConfig(serializeChartConfig(config))).toEqual(config);
+});
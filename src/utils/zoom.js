@@ -0,0 +1,94 @@
+import { parseNumber } from "./normalize";
+import { DOMAIN_AUTO } from "../constants";
+
+/**
+ * Range arithmetic for the chart zoom controls (see ChartZoom.js). A range is
+ * [min, max] in axis units; positions on the plot are fractions of its width
+ * from the left, or of its height from the bottom.
+ */
+
+/**
+ * Reads chart range bounds as a numeric range
+ * @param {Array} bounds - [min, max] as set in the chart range inputs
+ * @returns {Array|null} - [min, max], or null when either bound is not a
+ * number (e.g. 'auto' or 'dataMin - 20') or the range is empty
+ */
+export function toZoomRange(bounds) {
+  if (!Array.isArray(bounds)) return null;
+  const min = parseNumber(bounds[0]);
+  const max = parseNumber(bounds[1]);
+  return min !== null && max !== null && max > min ? [min, max] : null;
+}
+
+// Rounds a bound to about four significant figures of the range's span, so
+// the chart range inputs stay readable
+function roundBound(value, span) {
+  const decimals = Math.max(0, 3 - Math.floor(Math.log10(span)));
+  return Number(value.toFixed(Math.min(decimals, 20)));
+}
+
+/**
+ * The part of a range between two positions
+ * Positions outside 0–1 extend the range, which is how zooming out and
+ * panning work.
+ * @param {Array} range - [min, max]
+ * @param {number} from - Start position, as a fraction of the range
+ * @param {number} to - End position, as a fraction of the range
+ * @returns {Array} - [min, max]
+ */
+export function sliceRange(range, from, to) {
+  const span = range[1] - range[0];
+  const sliced = [range[0] + from * span, range[0] + to * span];
+  const slicedSpan = Math.abs(sliced[1] - sliced[0]);
+  return slicedSpan > 0
+    ? sliced.map((value) => roundBound(value, slicedSpan))
+    : sliced;
+}
+
+/**
+ * Zooms a range around a position, keeping that position where it is
+ * @param {Array} range - [min, max]
+ * @param {number} position - Fixed position, as a fraction of the range
+ * @param {number} factor - Scale of the new span (below 1 zooms in)
+ * @returns {Array} - [min, max]
+ */
+export function scaleRange(range, position, factor) {
+  return sliceRange(
+    range,
+    position * (1 - factor),
+    position + (1 - position) * factor
+  );
+}
+
+/**
+ * The bounds to set on an axis after zooming
+ * @param {Array|null} range - [min, max], or null to reset the axis
+ * @param {Object|null} domain - Calculated domain (see calculateDomain)
+ * @param {string} axis - "x", "y" or "y2"
+ * @returns {Array} - [min, max]; a reset axis returns to its calculated
+ * bounds, or to DOMAIN_AUTO when there are none
+ */
+export function zoomBounds(range, domain, axis) {
+  if (range) return range;
+  const min = `${axis}Min`;
+  const max = `${axis}Max`;
+  return domain && domain[min] !== undefined
+    ? [domain[min], domain[max]]
+    : [DOMAIN_AUTO, DOMAIN_AUTO];
+}
+
+/**
+ * Brush positions covering a range
+ * @param {Array<number>} values - Sorted x-values under the brush
+ * @param {Array|null} range - [min, max], or null for every value
+ * @returns {Array} - [startIndex, endIndex]
+ */
+export function rangeToIndexes(values, range) {
+  const last = values.length - 1;
+  if (!range) return [0, last];
+  let start = values.findIndex((value) => value >= range[0]);
+  if (start === -1) start = last;
+  let end = last;
+  while (end > start && values[end] > range[1]) end--;
+  return [start, end];
+}
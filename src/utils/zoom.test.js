@@ -0,0 +1,96 @@
+import {
+  rangeToIndexes,
+  scaleRange,
+  sliceRange,
+  toZoomRange,
+  zoomBounds,
+} from "./zoom";
+import { DOMAIN_AUTO } from "../constants";
+
+const month = (index) => new Date(2019, index, 1).getTime();
+const months = Array.from({ length: 12 }, (v, i) => month(i));
+
+describe("toZoomRange", () => {
+  test("reads the range inputs as numbers", () => {
+    expect(toZoomRange(["100", "250.5"])).toEqual([100, 250.5]);
+    expect(toZoomRange([month(0), month(6)])).toEqual([month(0), month(6)]);
+  });
+
+  test("has no range for bounds the chart works out itself", () => {
+    expect(toZoomRange([DOMAIN_AUTO, DOMAIN_AUTO])).toBeNull();
+    expect(toZoomRange(["dataMin - 20", "dataMax"])).toBeNull();
+    expect(toZoomRange([0, "auto"])).toBeNull();
+    expect(toZoomRange(null)).toBeNull();
+  });
+
+  test("has no range when the bounds are equal or reversed", () => {
+    expect(toZoomRange([5, 5])).toBeNull();
+    expect(toZoomRange([10, 2])).toBeNull();
+  });
+});
+
+describe("sliceRange", () => {
+  test("takes the part of the range between two positions", () => {
+    expect(sliceRange([0, 200], 0.25, 0.5)).toEqual([50, 100]);
+  });
+
+  test("extends the range for positions outside it, to zoom out or pan", () => {
+    expect(sliceRange([0, 200], -0.5, 1.5)).toEqual([-100, 300]);
+    expect(sliceRange([0, 200], 0.1, 1.1)).toEqual([20, 220]);
+  });
+
+  test("rounds the bounds to the scale of the new range", () => {
+    expect(sliceRange([0, 1], 1 / 3, 2 / 3)).toEqual([0.3333, 0.6667]);
+    expect(sliceRange([0, 3000000], 1 / 3, 2 / 3)).toEqual([1000000, 2000000]);
+  });
+});
+
+describe("scaleRange", () => {
+  test("keeps the position under the pointer where it is", () => {
+    expect(scaleRange([0, 100], 0.25, 0.5)).toEqual([12.5, 62.5]);
+    expect(scaleRange([0, 100], 0, 2)).toEqual([0, 200]);
+    expect(scaleRange([0, 100], 1, 0.5)).toEqual([50, 100]);
+  });
+});
+
+describe("zoomBounds", () => {
+  const domain = { xMin: month(0), xMax: month(11), yMin: 0, yMax: 520 };
+
+  test("sets a zoomed axis to its range", () => {
+    expect(zoomBounds([100, 200], domain, "y")).toEqual([100, 200]);
+  });
+
+  test("resets an axis to its calculated bounds", () => {
+    expect(zoomBounds(null, domain, "x")).toEqual([month(0), month(11)]);
+    expect(zoomBounds(null, domain, "y")).toEqual([0, 520]);
+  });
+
+  test("resets an axis without calculated bounds to auto", () => {
+    expect(zoomBounds(null, domain, "y2")).toEqual([DOMAIN_AUTO, DOMAIN_AUTO]);
+    expect(zoomBounds(null, null, "x")).toEqual([DOMAIN_AUTO, DOMAIN_AUTO]);
+  });
+});
+
+describe("rangeToIndexes", () => {
+  test("covers the values within the range", () => {
+    expect(rangeToIndexes(months, [month(2), month(5)])).toEqual([2, 5]);
+    // Bounds between values take the values inside them
+    expect(rangeToIndexes(months, [month(2) + 1, month(5) - 1])).toEqual([
+      3, 4,
+    ]);
+  });
+
+  test("covers every value once the zoom is reset", () => {
+    expect(rangeToIndexes(months, null)).toEqual([0, 11]);
+  });
+
+  test("clamps a range that runs past the values to the ends", () => {
+    expect(rangeToIndexes(months, [month(-6), month(3)])).toEqual([0, 3]);
+    expect(rangeToIndexes(months, [month(9), month(20)])).toEqual([9, 11]);
+    expect(rangeToIndexes(months, [month(-6), month(20)])).toEqual([0, 11]);
+  });
+
+  test("keeps to the last value for a range after every value", () => {
+    expect(rangeToIndexes(months, [month(14), month(20)])).toEqual([11, 11]);
+  });
+});
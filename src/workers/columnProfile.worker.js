@@ -0,0 +1,8 @@
+/* eslint-disable no-restricted-globals */
+import { profileColumns } from "../utils/columnProfile";
+
+// Profiles a large dataset off the main thread (see utils/columnProfileWorker.js)
+self.onmessage = (event) => {
+  const { fields, records } = event.data;
+  self.postMessage(profileColumns(fields, records));
+};
@@ -0,0 +1,81 @@
+/* eslint-disable no-restricted-globals */
+import { createChartDataJob } from "../utils/chartData";
+
+/**
+ * Processes charts off the main thread (see utils/processingWorker.js)
+ *
+ * Messages in:
+ *   { type: "records", records }       records for the following jobs
+ *   { type: "layerRecords", resourceID, records }
+ *                                      records of a layer's dataset
+ *   { type: "process", id, options }   start a job (see utils/chartData.js),
+ *                                      with layers as [{ layer, source }]
+ *   { type: "cancel", id }             stop a job at its next pause
+ * Messages out:
+ *   { type: "progress", id, done, total }
+ *   { type: "result", id, result }
+ *   { type: "cancelled", id }
+ *   { type: "error", id, message }
+ */
+
+let records = [];
+// Records of the layers' datasets, by resource id
+const layerRecords = new Map();
+// The jobs still running, by id, and whether they have been cancelled
+const running = new Map();
+
+function run(id, options) {
+  const layers = (options.layers || []).map((item) => ({
+    ...item,
+    records: layerRecords.get(item.layer.resourceID) || [],
+  }));
+  const job = createChartDataJob(records, { ...options, layers });
+  running.set(id, { cancelled: false });
+
+  // The job pauses every few thousand records and resumes in a new task, so
+  // that a cancel message can arrive in between
+  const next = () => {
+    if (running.get(id).cancelled) {
+      running.delete(id);
+      self.postMessage({ type: "cancelled", id });
+      return;
+    }
+    let step;
+    try {
+      step = job.next();
+    } catch (error) {
+      running.delete(id);
+      self.postMessage({ type: "error", id, message: error.message });
+      return;
+    }
+    if (step.done) {
+      running.delete(id);
+      self.postMessage({ type: "result", id, result: step.value });
+      return;
+    }
+    self.postMessage({ type: "progress", id, ...step.value });
+    setTimeout(next, 0);
+  };
+  next();
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  switch (message.type) {
+    case "records":
+      records = message.records;
+      break;
+    case "layerRecords":
+      layerRecords.set(message.resourceID, message.records);
+      break;
+    case "process":
+      run(message.id, message.options);
+      break;
+    case "cancel":
+      // A job that has already finished has nothing to stop
+      if (running.has(message.id)) running.get(message.id).cancelled = true;
+      break;
+    default:
+      break;
+  }
+};
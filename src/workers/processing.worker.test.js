@@ -0,0 +1,88 @@
+/* eslint-disable no-restricted-globals */
+import "./processing.worker";
+import { PROCESSING_CHUNK_SIZE } from "../constants";
+
+const records = Array.from({ length: PROCESSING_CHUNK_SIZE * 2 }, (v, i) => ({
+  year: String(2000 + (i % 10)),
+  value: i,
+}));
+const options = {
+  xKey: "year",
+  yKey: "value",
+  series: "",
+  aggregation: "sum",
+  resample: "",
+  xKeyIsDate: false,
+};
+
+const send = (data) => self.onmessage({ data });
+const sent = () => self.postMessage.mock.calls.map(([message]) => message);
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  self.postMessage = jest.fn();
+  send({ type: "records", records });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test("reports progress between chunks, then the result", () => {
+  send({ type: "process", id: 1, options });
+  // The first pause comes while the records are being sorted
+  expect(sent()).toEqual([{ type: "progress", id: 1, done: 0, total: 10002 }]);
+  jest.runAllTimers();
+  const messages = sent();
+  const result = messages.pop();
+  expect(messages.every((message) => message.type === "progress")).toBe(true);
+  expect(messages[messages.length - 1].done).toBe(10001);
+  expect(result.type).toBe("result");
+  expect(result.result.rows).toHaveLength(10);
+});
+
+test("stops a job at its next pause", () => {
+  send({ type: "process", id: 2, options });
+  send({ type: "cancel", id: 2 });
+  jest.runAllTimers();
+  expect(sent().map((message) => message.type)).toEqual([
+    "progress",
+    "cancelled",
+  ]);
+});
+
+test("ignores a cancel for a job that has finished", () => {
+  send({ type: "process", id: 3, options });
+  jest.runAllTimers();
+  send({ type: "cancel", id: 3 });
+  send({ type: "process", id: 4, options });
+  jest.runAllTimers();
+  expect(sent().filter((message) => message.type === "cancelled")).toEqual([]);
+});
+
+test("processes layers with the records it was sent for their dataset", () => {
+  const layer = {
+    resourceID: "d_rainfall",
+    xKey: "year",
+    yKey: "rain",
+    series: "",
+    aggregation: "sum",
+    axis: "right",
+    color: "#123456",
+  };
+  send({
+    type: "layerRecords",
+    resourceID: "d_rainfall",
+    records: [{ year: "2000", rain: "12" }],
+  });
+  send({
+    type: "process",
+    id: 5,
+    options: { ...options, layers: [{ layer, source: "Rainfall" }] },
+  });
+  jest.runAllTimers();
+  const { result } = sent().pop();
+  expect(result.layerMeasures[0].dataset.default).toEqual([
+    { year: "2000", rain: 12 },
+  ]);
+});